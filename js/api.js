@@ -1,157 +1,298 @@
 //@ts-check
 /**
  * @fileoverview Handles fetching army data from the OPR Army Forge API,
- * implementing client-side caching using sessionStorage.
+ * caching responses between sessions in the persistent cache (cacheStore.js).
  * Uses HEAD request for Last-Modified timestamp, then GET for data.
- * Validates cache using HEAD request and Last-Modified header.
+ * Cached copies are returned immediately and revalidated in the background using
+ * the Last-Modified header; listeners are told when a newer list or book was cached.
+ * An army list can also be pinned, so one version keeps being used for a mission.
  */
 
 import { config } from "./config.js";
 import { showToast } from "./uiHelpers.js"; // For cache notifications
+import { cacheGet, cacheSet, cacheRemove } from "./cacheStore.js";
+
+const lastLoadedLists = new Map(); // armyId -> { data, lastModified, source } returned this page load
+const dataUpdatedListeners = [];
+
+// --- Background Revalidation ---
+
+/**
+ * Tells listeners that a newer army list or book was cached.
+ * @param {{kind: string, id: string, logIdentifier: string, pinned: boolean}} update - What was updated.
+ * @private
+ */
+function _notifyDataUpdated(update) {
+  dataUpdatedListeners.forEach((listener) => {
+    try {
+      listener(update);
+    } catch (error) {
+      console.error("[Cache] Error in data update listener:", error);
+    }
+  });
+}
+
+/**
+ * Checks Army Forge for a newer version of cached data and caches it if found.
+ * A cached copy without a Last-Modified timestamp (the HEAD request failed when it
+ * was downloaded) is always downloaded again and compared instead.
+ * Runs without being awaited; failures (e.g., offline) only log a warning.
+ * @param {string} apiUrl - The API endpoint URL.
+ * @param {string} cacheKey - The cache key for the data.
+ * @param {string} timestampKey - The cache key for the Last-Modified timestamp.
+ * @param {string | null} cachedTimestamp - The Last-Modified value of the cached copy.
+ * @param {{kind: string, id: string, logIdentifier: string, pinned: boolean}} update - Passed to listeners if newer data is cached.
+ * @private
+ */
+async function _revalidateInBackground(
+  apiUrl,
+  cacheKey,
+  timestampKey,
+  cachedTimestamp,
+  update,
+) {
+  const { logIdentifier } = update;
+  try {
+    let serverLastModified = null;
+    try {
+      const headResponse = await fetch(apiUrl, { method: "HEAD" });
+      if (headResponse.ok) {
+        serverLastModified = headResponse.headers.get("Last-Modified");
+      } else {
+        console.warn(
+          `[Cache] Background HEAD request failed for ${logIdentifier} (Status: ${headResponse.status}).`,
+        );
+      }
+    } catch (headError) {
+      console.warn(
+        `[Cache] Background HEAD request failed for ${logIdentifier}.`,
+        headError,
+      );
+    }
+
+    if (cachedTimestamp) {
+      if (!serverLastModified || serverLastModified === cachedTimestamp) {
+        console.log(
+          `[Cache] Keeping cached data for ${logIdentifier} (Server: ${serverLastModified}, Cached: ${cachedTimestamp}).`,
+        );
+        return;
+      }
+      console.log(
+        `[Cache] Newer data for ${logIdentifier} (Server: ${serverLastModified}, Cached: ${cachedTimestamp}). Fetching in the background.`,
+      );
+    } else {
+      console.log(
+        `[Cache] Cached data for ${logIdentifier} has no timestamp. Fetching in the background to compare.`,
+      );
+    }
+    const getResponse = await fetch(apiUrl);
+    if (!getResponse.ok) {
+      throw new Error(`GET request failed! status: ${getResponse.status}`);
+    }
+    const freshData = await getResponse.json();
+    if (
+      !cachedTimestamp &&
+      JSON.stringify(await cacheGet(cacheKey)) === JSON.stringify(freshData)
+    ) {
+      if (serverLastModified) await cacheSet(timestampKey, serverLastModified);
+      console.log(`[Cache] Cached data for ${logIdentifier} is up to date.`);
+      return;
+    }
+    const stored = await _storeFetchedData(
+      cacheKey,
+      timestampKey,
+      freshData,
+      serverLastModified,
+    );
+    if (stored) _notifyDataUpdated(update);
+  } catch (error) {
+    console.warn(
+      `[Cache] Could not revalidate ${logIdentifier}; keeping cached data.`,
+      error,
+    );
+  }
+}
+
+/**
+ * Caches downloaded data with its Last-Modified timestamp. Without a timestamp the
+ * stored one is removed, so the data is revalidated on its next use rather than
+ * trusted as up to date.
+ * @param {string} cacheKey - The cache key for the data.
+ * @param {string} timestampKey - The cache key for the Last-Modified timestamp.
+ * @param {object} data - The downloaded data.
+ * @param {string | null} lastModified - The Last-Modified value, if the server sent one.
+ * @returns {Promise<boolean>} True if the data was stored.
+ * @private
+ */
+async function _storeFetchedData(cacheKey, timestampKey, data, lastModified) {
+  if (!(await cacheSet(cacheKey, data))) return false;
+  if (lastModified) {
+    await cacheSet(timestampKey, lastModified);
+  } else {
+    await cacheRemove(timestampKey);
+  }
+  return true;
+}
 
 /**
- * Fetches army LIST data from the One Page Rules Army Forge API, using sessionStorage for caching.
- * Validates cache using HEAD request and Last-Modified header.
- * Can also load from local JSON files if config.USE_LOCAL_ARMY_DATA is enabled.
+ * Fetches army LIST data from the One Page Rules Army Forge API, using the persistent cache.
+ * A pinned version is returned as-is; otherwise a cached copy is returned immediately and
+ * revalidated in the background (see onArmyDataUpdated).
+ * Can also load from the local mission snapshots (missionN-armies/) if config.USE_LOCAL_ARMY_DATA
+ * is enabled, using the latest snapshot up to the given mission.
  *
  * @param {string} armyId - The specific ID of the army list on Army Forge.
  * @param {string} [armyURL] - Optional: The army URL slug for loading local files (e.g., "the-ashen-pact").
+ * @param {number | null} [missionNumber] - Optional: The mission whose snapshot to load locally.
  * @returns {Promise<object|null>} A promise that resolves to the JSON data object, or null if the fetch fails.
  */
-async function fetchArmyData(armyId, armyURL = null) {
+async function fetchArmyData(armyId, armyURL = null, missionNumber = null) {
   if (!armyId) {
     console.error("[Cache] No armyId provided for army list fetch.");
     return null;
   }
 
-  // --- LOCAL MODE: Load from local JSON file ---
-  if (config.USE_LOCAL_ARMY_DATA && armyURL) {
-    console.log(`[Local] Loading army data from local file for ${armyURL}`);
-    const localPath = `${config.LOCAL_ARMY_DATA_PATH}${armyURL}.json`;
-    try {
-      const response = await fetch(localPath);
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      const data = await response.json();
-      console.log(`[Local] Successfully loaded army data from ${localPath}`);
-      return data;
-    } catch (error) {
-      console.error(`[Local] Failed to load army data from ${localPath}:`, error);
-      console.log(`[Local] Falling back to Army Forge API...`);
-      // Fall through to API fetch below
-    }
-  }
-
-  // --- API MODE: Fetch from Army Forge API ---
   const apiUrl = `${config.ARMYFORGE_LIST_API_URL_BASE}${armyId}`;
   // Use updated prefixes from config.js
   const cacheKey = `${config.ARMY_LIST_DATA_PREFIX}${armyId}`;
   const timestampKey = `${config.ARMY_LIST_TIMESTAMP_PREFIX}${armyId}`;
   const logIdentifier = `List ${armyId}`;
+  const isLocalArmy = config.USE_LOCAL_ARMY_DATA && Boolean(armyURL);
 
+  // --- PINNED: Keep using the version pinned for a mission ---
+  const pin = await cacheGet(`${config.ARMY_LIST_PIN_PREFIX}${armyId}`);
+  if (pin?.data) {
+    console.log(
+      `[Cache] Using ${logIdentifier} pinned for mission ${pin.missionNumber}.`,
+    );
+    lastLoadedLists.set(armyId, {
+      data: pin.data,
+      lastModified: pin.lastModified,
+      source: { type: "pinned", missionNumber: pin.missionNumber },
+    });
+    if (!isLocalArmy) {
+      // Still look for updates, so the user can decide when to unpin
+      _revalidateInBackground(
+        apiUrl,
+        cacheKey,
+        timestampKey,
+        (await cacheGet(timestampKey)) || pin.lastModified,
+        { kind: "list", id: armyId, logIdentifier, pinned: true },
+      );
+    }
+    return pin.data;
+  }
+
+  // --- LOCAL MODE: Load the mission's snapshot, or the latest one before it ---
+  if (isLocalArmy) {
+    const snapshot = await _loadLocalArmySnapshot(armyURL, missionNumber);
+    if (snapshot) {
+      lastLoadedLists.set(armyId, {
+        data: snapshot.data,
+        lastModified: null,
+        source: {
+          type: "snapshot",
+          missionNumber: snapshot.missionNumber,
+          requestedMission: missionNumber,
+        },
+      });
+      return snapshot.data;
+    }
+    console.log(`[Local] Falling back to Army Forge API...`);
+    // Fall through to API fetch below
+  }
+
+  // --- API MODE: Fetch from Army Forge API ---
   console.log(`[Cache] Attempting to fetch data for ${logIdentifier}`);
 
-  // 1. Check Session Storage
-  const cachedDataJSON = sessionStorage.getItem(cacheKey);
-  const cachedTimestamp = sessionStorage.getItem(timestampKey);
+  // 1. Check the persistent cache
+  const cachedData = await cacheGet(cacheKey);
+  const cachedTimestamp = await cacheGet(timestampKey);
 
-  if (cachedDataJSON && cachedTimestamp) {
+  if (cachedData) {
+    // 2. Serve the cached copy now; a newer version is cached for next time
     console.log(
-      `[Cache] Found cached data and timestamp for ${logIdentifier}. Validating...`,
+      `[Cache] Returning cached data for ${logIdentifier}; revalidating in the background.`,
     );
-    try {
-      // 2. Make HEAD request for validation
-      const headResponse = await fetch(apiUrl, { method: "HEAD" });
-
-      if (!headResponse.ok) {
-        console.warn(
-          `[Cache] Validation HEAD request failed for ${logIdentifier} (Status: ${headResponse.status}). Fetching fresh data.`,
-        );
-        return await _fetchFreshListDataWithHeadGet(
-          apiUrl,
-          cacheKey,
-          timestampKey,
-          logIdentifier,
-        );
-      }
+    _revalidateInBackground(apiUrl, cacheKey, timestampKey, cachedTimestamp, {
+      kind: "list",
+      id: armyId,
+      logIdentifier,
+      pinned: false,
+    });
+    lastLoadedLists.set(armyId, {
+      data: cachedData,
+      lastModified: cachedTimestamp,
+      source: { type: "cache", missionNumber: null },
+    });
+    return cachedData;
+  }
 
-      const serverLastModified = headResponse.headers.get("Last-Modified");
+  console.log(
+    `[Cache] No valid cache found for ${logIdentifier}. Fetching fresh data.`,
+  );
+  // 3. Fetch fresh data (if no cache)
+  const freshData = await _fetchFreshListDataWithHeadGet(
+    apiUrl,
+    cacheKey,
+    timestampKey,
+    logIdentifier,
+  );
+  if (freshData) {
+    lastLoadedLists.set(armyId, {
+      data: freshData,
+      lastModified: await cacheGet(timestampKey),
+      source: { type: "armyForge", missionNumber: null },
+    });
+  }
+  return freshData;
+}
 
-      // 3. Compare Last-Modified timestamps
-      if (serverLastModified && serverLastModified === cachedTimestamp) {
-        console.log(
-          `[Cache] Cache is valid for ${logIdentifier}. Returning cached data.`,
-        );
-        try {
-          return JSON.parse(cachedDataJSON);
-        } catch (parseError) {
-          console.error(
-            `[Cache] Error parsing cached JSON for ${logIdentifier}:`,
-            parseError,
-          );
-          sessionStorage.removeItem(cacheKey);
-          sessionStorage.removeItem(timestampKey);
-          return await _fetchFreshListDataWithHeadGet(
-            apiUrl,
-            cacheKey,
-            timestampKey,
-            logIdentifier,
-          );
-        }
-      } else if (!serverLastModified) {
-        console.warn(
-          `[Cache] No Last-Modified header found during validation HEAD for ${logIdentifier}. Fetching fresh data.`,
-        );
-        return await _fetchFreshListDataWithHeadGet(
-          apiUrl,
-          cacheKey,
-          timestampKey,
-          logIdentifier,
-        );
-      } else {
-        console.log(
-          `[Cache] Cache outdated for ${logIdentifier} (Server: ${serverLastModified}, Cached: ${cachedTimestamp}). Fetching fresh data.`,
-        );
-        return await _fetchFreshListDataWithHeadGet(
-          apiUrl,
-          cacheKey,
-          timestampKey,
-          logIdentifier,
-        );
+/**
+ * Loads an army's list from the local mission snapshots, starting at the given mission
+ * and stepping back to earlier missions until a saved list is found.
+ * Internal helper function for fetchArmyData.
+ * @param {string} armyURL - The army URL slug (e.g., "the-ashen-pact").
+ * @param {number | null} missionNumber - The mission to start from.
+ * @returns {Promise<{data: object, missionNumber: number} | null>} The list and the mission it was saved for, or null if none was found.
+ * @private
+ */
+async function _loadLocalArmySnapshot(armyURL, missionNumber) {
+  if (!missionNumber) {
+    console.warn(`[Local] No mission given for ${armyURL}'s local snapshot.`);
+    return null;
+  }
+  for (let mission = missionNumber; mission >= 1; mission--) {
+    const localPath = `${config.ARMY_SNAPSHOTS_PATH}mission${mission}-armies/${armyURL}.json`;
+    try {
+      const response = await fetch(localPath);
+      if (response.status === 404) continue; // No list saved for this mission
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
       }
+      const data = await response.json();
+      console.log(`[Local] Successfully loaded army data from ${localPath}`);
+      return { data, missionNumber: mission };
     } catch (error) {
-      console.error(
-        `[Cache] Error during HEAD request validation for ${logIdentifier}:`,
+      // Offline without a cached copy looks like a missing file; keep looking
+      console.warn(
+        `[Local] Could not load army data from ${localPath}:`,
         error,
       );
-      return await _fetchFreshListDataWithHeadGet(
-        apiUrl,
-        cacheKey,
-        timestampKey,
-        logIdentifier,
-      );
     }
-  } else {
-    console.log(
-      `[Cache] No valid cache found for ${logIdentifier}. Fetching fresh data.`,
-    );
-    // 4. Fetch fresh data (if no cache)
-    return await _fetchFreshListDataWithHeadGet(
-      apiUrl,
-      cacheKey,
-      timestampKey,
-      logIdentifier,
-    );
   }
+  console.error(
+    `[Local] No local snapshot found for ${armyURL} up to mission ${missionNumber}.`,
+  );
+  return null;
 }
 
 /**
  * Fetches fresh army LIST data using HEAD then GET. Caches data and timestamp.
  * Internal helper function for fetchArmyData.
  * @param {string} apiUrl - The API endpoint URL.
- * @param {string} cacheKey - The sessionStorage key for the data (using ARMY_LIST_DATA_PREFIX).
- * @param {string} timestampKey - The sessionStorage key for the Last-Modified timestamp (using ARMY_LIST_TIMESTAMP_PREFIX).
+ * @param {string} cacheKey - The cache key for the data (using ARMY_LIST_DATA_PREFIX).
+ * @param {string} timestampKey - The cache key for the Last-Modified timestamp (using ARMY_LIST_TIMESTAMP_PREFIX).
  * @param {string} logIdentifier - Identifier for logging (e.g., "List X").
  * @returns {Promise<object|null>} A promise that resolves to the JSON data object, or null if the fetch fails.
  * @private
@@ -209,33 +350,26 @@ async function _fetchFreshListDataWithHeadGet(
 
     // --- Cache and Return ---
     if (dataFromGet) {
-      if (lastModifiedFromHead) {
-        try {
-          sessionStorage.setItem(cacheKey, JSON.stringify(dataFromGet));
-          sessionStorage.setItem(timestampKey, lastModifiedFromHead);
-          console.log(
-            `[Cache] Stored fresh list data and timestamp for ${logIdentifier}.`,
-          );
-        } catch (storageError) {
-          console.error(
-            `[Cache] Error saving list data to sessionStorage for ${logIdentifier}:`,
-            storageError,
-          );
-          if (storageError.name === "QuotaExceededError") {
-            showToast(
-              "Cache storage full. Could not save army list data.",
-              "Cache Warning",
-            );
-          }
-          sessionStorage.removeItem(cacheKey);
-          sessionStorage.removeItem(timestampKey);
-        }
+      // Cached even without a timestamp, so it is there when offline
+      const stored = await _storeFetchedData(
+        cacheKey,
+        timestampKey,
+        dataFromGet,
+        lastModifiedFromHead,
+      );
+      if (!stored) {
+        showToast(
+          "Cache storage full. Could not save army list data.",
+          "Cache Warning",
+        );
+      } else if (lastModifiedFromHead) {
+        console.log(
+          `[Cache] Stored fresh list data and timestamp for ${logIdentifier}.`,
+        );
       } else {
         console.warn(
-          `[Cache] Fetched list data via GET but failed to get Last-Modified via HEAD for ${logIdentifier}. Cannot cache timestamp.`,
+          `[Cache] Stored list data for ${logIdentifier} without a Last-Modified timestamp; it will be revalidated on next use.`,
         );
-        sessionStorage.removeItem(cacheKey);
-        sessionStorage.removeItem(timestampKey);
       }
       return dataFromGet;
     } else {
@@ -250,17 +384,15 @@ async function _fetchFreshListDataWithHeadGet(
       `Failed to fetch army list data for ${logIdentifier}.`,
       "Fetch Error",
     );
-    sessionStorage.removeItem(cacheKey);
-    sessionStorage.removeItem(timestampKey);
-    return null;
+    return null; // Any copy cached earlier is kept
   }
 }
 
 // --- Army Book Fetching ---
 
 /**
- * Fetches army BOOK data from the One Page Rules Army Forge API, using sessionStorage for caching.
- * Validates cache using HEAD request and Last-Modified header.
+ * Fetches army BOOK data from the One Page Rules Army Forge API, using the persistent cache.
+ * A cached copy is returned immediately and revalidated in the background.
  *
  * @param {string} factionId - The specific ID of the army book faction.
  * @param {string|number} gameSystem - The game system ID for the army book.
@@ -284,106 +416,42 @@ async function fetchArmyBookData(factionId, gameSystem) {
     `[Cache] Attempting to fetch data for ${logIdentifier} using keys: Data='${cacheKey}', Timestamp='${timestampKey}'`,
   );
 
-  // 1. Check Session Storage
-  const cachedDataJSON = sessionStorage.getItem(cacheKey);
-  const cachedTimestamp = sessionStorage.getItem(timestampKey);
+  // 1. Check the persistent cache
+  const cachedData = await cacheGet(cacheKey);
+  const cachedTimestamp = await cacheGet(timestampKey);
 
-  if (cachedDataJSON && cachedTimestamp) {
+  if (cachedData) {
+    // 2. Serve the cached copy now; a newer version is cached for next time
     console.log(
-      `[Cache] Found cached data and timestamp for ${logIdentifier}. Validating...`,
+      `[Cache] Returning cached data for ${logIdentifier}; revalidating in the background.`,
     );
-    try {
-      // 2. Make HEAD request for validation
-      const headResponse = await fetch(apiUrl, { method: "HEAD" });
-
-      if (!headResponse.ok) {
-        console.warn(
-          `[Cache] Validation HEAD request failed for ${logIdentifier} (Status: ${headResponse.status}). Fetching fresh data.`,
-        );
-        return await _fetchFreshBookDataWithHeadGet(
-          apiUrl,
-          cacheKey,
-          timestampKey,
-          logIdentifier,
-        );
-      }
-
-      const serverLastModified = headResponse.headers.get("Last-Modified");
-
-      // 3. Compare Last-Modified timestamps
-      if (serverLastModified && serverLastModified === cachedTimestamp) {
-        console.log(
-          `[Cache] Cache is valid for ${logIdentifier}. Returning cached data.`,
-        );
-        try {
-          return JSON.parse(cachedDataJSON);
-        } catch (parseError) {
-          console.error(
-            `[Cache] Error parsing cached JSON for ${logIdentifier}:`,
-            parseError,
-          );
-          sessionStorage.removeItem(cacheKey);
-          sessionStorage.removeItem(timestampKey);
-          return await _fetchFreshBookDataWithHeadGet(
-            apiUrl,
-            cacheKey,
-            timestampKey,
-            logIdentifier,
-          );
-        }
-      } else if (!serverLastModified) {
-        console.warn(
-          `[Cache] No Last-Modified header found during validation HEAD for ${logIdentifier}. Fetching fresh data.`,
-        );
-        return await _fetchFreshBookDataWithHeadGet(
-          apiUrl,
-          cacheKey,
-          timestampKey,
-          logIdentifier,
-        );
-      } else {
-        console.log(
-          `[Cache] Cache outdated for ${logIdentifier} (Server: ${serverLastModified}, Cached: ${cachedTimestamp}). Fetching fresh data.`,
-        );
-        return await _fetchFreshBookDataWithHeadGet(
-          apiUrl,
-          cacheKey,
-          timestampKey,
-          logIdentifier,
-        );
-      }
-    } catch (error) {
-      console.error(
-        `[Cache] Error during HEAD request validation for ${logIdentifier}:`,
-        error,
-      );
-      return await _fetchFreshBookDataWithHeadGet(
-        apiUrl,
-        cacheKey,
-        timestampKey,
-        logIdentifier,
-      );
-    }
-  } else {
-    console.log(
-      `[Cache] No valid cache found for ${logIdentifier}. Fetching fresh data.`,
-    );
-    // 4. Fetch fresh data (if no cache)
-    return await _fetchFreshBookDataWithHeadGet(
-      apiUrl,
-      cacheKey,
-      timestampKey,
+    _revalidateInBackground(apiUrl, cacheKey, timestampKey, cachedTimestamp, {
+      kind: "book",
+      id: factionId,
       logIdentifier,
-    );
+      pinned: false,
+    });
+    return cachedData;
   }
+
+  console.log(
+    `[Cache] No valid cache found for ${logIdentifier}. Fetching fresh data.`,
+  );
+  // 3. Fetch fresh data (if no cache)
+  return await _fetchFreshBookDataWithHeadGet(
+    apiUrl,
+    cacheKey,
+    timestampKey,
+    logIdentifier,
+  );
 }
 
 /**
  * Fetches fresh army BOOK data using HEAD then GET. Caches data and timestamp.
  * Internal helper function for fetchArmyBookData.
  * @param {string} apiUrl - The API endpoint URL.
- * @param {string} cacheKey - The sessionStorage key for the data (using ARMY_BOOKS_DATA_PREFIX).
- * @param {string} timestampKey - The sessionStorage key for the Last-Modified timestamp (using ARMY_BOOKS_TIMESTAMP_PREFIX).
+ * @param {string} cacheKey - The cache key for the data (using ARMY_BOOKS_DATA_PREFIX).
+ * @param {string} timestampKey - The cache key for the Last-Modified timestamp (using ARMY_BOOKS_TIMESTAMP_PREFIX).
  * @param {string} logIdentifier - Identifier for logging (e.g., "Book X (GS:Y)").
  * @returns {Promise<object|null>} A promise that resolves to the JSON data object, or null if the fetch fails.
  * @private
@@ -441,33 +509,26 @@ async function _fetchFreshBookDataWithHeadGet(
 
     // --- Cache and Return ---
     if (dataFromGet) {
-      if (lastModifiedFromHead) {
-        try {
-          sessionStorage.setItem(cacheKey, JSON.stringify(dataFromGet));
-          sessionStorage.setItem(timestampKey, lastModifiedFromHead);
-          console.log(
-            `[Cache] Stored fresh book data and timestamp for ${logIdentifier}.`,
-          );
-        } catch (storageError) {
-          console.error(
-            `[Cache] Error saving book data to sessionStorage for ${logIdentifier}:`,
-            storageError,
-          );
-          if (storageError.name === "QuotaExceededError") {
-            showToast(
-              "Cache storage full. Could not save army book data.",
-              "Cache Warning",
-            );
-          }
-          sessionStorage.removeItem(cacheKey);
-          sessionStorage.removeItem(timestampKey);
-        }
+      // Cached even without a timestamp, so it is there when offline
+      const stored = await _storeFetchedData(
+        cacheKey,
+        timestampKey,
+        dataFromGet,
+        lastModifiedFromHead,
+      );
+      if (!stored) {
+        showToast(
+          "Cache storage full. Could not save army book data.",
+          "Cache Warning",
+        );
+      } else if (lastModifiedFromHead) {
+        console.log(
+          `[Cache] Stored fresh book data and timestamp for ${logIdentifier}.`,
+        );
       } else {
         console.warn(
-          `[Cache] Fetched book data via GET but failed to get Last-Modified via HEAD for ${logIdentifier}. Cannot cache timestamp.`,
+          `[Cache] Stored book data for ${logIdentifier} without a Last-Modified timestamp; it will be revalidated on next use.`,
         );
-        sessionStorage.removeItem(cacheKey);
-        sessionStorage.removeItem(timestampKey);
       }
       return dataFromGet; // Return data even if caching failed
     } else {
@@ -482,11 +543,85 @@ async function _fetchFreshBookDataWithHeadGet(
       `Failed to fetch army book data for ${logIdentifier}.`,
       "Fetch Error",
     );
-    sessionStorage.removeItem(cacheKey);
-    sessionStorage.removeItem(timestampKey);
-    return null;
+    return null; // Any copy cached earlier is kept
+  }
+}
+
+// --- List Pinning ---
+
+/**
+ * Pins the version of an army list loaded on this page, so it keeps being used for a
+ * mission even after the list changes on Army Forge.
+ * @param {string} armyId - The army ID.
+ * @param {number | null} missionNumber - The mission the version is pinned for.
+ * @returns {Promise<boolean>} True if the pin was saved.
+ */
+async function pinArmyList(armyId, missionNumber) {
+  const loadedList = lastLoadedLists.get(armyId);
+  if (!loadedList) {
+    console.error(`[Cache] No list loaded for army ${armyId}; cannot pin.`);
+    return false;
+  }
+  const pinned = await cacheSet(`${config.ARMY_LIST_PIN_PREFIX}${armyId}`, {
+    data: loadedList.data,
+    lastModified: loadedList.lastModified,
+    missionNumber,
+    pinnedAt: new Date().toISOString(),
+  });
+  if (pinned) {
+    console.log(`[Cache] Pinned list ${armyId} for mission ${missionNumber}.`);
   }
+  return pinned;
+}
+
+/**
+ * Unpins an army list, so the latest version is used again.
+ * @param {string} armyId - The army ID.
+ */
+async function unpinArmyList(armyId) {
+  await cacheRemove(`${config.ARMY_LIST_PIN_PREFIX}${armyId}`);
+  console.log(`[Cache] Unpinned list ${armyId}.`);
+}
+
+/**
+ * Gets the details of an army's pinned list version.
+ * @param {string} armyId - The army ID.
+ * @returns {Promise<{missionNumber: number | null, lastModified: string | null, pinnedAt: string} | null>} The pin, or null if the list isn't pinned.
+ */
+async function getArmyListPin(armyId) {
+  const pin = await cacheGet(`${config.ARMY_LIST_PIN_PREFIX}${armyId}`);
+  if (!pin?.data) return null;
+  const { missionNumber, lastModified, pinnedAt } = pin;
+  return { missionNumber, lastModified, pinnedAt };
+}
+
+/**
+ * Gets where an army's list came from on this page load.
+ * @param {string} armyId - The army ID.
+ * @returns {{type: string, missionNumber: number | null, requestedMission?: number | null} | null}
+ *   The source ('pinned', 'snapshot', 'cache' or 'armyForge') and, for pinned lists and
+ *   snapshots, the mission; null if the list hasn't been loaded.
+ */
+function getArmyListSource(armyId) {
+  return lastLoadedLists.get(armyId)?.source || null;
+}
+
+/**
+ * Registers a callback run when a newer army list or book has been cached in the
+ * background. The newer version is used from the next page load (unless pinned).
+ * @param {function({kind: string, id: string, logIdentifier: string, pinned: boolean}): void} callback - Receives what was updated.
+ */
+function onArmyDataUpdated(callback) {
+  dataUpdatedListeners.push(callback);
 }
 
 // Export all necessary functions
-export { fetchArmyData, fetchArmyBookData };
+export {
+  fetchArmyData,
+  fetchArmyBookData,
+  pinArmyList,
+  unpinArmyList,
+  getArmyListPin,
+  getArmyListSource,
+  onArmyDataUpdated,
+};
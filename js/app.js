@@ -6,8 +6,18 @@
 
 // Core Imports
 import { config } from "./config.js";
-import { loadCampaignData, loadGameData } from "./dataLoader.js";
-import { fetchArmyData } from "./api.js";
+import {
+  loadCampaignData,
+  loadGameData,
+  loadMissionsData,
+  resolveGameSystemId,
+} from "./dataLoader.js";
+import {
+  fetchArmyData,
+  onArmyDataUpdated,
+  getArmyListPin,
+  getArmyListSource,
+} from "./api.js";
 import { processArmyData } from "./dataProcessor.js";
 import {
   // State Setters / Getters / Updaters (ensure all needed are imported)
@@ -50,8 +60,19 @@ import {
   getCurrentArmyUnitMap,
   getUnitData,
   getJoinedHeroData,
+  getAllLoadedArmyData,
+  setTableArmyIds,
+  getTableArmyIds,
+  isTableMode,
+  getArmyNameById,
+  getGameArmyIds,
 } from "./state.js";
-import { loadArmyState, saveArmyState } from "./storage.js";
+import {
+  loadArmyState,
+  saveArmyState,
+  getMigrationReports,
+  listSaveSlots,
+} from "./storage.js";
 import { displayArmyUnits, updateAllUnitsForPhase } from "./ui.js";
 import {
   displayArmySelection,
@@ -60,7 +81,13 @@ import {
   updateCommandPointsDisplay,
   updateUnderdogPointsDisplay,
   showToast,
+  showInteractiveToast,
   handleFocusReturn,
+  displayTableModeTabs,
+  displaySaveSlotPicker,
+  displayListPin,
+  populateSnapshotMissionPicker,
+  displayArmyListSource,
 } from "./uiHelpers.js";
 import {
   setupEventListeners,
@@ -69,6 +96,7 @@ import {
 } from "./eventHandlers.js";
 import { findTargetModelForWound } from "./gameLogic.js";
 import { initializeDefinitionsSystem } from "./definitions.js";
+import { startJournal } from "./journal.js";
 
 // --- Helper Functions ---
 
@@ -412,6 +440,151 @@ function populateUnitOffcanvas(processedArmy) {
   }
 }
 
+/**
+ * Picks the mission whose saved army lists are loaded in local mode: the mission
+ * chosen in the Info modal, otherwise the current mission, otherwise the latest.
+ * @param {Array<object>} missions - The missions from missions.json.
+ * @returns {number | null} The mission number, or null if there are no missions.
+ */
+function _getSnapshotMission(missions) {
+  const selectedMission = Number(
+    localStorage.getItem(config.SNAPSHOT_MISSION_KEY),
+  );
+  if (missions.some((mission) => mission.number === selectedMission)) {
+    return selectedMission;
+  }
+  const currentMission = missions.find(
+    (mission) => mission.status === "current",
+  );
+  if (currentMission) return currentMission.number;
+  return missions.length > 0
+    ? Math.max(...missions.map((mission) => mission.number))
+    : null;
+}
+
+/**
+ * Renders an army's title, info modal, unit cards, offcanvas and Command Points.
+ * Used on page load and when switching tabs in table mode.
+ * @param {string} armyId - The ID of the army to display.
+ * @param {object} processedArmy - The army's processed data (HP already synced).
+ * @param {object | undefined} armyInfo - The army's campaign entry, if any.
+ */
+function _renderArmyView(armyId, processedArmy, armyInfo) {
+  const mainListContainer = document.getElementById("army-units-container");
+  const titleH1 = document.getElementById("army-title-h1");
+
+  const displayName =
+    armyInfo?.armyName?.trim() ||
+    processedArmy?.meta?.name?.trim() ||
+    "Unnamed Army";
+  titleH1.textContent = displayName;
+  populateArmyInfoModal(armyInfo);
+  displayArmyListSource(getArmyListSource(armyId));
+  displayArmyUnits(processedArmy, mainListContainer); // Render units
+
+  if (getCurrentRound() === 0) {
+    updateAllUnitsForPhase(armyId);
+  }
+
+  _initializeWoundHighlights(armyId); // Highlight first wound target
+  populateUnitOffcanvas(processedArmy); // Populate offcanvas
+  // Setup popovers, with the army's own game system wording of each rule
+  initializeDefinitionsSystem(
+    resolveGameSystemId(processedArmy.meta?.gameSystem),
+  );
+  updateCommandPointsDisplay(
+    armyId,
+    getCommandPoints(armyId),
+    getMaxCommandPoints(armyId),
+  ); // Update CP Display
+  displaySaveSlotPicker(listSaveSlots(armyId)); // Slots belong to the displayed army
+  getArmyListPin(armyId).then(displayListPin);
+}
+
+/**
+ * Tells the player that a newer army list or book was cached in the background.
+ * Lists of armies in this game offer a reload; pinned lists keep their version.
+ * @param {{kind: string, id: string, pinned: boolean}} update - What was updated.
+ */
+async function _handleArmyDataUpdated(update) {
+  if (update.kind === "book") {
+    showToast(
+      "A newer army book was downloaded. It will be used the next time the page loads.",
+      "Army Book Updated",
+    );
+    return;
+  }
+
+  const armyName = getArmyNameById(update.id);
+  if (update.pinned) {
+    const pin = await getArmyListPin(update.id);
+    showToast(
+      `A newer version of ${armyName} is on Army Forge. The version pinned${pin?.missionNumber != null ? ` for Mission ${pin.missionNumber}` : ""} stays in use until you unpin it.`,
+      "Newer List Available",
+    );
+    return;
+  }
+  if (!getGameArmyIds().includes(update.id)) return; // Used for Underdog Points only
+
+  const choice = await showInteractiveToast(
+    `A newer version of ${armyName} was downloaded from Army Forge. Reload to use it?`,
+    "Army List Updated",
+    [
+      { text: "Reload", value: "reload", style: "primary" },
+      { text: "Later", value: "later", style: "secondary" },
+    ],
+  );
+  if (choice === "reload") window.location.reload();
+}
+
+/**
+ * Switches the displayed army in table mode. Round and phase are shared, so
+ * only the army-specific view is re-rendered.
+ * @param {string} armyId - The ID of the table army to display.
+ */
+function _switchTableArmy(armyId) {
+  if (!armyId || armyId === getCurrentArmyId()) return;
+  const processedArmy = getAllLoadedArmyData()[armyId];
+  if (!processedArmy) {
+    showToast("That army's data is not loaded.", "Table Mode");
+    return;
+  }
+  const armyInfo = getCampaignData()?.armies?.find(
+    (a) => a.armyForgeID === armyId,
+  );
+  console.log(`Table mode: switching to army ${armyId}`);
+
+  setLoadedArmyData(armyId, processedArmy);
+  setCurrentArmyId(armyId);
+  _loadStateAndSyncHp(armyId, processedArmy);
+
+  _renderArmyView(armyId, processedArmy, armyInfo);
+  updateUnderdogPointsDisplay(
+    armyId,
+    getUnderdogPoints(armyId),
+    getMaxUnderdogPoints(armyId),
+  );
+  updateGameControlButtons();
+  displayTableModeTabs(getTableArmyIds(), armyId);
+
+  // Keep the active tab across reloads
+  const url = new URL(window.location.href);
+  url.searchParams.set("armyId", armyId);
+  window.history.replaceState(null, "", url);
+  window.scrollTo({ top: 0 });
+}
+
+/** Attaches the click listener that switches armies from the table mode tabs */
+function setupTableModeTabs() {
+  const tabList = document.getElementById("table-mode-tabs");
+  if (!tabList) return;
+  tabList.addEventListener("click", (event) => {
+    const tab = event.target.closest("[data-army-id]");
+    if (tab) _switchTableArmy(tab.dataset.armyId);
+  });
+  console.log("Table mode tabs initialized.");
+}
+
 /** Handles Back to Top button visibility and click */
 function setupBackToTopButton() {
   const btn = document.getElementById("backToTopBtn");
@@ -484,7 +657,12 @@ document.addEventListener("DOMContentLoaded", async () => {
 
   // Step 2: Determine Army to Load
   const urlParams = new URLSearchParams(window.location.search);
-  const armyIdToLoad = urlParams.get("armyId");
+  const isTableRequest = urlParams.get("table") === "1";
+  const armyIdToLoad =
+    urlParams.get("armyId") ||
+    (isTableRequest
+      ? campaignArmies.find((a) => !a.hidden && a.armyForgeID)?.armyForgeID
+      : null); // Table mode opens on the first army if none is given
   setCurrentArmyId(armyIdToLoad); // Set the current army ID in state
   const armyInfo = armyIdToLoad
     ? campaignArmies.find((a) => a.armyForgeID === armyIdToLoad)
@@ -558,8 +736,20 @@ document.addEventListener("DOMContentLoaded", async () => {
       }
     });
 
+    // Local lists come from the snapshot folder of the chosen (or current) mission
+    const missions = config.USE_LOCAL_ARMY_DATA
+      ? (await loadMissionsData())?.missions || []
+      : [];
+    const snapshotMission = _getSnapshotMission(missions);
+    populateSnapshotMissionPicker(
+      missions,
+      Number(localStorage.getItem(config.SNAPSHOT_MISSION_KEY)) || null,
+    );
+
+    // Cached lists are used right away; newer versions are reported when found
+    onArmyDataUpdated(_handleArmyDataUpdated);
     const armyDataPromises = armyIdsArray.map((id) =>
-      fetchArmyData(id, armyIdToUrlMap[id])
+      fetchArmyData(id, armyIdToUrlMap[id], snapshotMission)
     );
     const allRawDataResults = await Promise.allSettled(armyDataPromises);
 
@@ -706,6 +896,15 @@ document.addEventListener("DOMContentLoaded", async () => {
     }
     // --- END Step 5.5 ---
 
+    // --- Step 5.6: Table Mode (all loaded armies share this device) ---
+    if (isTableRequest) {
+      setTableArmyIds(armyIdsArray.filter((id) => allProcessedArmies[id]));
+      // Each army on the table gets its own Underdog Points
+      getTableArmyIds()
+        .filter((id) => id !== armyIdToLoad)
+        .forEach((id) => calculateAndSetUP(id, campaignArmies));
+    }
+
     // Set the *currently viewed* processed data in memory
     setLoadedArmyData(armyIdToLoad, processedArmy);
     setCurrentArmyId(armyIdToLoad); // Set explicit ID
@@ -717,32 +916,20 @@ document.addEventListener("DOMContentLoaded", async () => {
     calculateAndSetUP(armyIdToLoad, campaignArmies); // Reads listPoints from updated localStorage
 
     // Step 7: Update UI
-    const displayName =
-      armyInfo?.armyName?.trim() ||
-      processedArmy?.meta?.name?.trim() ||
-      "Unnamed Army";
-    titleH1.textContent = displayName;
-    populateArmyInfoModal(armyInfo);
-    displayArmyUnits(processedArmy, mainListContainer); // Render units
-
-    if (getCurrentRound() === 0) {
-      updateAllUnitsForPhase(armyIdToLoad);
-    }
-
-    _initializeWoundHighlights(armyIdToLoad); // Highlight first wound target
-    populateUnitOffcanvas(processedArmy); // Populate offcanvas
+    _renderArmyView(armyIdToLoad, processedArmy, armyInfo);
     setupBackToTopButton(); // Setup back-to-top
-    initializeDefinitionsSystem(); // Setup popovers
-    updateCommandPointsDisplay(
-      armyIdToLoad,
-      getCommandPoints(armyIdToLoad),
-      getMaxCommandPoints(armyIdToLoad),
-    ); // Update CP Display
+    if (isTableMode()) {
+      displayTableModeTabs(getTableArmyIds(), armyIdToLoad);
+      setupTableModeTabs();
+    }
 
     // Step 9.5: Populate Offcanvas, Setup Back-to-Top, Init Popovers
     populateUnitOffcanvas(processedArmy);
     setupBackToTopButton();
-    initializeDefinitionsSystem(); // Initialize popovers AFTER units are on page
+    // Initialize popovers AFTER units are on page
+    initializeDefinitionsSystem(
+      resolveGameSystemId(processedArmy.meta?.gameSystem),
+    );
 
     // Update Round, CP, UP displays
     updateRoundUI(getCurrentRound());
@@ -757,6 +944,24 @@ document.addEventListener("DOMContentLoaded", async () => {
     // Set initial state of control buttons AFTER listeners are set up
     updateGameControlButtons();
 
+    // Start recording undo history now that initialization writes are done
+    startJournal();
+
+    // Tell the player if saves from an older version were upgraded
+    const migrationReports = getMigrationReports();
+    if (migrationReports.length > 0) {
+      showToast(
+        migrationReports
+          .map(
+            (report) =>
+              `${getArmyNameById(report.armyId)}: upgraded from v${report.fromVersion} to v${report.toVersion}${report.steps.length > 0 ? `\n  ${report.steps.join("\n  ")}` : ""}`,
+          )
+          .join("\n"),
+        "Saved Data Upgraded",
+        10000,
+      );
+    }
+
     // Enable Start Round button
     const startRoundButton = document.getElementById("start-round-button");
     if (startRoundButton) {
@@ -0,0 +1,205 @@
+//@ts-check
+/**
+ * @fileoverview Compares two snapshots of the same army list (e.g., the lists saved for
+ * two missions) after running both through processArmyData. Units are matched by
+ * selectionId, then by name for units that were re-added, and each matched unit is
+ * checked for points, size, XP, trait and upgrade changes.
+ */
+
+import { processArmyData } from "./dataProcessor.js";
+
+// --- Internal Helpers ---
+
+/**
+ * Gets the name a unit is shown under.
+ * @param {object} unit - A processed unit.
+ * @returns {string} The custom name, or the unit type's name.
+ * @private
+ */
+function _unitName(unit) {
+  return unit.customName || unit.originalName;
+}
+
+/**
+ * Lists a unit's weapons and items, counting repeated entries separately.
+ * @param {object} unit - A processed unit.
+ * @returns {Array<string>} Upgrade names (e.g., "2x Heavy Spear", "Beast Companion").
+ * @private
+ */
+function _upgradeNames(unit) {
+  return [
+    ...(unit.loadout || []).map((weapon) =>
+      weapon.count > 1 ? `${weapon.count}x ${weapon.name}` : weapon.name,
+    ),
+    ...(unit.items || []).map((item) => item.name || item.label),
+  ].filter(Boolean);
+}
+
+/**
+ * Lists a unit's campaign traits, skills, injuries and talents.
+ * @param {object} unit - A processed unit.
+ * @returns {Array<string>} Trait names.
+ * @private
+ */
+function _traitNames(unit) {
+  return [
+    ...(unit.traits || []),
+    ...(unit.skills || []),
+    ...(unit.injuries || []),
+    ...(unit.talents || []),
+  ]
+    .map((trait) => (typeof trait === "string" ? trait : trait?.name))
+    .filter(Boolean);
+}
+
+/**
+ * Compares two lists of names, treating repeated names as separate entries.
+ * @param {Array<string>} before - Names before.
+ * @param {Array<string>} after - Names after.
+ * @returns {{added: Array<string>, removed: Array<string>}} The names gained and lost.
+ * @private
+ */
+function _compareNames(before, after) {
+  const remaining = [...before];
+  const added = [];
+  after.forEach((name) => {
+    const index = remaining.indexOf(name);
+    if (index === -1) {
+      added.push(name);
+    } else {
+      remaining.splice(index, 1);
+    }
+  });
+  return { added, removed: remaining };
+}
+
+/**
+ * Pairs the units of two processed armies.
+ * @param {Array<object>} beforeUnits - Units in the earlier list.
+ * @param {Array<object>} afterUnits - Units in the later list.
+ * @returns {{pairs: Array<[object, object]>, added: Array<object>, removed: Array<object>}} Matched and unmatched units.
+ * @private
+ */
+function _matchUnits(beforeUnits, afterUnits) {
+  const unmatchedBefore = new Map(
+    beforeUnits.map((unit) => [unit.selectionId, unit]),
+  );
+  const pairs = [];
+  const unmatchedAfter = [];
+
+  afterUnits.forEach((unit) => {
+    const match = unmatchedBefore.get(unit.selectionId);
+    if (match) {
+      pairs.push([match, unit]);
+      unmatchedBefore.delete(unit.selectionId);
+    } else {
+      unmatchedAfter.push(unit);
+    }
+  });
+
+  // Units deleted and re-added in Army Forge get a new selectionId; match by name
+  const added = unmatchedAfter.filter((unit) => {
+    const match = Array.from(unmatchedBefore.values()).find(
+      (candidate) => _unitName(candidate) === _unitName(unit),
+    );
+    if (!match) return true;
+    pairs.push([match, unit]);
+    unmatchedBefore.delete(match.selectionId);
+    return false;
+  });
+
+  return { pairs, added, removed: Array.from(unmatchedBefore.values()) };
+}
+
+/**
+ * Compares one unit across two lists.
+ * @param {object} before - The unit in the earlier list.
+ * @param {object} after - The unit in the later list.
+ * @returns {object | null} The unit's changes, or null if nothing changed.
+ * @private
+ */
+function _diffUnit(before, after) {
+  const traits = _compareNames(_traitNames(before), _traitNames(after));
+  const upgrades = _compareNames(_upgradeNames(before), _upgradeNames(after));
+  const unitDiff = {
+    selectionId: after.selectionId,
+    name: _unitName(after),
+    previousName:
+      _unitName(before) !== _unitName(after) ? _unitName(before) : null,
+    costBefore: before.cost,
+    costAfter: after.cost,
+    sizeBefore: before.size,
+    sizeAfter: after.size,
+    xpBefore: before.xp,
+    xpAfter: after.xp,
+    traitsGained: traits.added,
+    traitsLost: traits.removed,
+    upgradesAdded: upgrades.added,
+    upgradesRemoved: upgrades.removed,
+  };
+
+  const changed =
+    unitDiff.previousName !== null ||
+    unitDiff.costBefore !== unitDiff.costAfter ||
+    unitDiff.sizeBefore !== unitDiff.sizeAfter ||
+    unitDiff.xpBefore !== unitDiff.xpAfter ||
+    traits.added.length + traits.removed.length > 0 ||
+    upgrades.added.length + upgrades.removed.length > 0;
+  return changed ? unitDiff : null;
+}
+
+/**
+ * Summarizes a unit that only appears in one of the lists.
+ * @param {object} unit - A processed unit.
+ * @returns {{selectionId: string, name: string, cost: number, size: number, xp: number}} The summary.
+ * @private
+ */
+function _summarizeUnit(unit) {
+  return {
+    selectionId: unit.selectionId,
+    name: _unitName(unit),
+    cost: unit.cost,
+    size: unit.size,
+    xp: unit.xp,
+  };
+}
+
+// --- Public API ---
+
+/**
+ * Compares two raw Army Forge snapshots of the same army.
+ * @param {object} beforeRaw - The earlier raw list (e.g., from missionN-armies/).
+ * @param {object} afterRaw - The later raw list.
+ * @returns {{
+ *   armyName: string,
+ *   pointsBefore: number,
+ *   pointsAfter: number,
+ *   unitsAdded: Array<object>,
+ *   unitsRemoved: Array<object>,
+ *   unitsChanged: Array<object>,
+ *   unchangedCount: number
+ * } | null} The differences, or null if either list can't be processed.
+ */
+export function diffArmyLists(beforeRaw, afterRaw) {
+  const before = processArmyData(beforeRaw);
+  const after = processArmyData(afterRaw);
+  if (!before || !after) {
+    console.error("Army list diff: Could not process both lists.");
+    return null;
+  }
+
+  const { pairs, added, removed } = _matchUnits(before.units, after.units);
+  const unitsChanged = pairs
+    .map(([beforeUnit, afterUnit]) => _diffUnit(beforeUnit, afterUnit))
+    .filter(Boolean);
+
+  return {
+    armyName: after.meta.name,
+    pointsBefore: before.meta.listPoints,
+    pointsAfter: after.meta.listPoints,
+    unitsAdded: added.map(_summarizeUnit),
+    unitsRemoved: removed.map(_summarizeUnit),
+    unitsChanged,
+    unchangedCount: pairs.length - unitsChanged.length,
+  };
+}
@@ -0,0 +1,109 @@
+//@ts-check
+/**
+ * @fileoverview Resolves OPR shooting and melee attacks from a unit's processed loadout.
+ * Rolls to hit against Quality, then Defense for the target, applying the weapon
+ * special rules the tracker supports: AP, Blast, Deadly, Rending, Poison and Reliable.
+ * The result lists the unsaved wounds, which the caller applies through applyWound.
+ */
+
+import { rollDice } from "./diceRoller.js";
+
+/**
+ * Reads a weapon's numeric special rule rating (e.g., AP(2) → 2).
+ * @param {object} weapon - A processed loadout weapon.
+ * @param {string} ruleName - The rule name.
+ * @returns {number} The rating, 1 if the rule has no rating, or 0 if the weapon lacks the rule.
+ * @private
+ */
+function _getRuleRating(weapon, ruleName) {
+  const rule = (weapon.specialRules || []).find((r) => r.name === ruleName);
+  if (!rule) return 0;
+  const rating = parseInt(rule.rating, 10);
+  return isNaN(rating) ? 1 : rating;
+}
+
+/**
+ * Builds the attack profile used by the resolver from a processed loadout weapon.
+ * Given the unit carrying it, the copies of the weapon shrink with the unit's losses
+ * (count × surviving models ÷ unit size, rounded up), so a unit whose models each
+ * carry two of a weapon keeps rolling for both.
+ * @param {object} weapon - A processed loadout weapon ({ name, count, attacks, range, specialRules }).
+ * @param {object | null} [unit=null] - The processed unit carrying the weapon, with current HP synced.
+ * @returns {{name: string, dice: number, range: number, ap: number, blast: number, deadly: number, rending: boolean, poison: boolean, reliable: boolean}} The profile.
+ */
+export function getWeaponProfile(weapon, unit = null) {
+  const count = weapon.count || 1;
+  const models = unit?.models || [];
+  const survivors = models.filter((model) => model.currentHp > 0).length;
+  const copies =
+    models.length > 0 ? Math.ceil((count * survivors) / models.length) : count;
+  return {
+    name: weapon.name,
+    dice: copies * (weapon.attacks || 0),
+    range: weapon.range || 0,
+    ap: _getRuleRating(weapon, "AP"),
+    blast: _getRuleRating(weapon, "Blast"),
+    deadly: _getRuleRating(weapon, "Deadly"),
+    rending: _getRuleRating(weapon, "Rending") > 0,
+    poison: _getRuleRating(weapon, "Poison") > 0,
+    reliable: _getRuleRating(weapon, "Reliable") > 0,
+  };
+}
+
+/**
+ * Resolves one weapon's attacks against a target.
+ * @param {ReturnType<typeof getWeaponProfile>} profile - The weapon profile.
+ * @param {object} context - Attacker/target values.
+ * @param {number} context.quality - The attacker's Quality (e.g., 4 for 4+).
+ * @param {number} [context.hitModifier=0] - Modifier to hit rolls.
+ * @param {number} context.defense - The target's Defense (e.g., 4 for 4+).
+ * @param {number} [context.defenseModifier=0] - Modifier to the target's Defense rolls.
+ * @param {number} context.targetModels - Models remaining in the target unit (caps Blast).
+ * @param {function(number): Array<number>} [roll=rollDice] - Dice roller, injectable for testing.
+ * @returns {{name: string, hitRolls: Array<number>, hits: number, defenseRolls: Array<number>, unsaved: number, deadly: number}} The weapon's result.
+ */
+export function resolveWeaponAttack(profile, context, roll = rollDice) {
+  const {
+    quality,
+    hitModifier = 0,
+    defense,
+    defenseModifier = 0,
+    targetModels,
+  } = context;
+  const hitTarget = profile.reliable ? 2 : quality;
+
+  // 1. Roll to hit (unmodified 6 always hits, unmodified 1 always misses)
+  const hitRolls = roll(profile.dice);
+  const hitResults = hitRolls
+    .filter((r) => r === 6 || (r !== 1 && r + hitModifier >= hitTarget))
+    .map((r) => ({
+      ap: profile.rending && r === 6 ? Math.max(profile.ap, 4) : profile.ap,
+    }));
+
+  // 2. Blast(X): each hit becomes X hits, up to the models in the target unit
+  const blastMultiplier =
+    profile.blast > 0 ? Math.min(profile.blast, Math.max(1, targetModels)) : 1;
+  const hits = hitResults.flatMap((hit) => Array(blastMultiplier).fill(hit));
+
+  // 3. Target rolls Defense for each hit
+  const defenseRolls = [];
+  let unsaved = 0;
+  hits.forEach((hit) => {
+    let [defenseRoll] = roll(1);
+    if (profile.poison && defenseRoll === 6) [defenseRoll] = roll(1); // Poison: re-roll 6s
+    defenseRolls.push(defenseRoll);
+    const blocked =
+      defenseRoll === 6 ||
+      (defenseRoll !== 1 && defenseRoll + defenseModifier - hit.ap >= defense);
+    if (!blocked) unsaved++;
+  });
+
+  return {
+    name: profile.name,
+    hitRolls,
+    hits: hits.length,
+    defenseRolls,
+    unsaved,
+    deadly: profile.deadly,
+  };
+}
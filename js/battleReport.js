@@ -0,0 +1,345 @@
+//@ts-check
+/**
+ * @fileoverview Builds a draft battle report from a finished game.
+ * The draft follows the schema of the hand-written reports in data/battle-reports/
+ * (missionId, title, participants, rounds, keyMoments, conclusion) so it can be
+ * downloaded, polished and dropped in as missionN.json for the campaign page.
+ */
+
+import { loadArmyState } from "./storage.js";
+import {
+  getCampaignData,
+  getCurrentRound,
+  getArmyNameById,
+  getAllLoadedArmyData,
+  getGameArmyIds,
+} from "./state.js";
+import { getGameLog } from "./gameLog.js";
+
+// --- Internal Helpers ---
+
+/**
+ * Finds the campaign army entry for an Army Forge ID.
+ * @param {string} armyId - The Army Forge ID.
+ * @returns {object | null} The campaign army entry, or null if not part of the campaign.
+ * @private
+ */
+function _getCampaignArmy(armyId) {
+  return (
+    getCampaignData()?.armies?.find((army) => army.armyForgeID === armyId) ||
+    null
+  );
+}
+
+/**
+ * Works out which armies took part in the game: the reporting army, the other armies
+ * of the current game (every table army in table mode), and every army they traded
+ * kills with. Other armies' logs on this device may be from earlier games, so they
+ * don't count.
+ * @param {string} armyId - The reporting army.
+ * @returns {Array<string>} Participating army IDs, reporting army first.
+ * @private
+ */
+function _findParticipantArmyIds(armyId) {
+  const gameArmyIds = [armyId, ...getGameArmyIds()];
+  const participantIds = new Set(gameArmyIds);
+
+  gameArmyIds.forEach((gameArmyId) => {
+    const armyState = loadArmyState(gameArmyId);
+    Object.values(armyState?.units || {}).forEach((unitState) => {
+      (unitState.killsRecorded || []).forEach((kill) => {
+        if (kill.victimArmyId) participantIds.add(kill.victimArmyId);
+      });
+      if (unitState.killedBy?.attackerArmyId) {
+        participantIds.add(unitState.killedBy.attackerArmyId);
+      }
+    });
+  });
+
+  return Array.from(participantIds);
+}
+
+/**
+ * Collects one record per destroyed unit from the participants' stored kill data.
+ * Both sides of a kill may be stored (attacker `killsRecorded` and victim `killedBy`),
+ * and joined heroes record the same kill twice, so records are de-duplicated by victim.
+ * @param {Array<string>} armyIds - Participating army IDs.
+ * @returns {Array<object>} Kill records with attacker/victim names, army IDs, hero flag and round.
+ * @private
+ */
+function _collectKills(armyIds) {
+  const killsByVictim = new Map();
+
+  armyIds.forEach((armyId) => {
+    const armyState = loadArmyState(armyId);
+    Object.entries(armyState?.units || {}).forEach(([unitId, unitState]) => {
+      (unitState.killsRecorded || []).forEach((kill) => {
+        const key = `${kill.victimArmyId}|${kill.victimUnitId}`;
+        if (killsByVictim.has(key)) return;
+        killsByVictim.set(key, {
+          attackerArmyId: armyId,
+          attackerUnitId: unitId,
+          attackerUnitName: null, // Filled from killedBy if available
+          victimArmyId: kill.victimArmyId,
+          victimUnitId: kill.victimUnitId,
+          victimUnitName: kill.victimUnitName,
+          victimIsHero: !!kill.victimIsHero,
+          round: kill.round || 0,
+        });
+      });
+
+      const killedBy = unitState.killedBy;
+      if (killedBy?.attackerUnitId) {
+        const key = `${armyId}|${unitId}`;
+        const existing = killsByVictim.get(key);
+        if (existing) {
+          existing.attackerUnitName = killedBy.attackerUnitName;
+          return;
+        }
+        killsByVictim.set(key, {
+          attackerArmyId: killedBy.attackerArmyId,
+          attackerUnitId: killedBy.attackerUnitId,
+          attackerUnitName: killedBy.attackerUnitName,
+          victimArmyId: armyId,
+          victimUnitId: unitId,
+          victimUnitName: null, // Not stored on the victim; resolved below
+          victimIsHero: !!_findUnitData(armyId, unitId)?.isHero,
+          round: killedBy.round || 0,
+        });
+      }
+    });
+  });
+
+  // Fill in names missing from one side of the record
+  const allKills = Array.from(killsByVictim.values());
+  allKills.forEach((kill) => {
+    if (!kill.attackerUnitName) {
+      const attacker = _findUnitData(kill.attackerArmyId, kill.attackerUnitId);
+      kill.attackerUnitName =
+        attacker?.customName || attacker?.originalName || "Unknown Unit";
+    }
+    if (!kill.victimUnitName) {
+      const victim = _findUnitData(kill.victimArmyId, kill.victimUnitId);
+      kill.victimUnitName =
+        victim?.customName || victim?.originalName || "Unknown Unit";
+    }
+  });
+
+  return allKills.sort((a, b) => a.round - b.round);
+}
+
+/**
+ * Looks up a unit's processed data from the armies loaded on this page.
+ * @param {string} armyId - The unit's army.
+ * @param {string} unitId - The unit's ID.
+ * @returns {object | null} The processed unit, or null if that army isn't loaded.
+ * @private
+ */
+function _findUnitData(armyId, unitId) {
+  return getAllLoadedArmyData()?.[armyId]?.unitMap?.[unitId] || null;
+}
+
+/**
+ * Formats a list of phrases as an English list ("a, b and c").
+ * @param {Array<string>} items - The phrases.
+ * @returns {string} The joined list.
+ * @private
+ */
+function _joinList(items) {
+  if (items.length <= 1) return items.join("");
+  return `${items.slice(0, -1).join(", ")} and ${items[items.length - 1]}`;
+}
+
+/**
+ * Builds the per-round sections from kills and logged events.
+ * @param {number} roundCount - Number of rounds played.
+ * @param {Array<object>} kills - De-duplicated kill records.
+ * @param {Array<object>} events - Logged events from all participants (with armyId).
+ * @returns {Array<{number: number, title: string, description: string}>} Round sections.
+ * @private
+ */
+function _buildRounds(roundCount, kills, events) {
+  const rounds = [];
+  for (let number = 1; number <= roundCount; number++) {
+    const paragraphs = [];
+
+    const roundKills = kills.filter((kill) => kill.round === number);
+    if (roundKills.length > 0) {
+      paragraphs.push(
+        roundKills
+          .map(
+            (kill) =>
+              `${getArmyNameById(kill.attackerArmyId)}'s ${kill.attackerUnitName} destroyed ${getArmyNameById(kill.victimArmyId)}'s ${kill.victimUnitName}${kill.victimIsHero ? " (Hero)" : ""}.`,
+          )
+          .join(" "),
+      );
+    }
+
+    const roundEvents = events.filter((event) => event.round === number);
+    const casualties = roundEvents.filter(
+      (event) => event.type === "routed" || event.type === "shaken",
+    );
+    if (casualties.length > 0) {
+      paragraphs.push(casualties.map((event) => event.message).join(" "));
+    }
+
+    const commands = roundEvents.filter(
+      (event) => event.type === "stratagem" || event.type === "spell",
+    );
+    if (commands.length > 0) {
+      paragraphs.push(
+        commands
+          .map((event) => `${getArmyNameById(event.armyId)}: ${event.message}`)
+          .join(" "),
+      );
+    }
+
+    rounds.push({
+      number,
+      title: `Round ${number}`,
+      description:
+        paragraphs.length > 0
+          ? paragraphs.join("\n\n")
+          : "No kills or casualties were recorded this round.",
+    });
+  }
+  return rounds;
+}
+
+/**
+ * Picks candidate key moments: hero kills, routs and rounds where one unit made multiple kills.
+ * @param {Array<object>} kills - De-duplicated kill records.
+ * @param {Array<object>} events - Logged events from all participants (with armyId).
+ * @returns {Array<{title: string, description: string}>} Key moments in round order.
+ * @private
+ */
+function _buildKeyMoments(kills, events) {
+  const moments = [];
+
+  kills
+    .filter((kill) => kill.victimIsHero)
+    .forEach((kill) => {
+      moments.push({
+        round: kill.round,
+        title: `${kill.victimUnitName} Falls`,
+        description: `In round ${kill.round}, ${getArmyNameById(kill.attackerArmyId)}'s ${kill.attackerUnitName} slew the hero ${kill.victimUnitName} of ${getArmyNameById(kill.victimArmyId)}.`,
+      });
+    });
+
+  events
+    .filter((event) => event.type === "routed")
+    .forEach((event) => {
+      const routedUnit = _findUnitData(event.armyId, event.unitId);
+      moments.push({
+        round: event.round,
+        title: `${routedUnit?.customName || routedUnit?.originalName || "A Unit"} Routs`,
+        description: `Round ${event.round}: ${event.message}`,
+      });
+    });
+
+  const killsByAttackerRound = new Map();
+  kills.forEach((kill) => {
+    const key = `${kill.attackerArmyId}|${kill.attackerUnitId}|${kill.round}`;
+    if (!killsByAttackerRound.has(key)) killsByAttackerRound.set(key, []);
+    killsByAttackerRound.get(key).push(kill);
+  });
+  killsByAttackerRound.forEach((attackerKills) => {
+    if (attackerKills.length < 2) return;
+    const first = attackerKills[0];
+    moments.push({
+      round: first.round,
+      title: `${first.attackerUnitName}'s Rampage`,
+      description: `In round ${first.round}, ${getArmyNameById(first.attackerArmyId)}'s ${first.attackerUnitName} destroyed ${_joinList(attackerKills.map((kill) => kill.victimUnitName))}.`,
+    });
+  });
+
+  return moments
+    .sort((a, b) => a.round - b.round)
+    .map(({ title, description }) => ({ title, description }));
+}
+
+/**
+ * Builds a short conclusion from the result and each army's kills and losses.
+ * @param {Array<object>} participants - The report participants.
+ * @param {Array<string>} armyIds - Participating army IDs, in participant order.
+ * @param {Array<object>} kills - De-duplicated kill records.
+ * @param {number} roundCount - Number of rounds played.
+ * @returns {string} The conclusion text.
+ * @private
+ */
+function _buildConclusion(participants, armyIds, kills, roundCount) {
+  const winners = participants
+    .filter((participant) => participant.result === "winner")
+    .map((participant) => participant.army);
+
+  const paragraphs = [
+    winners.length > 0
+      ? `After ${roundCount} round${roundCount !== 1 ? "s" : ""}, ${_joinList(winners)} claimed victory.`
+      : `The battle ended after ${roundCount} round${roundCount !== 1 ? "s" : ""}.`,
+  ];
+
+  const tallies = armyIds.map((armyId) => {
+    const made = kills.filter((kill) => kill.attackerArmyId === armyId).length;
+    const lost = kills.filter((kill) => kill.victimArmyId === armyId).length;
+    return `${getArmyNameById(armyId)} destroyed ${made} unit${made !== 1 ? "s" : ""} and lost ${lost}.`;
+  });
+  paragraphs.push(tallies.join(" "));
+
+  return paragraphs.join("\n\n");
+}
+
+// --- Public API ---
+
+/**
+ * Assembles a draft battle report for the game the given army just finished.
+ * @param {string} armyId - The army whose game is being reported.
+ * @param {object} [options={}] - Report options.
+ * @param {object | null} [options.mission=null] - The mission entry from missions.json (number, title).
+ * @param {Array<string>} [options.winnerArmyIds=[]] - Army IDs to mark with result "winner".
+ * @returns {object} Report in the data/battle-reports/missionN.json schema.
+ */
+export function buildDraftBattleReport(armyId, options = {}) {
+  const { mission = null, winnerArmyIds = [] } = options;
+
+  const armyIds = _findParticipantArmyIds(armyId);
+  const kills = _collectKills(armyIds);
+  const events = armyIds.flatMap((id) =>
+    getGameLog(id).map((event) => ({ ...event, armyId: id })),
+  );
+
+  const roundCount = Math.max(
+    getCurrentRound(),
+    ...kills.map((kill) => kill.round),
+    ...events.map((event) => event.round || 0),
+  );
+
+  const participants = armyIds.map((id) => {
+    const campaignArmy = _getCampaignArmy(id);
+    return {
+      player: campaignArmy?.player || "Unknown",
+      army: campaignArmy?.armyName || getArmyNameById(id),
+      result: winnerArmyIds.includes(id) ? "winner" : "participant",
+    };
+  });
+
+  return {
+    missionId: mission?.number ?? null,
+    title: mission?.title || "Untitled Battle",
+    participants,
+    rounds: _buildRounds(roundCount, kills, events),
+    keyMoments: _buildKeyMoments(kills, events),
+    conclusion: _buildConclusion(participants, armyIds, kills, roundCount),
+  };
+}
+
+/**
+ * Lists the armies that took part in an army's most recent game.
+ * @param {string} armyId - The reporting army.
+ * @returns {Array<{armyId: string, armyName: string}>} Participating armies, reporting army first.
+ */
+export function getDraftReportParticipants(armyId) {
+  return _findParticipantArmyIds(armyId).map((id) => ({
+    armyId: id,
+    armyName: getArmyNameById(id),
+  }));
+}
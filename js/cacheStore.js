@@ -0,0 +1,234 @@
+//@ts-check
+/**
+ * @fileoverview Persistent cache for large downloaded data (army lists, army books,
+ * doctrines and rule definitions). Entries live in IndexedDB, so they survive between
+ * sessions without using the localStorage quota the game state needs; when IndexedDB
+ * isn't available (e.g., some private browsing modes) localStorage is used instead.
+ * Every function is async and never throws: failures are logged and treated as misses.
+ */
+
+import { config } from "./config.js";
+
+const DB_NAME = "oprArmyTracker";
+const DB_VERSION = 1;
+const STORE_NAME = "cache";
+
+let backendPromise = null; // Resolves to the backend chosen on first use
+
+// --- Backends ---
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ * @param {IDBRequest} request - The request.
+ * @returns {Promise<any>} Resolves with the request's result.
+ * @private
+ */
+function _requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Opens (and on first use creates) the tracker's IndexedDB database.
+ * @returns {Promise<IDBDatabase>} The open database.
+ * @private
+ */
+function _openDatabase() {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+      request.result.createObjectStore(STORE_NAME, { keyPath: "key" });
+    }
+  };
+  return _requestToPromise(request).then((db) => {
+    db.onversionchange = () => db.close(); // Let a newer tab upgrade the schema
+    return db;
+  });
+}
+
+/**
+ * Creates the IndexedDB backend. Entries are stored as { key, value, storedAt }.
+ * @param {IDBDatabase} db - The open database.
+ * @returns {{name: string, get: function(string): Promise<object | null>, set: function(object): Promise<void>, remove: function(string): Promise<void>, clear: function(): Promise<void>}} The backend.
+ * @private
+ */
+function _createIndexedDbBackend(db) {
+  const store = (mode) =>
+    db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+  return {
+    name: "IndexedDB",
+    get: async (key) =>
+      (await _requestToPromise(store("readonly").get(key))) || null,
+    set: async (entry) => {
+      await _requestToPromise(store("readwrite").put(entry));
+    },
+    remove: async (key) => {
+      await _requestToPromise(store("readwrite").delete(key));
+    },
+    clear: async () => {
+      await _requestToPromise(store("readwrite").clear());
+    },
+  };
+}
+
+/**
+ * Lists the localStorage keys used by the fallback backend.
+ * @returns {Array<string>} The keys.
+ * @private
+ */
+function _listFallbackKeys() {
+  const keys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key?.startsWith(config.CACHE_FALLBACK_KEY_PREFIX)) keys.push(key);
+  }
+  return keys;
+}
+
+/**
+ * Removes the oldest fallback cache entries to make room for a new one.
+ * Pinned army lists are never removed: unlike the rest of the cache, they can't be
+ * downloaded again in the version the mission was played with.
+ * @param {number} count - How many entries to remove.
+ * @private
+ */
+function _evictOldestFallbackEntries(count) {
+  const pinPrefix = `${config.CACHE_FALLBACK_KEY_PREFIX}${config.ARMY_LIST_PIN_PREFIX}`;
+  _listFallbackKeys()
+    .filter((key) => !key.startsWith(pinPrefix))
+    .map((key) => {
+      try {
+        return {
+          key,
+          storedAt: JSON.parse(localStorage.getItem(key)).storedAt,
+        };
+      } catch (error) {
+        return { key, storedAt: 0 }; // Unreadable entries go first
+      }
+    })
+    .sort((a, b) => a.storedAt - b.storedAt)
+    .slice(0, count)
+    .forEach(({ key }) => localStorage.removeItem(key));
+}
+
+/** localStorage backend, used when IndexedDB can't be opened. */
+const localStorageBackend = {
+  name: "localStorage",
+  get: async (key) => {
+    const storedEntry = localStorage.getItem(
+      `${config.CACHE_FALLBACK_KEY_PREFIX}${key}`,
+    );
+    return storedEntry ? JSON.parse(storedEntry) : null;
+  },
+  set: async (entry) => {
+    const storageKey = `${config.CACHE_FALLBACK_KEY_PREFIX}${entry.key}`;
+    const json = JSON.stringify(entry);
+    try {
+      localStorage.setItem(storageKey, json);
+    } catch (error) {
+      if (error.name !== "QuotaExceededError") throw error;
+      // Cached data is replaceable (pins aside); game state is not. Make room and retry once.
+      _evictOldestFallbackEntries(Math.max(1, _listFallbackKeys().length / 2));
+      localStorage.setItem(storageKey, json);
+    }
+  },
+  remove: async (key) => {
+    localStorage.removeItem(`${config.CACHE_FALLBACK_KEY_PREFIX}${key}`);
+  },
+  clear: async () => {
+    _listFallbackKeys().forEach((key) => localStorage.removeItem(key));
+  },
+};
+
+/**
+ * Picks the backend on first use: IndexedDB if it opens, otherwise localStorage.
+ * @returns {Promise<typeof localStorageBackend>} The backend.
+ * @private
+ */
+function _getBackend() {
+  if (!backendPromise) {
+    backendPromise = (async () => {
+      if (typeof indexedDB === "undefined") {
+        console.log("[Cache] IndexedDB not available; using localStorage.");
+        return localStorageBackend;
+      }
+      try {
+        const backend = _createIndexedDbBackend(await _openDatabase());
+        console.log("[Cache] Using IndexedDB for cached data.");
+        return backend;
+      } catch (error) {
+        console.warn(
+          "[Cache] Could not open IndexedDB; using localStorage.",
+          error,
+        );
+        return localStorageBackend;
+      }
+    })();
+  }
+  return backendPromise;
+}
+
+// --- Public API ---
+
+/**
+ * Reads a cached value.
+ * @param {string} key - The cache key (e.g., a config.*_CACHE_KEY value).
+ * @param {number | null} [maxAgeMs=null] - Treat entries older than this as missing.
+ * @returns {Promise<any>} The cached value, or null if missing, expired or unreadable.
+ */
+export async function cacheGet(key, maxAgeMs = null) {
+  try {
+    const entry = await (await _getBackend()).get(key);
+    if (!entry) return null;
+    if (maxAgeMs !== null && Date.now() - entry.storedAt > maxAgeMs) {
+      console.log(`[Cache] Entry ${key} has expired.`);
+      return null;
+    }
+    return entry.value ?? null;
+  } catch (error) {
+    console.error(`[Cache] Error reading ${key}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Stores a value in the cache, replacing any previous entry.
+ * @param {string} key - The cache key.
+ * @param {any} value - The value (must be JSON/structured-clone friendly).
+ * @returns {Promise<boolean>} True if the value was stored.
+ */
+export async function cacheSet(key, value) {
+  try {
+    await (await _getBackend()).set({ key, value, storedAt: Date.now() });
+    return true;
+  } catch (error) {
+    console.error(`[Cache] Error storing ${key}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Removes a cached value.
+ * @param {string} key - The cache key.
+ */
+export async function cacheRemove(key) {
+  try {
+    await (await _getBackend()).remove(key);
+  } catch (error) {
+    console.error(`[Cache] Error removing ${key}:`, error);
+  }
+}
+
+/**
+ * Removes every cached value (used by the full data reset).
+ */
+export async function clearCache() {
+  try {
+    await (await _getBackend()).clear();
+    console.log("[Cache] Cleared all cached data.");
+  } catch (error) {
+    console.error("[Cache] Error clearing cached data:", error);
+  }
+}
@@ -1,7 +1,8 @@
 /**
  * @fileoverview Logic for the Campaign Status page.
  * Fetches campaign data, mission data, battle reports, calculates leaderboard,
- * and updates the UI. Includes logic to handle anchor links after dynamic load.
+ * compares army lists between missions, and updates the UI. Includes logic to
+ * handle anchor links after dynamic load.
  */
 
 // Import necessary functions from other modules
@@ -10,8 +11,12 @@ import {
   loadCampaignData,
   loadMissionsData,
   loadBattleReport,
+  loadCompletedBattleReports,
+  loadArmySnapshot,
 } from "./dataLoader.js";
 import { showToast } from "./uiHelpers.js"; // For notifications
+import { diffArmyLists } from "./armyDiff.js";
+import { computeStandings } from "./standings.js";
 
 // --- Global Variables ---
 let missionsDataCache = null; // Cache fetched missions data
@@ -26,6 +31,10 @@ let upcomingMissionsDisplayElement;
 let battleReportModalBodyElement;
 let battleReportModalLabelElement;
 let battleReportModal; // Bootstrap Modal instance
+let listChangesArmySelect;
+let listChangesFromSelect;
+let listChangesToSelect;
+let listChangesDisplayElement;
 
 /**
  * Initializes UI element references.
@@ -46,6 +55,10 @@ function initializeUIReferences() {
   battleReportModalLabelElement = document.getElementById(
     "battleReportModalLabel",
   );
+  listChangesArmySelect = document.getElementById("list-changes-army");
+  listChangesFromSelect = document.getElementById("list-changes-from");
+  listChangesToSelect = document.getElementById("list-changes-to");
+  listChangesDisplayElement = document.getElementById("list-changes-display");
   const modalEl = document.getElementById("battleReportModal");
   if (modalEl) {
     battleReportModal = new bootstrap.Modal(modalEl);
@@ -73,31 +86,7 @@ async function loadAllCampaignPageData() {
     }
     const missionsData = missionsDataCache;
 
-    const completedMissions =
-      missionsData?.missions?.filter(
-        (m) => m.status === "completed" && m.battleReportFile,
-      ) || [];
-
-    const battleReportPromises = completedMissions.map((mission) =>
-      loadBattleReport(mission.battleReportFile)
-        .then((report) => {
-          if (report && !report.missionId) {
-            report.missionId = mission.number;
-          }
-          return report;
-        })
-        .catch((err) => {
-          console.warn(
-            `Failed to load battle report ${mission.battleReportFile}:`,
-            err,
-          );
-          return null;
-        }),
-    );
-
-    const battleReportsData = (await Promise.all(battleReportPromises)).filter(
-      (report) => report !== null,
-    );
+    const battleReportsData = await loadCompletedBattleReports(missionsData);
 
     battleReportsData.forEach((report) => {
       if (report.missionId) {
@@ -251,11 +240,40 @@ function displayCurrentMission(missionsData) {
 }
 
 /**
- * Calculates and renders the leaderboard.
- * Uses the Max Army Points calculation provided by the user.
+ * Renders a leaderboard value, marking it when campaign.json records a different total.
+ * @param {object} standing - The army's standing (see computeStandings).
+ * @param {Array<string>} fields - The standing fields the value is built from.
+ * @param {string | number} value - The value to show.
+ * @param {Array<string>} [breakdown=[]] - Lines explaining how the value was computed, shown as its tooltip.
+ * @returns {string} The cell content.
+ */
+function renderStandingValue(standing, fields, value, breakdown = []) {
+  const valueHTML =
+    breakdown.length > 0
+      ? `<span class="standing-breakdown" title="${breakdown.join("\n")}">${value}</span>`
+      : `${value}`;
+  const discrepancies = standing.discrepancies.filter((discrepancy) =>
+    fields.includes(discrepancy.field),
+  );
+  if (discrepancies.length === 0) return valueHTML;
+  const details = discrepancies
+    .map(
+      ({ field, recorded, computed }) =>
+        `campaign.json ${field}: ${recorded}, battle reports: ${computed}`,
+    )
+    .join("; ");
+  return `${valueHTML} <i class="bi bi-exclamation-triangle-fill text-warning" title="${details}"></i>`;
+}
+
+/**
+ * Renders the leaderboard computed from the battle reports (see standings.js), scored
+ * and ranked by the campaign's scoring rules. Hovering a position, VP or Max Pts value
+ * shows how it was computed; totals in campaign.json that disagree with the reports
+ * are marked.
  * @param {object} campaignData - The main campaign data.
+ * @param {Array<object>} battleReportsData - The completed missions' battle reports.
  */
-function displayLeaderboard(campaignData) {
+function displayLeaderboard(campaignData, battleReportsData) {
   if (!leaderboardDisplayElement || !campaignData || !campaignData.armies) {
     if (leaderboardDisplayElement)
       leaderboardDisplayElement.innerHTML = `<div class="alert alert-warning" role="alert">
@@ -263,39 +281,16 @@ function displayLeaderboard(campaignData) {
       </div>`;
     return;
   }
-  const basePoints = campaignData.basePoints || 0;
-  const armies = campaignData.armies.filter((army) => !army.hidden);
-  const leaderboardData = armies.map((army) => {
-    const wins = army.wins || 0;
-    const losses = army.losses || 0;
-    const earnedVP = army.earnedVP || 0;
-    const objectives = army.objectives || 0;
-    const earnedPts = army.earnedPts || 0;
-    const totalVP = wins * 2 + earnedVP;
-    const totalGames = wins + losses;
-    const positionScore = totalGames > 0 ? totalVP / totalGames : 0;
-    const maxArmyPoints =
-      basePoints + 150 * wins + 300 * losses + earnedPts + 75 * objectives;
-    //show calculation for each army leaderboard
-    return {
-      player: army.player || "N/A",
-      armyName: army.armyName || "Unnamed Army",
-      vp: totalVP,
-      wins: wins,
-      losses: losses,
-      objectives: objectives,
-      maxPoints: maxArmyPoints,
-      positionScore: positionScore,
-    };
-  });
-
-  // Sort the leaderboard data
-  leaderboardData.sort((a, b) => {
-    if (b.positionScore !== a.positionScore)
-      return b.positionScore - a.positionScore;
-    if (b.vp !== a.vp) return b.vp - a.vp;
-    return b.wins - a.wins;
-  });
+  const { standings, reportCount, unmatchedParticipants } = computeStandings(
+    campaignData,
+    battleReportsData,
+  );
+  if (unmatchedParticipants.length > 0) {
+    console.warn(
+      "Leaderboard: Battle report participants with no campaign army:",
+      unmatchedParticipants,
+    );
+  }
 
   // Render the leaderboard table
   let tableHTML = `
@@ -312,33 +307,30 @@ function displayLeaderboard(campaignData) {
         </tr>
       </thead><tbody>
   `;
-
-  // Calculate positions handling ties
-  let currentPosition = 1;
-  leaderboardData.forEach((army, index) => {
-    // If this army has a different position score than the previous one, update position
-    if (
-      index > 0 &&
-      army.positionScore !== leaderboardData[index - 1].positionScore
-    ) {
-      currentPosition = index + 1;
-    }
-
+  standings.forEach((army) => {
     tableHTML += `
             <tr>
-                <td>${currentPosition}</td>
+                <td>${renderStandingValue(army, [], army.position, [army.breakdown.ranking])}</td>
                 <td>${renderHTML(army.player)}</td>
                 <td>${renderHTML(army.armyName)}</td>
-                <td>${army.vp}</td>
-                <td>${army.wins}-${army.losses}</td>
-                <td>${army.objectives}</td>
-                <td>${army.maxPoints}</td>
+                <td>${renderStandingValue(army, ["earnedVP"], army.vp, [army.breakdown.vp, army.breakdown.vpPerGame])}</td>
+                <td>${renderStandingValue(army, ["wins", "losses"], `${army.wins}-${army.losses}`)}</td>
+                <td>${renderStandingValue(army, ["objectives"], army.objectives)}</td>
+                <td>${renderStandingValue(army, ["earnedPts"], army.maxPoints, [army.breakdown.maxPoints])}</td>
             </tr>
         `;
   });
   tableHTML += `
             </tbody>
         </table>
+        <p class="small text-muted mb-0">
+          Computed from ${reportCount} battle report${reportCount !== 1 ? "s" : ""}.
+          ${
+            standings.some((army) => army.discrepancies.length > 0)
+              ? `<i class="bi bi-exclamation-triangle-fill text-warning"></i> marks totals that differ from the ones entered in campaign.json.`
+              : ""
+          }
+        </p>
     `;
   leaderboardDisplayElement.innerHTML = tableHTML;
 }
@@ -387,6 +379,159 @@ function displayPastMissions(missionsData) {
   });
 }
 
+/**
+ * Fills the List Changes army and mission pickers and shows the latest changes.
+ * @param {object} campaignData - The loaded campaign data.
+ * @param {object | null} missionsData - The loaded missions data.
+ */
+function setupListChanges(campaignData, missionsData) {
+  if (!listChangesDisplayElement) return;
+  const armies = (campaignData.armies || []).filter(
+    (army) => !army.hidden && army.armyURL,
+  );
+  const missions = (missionsData?.missions || [])
+    .filter((mission) => mission.status === "completed")
+    .sort((a, b) => a.number - b.number);
+  if (armies.length === 0 || missions.length < 2) {
+    listChangesDisplayElement.innerHTML = `<p class="text-muted">Lists from at least two completed missions are needed to compare.</p>`;
+    return;
+  }
+
+  listChangesArmySelect.innerHTML = armies
+    .map(
+      (army) =>
+        `<option value="${army.armyURL}">${renderHTML(army.armyName)}</option>`,
+    )
+    .join("");
+  const missionOptions = missions
+    .map(
+      (mission) =>
+        `<option value="${mission.number}">Mission ${mission.number}: ${renderHTML(mission.title)}</option>`,
+    )
+    .join("");
+  listChangesFromSelect.innerHTML = missionOptions;
+  listChangesToSelect.innerHTML = missionOptions;
+  // Compare the two most recent missions by default
+  listChangesFromSelect.value = String(missions[missions.length - 2].number);
+  listChangesToSelect.value = String(missions[missions.length - 1].number);
+
+  [listChangesArmySelect, listChangesFromSelect, listChangesToSelect].forEach(
+    (select) => select.addEventListener("change", displayListChanges),
+  );
+  displayListChanges();
+}
+
+/**
+ * Formats a change in points, e.g. "+15 pts" or "-20 pts".
+ * @param {number} delta - The change.
+ * @returns {string} HTML for the change, colored by direction.
+ */
+function formatPointsDelta(delta) {
+  if (delta === 0) return `<span class="text-muted">&plusmn;0 pts</span>`;
+  const colorClass = delta > 0 ? "text-success" : "text-danger";
+  return `<span class="${colorClass}">${delta > 0 ? "+" : ""}${delta} pts</span>`;
+}
+
+/**
+ * Renders one changed unit of a list comparison.
+ * @param {object} unit - A unit from diffArmyLists' unitsChanged.
+ * @returns {string} The list item HTML.
+ */
+function renderChangedUnit(unit) {
+  const details = [];
+  if (unit.costBefore !== unit.costAfter) {
+    details.push(
+      `Cost ${unit.costBefore} &rarr; ${unit.costAfter} (${formatPointsDelta(unit.costAfter - unit.costBefore)})`,
+    );
+  }
+  if (unit.sizeBefore !== unit.sizeAfter) {
+    details.push(`Size ${unit.sizeBefore} &rarr; ${unit.sizeAfter}`);
+  }
+  if (unit.xpBefore !== unit.xpAfter) {
+    const xpDelta = unit.xpAfter - unit.xpBefore;
+    details.push(
+      `XP ${unit.xpBefore} &rarr; ${unit.xpAfter} (${xpDelta > 0 ? "+" : ""}${xpDelta})`,
+    );
+  }
+  if (unit.traitsGained.length > 0) {
+    details.push(`Traits gained: ${renderHTML(unit.traitsGained.join(", "))}`);
+  }
+  if (unit.traitsLost.length > 0) {
+    details.push(`Traits lost: ${renderHTML(unit.traitsLost.join(", "))}`);
+  }
+  if (unit.upgradesAdded.length > 0) {
+    details.push(`Added: ${renderHTML(unit.upgradesAdded.join(", "))}`);
+  }
+  if (unit.upgradesRemoved.length > 0) {
+    details.push(`Removed: ${renderHTML(unit.upgradesRemoved.join(", "))}`);
+  }
+
+  return `
+    <li class="list-group-item">
+      <div class="fw-medium">
+        ${renderHTML(unit.name)}
+        ${unit.previousName ? `<small class="text-muted">(was ${renderHTML(unit.previousName)})</small>` : ""}
+      </div>
+      <ul class="small mb-0">
+        ${details.map((detail) => `<li>${detail}</li>`).join("")}
+      </ul>
+    </li>
+  `;
+}
+
+/**
+ * Loads the two chosen mission lists of the chosen army and renders their differences.
+ */
+async function displayListChanges() {
+  const armyURL = listChangesArmySelect.value;
+  const fromMission = Number(listChangesFromSelect.value);
+  const toMission = Number(listChangesToSelect.value);
+  if (fromMission === toMission) {
+    listChangesDisplayElement.innerHTML = `<p class="text-muted">Choose two different missions.</p>`;
+    return;
+  }
+
+  listChangesDisplayElement.innerHTML = `<div class="spinner-border spinner-border-sm" role="status"><span class="visually-hidden">Loading...</span></div>`;
+  const [fromList, toList] = await Promise.all([
+    loadArmySnapshot(fromMission, armyURL),
+    loadArmySnapshot(toMission, armyURL),
+  ]);
+  const missingMissions = [
+    ...(fromList ? [] : [fromMission]),
+    ...(toList ? [] : [toMission]),
+  ];
+  if (missingMissions.length > 0) {
+    listChangesDisplayElement.innerHTML = `<p class="text-muted">No saved list for Mission ${missingMissions.join(" or ")}.</p>`;
+    return;
+  }
+
+  const diff = diffArmyLists(fromList, toList);
+  if (!diff) {
+    listChangesDisplayElement.innerHTML = `<div class="alert alert-danger" role="alert">Could not compare these lists.</div>`;
+    return;
+  }
+
+  const renderUnitSummaries = (units) =>
+    units
+      .map(
+        (unit) =>
+          `<li class="list-group-item d-flex justify-content-between"><span>${renderHTML(unit.name)}${unit.size > 1 ? ` <small class="text-muted">[${unit.size}]</small>` : ""}</span><span>${unit.cost} pts</span></li>`,
+      )
+      .join("");
+
+  listChangesDisplayElement.innerHTML = `
+    <p>
+      <strong>Points:</strong> ${diff.pointsBefore} &rarr; ${diff.pointsAfter}
+      (${formatPointsDelta(diff.pointsAfter - diff.pointsBefore)})
+      &middot; ${diff.unitsAdded.length} added &middot; ${diff.unitsRemoved.length} removed
+      &middot; ${diff.unitsChanged.length} changed &middot; ${diff.unchangedCount} unchanged
+    </p>
+    ${diff.unitsAdded.length > 0 ? `<h3 class="h6">Units Added</h3><ul class="list-group mb-3">${renderUnitSummaries(diff.unitsAdded)}</ul>` : ""}
+    ${diff.unitsRemoved.length > 0 ? `<h3 class="h6">Units Removed</h3><ul class="list-group mb-3">${renderUnitSummaries(diff.unitsRemoved)}</ul>` : ""}
+    ${diff.unitsChanged.length > 0 ? `<h3 class="h6">Units Changed</h3><ul class="list-group mb-3">${diff.unitsChanged.map(renderChangedUnit).join("")}</ul>` : ""}
+  `;
+}
+
 /**
  * Renders the list of upcoming missions based on missions.json.
  * @param {object | null} missionsData - The loaded missions data.
@@ -642,8 +787,9 @@ document.addEventListener("DOMContentLoaded", async () => {
 
     // Render UI sections
     displayCurrentMission(missionsData);
-    displayLeaderboard(campaignData);
+    displayLeaderboard(campaignData, battleReportsData);
     displayPastMissions(missionsData);
+    setupListChanges(campaignData, missionsData);
     displayUpcomingMissions(missionsData);
 
     // --- Call the scroll handler AFTER rendering ---
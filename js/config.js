@@ -6,8 +6,8 @@
 // Main configuration settings
 export const config = {
   // Local Mode Configuration (for using local army data instead of Army Forge API)
-  USE_LOCAL_ARMY_DATA: true, // Set to true to load armies from local JSON files
-  LOCAL_ARMY_DATA_PATH: "./data/battle-reports/mission6-armies/", // Path to local army JSON files
+  USE_LOCAL_ARMY_DATA: true, // Set to true to load armies from the mission snapshots below
+  ARMY_SNAPSHOTS_PATH: "./data/battle-reports/", // Holds missionN-armies/ folders of saved lists
   USE_LOCAL_COMMON_RULES: true, // Set to true to use local common rules file
   LOCAL_COMMON_RULES_PATH: "./data/rules/common-rules.json", // Path to local common rules file
 
@@ -16,19 +16,43 @@ export const config = {
   ARMY_BOOKS_TIMESTAMP_PREFIX: "oprArmyBooksTimestamp_",
   COMMON_RULES_CACHE_KEY_PREFIX: "oprCommonRulesCache_",
   ARMY_STATE_KEY_PREFIX: "oprArmyTracker_state_",
+  UNREADABLE_STATE_KEY_PREFIX: "oprArmyTracker_unreadableState_",
   GAME_STATE_KEY: "oprArmyTracker_gameState",
+  GAME_LOG_KEY_PREFIX: "oprArmyTracker_log_",
+  SAVE_SLOTS_KEY_PREFIX: "oprArmyTracker_slots_",
+  SLOT_STATE_KEY_PREFIX: "oprArmyTracker_slotState_",
+  SLOT_LOG_KEY_PREFIX: "oprArmyTracker_slotLog_",
+  LIVE_SYNC_URL_KEY: "oprArmyTracker_liveSyncUrl",
+  SNAPSHOT_MISSION_KEY: "oprArmyTracker_snapshotMission", // Mission chosen in the Info modal
+  TAB_SYNC_CHANNEL_NAME: "oprArmyTracker_tabs",
+  SAVE_FILE_VERSION: 1, // Bump when the save file layout changes
   THEME_STORAGE_KEY: "theme",
   DOCTRINES_CACHE_KEY: "oprDoctrinesCache",
   CAMPAIGN_POINTS_CACHE_KEY: "oprCampaignPointsCache",
   DEFINITIONS_CACHE_KEY: "oprDefinitionsCache",
   ARMY_LIST_DATA_PREFIX: "oprArmyData_",
   ARMY_LIST_TIMESTAMP_PREFIX: "oprArmyTimestamp_",
+  ARMY_LIST_PIN_PREFIX: "oprArmyListPin_",
+  CACHE_FALLBACK_KEY_PREFIX: "oprArmyTracker_cache_", // Used when IndexedDB is unavailable
+  STATIC_DATA_CACHE_MAX_AGE_MS: 24 * 60 * 60 * 1000, // Doctrines and definitions are refetched daily
 
   // Game Rules
   MAX_SPELL_TOKENS: 6,
-  GAME_SYSTEM_ID: 2, // Assuming Grimdark Future = 2
+  GAME_SYSTEM_ID: 2, // Default when an army doesn't name its game system (Grimdark Future)
+  // Army Forge game system IDs; lists name them by slug (e.g., "gameSystem": "aof")
+  GAME_SYSTEMS: {
+    2: { slug: "gf", name: "Grimdark Future", shortName: "GF" },
+    3: { slug: "gff", name: "Grimdark Future: Firefight", shortName: "GFF" },
+    4: { slug: "aof", name: "Age of Fantasy", shortName: "AoF" },
+    5: { slug: "aofs", name: "Age of Fantasy: Skirmish", shortName: "AoFS" },
+    6: { slug: "aofr", name: "Age of Fantasy: Regiments", shortName: "AoFR" },
+  },
   COMMAND_POINTS_PER_1000: 4,
   UNDERDOG_POINTS_PER_DELTA: 50,
+  MORALE_TRIGGER_DELAY_MS: 1500, // Wounds applied within this window count as one attack
+
+  // Undo History
+  MAX_JOURNAL_ENTRIES: 100, // Oldest undo entries are dropped beyond this
 
   // API Endpoints & Data URLs
   CAMPAIGN_DATA_URL: "./data/campaign.json",
@@ -71,6 +95,7 @@ export const UI_ICONS = {
   stratagems: `<i class="bi bi-journal-bookmark-fill" aria-label="Stratagems icon"></i>`,
   killCount: `<i class="bi bi-person-x-fill" aria-label="Kills Recorded"></i>`,
   markRemoved: `<i class="bi bi-x-octagon" title="Mark Removed"></i>`,
+  resolveAttack: `<i class="bi bi-crosshair2" aria-label="Resolve Attack icon"></i>`,
 };
 
 // Static configuration for Action Buttons
@@ -123,3 +148,21 @@ export const DEPLOYMENT_BUTTON_CONFIG = {
     description: "Deploy inside a transport vehicle",
   },
 };
+
+// Display configuration for Game Log events (timeline view)
+export const GAME_LOG_EVENT_CONFIG = {
+  phase: { colorTheme: "secondary", icon: "bi-flag-fill" },
+  roundStart: { colorTheme: "primary", icon: "bi-arrow-repeat" },
+  wound: { colorTheme: "danger", icon: "bi-heartbreak" },
+  destroyed: { colorTheme: "danger", icon: "bi-x-octagon-fill" },
+  shaken: { colorTheme: "warning", icon: "bi-exclamation-triangle-fill" },
+  recovered: { colorTheme: "success", icon: "bi-bandaid" },
+  routed: { colorTheme: "warning", icon: "bi-person-walking" },
+  morale: { colorTheme: "info", icon: "bi-shield-check" },
+  kill: { colorTheme: "danger", icon: "bi-person-x-fill" },
+  attack: { colorTheme: "danger", icon: "bi-crosshair" },
+  stratagem: { colorTheme: "warning", icon: "bi-journal-bookmark-fill" },
+  spell: { colorTheme: "info", icon: "bi-magic" },
+  correction: { colorTheme: "secondary", icon: "bi-arrow-counterclockwise" },
+  gameEnd: { colorTheme: "success", icon: "bi-check2-square" },
+};
@@ -6,6 +6,7 @@
 import { fetchArmyBookData } from "./api.js";
 import { config } from "./config.js";
 import { setDefinitions } from "./state.js"; // Import setter to save definitions
+import { cacheGet, cacheSet, cacheRemove } from "./cacheStore.js";
 
 // --- Public Fetch Functions ---
 
@@ -71,6 +72,30 @@ async function loadMissionsData() {
   }
 }
 
+/**
+ * Fetches the army list saved for a mission (data/battle-reports/missionN-armies/).
+ * @param {number} missionNumber - The mission number.
+ * @param {string} armyURL - The army's URL slug (e.g., "the-ashen-pact").
+ * @returns {Promise<object|null>} The raw Army Forge list, or null if none was saved.
+ */
+async function loadArmySnapshot(missionNumber, armyURL) {
+  const snapshotPath = `${config.ARMY_SNAPSHOTS_PATH}mission${missionNumber}-armies/${armyURL}.json`;
+  try {
+    const response = await fetch(snapshotPath);
+    if (!response.ok) {
+      if (response.status === 404) {
+        console.warn(`No saved list at: ${snapshotPath}`);
+        return null;
+      }
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return await response.json();
+  } catch (error) {
+    console.error(`Error loading saved list from ${snapshotPath}:`, error);
+    return null;
+  }
+}
+
 /** Fetches a specific battle report. */
 async function loadBattleReport(reportPath) {
   if (!reportPath) {
@@ -100,21 +125,39 @@ async function loadBattleReport(reportPath) {
   }
 }
 
+/**
+ * Fetches the battle reports of all completed missions, e.g. for computing standings.
+ * Reports that fail to load are skipped.
+ * @param {object|null} missionsData - The loaded missions data.
+ * @returns {Promise<Array<object>>} The reports, in mission order.
+ */
+async function loadCompletedBattleReports(missionsData) {
+  const completedMissions = (missionsData?.missions || [])
+    .filter((mission) => mission.status === "completed" && mission.battleReportFile)
+    .sort((a, b) => a.number - b.number);
+  const reports = await Promise.all(
+    completedMissions.map((mission) => loadBattleReport(mission.battleReportFile))
+  );
+  return reports.filter(Boolean);
+}
+
 // --- Internal Helper Functions for loadGameData ---
 
 /** Fetches doctrines, using cache. */
 async function _loadDoctrinesDataInternal() {
   const cacheKey = config.DOCTRINES_CACHE_KEY;
   try {
-    const cachedData = sessionStorage.getItem(cacheKey);
-    if (cachedData) {
-      const parsedData = JSON.parse(cachedData);
-      if (parsedData && Array.isArray(parsedData.doctrines)) {
+    const parsedData = await cacheGet(
+      cacheKey,
+      config.STATIC_DATA_CACHE_MAX_AGE_MS
+    );
+    if (parsedData) {
+      if (Array.isArray(parsedData.doctrines)) {
         console.log("Doctrines data loaded from cache.");
         return parsedData;
       } else {
         console.warn("Invalid doctrines data found in cache. Removing.");
-        sessionStorage.removeItem(cacheKey);
+        await cacheRemove(cacheKey);
       }
     }
     console.log("Fetching doctrines data from URL...");
@@ -123,11 +166,7 @@ async function _loadDoctrinesDataInternal() {
     const data = await response.json();
     if (data && Array.isArray(data.doctrines)) {
       console.log("Doctrines data fetched successfully.");
-      try {
-        sessionStorage.setItem(cacheKey, JSON.stringify(data));
-      } catch (e) {
-        console.error("Error caching doctrines:", e);
-      }
+      await cacheSet(cacheKey, data); // Failures are logged by cacheStore
       return data;
     } else {
       throw new Error("Fetched doctrines data is invalid");
@@ -228,7 +267,7 @@ async function _loadArmyBookDataInternal(factionId, gameSystem, factionName) {
 
     console.log(`Successfully loaded army book data for ${factionName} (${factionId})`);
     // Add factionName to the result for easier access later if needed by the caller
-    return { factionId, bookData, factionName };
+    return { factionId, bookData, factionName, gameSystem };
   } catch (error) {
     // This catch might be redundant if fetchArmyBookData handles its errors,
     // but can catch unexpected issues during the call itself.
@@ -240,16 +279,59 @@ async function _loadArmyBookDataInternal(factionId, gameSystem, factionName) {
   }
 }
 
+/**
+ * Resolves a game system given as an Army Forge ID ("4", 4) or slug ("aof").
+ * @param {string|number|null|undefined} gameSystem - The game system as found in campaign or list data.
+ * @returns {number|null} The Army Forge game system ID, or null if unknown.
+ */
+function resolveGameSystemId(gameSystem) {
+  if (gameSystem === undefined || gameSystem === null || gameSystem === "") return null;
+  const numericId = Number(gameSystem);
+  if (config.GAME_SYSTEMS[numericId]) return numericId;
+  const match = Object.entries(config.GAME_SYSTEMS).find(
+    ([, system]) => system.slug === String(gameSystem).toLowerCase()
+  );
+  return match ? Number(match[0]) : null;
+}
+
+/**
+ * Lists the distinct army book factions of the campaign's armies, with resolved game systems.
+ * @param {object} campaignData - The loaded campaign data.
+ * @returns {Array<{id: string, gameSystem: number, name: string}>} One entry per faction and game system.
+ * @private
+ */
+function _getCampaignFactions(campaignData) {
+  const uniqueFactions = new Map();
+  (campaignData?.armies || []).forEach((army) => {
+    (army.faction || []).forEach((fac) => {
+      const gameSystem = resolveGameSystemId(fac.gameSystem);
+      // Ensure faction has ID and gameSystem before adding
+      if (fac.id && gameSystem && !uniqueFactions.has(`${fac.id}_${gameSystem}`)) {
+        uniqueFactions.set(`${fac.id}_${gameSystem}`, {
+          id: fac.id,
+          gameSystem,
+          name: fac.name || fac.id, // Use name if available, fallback to id
+        });
+      }
+    });
+  });
+  return Array.from(uniqueFactions.values());
+}
+
 /**
  * Helper function to add or update a definition in the consolidated object.
- * Handles multiple sources. Assumes description/type are consistent if term exists.
+ * Handles multiple sources and game systems. Game systems can word the same rule
+ * differently, so each system's first description is kept in `descriptions`, keyed by
+ * system ID; `description` is the first one found. Campaign rules (no game system)
+ * apply to every system, so their description isn't replaced per system.
  * @param {object} definitions - The master definitions object being built.
  * @param {string} term - The term (rule name, trait name, spell name).
  * @param {string} description - The term's description.
  * @param {string} type - The type of definition (e.g., 'rules', 'traits', 'spells').
  * @param {string} source - The source of this definition (e.g., 'Common', 'Custom', 'Army Book Name').
+ * @param {number|null} [gameSystem=null] - The game system the definition belongs to (null for campaign rules).
  */
-function addOrUpdateDefinition(definitions, term, description, type, source) {
+function addOrUpdateDefinition(definitions, term, description, type, source, gameSystem = null) {
   if (!term || !description || !type || !source) {
     console.warn("Skipping definition due to missing info:", {
       term,
@@ -270,16 +352,22 @@ function addOrUpdateDefinition(definitions, term, description, type, source) {
       // Optional: Sort sources alphabetically for consistent display
       definitions[key].sources.sort();
     }
-    // Optional: Could add logic here to verify description matches if needed
-    // if (definitions[key].description !== description) {
-    //     console.warn(`Definition mismatch for term "${key}" from source "${source}". Keeping original description.`);
-    // }
+    if (gameSystem && !definitions[key].systems.includes(gameSystem)) {
+      definitions[key].systems.push(gameSystem);
+      definitions[key].systems.sort((a, b) => a - b);
+    }
+    const descriptions = definitions[key].descriptions; // null for campaign rules
+    if (gameSystem && descriptions && descriptions[gameSystem] === undefined) {
+      descriptions[gameSystem] = description;
+    }
   } else {
     // Term doesn't exist, create new entry
     definitions[key] = {
       description: description,
       type: type,
       sources: [source], // Initialize sources array
+      systems: gameSystem ? [gameSystem] : [], // Game systems using this term
+      descriptions: gameSystem ? { [gameSystem]: description } : null, // Per game system
     };
   }
 }
@@ -287,7 +375,7 @@ function addOrUpdateDefinition(definitions, term, description, type, source) {
 /**
  * Fetches Army Book data, Common Rules/Traits, Custom Definitions, AND Doctrines data.
  * Consolidates all rule/term definitions into a single object with multiple source tracking,
- * using sessionStorage for caching definitions.
+ * using the persistent cache for definitions.
  * @param {object} campaignData - The loaded campaign data.
  * @returns {Promise<{
  * armyBooks: object,
@@ -297,7 +385,12 @@ function addOrUpdateDefinition(definitions, term, description, type, source) {
  * }>} Object containing the loaded data and the consolidated definitions.
  */
 async function loadGameData(campaignData) {
-  const requiredGsId = config.GAME_SYSTEM_ID;
+  const campaignFactions = _getCampaignFactions(campaignData);
+  // Every game system the campaign's armies are built for
+  const gameSystemIds = Array.from(
+    new Set(campaignFactions.map((faction) => faction.gameSystem))
+  );
+  if (gameSystemIds.length === 0) gameSystemIds.push(config.GAME_SYSTEM_ID);
   const definitionsCacheKey = config.DEFINITIONS_CACHE_KEY;
   let definitions = {}; // Initialize empty definitions object
   let armyBooks = {};
@@ -306,45 +399,34 @@ async function loadGameData(campaignData) {
 
   // --- Step 1: Check Definitions Cache ---
   try {
-    const cachedDefinitions = sessionStorage.getItem(definitionsCacheKey);
-    if (cachedDefinitions) {
-      const parsedDefs = JSON.parse(cachedDefinitions);
+    const parsedDefs = await cacheGet(
+      definitionsCacheKey,
+      config.STATIC_DATA_CACHE_MAX_AGE_MS
+    );
+    if (parsedDefs) {
       // Add basic validation for the new structure (check for sources array)
       const firstKey = Object.keys(parsedDefs)[0];
       if (
         parsedDefs &&
         typeof parsedDefs === "object" &&
         Object.keys(parsedDefs).length > 0 &&
-        (!firstKey || (parsedDefs[firstKey] && Array.isArray(parsedDefs[firstKey].sources))) // Check if first item has sources array
+        (!firstKey ||
+          (parsedDefs[firstKey] &&
+            Array.isArray(parsedDefs[firstKey].sources) &&
+            Array.isArray(parsedDefs[firstKey].systems) &&
+            "descriptions" in parsedDefs[firstKey])) // Check if first item has sources, systems and per-system descriptions
       ) {
         console.log(
-          `Definitions loaded from sessionStorage cache (${Object.keys(parsedDefs).length} terms).`
+          `Definitions loaded from cache (${Object.keys(parsedDefs).length} terms).`
         );
         definitions = parsedDefs;
+        setDefinitions(definitions);
 
         // Still need to load army books and doctrines (which might also be cached)
         const doctrinesPromise = _loadDoctrinesDataInternal();
-        const factionPromises = [];
-        if (campaignData && campaignData.armies) {
-          const uniqueFactions = new Map();
-          campaignData.armies.forEach((army) => {
-            (army.faction || []).forEach((fac) => {
-              // Ensure faction has ID and gameSystem before adding
-              if (fac.id && fac.gameSystem && !uniqueFactions.has(fac.id)) {
-                uniqueFactions.set(fac.id, fac);
-              }
-            });
-          });
-          uniqueFactions.forEach((faction) =>
-            factionPromises.push(
-              _loadArmyBookDataInternal(
-                faction.id,
-                faction.gameSystem,
-                faction.name || faction.id // Use name if available, fallback to id
-              )
-            )
-          );
-        }
+        const factionPromises = campaignFactions.map((faction) =>
+          _loadArmyBookDataInternal(faction.id, faction.gameSystem, faction.name)
+        );
 
         const [doctrinesResult, ...bookResults] = await Promise.all([
           doctrinesPromise,
@@ -366,13 +448,13 @@ async function loadGameData(campaignData) {
         console.warn(
           "Invalid or outdated definitions data found in cache. Clearing and fetching fresh."
         );
-        sessionStorage.removeItem(definitionsCacheKey);
+        await cacheRemove(definitionsCacheKey);
         definitions = {}; // Reset definitions object
       }
     }
   } catch (e) {
     console.error("Error reading definitions cache:", e);
-    sessionStorage.removeItem(definitionsCacheKey);
+    await cacheRemove(definitionsCacheKey);
     definitions = {}; // Reset definitions object
   }
 
@@ -380,9 +462,11 @@ async function loadGameData(campaignData) {
   console.log("Definitions not cached or invalid. Fetching all game data...");
   const doctrinesPromise = _loadDoctrinesDataInternal();
   const customDefsPromise = _loadCustomDefinitionsDataInternal();
-  const commonDataPromise = _loadCommonDataInternal(requiredGsId);
+  const commonDataPromise = Promise.all(
+    gameSystemIds.map((gameSystemId) => _loadCommonDataInternal(gameSystemId))
+  );
 
-  const [commonData, customDefsData, doctrinesResult] = await Promise.all([
+  const [commonDataResults, customDefsData, doctrinesResult] = await Promise.all([
     commonDataPromise,
     customDefsPromise,
     doctrinesPromise,
@@ -399,44 +483,31 @@ async function loadGameData(campaignData) {
       addOrUpdateDefinition(definitions, trait.name, trait.description, "Traits", "Custom");
     });
   }
-  // Add common rules/traits, adding 'Common' source if term exists, creating if not
-  if (commonData) {
-    commonRulesResult = { [requiredGsId]: commonData }; // Store for return if needed
+  // Add common rules/traits per game system, adding 'Common' source if term exists, creating if not
+  commonRulesResult = {}; // Keyed by game system ID
+  commonDataResults.forEach((commonData, index) => {
+    if (!commonData) return;
+    const gameSystemId = gameSystemIds[index];
+    commonRulesResult[gameSystemId] = commonData; // Store for return if needed
     (commonData.rules || []).forEach((rule) => {
-      addOrUpdateDefinition(definitions, rule.name, rule.description, "Rules", "Common");
+      addOrUpdateDefinition(definitions, rule.name, rule.description, "Rules", "Common", gameSystemId);
     });
     (commonData.traits || []).forEach((trait) => {
-      addOrUpdateDefinition(definitions, trait.name, trait.description, "Traits", "Common");
+      addOrUpdateDefinition(definitions, trait.name, trait.description, "Traits", "Common", gameSystemId);
     });
-  }
+  });
 
   // --- Step 4: Load Faction Data (Army Books) ---
-  const factionPromises = [];
-  if (campaignData && campaignData.armies) {
-    const uniqueFactions = new Map();
-    campaignData.armies.forEach((army) => {
-      (army.faction || []).forEach((fac) => {
-        if (fac.id && fac.gameSystem && !uniqueFactions.has(fac.id)) {
-          uniqueFactions.set(fac.id, fac);
-        }
-      });
-    });
-    uniqueFactions.forEach((faction) =>
-      factionPromises.push(
-        _loadArmyBookDataInternal(
-          faction.id,
-          faction.gameSystem,
-          faction.name || faction.id // Use name for source tracking
-        )
-      )
-    );
-  }
-  const bookResults = await Promise.all(factionPromises);
+  const bookResults = await Promise.all(
+    campaignFactions.map((faction) =>
+      _loadArmyBookDataInternal(faction.id, faction.gameSystem, faction.name) // Name is used for source tracking
+    )
+  );
 
   // --- Step 5: Process Faction Definitions (Rules & Spells) ---
   bookResults.forEach((result) => {
     if (result && result.bookData) {
-      const { factionId, bookData, factionName } = result;
+      const { factionId, bookData, factionName, gameSystem } = result;
       armyBooks[factionId] = bookData; // Store full book data
 
       // Process special rules
@@ -446,14 +517,15 @@ async function loadGameData(campaignData) {
           rule.name,
           rule.description,
           "Special Rules",
-          factionName
+          factionName,
+          gameSystem
         );
       });
 
       // Process spells
       (bookData.spells || []).forEach((spell) => {
         // Use spell name directly as the term for potential merging across factions
-        addOrUpdateDefinition(definitions, spell.name, spell.effect, "Spells", factionName);
+        addOrUpdateDefinition(definitions, spell.name, spell.effect, "Spells", factionName, gameSystem);
         // If threshold needs storing, add it to the definition object if creating new
         if (
           spell.threshold &&
@@ -469,6 +541,7 @@ async function loadGameData(campaignData) {
   // --- Step 6: Cache Consolidated Definitions ---
   // Use the imported setter function from state.js
   setDefinitions(definitions); // setDefinitions handles logging and error catching
+  await cacheSet(definitionsCacheKey, definitions);
 
   console.log(
     `Finished loading game data. Total unique definitions: ${Object.keys(definitions).length}`
@@ -489,6 +562,9 @@ export {
   loadRandomEventsData,
   loadMissionsData,
   loadBattleReport,
+  loadCompletedBattleReports,
+  loadArmySnapshot,
   loadGameData,
+  resolveGameSystemId,
   _loadDoctrinesDataInternal as loadDoctrinesData,
 };
@@ -2,15 +2,33 @@
  * @fileoverview Handles finding defined terms in text nodes and attaching Bootstrap Popovers.
  */
 import { getDefinitions } from "./state.js"; // Import state getter
+import { escapeHtml } from "./uiHelpers.js";
 
 // Store initialized popover instances to prevent duplicates
 const initializedPopovers = new WeakSet();
 
+/**
+ * Picks the description of a term for a game system: the system's own wording if
+ * the term has one, otherwise the term's general description.
+ * @param {object} definition - The definition ({ description, descriptions, ... }).
+ * @param {number | null} gameSystem - The Army Forge game system ID, if known.
+ * @returns {string} The description.
+ */
+function getDescriptionForSystem(definition, gameSystem) {
+  return (
+    (gameSystem && definition.descriptions?.[gameSystem]) ||
+    definition.description
+  );
+}
+
 /**
  * Initializes the definition popover system on the page.
- * Finds elements with '.allow-definitions' and processes them.
+ * Finds elements with '.allow-definitions' and processes them. Terms are explained
+ * in the wording of the given game system, or of the nearest element's
+ * data-game-system attribute.
+ * @param {number | null} [gameSystem=null] - The Army Forge game system ID of the army shown.
  */
-export function initializeDefinitionsSystem() {
+export function initializeDefinitionsSystem(gameSystem = null) {
   console.log("Initializing definitions system...");
   const definitions = getDefinitions(); // Get definitions from state/sessionStorage
   if (!definitions || Object.keys(definitions).length === 0) {
@@ -39,7 +57,10 @@ export function initializeDefinitionsSystem() {
     if (element.dataset.definitionsProcessed === "true") {
       return; // Skip already processed elements
     }
-    processElementForPopovers(element, definitions, sortedTerms);
+    const elementSystem =
+      Number(element.closest("[data-game-system]")?.dataset.gameSystem) ||
+      gameSystem;
+    processElementForPopovers(element, definitions, sortedTerms, elementSystem);
     element.dataset.definitionsProcessed = "true"; // Mark as processed
   });
 
@@ -52,8 +73,14 @@ export function initializeDefinitionsSystem() {
  * @param {HTMLElement} element - The parent element to process.
  * @param {object} definitions - The definitions object.
  * @param {string[]} sortedTerms - Terms sorted by length descending.
+ * @param {number | null} gameSystem - The game system whose wording is shown.
  */
-function processElementForPopovers(element, definitions, sortedTerms) {
+function processElementForPopovers(
+  element,
+  definitions,
+  sortedTerms,
+  gameSystem,
+) {
   // Use TreeWalker to efficiently find all text nodes within the element
   const walker = document.createTreeWalker(
     element,
@@ -82,7 +109,7 @@ function processElementForPopovers(element, definitions, sortedTerms) {
 
   // Process collected text nodes
   nodesToProcess.forEach((textNode) => {
-    wrapTermsInTextNode(textNode, definitions, sortedTerms);
+    wrapTermsInTextNode(textNode, definitions, sortedTerms, gameSystem);
   });
 }
 
@@ -92,8 +119,9 @@ function processElementForPopovers(element, definitions, sortedTerms) {
  * @param {Text} textNode - The text node to process.
  * @param {object} definitions - The definitions object.
  * @param {string[]} sortedTerms - Terms sorted by length descending.
+ * @param {number | null} gameSystem - The game system whose wording is shown.
  */
-function wrapTermsInTextNode(textNode, definitions, sortedTerms) {
+function wrapTermsInTextNode(textNode, definitions, sortedTerms, gameSystem) {
   let currentText = textNode.nodeValue;
   const parent = textNode.parentNode;
   if (!parent) return; // Should not happen, but safety check
@@ -165,7 +193,7 @@ function wrapTermsInTextNode(textNode, definitions, sortedTerms) {
       span.dataset.bsPlacement = "top";
       span.dataset.bsTitle = escapeHtml(bestMatch.term); // Popover title
       // Create simple HTML content for the popover body
-      span.dataset.bsContent = `<p class="mb-0">${escapeHtml(definition.description)}</p>`; // Popover body
+      span.dataset.bsContent = `<p class="mb-0">${escapeHtml(getDescriptionForSystem(definition, gameSystem))}</p>`; // Popover body
 
       fragment.appendChild(span);
 
@@ -224,18 +252,3 @@ function initializeBootstrapPopovers() {
     console.log(`Initialized ${initializedCount} new Bootstrap popovers.`);
   }
 }
-
-/**
- * Basic HTML escaping function.
- * @param {string} unsafe - The string to escape.
- * @returns {string} The escaped string.
- */
-function escapeHtml(unsafe) {
-  if (!unsafe) return "";
-  return unsafe
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;")
-    .replace(/'/g, "&#039;");
-}
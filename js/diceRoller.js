@@ -0,0 +1,99 @@
+//@ts-check
+/**
+ * @fileoverview Dice rolling and OPR quality test resolution for the in-app roller.
+ * Quality tests roll one die against the unit's Quality: unmodified 6s always pass,
+ * unmodified 1s always fail, and modifiers (traits, skills, Underdog Points,
+ * High Command) adjust the result in between.
+ */
+
+import { calculateCombatBonus } from "./gameLogic.js";
+
+const DIE_FACES = ["⚀", "⚁", "⚂", "⚃", "⚄", "⚅"];
+
+/**
+ * Rolls a single die.
+ * @param {number} [sides=6] - Number of sides.
+ * @returns {number} The result, from 1 to sides.
+ */
+export function rollDie(sides = 6) {
+  return Math.floor(Math.random() * sides) + 1;
+}
+
+/**
+ * Rolls several dice.
+ * @param {number} count - Number of dice to roll.
+ * @param {number} [sides=6] - Number of sides per die.
+ * @returns {Array<number>} The individual results.
+ */
+export function rollDice(count, sides = 6) {
+  return Array.from({ length: Math.max(0, count) }, () => rollDie(sides));
+}
+
+/**
+ * Resolves a quality test roll.
+ * @param {number} roll - The unmodified die result.
+ * @param {number} quality - The target number (e.g., 4 for Quality 4+).
+ * @param {number} [modifier=0] - Total modifier applied to the roll.
+ * @returns {{roll: number, modifier: number, total: number, quality: number, passed: boolean}} The test result.
+ */
+export function resolveQualityTest(roll, quality, modifier = 0) {
+  const total = roll + modifier;
+  let passed = total >= quality;
+  if (roll === 6) passed = true; // Unmodified 6 always passes
+  if (roll === 1) passed = false; // Unmodified 1 always fails
+  return { roll, modifier, total, quality, passed };
+}
+
+/**
+ * Checks whether a unit has a special rule, counting a joined hero as part of it.
+ * Rules such as Fearless apply only when all models have them, so with a hero
+ * joined both the unit and the hero must have the rule.
+ * @param {object | null} unitData - Processed base unit data.
+ * @param {object | null} heroData - Processed joined hero data, if any.
+ * @param {string} ruleName - The rule name (e.g., 'Fearless').
+ * @returns {boolean} True if the rule is present on the unit and any joined hero.
+ */
+export function unitHasRule(unitData, heroData, ruleName) {
+  const hasRule = (data) =>
+    !!data?.rules?.some((rule) => rule.name === ruleName);
+  return hasRule(unitData) && (!heroData || hasRule(heroData));
+}
+
+/**
+ * Sums the combat bonuses that apply to a test for a unit and its joined hero.
+ * @param {object} unitData - Processed base unit data.
+ * @param {object | null} heroData - Processed joined hero data, if any.
+ * @param {string} bonusType - 'defense', 'meleeHit', 'shootingHit' or 'morale'.
+ * @returns {number} The combined modifier.
+ */
+export function getTestModifier(unitData, heroData, bonusType) {
+  return (
+    calculateCombatBonus(unitData, bonusType) +
+    (heroData ? calculateCombatBonus(heroData, bonusType) : 0)
+  );
+}
+
+/**
+ * Formats a die result for display in toasts (e.g., "⚃ 4").
+ * @param {number} value - The die result.
+ * @returns {string} Die face plus number, or just the number for non-D6 values.
+ */
+export function formatDie(value) {
+  const face = DIE_FACES[value - 1];
+  return face ? `${face} ${value}` : String(value);
+}
+
+/**
+ * Describes a quality test result on one line (e.g., "⚂ 3 +1 = 4 vs 4+ → PASS").
+ * @param {{roll: number, modifier: number, total: number, quality: number, passed: boolean}} result - The test result.
+ * @returns {string} The description.
+ */
+export function describeQualityTest(result) {
+  const modifierText =
+    result.modifier !== 0
+      ? ` ${result.modifier > 0 ? "+" : "-"}${Math.abs(result.modifier)} = ${result.total}`
+      : "";
+  return `${formatDie(result.roll)}${modifierText} vs ${result.quality}+ → ${
+    result.passed ? "PASS" : "FAIL"
+  }`;
+}
@@ -12,6 +12,7 @@ import {
   getUnitData,
   getJoinedHeroData,
   getUnitStateValue,
+  getModelStateValue,
   getArmyBooksData,
   getArmyNameById,
   getCurrentArmyHeroTargets,
@@ -29,7 +30,14 @@ import {
   getCurrentPhase,
   isDeploymentComplete,
   getCampaignData,
+  isTableMode,
+  getGameArmyIds,
+  getUnitDataForArmy,
+  getJoinedHeroDataForArmy,
+  getCardUnitIdForArmy,
+  syncUnitModelHpFromState,
   // State Updaters
+  snapshotStartingStrength,
   updateModelStateValue,
   updateUnitStateValue,
   incrementCurrentRound,
@@ -43,11 +51,26 @@ import {
   setCurrentPhase,
   setUnderdogPoints,
 } from "./state.js";
-import { loadArmyState, saveArmyState, resetArmyState } from "./storage.js";
+import {
+  loadArmyState,
+  saveArmyState,
+  resetArmyState,
+  startTabSync,
+  onExternalStateChange,
+  listStoredArmyIds,
+  getActiveSaveSlotId,
+  listSaveSlots,
+  createSaveSlot,
+  switchSaveSlot,
+  renameSaveSlot,
+  deleteSaveSlot,
+} from "./storage.js";
 import {
   findTargetModelForWound,
+  countWoundsToApply,
   calculateArmyXP,
   checkHalfStrength,
+  calculateCombatBonus,
 } from "./gameLogic.js";
 import {
   updateModelDisplay,
@@ -61,6 +84,8 @@ import {
   resetCardUI,
   createOpponentSelectionModal,
   populateOpponentUnitDropdown,
+  createAttackResolverModal,
+  displayAttackResults,
   updateKillCountBadge,
   updateDeploymentButtonsUI,
   updateKilledByStatusDisplay,
@@ -79,7 +104,51 @@ import {
   updateUnderdogPointsDisplay,
   setElementToFocusAfterClose,
   updateOffcanvasUnitStatus,
+  displayGameLog,
+  downloadJSON,
+  displaySaveFileImportChoices,
+  displaySaveSlotPicker,
+  displayListPin,
 } from "./uiHelpers.js";
+import { logGameEvent, clearGameLog, buildGameLogExport } from "./gameLog.js";
+import {
+  buildDraftBattleReport,
+  getDraftReportParticipants,
+} from "./battleReport.js";
+import { loadMissionsData } from "./dataLoader.js";
+import { cacheRemove, clearCache } from "./cacheStore.js";
+import { pinArmyList, unpinArmyList, getArmyListPin } from "./api.js";
+import {
+  rollDie,
+  resolveQualityTest,
+  describeQualityTest,
+  formatDie,
+  getTestModifier,
+  unitHasRule,
+} from "./diceRoller.js";
+import { getWeaponProfile, resolveWeaponAttack } from "./attackResolver.js";
+import {
+  undoLastEntry,
+  redoLastEntry,
+  canUndo,
+  canRedo,
+  clearJournal,
+  clearRedoHistory,
+  describeJournalEntry,
+  onJournalChange,
+} from "./journal.js";
+import {
+  connectLiveSync,
+  disconnectLiveSync,
+  resumeLiveSync,
+  getLiveSyncUrl,
+  getLiveSyncStatus,
+  publishStateChange,
+  onRemoteChanges,
+  onRemoteGameState,
+  onLiveSyncStatus,
+} from "./liveSync.js";
+import { buildSaveFile, parseSaveFile, importSaveFile } from "./saveFile.js";
 
 // --- Internal Helper Functions ---
 
@@ -133,19 +202,33 @@ function _findActualCaster(cardUnitId) {
  * Applies a wound to a model in the unit.
  * Handles auto-targeting or specific model targeting.
  * Updates model HP, checks for unit destruction, and updates UI.
- * @param {string} armyId - The ID of the current army.
+ * Queues a wounds morale test when the wound drops the unit to half strength.
+ * Works for any loaded army, so the attack resolver can wound opponent units.
+ * @param {string} armyId - The ID of the army the unit belongs to.
  * @param {string} cardUnitId - The selectionId of the unit card displayed.
  * @param {string | null} [specificModelId=null] - The ID of the specific model to wound, or null for auto-target.
+ * @param {{armyId: string, unitId: string} | null} [attacker=null] - The attacking unit, if known. When the
+ * wound destroys the unit, the kill is recorded directly instead of asking who killed it.
  */
-function applyWound(armyId, cardUnitId, specificModelId = null) {
-  const baseUnitData = getUnitData(cardUnitId);
+function applyWound(
+  armyId,
+  cardUnitId,
+  specificModelId = null,
+  attacker = null,
+) {
+  const baseUnitData = getUnitDataForArmy(armyId, cardUnitId);
   if (!baseUnitData) {
     console.error(
       `Base unit data not found for applyWound: unit ${cardUnitId}`,
     );
     return;
   }
-  const heroData = getJoinedHeroData(cardUnitId);
+  const heroData = getJoinedHeroDataForArmy(armyId, cardUnitId);
+  if (armyId !== getCurrentArmyId()) {
+    // Other armies' in-memory HP isn't kept in sync during play
+    syncUnitModelHpFromState(armyId, baseUnitData);
+    syncUnitModelHpFromState(armyId, heroData);
+  }
   let targetModel = null;
   let modelUnitId = null; // The ID of the unit the target model belongs to (base or hero)
 
@@ -179,6 +262,7 @@ function applyWound(armyId, cardUnitId, specificModelId = null) {
 
   // --- Apply Wound if Target Found ---
   if (targetModel && modelUnitId) {
+    const wasHalfStrength = checkHalfStrength(armyId, baseUnitData, heroData);
     const newHp = Math.max(0, targetModel.currentHp - 1);
     targetModel.currentHp = newHp; // Update in-memory model (important for subsequent calls)
     updateModelStateValue(
@@ -194,11 +278,28 @@ function applyWound(armyId, cardUnitId, specificModelId = null) {
       newHp,
       targetModel.maxHp,
     );
+    const woundedUnitData =
+      modelUnitId === cardUnitId ? baseUnitData : heroData;
+    const woundedUnitName =
+      woundedUnitData?.customName ||
+      woundedUnitData?.originalName ||
+      modelUnitId;
+    logGameEvent(
+      armyId,
+      "wound",
+      newHp > 0
+        ? `${woundedUnitName} took a wound (model at ${newHp}/${targetModel.maxHp} HP).`
+        : `${woundedUnitName} took a wound (model removed).`,
+      { unitId: modelUnitId, modelId: targetModel.modelId, currentHp: newHp },
+    );
 
     // --- Check for Unit Destruction ---
     // Re-fetch data to ensure we have the latest HP values after potential updates
-    const baseUnitDataForDestroyCheck = getUnitData(cardUnitId);
-    const heroDataForDestroyCheck = getJoinedHeroData(cardUnitId);
+    const baseUnitDataForDestroyCheck = getUnitDataForArmy(armyId, cardUnitId);
+    const heroDataForDestroyCheck = getJoinedHeroDataForArmy(
+      armyId,
+      cardUnitId,
+    );
     const allModels = [
       ...(baseUnitDataForDestroyCheck?.models || []),
       ...(heroDataForDestroyCheck?.models || []),
@@ -237,11 +338,21 @@ function applyWound(armyId, cardUnitId, specificModelId = null) {
         `${baseUnitDataForDestroyCheck?.customName || cardUnitId} Destroyed!`,
         "Unit Destroyed",
       );
-      _clearTargetHighlight(cardUnitId); // Clear highlight on destruction
-      console.log(
-        `Triggering 'Set Killed By' modal for destroyed unit ${cardUnitId}`,
+      logGameEvent(
+        armyId,
+        "destroyed",
+        `${baseUnitDataForDestroyCheck?.customName || cardUnitId} was destroyed.`,
+        { unitId: cardUnitId },
       );
-      createOpponentSelectionModal(cardUnitId, armyId, "setKilledBy");
+      _clearTargetHighlight(cardUnitId); // Clear highlight on destruction
+      if (attacker) {
+        _recordKill(attacker.armyId, attacker.unitId, armyId, cardUnitId);
+      } else {
+        console.log(
+          `Triggering 'Set Killed By' modal for destroyed unit ${cardUnitId}`,
+        );
+        createOpponentSelectionModal(cardUnitId, armyId, "setKilledBy");
+      }
     } else {
       // Highlight the next model to be wounded if the unit is not destroyed
       const nextAutoTarget = findTargetModelForWound(
@@ -252,6 +363,18 @@ function applyWound(armyId, cardUnitId, specificModelId = null) {
         cardUnitId,
         nextAutoTarget ? nextAutoTarget.modelId : null,
       );
+
+      // Dropping to half strength requires a wounds morale test once the attack ends
+      if (
+        !wasHalfStrength &&
+        checkHalfStrength(
+          armyId,
+          baseUnitDataForDestroyCheck,
+          heroDataForDestroyCheck,
+        )
+      ) {
+        pendingMoraleTests.add(`${armyId}|${cardUnitId}`);
+      }
     }
   } else {
     // No valid target model found (either none left or specific target invalid)
@@ -266,76 +389,44 @@ function applyWound(armyId, cardUnitId, specificModelId = null) {
     }
     _clearTargetHighlight(cardUnitId); // Clear highlight if no models left
   }
+  _scheduleMoraleTestFlush(); // Further wounds extend the current attack
 }
 
 /**
- * Handles the 'Start New Round' button click.
- * Increments round, updates UI, resets statuses, generates tokens.
- * @param {string} armyId - The ID of the current army.
+ * Resets one army's units for a new round: clears actions, fatigue and melee flags,
+ * and generates spell tokens for casters. Card and offcanvas UI is only updated
+ * when the army is the one currently displayed. An army already reset for the round
+ * (e.g., by another tab on this device) is left alone.
+ * @param {string} armyId - The ID of the army to reset.
+ * @param {number} newRound - The round that is starting.
+ * @returns {Array<object> | null} Spell token updates for the army's casters, or null on error.
+ * @private
  */
-function handleStartRoundClick(armyId) {
-  const currentRound = getCurrentRound();
-  const currentPhase = getCurrentPhase();
-
-  if (currentPhase === "deployment") {
-    const deploymentComplete = isDeploymentComplete(armyId);
-
-    if (!deploymentComplete) {
-      if (!localStorage.getItem(config.GAME_STATE_KEY)) {
-        setCurrentRound(0);
-      }
-      updateAllUnitsForPhase(armyId);
-      updateGameControlButtons();
-      return;
-    } else {
-      // If deployment is complete, proceed to first phase
-      console.log(
-        `Deployment complete for army ${armyId}. Proceeding to next phase.`,
-      );
-      setCurrentPhase("active");
-      if (currentRound === 0) {
-        setCurrentRound(1); // Start at round 1 after deployment
-        updateRoundUI(1);
-        updateAllUnitsForPhase(armyId);
-      } else {
-        updateRoundUI(currentRound);
-      }
-      updateGameControlButtons();
-      return;
-    }
-  } else if (currentPhase === "pregame") {
-    setCurrentPhase("deployment");
-    updateAllUnitsForPhase(armyId);
-    updateGameControlButtons();
-    return;
-  }
-
-  console.log(`--- Starting New Round for Army ${armyId} ---`);
-  const newRound = incrementCurrentRound();
-  console.log(`Round incremented to ${newRound}`);
-
-  // Update Round Display and Button using the helper function
-  updateRoundUI(newRound);
-
-  const currentArmyProcessedData = getLoadedArmyData();
-  if (!currentArmyProcessedData || !currentArmyProcessedData.units) {
+function _resetArmyForNewRound(armyId, newRound) {
+  const armyProcessedData = getAllLoadedArmyData()?.[armyId];
+  if (!armyProcessedData || !armyProcessedData.units) {
     showToast("Error: Army data not loaded.", "Error");
-    return;
+    return null;
   }
   let armyState = loadArmyState(armyId);
   if (!armyState) {
     console.error(`Could not load state for army ${armyId} to start round.`);
     showToast("Error loading army state.", "Error");
-    return;
+    return null;
   }
   if (!armyState.units) armyState.units = {};
+  if ((armyState.lastRoundReset || 0) >= newRound) {
+    console.log(`Army ${armyId} was already reset for round ${newRound}.`);
+    return [];
+  }
+  armyState.lastRoundReset = newRound;
 
-  let stateChanged = false;
+  const isDisplayed = armyId === getCurrentArmyId();
   const casterUpdates = [];
-  const heroTargets = getCurrentArmyHeroTargets();
+  const heroTargets = armyProcessedData.heroJoinTargets;
   const unitsToUpdateOffcanvas = new Set(); // Track units needing offcanvas update
 
-  currentArmyProcessedData.units.forEach((unit) => {
+  armyProcessedData.units.forEach((unit) => {
     const unitId = unit.selectionId;
 
     const unitState = armyState.units[unitId];
@@ -350,20 +441,17 @@ function handleStartRoundClick(armyId) {
     // Reset action
     if (unitState.action !== null) {
       unitState.action = null;
-      stateChanged = true;
       unitsToUpdateOffcanvas.add(cardId); // Mark for offcanvas update
     }
     // Reset fatigue
     if (unitState.fatigued !== false) {
       unitState.fatigued = false;
-      updateFatiguedStatusUI(cardId, false); // Update card indicator
-      stateChanged = true;
+      if (isDisplayed) updateFatiguedStatusUI(cardId, false); // Update card indicator
       unitsToUpdateOffcanvas.add(cardId); // Mark for offcanvas update
     }
     // Reset melee attack flag
     if (unitState.attackedInMeleeThisRound !== false) {
       unitState.attackedInMeleeThisRound = false;
-      stateChanged = true;
     }
 
     // Generate spell tokens for casters
@@ -382,35 +470,134 @@ function handleStartRoundClick(armyId) {
           added: actualTokensAdded,
           total: newTokens,
           unitId: unitId, // Use actual caster unit ID
+          cardUnitId: cardId,
           casterLevel: unit.casterLevel,
         });
-        stateChanged = true;
       }
     }
   });
 
-  if (stateChanged) {
-    saveArmyState(armyId, armyState);
-    console.log(
-      `State updated and saved for start of round ${newRound} for army ${armyId}.`,
+  saveArmyState(armyId, armyState); // Always changed: lastRoundReset
+  console.log(
+    `State updated and saved for start of round ${newRound} for army ${armyId}.`,
+  );
+
+  if (isDisplayed) {
+    // Update offcanvas for units whose state changed
+    unitsToUpdateOffcanvas.forEach((id) =>
+      updateOffcanvasUnitStatus(armyId, id),
+    );
+    casterUpdates.forEach((update) =>
+      updateTokenDisplay(update.cardUnitId, update.total, update.casterLevel),
+    );
+  }
+
+  logGameEvent(armyId, "roundStart", `Round ${newRound} started.`, {
+    tokensGenerated: casterUpdates.map((update) => ({
+      unitId: update.unitId,
+      added: update.added,
+      total: update.total,
+    })),
+  });
+  return casterUpdates;
+}
+
+/**
+ * Handles the 'Start New Round' button click.
+ * Increments round, updates UI, resets statuses, generates tokens.
+ * In table mode the shared round and phase apply to every army on the table.
+ * @param {string} armyId - The ID of the current army.
+ */
+function handleStartRoundClick(armyId) {
+  const currentRound = getCurrentRound();
+  const currentPhase = getCurrentPhase();
+  const gameArmyIds = getGameArmyIds();
+
+  if (currentPhase === "deployment") {
+    const undeployedArmyIds = gameArmyIds.filter(
+      (id) => !isDeploymentComplete(id),
+    );
+
+    if (undeployedArmyIds.length > 0) {
+      if (!localStorage.getItem(config.GAME_STATE_KEY)) {
+        setCurrentRound(0);
+      }
+      if (isTableMode()) {
+        showToast(
+          `Still deploying: ${undeployedArmyIds.map((id) => getArmyNameById(id)).join(", ")}.`,
+          "Deployment",
+        );
+      }
+      updateAllUnitsForPhase(armyId);
+      updateGameControlButtons();
+      return;
+    } else {
+      // If deployment is complete, proceed to first phase
+      console.log(
+        `Deployment complete for ${gameArmyIds.join(", ")}. Proceeding to next phase.`,
+      );
+      setCurrentPhase("active");
+      if (currentRound === 0) {
+        setCurrentRound(1); // Start at round 1 after deployment
+        gameArmyIds.forEach((id) =>
+          logGameEvent(id, "roundStart", "Round 1 started."),
+        );
+        updateRoundUI(1);
+        updateAllUnitsForPhase(armyId);
+      } else {
+        updateRoundUI(currentRound);
+      }
+      updateGameControlButtons();
+      return;
+    }
+  } else if (currentPhase === "pregame") {
+    gameArmyIds.forEach((id) => {
+      clearGameLog(id); // A new game starts with a fresh log
+      snapshotStartingStrength(id); // Baseline for half-strength checks
+    });
+    setCurrentPhase("deployment");
+    gameArmyIds.forEach((id) =>
+      logGameEvent(id, "phase", "Deployment started."),
     );
+    updateAllUnitsForPhase(armyId);
+    updateGameControlButtons();
+    return;
+  }
+
+  console.log(`--- Starting New Round for ${gameArmyIds.join(", ")} ---`);
+  const newRound = incrementCurrentRound();
+  console.log(`Round incremented to ${newRound}`);
+  clearRedoHistory(); // Redoing last round's changes would clobber the new round
+
+  // Update Round Display and Button using the helper function
+  updateRoundUI(newRound);
+
+  const casterUpdatesByArmy = [];
+  for (const id of gameArmyIds) {
+    const casterUpdates = _resetArmyForNewRound(id, newRound);
+    if (!casterUpdates) return;
+    casterUpdatesByArmy.push({ armyId: id, casterUpdates });
   }
 
   // Update UI after state is saved
   resetAllActionButtonsUI(); // Resets buttons on cards
 
-  // Update offcanvas for units whose state changed
-  unitsToUpdateOffcanvas.forEach((id) => updateOffcanvasUnitStatus(armyId, id));
-
   updateGameControlButtons(); // Update button text/visibility/listeners
 
   // Display toast message
   let toastMessage = `Round ${newRound} Started!\nAll Unit Actions & Fatigue reset.`;
-  if (casterUpdates.length > 0) {
+  const allCasterUpdates = casterUpdatesByArmy.flatMap(
+    ({ armyId: updateArmyId, casterUpdates }) =>
+      casterUpdates.map((update) => ({
+        ...update,
+        name: isTableMode()
+          ? `${update.name} (${getArmyNameById(updateArmyId)})`
+          : update.name,
+      })),
+  );
+  if (allCasterUpdates.length > 0) {
     toastMessage += "\nSpell Tokens Generated:";
-    casterUpdates.forEach((update) => {
-      const cardUnitId = heroTargets?.[update.unitId] || update.unitId; // Find the card ID
-      updateTokenDisplay(cardUnitId, update.total, update.casterLevel); // Update card display
+    allCasterUpdates.forEach((update) => {
       toastMessage += `\n- ${update.name}: +${update.added.toString().padStart(1, "\u00A0")}, now ${
         update.total
       }`;
@@ -419,6 +606,7 @@ function handleStartRoundClick(armyId) {
     toastMessage += "\nNo casters required token updates.";
   }
   showToast(toastMessage, `Round ${newRound}`);
+  _runDeferredMoraleTests(); // The last activation of the previous round has finished
 }
 
 // --- Specific Click Handlers ---
@@ -581,6 +769,7 @@ async function _handleResetUnitClick(targetElement, armyId, cardUnitId) {
   // Save state if changes were made
   if (stateChanged) {
     saveArmyState(armyId, armyState);
+    clearJournal(); // Reset bypasses the journal, so older entries no longer line up
     showToast(
       `Unit state reset for ${baseUnitData.customName || baseUnitData.originalName}.`,
       "Unit Reset",
@@ -646,6 +835,7 @@ async function _handleEndGameClick() {
   showResultsModal(xpResults, armyId);
 
   // Mark Game as Finished in State
+  getGameArmyIds().forEach((id) => logGameEvent(id, "gameEnd", "Game ended."));
   setCurrentPhase("postgame"); // Set phase to postgame
 
   // Update Control Buttons UI to reflect finished state
@@ -674,6 +864,57 @@ function _handleShowResultsClick() {
   showResultsModal(xpResults, armyId);
 }
 
+/**
+ * Handles click on the "Draft Battle Report" button shown after the game ends.
+ * Asks who won, then downloads a battle report JSON pre-filled from the recorded
+ * kills, casualties and stratagems, ready to be edited into data/battle-reports/.
+ */
+async function _handleDraftBattleReportClick() {
+  console.log("Draft Battle Report button clicked.");
+  const armyId = getCurrentArmyId();
+  if (!armyId) {
+    showToast("No active army found.", "Error");
+    return;
+  }
+
+  const participants = getDraftReportParticipants(armyId);
+  const winnerChoice = await showInteractiveToast(
+    "Who won the battle?",
+    "Draft Battle Report",
+    [
+      ...participants.map((participant) => ({
+        text: participant.armyName,
+        value: participant.armyId,
+        style: "success",
+      })),
+      { text: "Skip", value: "none", style: "secondary" },
+    ],
+  );
+  if (winnerChoice === null) {
+    console.log("Draft battle report cancelled.");
+    return;
+  }
+
+  // The current mission supplies the report's number and title
+  const missionsData = await loadMissionsData();
+  const currentMission =
+    missionsData?.missions?.find((mission) => mission.status === "current") ||
+    null;
+
+  const report = buildDraftBattleReport(armyId, {
+    mission: currentMission,
+    winnerArmyIds: winnerChoice !== "none" ? [winnerChoice] : [],
+  });
+  const filename = currentMission
+    ? `mission${currentMission.number}.json`
+    : `battle-report-draft-${new Date().toISOString().slice(0, 10)}.json`;
+  downloadJSON(report, filename);
+  showToast(
+    `Downloaded ${filename} with ${report.rounds.length} round${report.rounds.length !== 1 ? "s" : ""} and ${report.keyMoments.length} key moment${report.keyMoments.length !== 1 ? "s" : ""}. Edit the titles and story, then add it to data/battle-reports/.`,
+    "Draft Battle Report",
+  );
+}
+
 /**
  * Handles changes to the Casualty Outcome dropdown inside the results modal.
  * @param {Event} event - The change event object.
@@ -834,6 +1075,13 @@ function _handleCastSpellClick(buttonElement) {
       });
     }
 
+    logGameEvent(
+      armyId,
+      "spell",
+      `${casterUnitData?.customName || casterUnitData?.originalName || casterId} cast ${spellName} (${spellCost} token${spellCost !== 1 ? "s" : ""}).`,
+      { unitId: casterId, spellName, spellCost },
+    );
+
     // Show confirmation toast
     showToast(
       `Casting ${spellName}! Player rolls 4+ to succeed.\nCasters within 18" may spend a Spell Token to modify the roll.`,
@@ -846,6 +1094,7 @@ function _handleCastSpellClick(buttonElement) {
 
 /**
  * Handles clicking an action button (Hold, Advance, Rush, Charge, Recover).
+ * Runs any deferred wounds morale tests first, since a new activation is starting.
  * Updates the unit's action state, fatigue status (for Charge), and UI.
  * Triggers melee resolution flow immediately after a Charge action.
  * @param {HTMLElement} targetElement - The clicked action button element.
@@ -856,6 +1105,7 @@ function _handleCastSpellClick(buttonElement) {
 async function _handleActionButtonClick(targetElement, armyId, cardUnitId) {
   const actionType = targetElement.dataset.action;
   if (!actionType) return;
+  await _runDeferredMoraleTests(); // A new activation means the attacking one has finished
 
   const isShaken = getUnitStateValue(armyId, cardUnitId, "shaken", false);
   const currentAction = getUnitStateValue(armyId, cardUnitId, "action", null);
@@ -874,6 +1124,12 @@ async function _handleActionButtonClick(targetElement, armyId, cardUnitId) {
         `${unitData?.customName || cardUnitId} recovered from Shaken.`,
         "Recovery",
       );
+      logGameEvent(
+        armyId,
+        "recovered",
+        `${unitData?.customName || cardUnitId} recovered from Shaken.`,
+        { unitId: cardUnitId },
+      );
     } else {
       // Prevent other actions if shaken
       showToast("Shaken unit must Recover.", "Action Blocked");
@@ -939,20 +1195,18 @@ async function _handleActionButtonClick(targetElement, armyId, cardUnitId) {
       if (outcome === "Lose") {
         console.log(`Charging unit ${cardUnitId} lost melee. Checking morale.`);
         // 2. Ask for Morale Result
-        const moraleResult = await showInteractiveToast(
+        const moraleResult = await _promptMoraleTest(
+          armyId,
+          cardUnitId,
           `MELEE MORALE TEST (Quality ${effectiveQuality}+): Did ${
             unitData.customName || cardUnitId
           } PASS or FAIL?`,
           "Melee: Charger Morale",
-          [
-            { text: "Pass", value: "Pass", style: "success" },
-            { text: "Fail", value: "Fail", style: "danger" },
-          ],
         );
 
         if (moraleResult === "Fail") {
           // 3. Check half strength for Routing
-          const isHalf = checkHalfStrength(unitData); // Check base unit strength
+          const isHalf = checkHalfStrength(armyId, unitData, heroData); // Unit + joined hero
 
           if (isHalf) {
             console.log(
@@ -973,6 +1227,12 @@ async function _handleActionButtonClick(targetElement, armyId, cardUnitId) {
               `${unitData.customName || cardUnitId} Routed!`,
               "Melee Outcome",
             );
+            logGameEvent(
+              armyId,
+              "routed",
+              `${unitData.customName || cardUnitId} failed melee morale and Routed.`,
+              { unitId: cardUnitId },
+            );
           } else {
             console.log(`Unit ${cardUnitId} fails morale -> SHAKEN!`);
             updateUnitStateValue(armyId, cardUnitId, "shaken", true);
@@ -982,10 +1242,22 @@ async function _handleActionButtonClick(targetElement, armyId, cardUnitId) {
               `${unitData.customName || cardUnitId} became Shaken!`,
               "Melee Outcome",
             );
+            logGameEvent(
+              armyId,
+              "shaken",
+              `${unitData.customName || cardUnitId} failed melee morale and became Shaken.`,
+              { unitId: cardUnitId },
+            );
           }
         } else if (moraleResult === "Pass") {
           console.log(`Unit ${cardUnitId} passed melee morale test.`);
           showToast("Melee Lost, Morale Passed.", "Melee Outcome");
+          logGameEvent(
+            armyId,
+            "morale",
+            `${unitData.customName || cardUnitId} lost the melee but passed morale.`,
+            { unitId: cardUnitId },
+          );
         } else {
           console.log("Charger melee morale prompt cancelled or invalid.");
         }
@@ -1005,84 +1277,545 @@ async function _handleActionButtonClick(targetElement, armyId, cardUnitId) {
   }
 }
 
+// --- Dice Roller ---
+
 /**
- * Handles clicking the "Resolve Melee" button.
- * Prompts the user for the outcome and updates unit state (fatigue, shaken, routed).
- * @param {HTMLElement} targetElement - The clicked button element.
+ * Looks up a stratagem's CP cost from the loaded doctrines.
+ * @param {string} stratagemName - The stratagem name (e.g., 'High Command').
+ * @returns {number | null} The cost, or null if the stratagem isn't defined.
+ * @private
+ */
+function _getStratagemCost(stratagemName) {
+  for (const doctrine of getDoctrinesData()?.doctrines || []) {
+    const stratagem = doctrine.stratagems?.find(
+      (s) => s.name === stratagemName,
+    );
+    if (stratagem) return stratagem.cost;
+  }
+  return null;
+}
+
+/**
+ * Asks for the result of a morale test, offering to roll it in the app instead.
  * @param {string} armyId - The ID of the current army.
- * @param {string} cardUnitId - The selectionId of the unit card displayed.
+ * @param {string} cardUnitId - The selectionId of the unit card taking the test.
+ * @param {string} message - The prompt shown to the player.
+ * @param {string} title - The toast title.
+ * @param {Array<{text: string, value: string, style: string}>} [extraButtons=[]] - Additional choices (e.g., Defer).
+ * @returns {Promise<string | null>} "Pass", "Fail", the value of an extra button, or null if cancelled.
  * @private
  */
-async function _handleResolveMeleeClick(targetElement, armyId, cardUnitId) {
-  console.log(`Resolving melee outcome for ${cardUnitId}`);
-  const unitData = getUnitData(cardUnitId); // Base unit data
-  if (!unitData) return;
-  const heroData = getJoinedHeroData(cardUnitId); // Get hero data if present
-  const effectiveQuality = heroData ? heroData.quality : unitData.quality; // Use hero quality if joined
+async function _promptMoraleTest(
+  armyId,
+  cardUnitId,
+  message,
+  title,
+  extraButtons = [],
+) {
+  const choice = await showInteractiveToast(message, title, [
+    { text: "Roll", value: "Roll", style: "info" },
+    { text: "Pass", value: "Pass", style: "success" },
+    { text: "Fail", value: "Fail", style: "danger" },
+    ...extraButtons,
+  ]);
+  if (choice !== "Roll") return choice;
+  return _rollMoraleTest(armyId, cardUnitId, title);
+}
 
-  // 1. Ask if THIS unit Struck Back (for fatigue)
-  const didStrikeBack = await showInteractiveToast(
-    `Did ${unitData.customName || cardUnitId} Strike Back in this melee?`,
-    "Melee: Strike Back?",
-    [
-      { text: "Yes", value: "Yes", style: "primary" },
-      { text: "No", value: "No", style: "secondary" },
-    ],
-  );
+/**
+ * Rolls a morale test for a unit card against its effective quality (joined hero's
+ * quality if present), applying trait/skill modifiers. On a failure the player may
+ * spend an Underdog Point and/or High Command for +1 each, then Fearless is rolled.
+ * @param {string} armyId - The ID of the current army.
+ * @param {string} cardUnitId - The selectionId of the unit card taking the test.
+ * @param {string} title - The toast title.
+ * @returns {Promise<string | null>} "Pass", "Fail", or null if cancelled.
+ * @private
+ */
+async function _rollMoraleTest(armyId, cardUnitId, title) {
+  const unitData = getUnitData(cardUnitId);
+  if (!unitData) return null;
+  const heroData = getJoinedHeroData(cardUnitId);
+  const effectiveQuality = heroData ? heroData.quality : unitData.quality;
+  const baseModifier = getTestModifier(unitData, heroData, "morale");
+
+  const roll = rollDie();
+  const adjustments = []; // Labels of points spent on this roll
+  let result = resolveQualityTest(roll, effectiveQuality, baseModifier);
+  console.log(`Morale roll for ${cardUnitId}: ${describeQualityTest(result)}`);
+
+  // Offer +1 adjustments while the roll is failing (an unmodified 1 can't be saved)
+  let usedUnderdog = false;
+  let usedHighCommand = false;
+  const highCommandCost = _getStratagemCost("High Command");
+  while (!result.passed && roll !== 1) {
+    const buttons = [{ text: "Accept", value: "accept", style: "danger" }];
+    if (!usedUnderdog && getUnderdogPoints(armyId) > 0) {
+      buttons.push({ text: "+1 (1 UP)", value: "underdog", style: "warning" });
+    }
+    if (
+      !usedHighCommand &&
+      highCommandCost !== null &&
+      getCommandPoints(armyId) >= highCommandCost
+    ) {
+      buttons.push({
+        text: `+1 (High Command, ${highCommandCost} CP)`,
+        value: "highCommand",
+        style: "primary",
+      });
+    }
+    if (buttons.length === 1) break; // Nothing left to spend
 
-  if (didStrikeBack === "Yes") {
-    // Apply fatigue if first melee attack this round
-    const isFirstMelee = !getUnitStateValue(
-      armyId,
-      cardUnitId,
-      "attackedInMeleeThisRound",
-      false,
+    const choice = await showInteractiveToast(
+      `Rolled ${describeQualityTest(result)}
+Spend points to modify the roll?`,
+      title,
+      buttons,
     );
-    if (isFirstMelee) {
-      updateUnitStateValue(armyId, cardUnitId, "fatigued", true);
-      updateUnitStateValue(
+    if (choice === null) return null;
+    if (choice === "underdog") {
+      const newUP = getUnderdogPoints(armyId) - 1;
+      setUnderdogPoints(armyId, newUP);
+      updateUnderdogPointsDisplay(armyId, newUP, getMaxUnderdogPoints(armyId));
+      usedUnderdog = true;
+      adjustments.push("Underdog Point");
+    } else if (choice === "highCommand") {
+      const newCP = getCommandPoints(armyId) - highCommandCost;
+      setCommandPoints(armyId, newCP);
+      updateCommandPointsDisplay(armyId, newCP, getMaxCommandPoints(armyId));
+      logGameEvent(
         armyId,
-        cardUnitId,
-        "attackedInMeleeThisRound",
-        true,
+        "stratagem",
+        `Stratagem High Command activated (${highCommandCost} CP).`,
+        { stratagemName: "High Command", stratagemCost: highCommandCost },
       );
-      updateFatiguedStatusUI(cardUnitId, true); // Update card indicator
-      updateOffcanvasUnitStatus(armyId, cardUnitId);
-      console.log(`Unit ${cardUnitId} is now Fatigued from striking back.`);
+      usedHighCommand = true;
+      adjustments.push("High Command");
+    } else {
+      break;
     }
-  } else if (didStrikeBack === null) {
-    console.log("Strike back prompt cancelled.");
-    return; // Cancelled
+    result = resolveQualityTest(
+      roll,
+      effectiveQuality,
+      baseModifier + adjustments.length,
+    );
   }
 
-  // 2. Ask for Melee Outcome for THIS unit
-  const outcome = await showInteractiveToast(
-    `Did ${unitData.customName || unitData.originalName} WIN, LOSE, or TIE the melee?`,
-    "Melee: Outcome?",
-    [
-      { text: "Win", value: "Win", style: "success" },
-      { text: "Lose", value: "Lose", style: "danger" },
-      { text: "Tie", value: "Tie", style: "warning" },
-    ],
-  );
+  const lines = [`Rolled ${describeQualityTest(result)}`];
+  if (adjustments.length > 0) lines.push(`Spent: ${adjustments.join(", ")}`);
 
-  if (outcome === "Lose") {
-    console.log(`Unit ${cardUnitId} lost melee. Checking morale.`);
-    // 3. Ask for Morale Result
-    const moraleResult = await showInteractiveToast(
-      `MELEE MORALE TEST (Quality ${effectiveQuality}+): Did the unit PASS or FAIL?`,
-      "Melee: Morale Test",
-      [
-        { text: "Pass", value: "Pass", style: "success" },
-        { text: "Fail", value: "Fail", style: "danger" },
-      ],
+  // Fearless: a failed morale test is passed on a 4+
+  let passed = result.passed;
+  if (!passed && unitHasRule(unitData, heroData, "Fearless")) {
+    const fearlessRoll = rollDie();
+    passed = fearlessRoll >= 4;
+    lines.push(
+      `Fearless: ${formatDie(fearlessRoll)} → ${passed ? "PASS" : "FAIL"}`,
     );
+  }
 
-    if (moraleResult === "Fail") {
-      // 4. Check half strength for Routing
-      const isHalf = checkHalfStrength(unitData); // Check base unit strength
+  showToast(lines.join("\n"), title);
+  return passed ? "Pass" : "Fail";
+}
 
-      if (isHalf) {
+// --- Automatic Wounds Morale ---
+
+const pendingMoraleTests = new Set(); // "armyId|cardUnitId" of units that dropped to half strength this attack
+const deferredMoraleTests = new Set(); // Tests postponed until the attacking activation finishes
+let moraleFlushTimer = null;
+
+/**
+ * (Re)starts the timer that ends the current attack and prompts its morale tests.
+ * Manual wounds arrive one click at a time, so the attack is over once no wound
+ * has been applied for config.MORALE_TRIGGER_DELAY_MS.
+ * @private
+ */
+function _scheduleMoraleTestFlush() {
+  if (pendingMoraleTests.size === 0) return;
+  clearTimeout(moraleFlushTimer);
+  moraleFlushTimer = setTimeout(
+    _flushPendingMoraleTests,
+    config.MORALE_TRIGGER_DELAY_MS,
+  );
+}
+
+/**
+ * Checks that a queued wounds morale test still applies (an undo or a later
+ * wound may have restored or destroyed the unit in the meantime).
+ * @param {string} armyId - The ID of the army the unit belongs to.
+ * @param {string} cardUnitId - The selectionId of the unit card.
+ * @returns {boolean} True if the unit is active and at half strength or less.
+ * @private
+ */
+function _needsWoundsMoraleTest(armyId, cardUnitId) {
+  if (getUnitStateValue(armyId, cardUnitId, "status", "active") !== "active") {
+    return false;
+  }
+  const unitData = getUnitDataForArmy(armyId, cardUnitId);
+  const heroData = getJoinedHeroDataForArmy(armyId, cardUnitId);
+  syncUnitModelHpFromState(armyId, unitData);
+  syncUnitModelHpFromState(armyId, heroData);
+  return checkHalfStrength(armyId, unitData, heroData);
+}
+
+/**
+ * Ends the current attack: prompts the wounds morale test for each unit that
+ * dropped to half strength, offering to defer it until the activation finishes.
+ * Opponent units (wounded through the attack resolver) are only flagged, since
+ * their owner takes the test on their own tracker.
+ * @private
+ */
+async function _flushPendingMoraleTests() {
+  clearTimeout(moraleFlushTimer);
+  moraleFlushTimer = null;
+  const queued = Array.from(pendingMoraleTests);
+  pendingMoraleTests.clear();
+
+  for (const key of queued) {
+    const [armyId, cardUnitId] = key.split("|");
+    if (!_needsWoundsMoraleTest(armyId, cardUnitId)) continue;
+
+    if (armyId !== getCurrentArmyId()) {
+      const unitData = getUnitDataForArmy(armyId, cardUnitId);
+      showToast(
+        `${unitData?.customName || cardUnitId} (${getArmyNameById(armyId)}) is at half strength and must take a wounds morale test.`,
+        "Wounds: Morale Test",
+      );
+      continue;
+    }
+
+    const moraleResult = await _runWoundsMoraleTest(armyId, cardUnitId, true);
+    if (moraleResult === "Defer") {
+      deferredMoraleTests.add(key);
+      showToast(
+        "Morale test deferred until the attacking activation finishes.",
+        "Wounds: Morale Test",
+      );
+    }
+  }
+}
+
+/**
+ * Prompts the wounds morale tests that were deferred until the attacking
+ * activation finished. Called when the next activation or round starts.
+ * @private
+ */
+async function _runDeferredMoraleTests() {
+  if (deferredMoraleTests.size === 0) return;
+  const deferred = Array.from(deferredMoraleTests);
+  deferredMoraleTests.clear();
+
+  for (const key of deferred) {
+    const [armyId, cardUnitId] = key.split("|");
+    if (armyId !== getCurrentArmyId()) continue;
+    if (!_needsWoundsMoraleTest(armyId, cardUnitId)) continue;
+    await _runWoundsMoraleTest(armyId, cardUnitId);
+  }
+}
+
+/**
+ * Prompts for a unit's wounds morale test and applies the result (Shaken on a failure).
+ * @param {string} armyId - The ID of the current army.
+ * @param {string} cardUnitId - The selectionId of the unit card taking the test.
+ * @param {boolean} [allowDefer=false] - Offer to defer the test until the activation finishes.
+ * @returns {Promise<string | null>} "Pass", "Fail", "Defer", or null if cancelled.
+ * @private
+ */
+async function _runWoundsMoraleTest(armyId, cardUnitId, allowDefer = false) {
+  const unitData = getUnitData(cardUnitId); // Base unit data
+  if (!unitData) return null;
+  const heroData = getJoinedHeroData(cardUnitId); // Get hero data if present
+  const effectiveQuality = heroData ? heroData.quality : unitData.quality; // Use hero quality if joined
+
+  const moraleResult = await _promptMoraleTest(
+    armyId,
+    cardUnitId,
+    `WOUNDS MORALE TEST (Quality ${effectiveQuality}+): Did ${
+      unitData.customName || cardUnitId
+    } PASS or FAIL?`,
+    "Wounds: Morale Test",
+    allowDefer
+      ? [{ text: "After Activation", value: "Defer", style: "secondary" }]
+      : [],
+  );
+
+  if (moraleResult === "Fail") {
+    console.log(`Unit ${cardUnitId} fails morale from wounds -> SHAKEN!`);
+    updateUnitStateValue(armyId, cardUnitId, "shaken", true);
+    updateShakenStatusUI(cardUnitId, true); // Update card UI
+    updateOffcanvasUnitStatus(armyId, cardUnitId);
+    showToast(
+      `${unitData.customName || cardUnitId} became Shaken!`,
+      "Morale Check",
+    );
+    logGameEvent(
+      armyId,
+      "shaken",
+      `${unitData.customName || cardUnitId} failed a wounds morale test and became Shaken.`,
+      { unitId: cardUnitId },
+    );
+  } else if (moraleResult === "Pass") {
+    console.log(`Unit ${cardUnitId} passed wounds morale test.`);
+    showToast("Morale test passed.", "Morale Check");
+    logGameEvent(
+      armyId,
+      "morale",
+      `${unitData.customName || cardUnitId} passed a wounds morale test.`,
+      { unitId: cardUnitId },
+    );
+  } else if (moraleResult !== "Defer") {
+    console.log("Wounds morale prompt cancelled or invalid.");
+  }
+  return moraleResult;
+}
+
+// --- Attack Resolver ---
+
+let pendingAttack = null; // Rolled attack awaiting "Apply Wounds"
+
+/**
+ * Handles the "Roll Attack" button in the attack resolver modal.
+ * Rolls each selected weapon against the chosen target and shows the dice.
+ * @param {HTMLElement} modalElement - The attack resolver modal.
+ * @private
+ */
+function _handleRollAttackClick(modalElement) {
+  const attackerArmyId = modalElement.querySelector(
+    "#attack-attacker-army-id",
+  )?.value;
+  const attackerUnitId = modalElement.querySelector(
+    "#attack-attacker-unit-id",
+  )?.value;
+  const targetArmyId = modalElement.querySelector(
+    "#modal-opponent-army-select",
+  )?.value;
+  const selectedTargetId = modalElement.querySelector(
+    "#modal-opponent-unit-select",
+  )?.value;
+  const selectedWeapons = Array.from(
+    modalElement.querySelectorAll(".attack-weapon-checkbox:checked"),
+  ).map((checkbox) => checkbox.value);
+
+  if (!targetArmyId || !selectedTargetId || selectedWeapons.length === 0) {
+    showToast(
+      "Select at least one weapon and a target unit.",
+      "Selection Incomplete",
+    );
+    return;
+  }
+
+  // Heroes are wounded through the card of the unit they joined
+  const targetCardUnitId = getCardUnitIdForArmy(targetArmyId, selectedTargetId);
+  const targetUnit = getUnitDataForArmy(targetArmyId, targetCardUnitId);
+  const targetHero = getJoinedHeroDataForArmy(targetArmyId, targetCardUnitId);
+  if (!targetUnit) {
+    showToast("Error: Could not find target unit data.", "Data Error");
+    return;
+  }
+  const targetStatus = getUnitStateValue(
+    targetArmyId,
+    targetCardUnitId,
+    "status",
+    "active",
+  );
+  if (targetStatus !== "active") {
+    showToast(`Target unit is already ${targetStatus}.`, "Invalid Target");
+    return;
+  }
+  syncUnitModelHpFromState(targetArmyId, targetUnit);
+  syncUnitModelHpFromState(targetArmyId, targetHero);
+  const targetModels = [
+    ...targetUnit.models,
+    ...(targetHero?.models || []),
+  ].filter((m) => m.currentHp > 0).length;
+
+  const weaponResults = selectedWeapons
+    .map((value) => {
+      const [sourceUnitId, index] = value.split("|");
+      const sourceUnit = getUnitDataForArmy(attackerArmyId, sourceUnitId);
+      const weapon = sourceUnit?.loadout?.[parseInt(index, 10)];
+      if (!weapon) return null;
+      syncUnitModelHpFromState(attackerArmyId, sourceUnit);
+      const profile = getWeaponProfile(weapon, sourceUnit);
+      // The player may have changed the dice count in the modal
+      const diceInput = /** @type {HTMLInputElement | null} */ (
+        modalElement.querySelector(
+          `.attack-weapon-dice[data-weapon="${CSS.escape(value)}"]`,
+        )
+      );
+      const enteredDice = parseInt(diceInput?.value ?? "", 10);
+      if (!isNaN(enteredDice) && enteredDice >= 0) profile.dice = enteredDice;
+      return resolveWeaponAttack(profile, {
+        quality: sourceUnit.quality,
+        hitModifier: calculateCombatBonus(
+          sourceUnit,
+          profile.range > 0 ? "shootingHit" : "meleeHit",
+        ),
+        defense: targetUnit.defense,
+        defenseModifier: calculateCombatBonus(targetUnit, "defense"),
+        targetModels,
+      });
+    })
+    .filter(Boolean);
+
+  const totalWounds = countWoundsToApply(weaponResults, targetUnit, targetHero);
+  pendingAttack = {
+    attackerArmyId,
+    attackerUnitId,
+    targetArmyId,
+    targetCardUnitId,
+    weaponResults,
+    totalWounds,
+  };
+  displayAttackResults(weaponResults, totalWounds);
+  console.log("Attack rolled:", pendingAttack);
+}
+
+/**
+ * Handles the "Apply Wounds" button in the attack resolver modal.
+ * Applies the rolled wounds through applyWound, so models are removed in the
+ * usual auto-target order. Deadly(X) wounds go to one model and don't carry over.
+ * @param {HTMLElement} modalElement - The attack resolver modal.
+ * @private
+ */
+function _handleApplyAttackWoundsClick(modalElement) {
+  if (!pendingAttack) return;
+  const {
+    attackerArmyId,
+    attackerUnitId,
+    targetArmyId,
+    targetCardUnitId,
+    weaponResults,
+  } = pendingAttack;
+  pendingAttack = null;
+
+  const attacker = { armyId: attackerArmyId, unitId: attackerUnitId };
+  const isTargetActive = () =>
+    getUnitStateValue(targetArmyId, targetCardUnitId, "status", "active") ===
+    "active";
+
+  let woundsApplied = 0;
+  weaponResults.forEach((result) => {
+    for (let i = 0; i < result.unsaved && isTargetActive(); i++) {
+      if (result.deadly > 1) {
+        const targetUnit = getUnitDataForArmy(targetArmyId, targetCardUnitId);
+        const targetHero = getJoinedHeroDataForArmy(
+          targetArmyId,
+          targetCardUnitId,
+        );
+        syncUnitModelHpFromState(targetArmyId, targetUnit);
+        syncUnitModelHpFromState(targetArmyId, targetHero);
+        const model = findTargetModelForWound(targetUnit, targetHero);
+        if (!model) break;
+        const deadlyWounds = Math.min(result.deadly, model.currentHp);
+        for (let w = 0; w < deadlyWounds; w++) {
+          applyWound(targetArmyId, targetCardUnitId, model.modelId, attacker);
+          woundsApplied++;
+        }
+      } else {
+        applyWound(targetArmyId, targetCardUnitId, null, attacker);
+        woundsApplied++;
+      }
+    }
+  });
+
+  const attackerData = getUnitDataForArmy(attackerArmyId, attackerUnitId);
+  const targetData = getUnitDataForArmy(targetArmyId, targetCardUnitId);
+  const attackerName =
+    attackerData?.customName || attackerData?.originalName || attackerUnitId;
+  const targetName =
+    targetData?.customName || targetData?.originalName || targetCardUnitId;
+  const message = `${attackerName} dealt ${woundsApplied} wound${woundsApplied !== 1 ? "s" : ""} to ${targetName} (${getArmyNameById(targetArmyId)})${isTargetActive() ? "" : ", destroying it"}.`;
+  logGameEvent(attackerArmyId, "attack", message, {
+    unitId: attackerUnitId,
+    targetArmyId,
+    targetUnitId: targetCardUnitId,
+    wounds: woundsApplied,
+    weapons: weaponResults.map((result) => result.name),
+  });
+  showToast(message, "Attack Resolved");
+
+  const modalInstance = bootstrap.Modal.getInstance(modalElement);
+  if (modalInstance) modalInstance.hide();
+  _flushPendingMoraleTests(); // The attack is over
+}
+
+/**
+ * Handles clicking the "Resolve Melee" button.
+ * Prompts the user for the outcome and updates unit state (fatigue, shaken, routed).
+ * @param {HTMLElement} targetElement - The clicked button element.
+ * @param {string} armyId - The ID of the current army.
+ * @param {string} cardUnitId - The selectionId of the unit card displayed.
+ * @private
+ */
+async function _handleResolveMeleeClick(targetElement, armyId, cardUnitId) {
+  console.log(`Resolving melee outcome for ${cardUnitId}`);
+  const unitData = getUnitData(cardUnitId); // Base unit data
+  if (!unitData) return;
+  const heroData = getJoinedHeroData(cardUnitId); // Get hero data if present
+  const effectiveQuality = heroData ? heroData.quality : unitData.quality; // Use hero quality if joined
+
+  // 1. Ask if THIS unit Struck Back (for fatigue)
+  const didStrikeBack = await showInteractiveToast(
+    `Did ${unitData.customName || cardUnitId} Strike Back in this melee?`,
+    "Melee: Strike Back?",
+    [
+      { text: "Yes", value: "Yes", style: "primary" },
+      { text: "No", value: "No", style: "secondary" },
+    ],
+  );
+
+  if (didStrikeBack === "Yes") {
+    // Apply fatigue if first melee attack this round
+    const isFirstMelee = !getUnitStateValue(
+      armyId,
+      cardUnitId,
+      "attackedInMeleeThisRound",
+      false,
+    );
+    if (isFirstMelee) {
+      updateUnitStateValue(armyId, cardUnitId, "fatigued", true);
+      updateUnitStateValue(
+        armyId,
+        cardUnitId,
+        "attackedInMeleeThisRound",
+        true,
+      );
+      updateFatiguedStatusUI(cardUnitId, true); // Update card indicator
+      updateOffcanvasUnitStatus(armyId, cardUnitId);
+      console.log(`Unit ${cardUnitId} is now Fatigued from striking back.`);
+    }
+  } else if (didStrikeBack === null) {
+    console.log("Strike back prompt cancelled.");
+    return; // Cancelled
+  }
+
+  // 2. Ask for Melee Outcome for THIS unit
+  const outcome = await showInteractiveToast(
+    `Did ${unitData.customName || unitData.originalName} WIN, LOSE, or TIE the melee?`,
+    "Melee: Outcome?",
+    [
+      { text: "Win", value: "Win", style: "success" },
+      { text: "Lose", value: "Lose", style: "danger" },
+      { text: "Tie", value: "Tie", style: "warning" },
+    ],
+  );
+
+  if (outcome === "Lose") {
+    console.log(`Unit ${cardUnitId} lost melee. Checking morale.`);
+    // 3. Ask for Morale Result
+    const moraleResult = await _promptMoraleTest(
+      armyId,
+      cardUnitId,
+      `MELEE MORALE TEST (Quality ${effectiveQuality}+): Did the unit PASS or FAIL?`,
+      "Melee: Morale Test",
+    );
+
+    if (moraleResult === "Fail") {
+      // 4. Check half strength for Routing
+      const isHalf = checkHalfStrength(armyId, unitData, heroData); // Unit + joined hero
+
+      if (isHalf) {
         console.log(
           `Unit ${cardUnitId} fails morale at half strength -> ROUTED!`,
         );
@@ -1100,6 +1833,12 @@ async function _handleResolveMeleeClick(targetElement, armyId, cardUnitId) {
           `${unitData.customName || cardUnitId} Routed!`,
           "Melee Outcome",
         );
+        logGameEvent(
+          armyId,
+          "routed",
+          `${unitData.customName || cardUnitId} failed melee morale and Routed.`,
+          { unitId: cardUnitId },
+        );
 
         console.log(
           `Triggering 'Set Killed By' modal for routed unit ${cardUnitId}`,
@@ -1114,10 +1853,22 @@ async function _handleResolveMeleeClick(targetElement, armyId, cardUnitId) {
           `${unitData.customName || cardUnitId} became Shaken!`,
           "Melee Outcome",
         );
+        logGameEvent(
+          armyId,
+          "shaken",
+          `${unitData.customName || cardUnitId} failed melee morale and became Shaken.`,
+          { unitId: cardUnitId },
+        );
       }
     } else if (moraleResult === "Pass") {
       console.log(`Unit ${cardUnitId} passed melee morale test.`);
       showToast("Melee Lost, Morale Passed.", "Melee Outcome");
+      logGameEvent(
+        armyId,
+        "morale",
+        `${unitData.customName || cardUnitId} lost the melee but passed morale.`,
+        { unitId: cardUnitId },
+      );
     } else {
       console.log("Melee morale prompt cancelled or invalid.");
     }
@@ -1146,10 +1897,9 @@ async function _handleMoraleWoundsClick(targetElement, armyId, cardUnitId) {
   const unitData = getUnitData(cardUnitId); // Base unit data
   if (!unitData) return;
   const heroData = getJoinedHeroData(cardUnitId); // Get hero data if present
-  const effectiveQuality = heroData ? heroData.quality : unitData.quality; // Use hero quality if joined
 
   // Check if unit is at half strength or less
-  const isHalf = checkHalfStrength(unitData);
+  const isHalf = checkHalfStrength(armyId, unitData, heroData);
   if (!isHalf) {
     showToast(
       `Unit is not at half strength or less. Morale check not required for wounds.`,
@@ -1158,31 +1908,10 @@ async function _handleMoraleWoundsClick(targetElement, armyId, cardUnitId) {
     return;
   }
 
-  // Prompt for morale test result
-  const moraleResult = await showInteractiveToast(
-    `WOUNDS MORALE TEST (Quality ${effectiveQuality}+): Did the unit PASS or FAIL?`,
-    "Wounds: Morale Test",
-    [
-      { text: "Pass", value: "Pass", style: "success" },
-      { text: "Fail", value: "Fail", style: "danger" },
-    ],
-  );
-
-  if (moraleResult === "Fail") {
-    console.log(`Unit ${cardUnitId} fails morale from wounds -> SHAKEN!`);
-    updateUnitStateValue(armyId, cardUnitId, "shaken", true);
-    updateShakenStatusUI(cardUnitId, true); // Update card UI
-    updateOffcanvasUnitStatus(armyId, cardUnitId);
-    showToast(
-      `${unitData.customName || cardUnitId} became Shaken!`,
-      "Morale Check",
-    );
-  } else if (moraleResult === "Pass") {
-    console.log(`Unit ${cardUnitId} passed wounds morale test.`);
-    showToast("Morale test passed.", "Morale Check");
-  } else {
-    console.log("Wounds morale prompt cancelled or invalid.");
-  }
+  // The manual check replaces any automatic test still waiting for this unit
+  pendingMoraleTests.delete(`${armyId}|${cardUnitId}`);
+  deferredMoraleTests.delete(`${armyId}|${cardUnitId}`);
+  await _runWoundsMoraleTest(armyId, cardUnitId);
 }
 
 /**
@@ -1218,8 +1947,9 @@ async function _handleResetArmyDataClick() {
   if (confirmed === "reset") {
     console.log(`Completely resetting ALL data for army ${armyId}...`);
 
-    // 1. Clear localStorage state for this army
+    // 1. Clear localStorage state and game log for this army
     resetArmyState(armyId);
+    clearGameLog(armyId);
 
     // 2. Clear in-memory processed army data
     const allLoadedData = getAllLoadedArmyData();
@@ -1248,7 +1978,12 @@ async function _handleResetArmyDataClick() {
     sessionStorage.removeItem(config.CAMPAIGN_POINTS_CACHE_KEY);
     console.log("Cleared campaign points cache.");
 
-    // 6. Show feedback and reload
+    // 6. Clear the army's cached list data so it is fetched fresh
+    await cacheRemove(`${config.ARMY_LIST_DATA_PREFIX}${armyId}`);
+    await cacheRemove(`${config.ARMY_LIST_TIMESTAMP_PREFIX}${armyId}`);
+    await unpinArmyList(armyId);
+
+    // 7. Show feedback and reload
     showToast(
       `Completely reset all data for ${armyName}... Page will reload.`,
       "Full Army Reset",
@@ -1265,7 +2000,7 @@ async function _handleResetArmyDataClick() {
 
 /**
  * Handles click on the "Reset ALL Data" button.
- * Confirms with the user, clears ALL localStorage and sessionStorage, and reloads the page.
+ * Confirms with the user, clears ALL localStorage, sessionStorage and cached data, and reloads the page.
  * @private
  */
 async function _handleResetAllDataClick() {
@@ -1307,7 +2042,10 @@ async function _handleResetAllDataClick() {
       showToast("Error clearing session storage.", "Error");
     }
 
-    // 3. Show feedback and reload
+    // 3. Clear the persistent cache (army lists, books, rules)
+    await clearCache();
+
+    // 4. Show feedback and reload
     showToast(
       `Resetting ALL application data... Page will reload.`,
       "Full Reset",
@@ -1341,152 +2079,861 @@ async function _handleActivateStratagemClick(buttonElement) {
     return;
   }
 
-  const currentCP = getCommandPoints(armyId);
+  const currentCP = getCommandPoints(armyId);
+
+  if (currentCP < stratCost) {
+    showToast(
+      `Not enough Command Points for ${stratName}.`,
+      "Activation Failed",
+    );
+    return;
+  }
+
+  // Confirmation (optional, but good for costly stratagems)
+  const confirm = await showInteractiveToast(
+    `Activate Stratagem "${stratName}" for ${stratCost} CP?`,
+    "Confirm Stratagem",
+    [
+      {
+        text: `Activate (${stratCost} CP)`,
+        value: "activate",
+        style: "success",
+      },
+      { text: "Cancel", value: "cancel", style: "secondary" },
+    ],
+  );
+
+  if (confirm === "activate") {
+    const newCP = currentCP - stratCost;
+    setCommandPoints(armyId, newCP); // Update state
+    updateCommandPointsDisplay(armyId, newCP, getMaxCommandPoints(armyId)); // Update main UI
+    // Update modal UI (CP display and button states)
+    displayStratagems(armyId, getSelectedDoctrine(armyId));
+    // Show confirmation
+    showToast(`Activated: ${stratName}`, "Stratagem Used");
+    logGameEvent(
+      armyId,
+      "stratagem",
+      `Stratagem ${stratName} activated (${stratCost} CP).`,
+      { stratagemName: stratName, stratagemCost: stratCost },
+    );
+    console.log(`Stratagem "${stratName}" activated for ${stratCost} CP.`);
+  } else {
+    console.log(`Stratagem "${stratName}" activation cancelled.`);
+  }
+}
+
+/**
+ * Handles manual adjustment of Command Points via modal buttons.
+ * @param {number} adjustment - Amount to adjust by (+1 or -1).
+ * @private
+ */
+function _handleManualCpAdjustClick(adjustment) {
+  const armyId = getCurrentArmyId();
+  if (!armyId) return;
+
+  const currentCP = getCommandPoints(armyId);
+  const maxCP = getMaxCommandPoints(armyId);
+  const newCP = currentCP + adjustment;
+
+  // Clamp value
+  if (newCP >= 0 && newCP <= maxCP) {
+    setCommandPoints(armyId, newCP); // Update state
+    updateCommandPointsDisplay(armyId, newCP, maxCP); // Update main UI
+    // Update modal UI (CP display and button states)
+    displayStratagems(armyId, getSelectedDoctrine(armyId));
+    console.log(`Manually adjusted CP by ${adjustment} to ${newCP}`);
+  } else {
+    console.warn(
+      `Manual CP adjustment (${adjustment}) would exceed limits (0-${maxCP}). No change.`,
+    );
+  }
+}
+
+/**
+ * Handles manual adjustment of Underdog Points via header buttons.
+ * @param {number} adjustment - Amount to adjust by (+1 or -1).
+ * @private
+ */
+function _handleUnderdogPointAdjustClick(adjustment) {
+  const armyId = getCurrentArmyId();
+  if (!armyId) return;
+
+  const currentUP = getUnderdogPoints(armyId);
+  const maxUP = getMaxUnderdogPoints(armyId);
+  const newUP = currentUP + adjustment;
+
+  // Clamp value
+  if (newUP >= 0 && newUP <= maxUP) {
+    setUnderdogPoints(armyId, newUP); // Update state
+    updateUnderdogPointsDisplay(armyId, newUP, maxUP); // Update UI display
+    console.log(`Manually adjusted UP by ${adjustment} to ${newUP}`);
+  } else {
+    console.warn(
+      `Manual UP adjustment (${adjustment}) would exceed limits (0-${maxUP}). No change.`,
+    );
+  }
+}
+
+/**
+ * Handles clicking the manual "Mark Removed" button. Prompts user for
+ * Destroyed/Routed status, updates state/UI, then triggers the 'Set Killed By' modal.
+ * @param {Event} event - The click event object.
+ */
+async function _handleMarkRemovedClick(event) {
+  const button = event.target.closest(".btn-mark-removed");
+  if (!button) return;
+
+  const { armyId, unitId } = button.dataset;
+  if (!armyId || !unitId) return;
+
+  const unitData = getUnitData(unitId);
+  const unitName = unitData?.customName || unitData?.originalName || unitId;
+
+  // 1. Ask user for status
+  const chosenStatus = await showInteractiveToast(
+    `Mark "${unitName}" as Destroyed or Routed?`,
+    "Confirm Unit Removal",
+    [
+      { text: "Destroyed", value: "destroyed", style: "danger" },
+      { text: "Routed", value: "routed", style: "warning" },
+      { text: "Cancel", value: "cancel", style: "secondary" },
+    ],
+  );
+
+  if (chosenStatus === "destroyed" || chosenStatus === "routed") {
+    console.log(`Manually marking unit ${unitId} as ${chosenStatus}`);
+    const heroData = getJoinedHeroData(unitId);
+
+    // 2. Update State
+    updateUnitStateValue(armyId, unitId, "status", chosenStatus);
+    if (heroData)
+      updateUnitStateValue(
+        armyId,
+        heroData.selectionId,
+        "status",
+        chosenStatus,
+      );
+
+    // 3. Update UI
+    if (chosenStatus === "destroyed") collapseDestroyedCard(unitId);
+    else collapseRoutedCard(unitId);
+    updateOffcanvasUnitStatus(armyId, unitId);
+    showToast(`${unitName} marked as ${chosenStatus}.`, "Unit Status Updated");
+    logGameEvent(armyId, chosenStatus, `${unitName} was ${chosenStatus}.`, {
+      unitId,
+    });
+
+    // 4. Trigger 'Set Killed By' Modal
+    console.log(
+      `Triggering 'Set Killed By' modal for manually removed unit ${unitId}`,
+    );
+    createOpponentSelectionModal(unitId, armyId, "setKilledBy");
+  } else {
+    console.log("Manual unit removal cancelled.");
+  }
+}
+
+// --- Undo/Redo Handlers ---
+
+/**
+ * Re-renders the UI touched by an undone or redone journal entry.
+ * Values are read back from state so the display always matches storage.
+ * @param {object} entry - The journal entry that was undone or redone.
+ * @private
+ */
+function _replayJournalEntryUI(entry) {
+  const currentArmyId = getCurrentArmyId();
+  const heroTargets = getCurrentArmyHeroTargets();
+  const allArmies = getAllLoadedArmyData();
+  const cardsToRefresh = new Set();
+  let deploymentChanged = false;
+
+  entry.changes.forEach((change) => {
+    const { armyId, unitId, modelId, key } = change;
+
+    // --- Army-Level Values ---
+    if (!unitId) {
+      if (armyId !== currentArmyId) return;
+      if (key === "commandPoints") {
+        updateCommandPointsDisplay(
+          armyId,
+          getCommandPoints(armyId),
+          getMaxCommandPoints(armyId),
+        );
+      } else if (key === "underdogPoints") {
+        updateUnderdogPointsDisplay(
+          armyId,
+          getUnderdogPoints(armyId),
+          getMaxUnderdogPoints(armyId),
+        );
+      } else if (key === "selectedDoctrine") {
+        const doctrineSelector = document.getElementById("doctrineSelector");
+        if (doctrineSelector)
+          doctrineSelector.value = getSelectedDoctrine(armyId) || "";
+      }
+      if (key === "commandPoints" || key === "selectedDoctrine") {
+        displayStratagems(armyId, getSelectedDoctrine(armyId));
+      }
+      return;
+    }
+
+    // --- Model HP (keep in-memory data in sync for every army) ---
+    let model = null;
+    if (modelId && key === "currentHp") {
+      model = allArmies?.[armyId]?.unitMap?.[unitId]?.models?.find(
+        (m) => m.modelId === modelId,
+      );
+      if (model) {
+        model.currentHp = getModelStateValue(
+          armyId,
+          unitId,
+          modelId,
+          "currentHp",
+          model.maxHp,
+        );
+      }
+    }
+
+    if (armyId !== currentArmyId) return; // Only the current army has cards
+    const cardUnitId = heroTargets?.[unitId] || unitId;
+    cardsToRefresh.add(cardUnitId);
+
+    switch (key) {
+      case "currentHp":
+        if (model)
+          updateModelDisplay(cardUnitId, modelId, model.currentHp, model.maxHp);
+        break;
+      case "killsRecorded":
+        updateKillCountBadge(armyId, unitId);
+        break;
+      case "tokens":
+        updateTokenDisplay(
+          cardUnitId,
+          getUnitStateValue(armyId, unitId, "tokens", 0),
+          getUnitData(unitId)?.casterLevel || 0,
+        );
+        break;
+      case "deploymentStatus":
+        updateDeploymentButtonsUI(
+          cardUnitId,
+          getDeploymentStatus(armyId, cardUnitId),
+        );
+        deploymentChanged = true;
+        break;
+    }
+  });
+
+  // --- Card Status (Destroyed/Routed/Shaken/Fatigued/Action) ---
+  cardsToRefresh.forEach((cardUnitId) => {
+    const status = getUnitStateValue(
+      currentArmyId,
+      cardUnitId,
+      "status",
+      "active",
+    );
+    if (status === "destroyed") {
+      collapseDestroyedCard(cardUnitId);
+      _clearTargetHighlight(cardUnitId);
+    } else if (status === "routed") {
+      collapseRoutedCard(cardUnitId);
+      _clearTargetHighlight(cardUnitId);
+    } else {
+      resetCardUI(cardUnitId); // Removes any inactive overlay
+      updateFatiguedStatusUI(
+        cardUnitId,
+        getUnitStateValue(currentArmyId, cardUnitId, "fatigued", false),
+      );
+      updateShakenStatusUI(
+        cardUnitId,
+        getUnitStateValue(currentArmyId, cardUnitId, "shaken", false),
+      ); // Also refreshes the action buttons
+      const nextAutoTarget = findTargetModelForWound(
+        getUnitData(cardUnitId),
+        getJoinedHeroData(cardUnitId),
+      );
+      _highlightNextAutoTargetModel(
+        cardUnitId,
+        nextAutoTarget ? nextAutoTarget.modelId : null,
+      );
+    }
+    updateKilledByStatusDisplay(currentArmyId, cardUnitId);
+    updateOffcanvasUnitStatus(currentArmyId, cardUnitId);
+  });
+
+  if (deploymentChanged) updateGameControlButtons();
+}
+
+/**
+ * Handles the Undo button / Ctrl+Z. Reverts the last journal entry and refreshes the UI.
+ * @private
+ */
+function _handleUndoClick() {
+  const entry = undoLastEntry();
+  if (!entry) {
+    showToast("Nothing to undo.", "Undo", 2000);
+    return;
+  }
+  _replayJournalEntryUI(entry);
+  entry.changes.forEach((change) =>
+    publishStateChange({ ...change, after: change.before }),
+  ); // Journal writes bypass the state setters
+  logGameEvent(
+    getCurrentArmyId(),
+    "correction",
+    `Undid: ${describeJournalEntry(entry)}`,
+    { journalEntryId: entry.id, journalRound: entry.round },
+  );
+  showToast(
+    `Undid: ${describeJournalEntry(entry)}`,
+    `Undo (Round ${entry.round})`,
+    3000,
+  );
+}
+
+/**
+ * Handles the Redo button / Ctrl+Y. Re-applies the last undone entry and refreshes the UI.
+ * @private
+ */
+function _handleRedoClick() {
+  const entry = redoLastEntry();
+  if (!entry) {
+    showToast("Nothing to redo.", "Redo", 2000);
+    return;
+  }
+  _replayJournalEntryUI(entry);
+  entry.changes.forEach((change) => publishStateChange(change)); // Journal writes bypass the state setters
+  logGameEvent(
+    getCurrentArmyId(),
+    "correction",
+    `Redid: ${describeJournalEntry(entry)}`,
+    { journalEntryId: entry.id, journalRound: entry.round },
+  );
+  showToast(
+    `Redid: ${describeJournalEntry(entry)}`,
+    `Redo (Round ${entry.round})`,
+    3000,
+  );
+}
+
+// --- Live Sync Handlers ---
+
+/**
+ * Refreshes the UI after a peer's state changes were written to storage.
+ * @param {Array<object>} changes - The applied changes ({armyId, unitId, modelId, key, after}).
+ * @private
+ */
+function _handleRemoteChanges(changes) {
+  _replayJournalEntryUI({ changes });
+}
+
+/**
+ * Follows state saved by another tab on this device (or the values kept when a
+ * save from this tab conflicted with one). Storage already holds the new values,
+ * so only in-memory model HP and the affected cards/offcanvas need refreshing.
+ * @param {object} message - { type: 'armyState', armyId, changes } or { type: 'gameState', previous, gameState }.
+ * @private
+ */
+function _handleExternalStateChange(message) {
+  if (message.type === "armyState") {
+    _replayJournalEntryUI({
+      changes: message.changes.map((change) => ({
+        ...change,
+        armyId: message.armyId,
+      })),
+    });
+  } else if (message.type === "gameState") {
+    _handleRemoteGameState(message.previous, message.gameState);
+  } else if (message.type === "saveSlots") {
+    _handleSaveSlotsChangedElsewhere(message.armyId);
+  }
+}
+
+/**
+ * Follows a round or phase change made on another device or tab. A new round resets
+ * this device's armies the same way the Start Round button does.
+ * @param {object} previousGameState - The game state before the update.
+ * @param {object} gameState - The game state received from the peer.
+ * @private
+ */
+function _handleRemoteGameState(previousGameState, gameState) {
+  const armyId = getCurrentArmyId();
+  if (!armyId) return;
+
+  if (
+    previousGameState.currentPhase === "pregame" &&
+    gameState.currentPhase === "deployment"
+  ) {
+    getGameArmyIds().forEach((id) => {
+      clearGameLog(id); // A new game starts with a fresh log
+      snapshotStartingStrength(id); // Baseline for half-strength checks
+      logGameEvent(id, "phase", "Deployment started.");
+    });
+  } else if (
+    gameState.currentPhase === "active" &&
+    gameState.currentRound > previousGameState.currentRound
+  ) {
+    clearRedoHistory(); // Redoing last round's changes would clobber the new round
+    getGameArmyIds().forEach((id) =>
+      _resetArmyForNewRound(id, gameState.currentRound),
+    );
+    resetAllActionButtonsUI();
+    showToast(
+      `Round ${gameState.currentRound} was started on another device or tab.\nAll Unit Actions & Fatigue reset.`,
+      `Round ${gameState.currentRound}`,
+    );
+  }
+
+  updateRoundUI(gameState.currentRound);
+  updateAllUnitsForPhase(armyId);
+  updateGameControlButtons();
+}
+
+/**
+ * Shows the live sync connection status in the modal and on the toolbar button.
+ * @param {string} status - 'disconnected', 'connecting' or 'connected'.
+ * @private
+ */
+function _updateLiveSyncStatusUI(status) {
+  const statusStyles = {
+    connected: {
+      text: "Connected",
+      badge: "bg-success",
+      button: "btn-success",
+    },
+    connecting: {
+      text: "Connecting...",
+      badge: "bg-warning text-dark",
+      button: "btn-outline-warning",
+    },
+    disconnected: {
+      text: "Disconnected",
+      badge: "bg-secondary",
+      button: "btn-outline-secondary",
+    },
+  };
+  const style = statusStyles[status] || statusStyles.disconnected;
+
+  const statusBadge = document.getElementById("live-sync-status");
+  if (statusBadge) {
+    statusBadge.textContent = style.text;
+    statusBadge.className = `badge ${style.badge}`;
+  }
+  const syncButton = document.getElementById("live-sync-button");
+  if (syncButton) {
+    syncButton.classList.remove(
+      "btn-success",
+      "btn-outline-warning",
+      "btn-outline-secondary",
+    );
+    syncButton.classList.add(style.button);
+  }
+  const disconnectButton = document.getElementById("live-sync-disconnect-btn");
+  if (disconnectButton) disconnectButton.disabled = status === "disconnected";
+}
+
+/**
+ * Handles the "Connect" button in the live sync modal.
+ * @private
+ */
+function _handleLiveSyncConnectClick() {
+  const url = document.getElementById("live-sync-url")?.value;
+  if (!connectLiveSync(url)) {
+    showToast(
+      "Enter the relay address, e.g. http://192.168.1.20:8787",
+      "Live Sync",
+    );
+  }
+}
+
+/**
+ * Handles the "Disconnect" button in the live sync modal.
+ * @private
+ */
+function _handleLiveSyncDisconnectClick() {
+  disconnectLiveSync();
+  showToast("Live sync turned off.", "Live Sync", 2000);
+}
+
+// --- Game Log Handlers ---
+
+/**
+ * Handles the "Export JSON" button in the game log modal.
+ * Downloads the current army's log, grouped into battle-report-style rounds.
+ * @private
+ */
+function _handleExportGameLogClick() {
+  const armyId = getCurrentArmyId();
+  if (!armyId) return;
+
+  const exportData = buildGameLogExport(armyId);
+  if (exportData.events.length === 0) {
+    showToast("No events have been logged yet.", "Game Log");
+    return;
+  }
+  const dateStamp = new Date().toISOString().slice(0, 10);
+  downloadJSON(exportData, `game-log-${armyId}-${dateStamp}.json`);
+  console.log(
+    `Exported game log for army ${armyId} (${exportData.events.length} events).`,
+  );
+}
+
+// --- Save Slot Handlers ---
+
+const activeSlotIdsAtLoad = {}; // armyId -> slot the page was loaded with
+
+/**
+ * Opens another save slot for the current army and reloads so every view
+ * (cards, round, log) reads from it. The round and phase are shared by every
+ * army on this device, so the ones saved with the slot are only restored if
+ * the player chooses to.
+ * @param {string} slotId - The slot to open.
+ * @private
+ */
+async function _openSaveSlot(slotId) {
+  const armyId = getCurrentArmyId();
+  if (!armyId) return;
+  const slots = listSaveSlots(armyId);
+  const savedGameState = slots.find((slot) => slot.id === slotId)?.gameState;
+
+  let restoreGameState = false;
+  if (
+    savedGameState &&
+    (savedGameState.currentRound !== getCurrentRound() ||
+      savedGameState.currentPhase !== getCurrentPhase())
+  ) {
+    const choice = await showInteractiveToast(
+      `This slot was saved in round ${savedGameState.currentRound} (${savedGameState.currentPhase}). The round and phase are shared by every army on this device. Restore them too?`,
+      "Open Save Slot",
+      [
+        { text: "Keep Current Round", value: "keep", style: "primary" },
+        { text: "Restore Round", value: "restore", style: "outline-warning" },
+        { text: "Cancel", value: "cancel", style: "secondary" },
+      ],
+    );
+    if (choice !== "keep" && choice !== "restore") {
+      displaySaveSlotPicker(slots); // Put the picker back on the active slot
+      return;
+    }
+    restoreGameState = choice === "restore";
+  }
+
+  if (!switchSaveSlot(armyId, slotId, restoreGameState)) return;
+  clearJournal(); // Undo entries belong to the slot being left
+  showToast("Opening save slot... Page will reload.", "Save Slots", 2000);
+  setTimeout(() => window.location.reload(), 300);
+}
+
+/**
+ * Prepares the save slot modal for creating or renaming, based on the button that opened it.
+ * @param {Event} event - The 'show.bs.modal' event.
+ * @private
+ */
+function _handleSaveSlotModalShow(event) {
+  const armyId = getCurrentArmyId();
+  const modalElement = document.getElementById("saveSlotModal");
+  if (!armyId || !modalElement) return;
+
+  const mode = event.relatedTarget?.dataset?.mode || "create";
+  modalElement.dataset.mode = mode;
+  const activeSlot = listSaveSlots(armyId).find((slot) => slot.isActive);
+  const titleElement = document.getElementById("save-slot-modal-title");
+  if (titleElement) {
+    titleElement.textContent =
+      mode === "rename" ? "Rename Save Slot" : "New Save Slot";
+  }
+  const nameInput = document.getElementById("save-slot-name");
+  if (nameInput) nameInput.value = mode === "rename" ? activeSlot?.name : "";
+  document
+    .getElementById("save-slot-copy-group")
+    ?.classList.toggle("d-none", mode === "rename");
+  const copyCheckbox = document.getElementById("save-slot-copy");
+  if (copyCheckbox) copyCheckbox.checked = false;
+}
+
+/**
+ * Handles the save slot modal's Save button: creates and opens a new slot,
+ * or renames the active one.
+ * @private
+ */
+function _handleSaveSlotSaveClick() {
+  const armyId = getCurrentArmyId();
+  const modalElement = document.getElementById("saveSlotModal");
+  if (!armyId || !modalElement) return;
+
+  const name = document.getElementById("save-slot-name")?.value || "";
+  if (!name.trim()) {
+    showToast("Enter a name for the save slot.", "Save Slots");
+    return;
+  }
+
+  if (modalElement.dataset.mode === "rename") {
+    renameSaveSlot(armyId, getActiveSaveSlotId(armyId), name);
+    displaySaveSlotPicker(listSaveSlots(armyId));
+    bootstrap.Modal.getInstance(modalElement)?.hide();
+    return;
+  }
+
+  const copyActive = !!document.getElementById("save-slot-copy")?.checked;
+  const slot = createSaveSlot(armyId, name, copyActive);
+  bootstrap.Modal.getInstance(modalElement)?.hide();
+  if (slot) _openSaveSlot(slot.id);
+}
+
+/**
+ * Asks which of the current army's other save slots to delete, then confirms.
+ * @private
+ */
+async function _handleSaveSlotDeleteClick() {
+  const armyId = getCurrentArmyId();
+  if (!armyId) return;
+  const deletableSlots = listSaveSlots(armyId).filter((slot) => slot.canDelete);
+  if (deletableSlots.length === 0) return;
+
+  const slotId = await showInteractiveToast(
+    "Which save slot should be deleted? Its progress and game log are removed.",
+    "Delete Save Slot",
+    [
+      ...deletableSlots.map((slot) => ({
+        text: slot.name,
+        value: slot.id,
+        style: "outline-danger",
+      })),
+      { text: "Cancel", value: "cancel", style: "secondary" },
+    ],
+  );
+  const slot = deletableSlots.find((s) => s.id === slotId);
+  if (!slot) return;
+
+  const confirmed = await showInteractiveToast(
+    `Delete "${slot.name}"? This cannot be undone.`,
+    "Delete Save Slot",
+    [
+      { text: "Delete", value: "delete", style: "danger" },
+      { text: "Cancel", value: "cancel", style: "secondary" },
+    ],
+  );
+  if (confirmed !== "delete") return;
+  if (deleteSaveSlot(armyId, slot.id)) {
+    displaySaveSlotPicker(listSaveSlots(armyId));
+    showToast(`Deleted save slot "${slot.name}".`, "Save Slots");
+  }
+}
+
+/**
+ * Follows save slot changes made in another tab. If an army shown here now reads
+ * from a different slot, the page reloads so it doesn't write into the old one.
+ * @param {string} armyId - The army whose slots changed.
+ * @private
+ */
+function _handleSaveSlotsChangedElsewhere(armyId) {
+  if (!getGameArmyIds().includes(armyId)) return;
+  if (getActiveSaveSlotId(armyId) !== activeSlotIdsAtLoad[armyId]) {
+    showToast(
+      `${getArmyNameById(armyId)} was switched to another save slot in another tab. Page will reload.`,
+      "Save Slots",
+      3000,
+    );
+    setTimeout(() => window.location.reload(), 1500);
+  } else if (armyId === getCurrentArmyId()) {
+    displaySaveSlotPicker(listSaveSlots(armyId)); // Renamed, added or deleted
+  }
+}
+
+// --- List Pin Handlers ---
 
-  if (currentCP < stratCost) {
-    showToast(
-      `Not enough Command Points for ${stratName}.`,
-      "Activation Failed",
+/**
+ * Handles the Pin List button: pins the current army's list version for the
+ * current mission, or offers to unpin it and load the latest version.
+ * @private
+ */
+async function _handlePinListClick() {
+  const armyId = getCurrentArmyId();
+  if (!armyId) return;
+  const armyName = getArmyNameById(armyId);
+  const pin = await getArmyListPin(armyId);
+
+  if (pin) {
+    const choice = await showInteractiveToast(
+      `${armyName} is using the list version pinned${pin.missionNumber !== null ? ` for Mission ${pin.missionNumber}` : ""}. Unpin it and load the latest version?`,
+      "Pinned List",
+      [
+        { text: "Unpin and Reload", value: "unpin", style: "warning" },
+        { text: "Keep Pinned", value: "keep", style: "secondary" },
+      ],
     );
+    if (choice !== "unpin") return;
+    await unpinArmyList(armyId);
+    window.location.reload();
     return;
   }
 
-  // Confirmation (optional, but good for costly stratagems)
-  const confirm = await showInteractiveToast(
-    `Activate Stratagem "${stratName}" for ${stratCost} CP?`,
-    "Confirm Stratagem",
+  const missionsData = await loadMissionsData();
+  const currentMission =
+    missionsData?.missions?.find((mission) => mission.status === "current") ||
+    null;
+  const confirmed = await showInteractiveToast(
+    `Keep using this version of ${armyName}'s list for ${currentMission ? `Mission ${currentMission.number}: ${currentMission.title}` : "the current mission"}, even if it changes on Army Forge?`,
+    "Pin List Version",
     [
-      {
-        text: `Activate (${stratCost} CP)`,
-        value: "activate",
-        style: "success",
-      },
+      { text: "Pin", value: "pin", style: "primary" },
       { text: "Cancel", value: "cancel", style: "secondary" },
     ],
   );
+  if (confirmed !== "pin") return;
 
-  if (confirm === "activate") {
-    const newCP = currentCP - stratCost;
-    setCommandPoints(armyId, newCP); // Update state
-    updateCommandPointsDisplay(armyId, newCP, getMaxCommandPoints(armyId)); // Update main UI
-    // Update modal UI (CP display and button states)
-    displayStratagems(armyId, getSelectedDoctrine(armyId));
-    // Show confirmation
-    showToast(`Activated: ${stratName}`, "Stratagem Used");
-    console.log(`Stratagem "${stratName}" activated for ${stratCost} CP.`);
+  if (await pinArmyList(armyId, currentMission?.number ?? null)) {
+    displayListPin(await getArmyListPin(armyId));
+    showToast(`Pinned ${armyName}'s list version.`, "Pin List Version");
   } else {
-    console.log(`Stratagem "${stratName}" activation cancelled.`);
+    showToast("Could not pin the list version.", "Pin List Version");
   }
 }
 
 /**
- * Handles manual adjustment of Command Points via modal buttons.
- * @param {number} adjustment - Amount to adjust by (+1 or -1).
+ * Switches the mission whose saved army lists are loaded in local mode, then reloads.
+ * @param {string} missionNumber - The chosen mission, or "" to follow the current mission.
  * @private
  */
-function _handleManualCpAdjustClick(adjustment) {
-  const armyId = getCurrentArmyId();
-  if (!armyId) return;
-
-  const currentCP = getCommandPoints(armyId);
-  const maxCP = getMaxCommandPoints(armyId);
-  const newCP = currentCP + adjustment;
-
-  // Clamp value
-  if (newCP >= 0 && newCP <= maxCP) {
-    setCommandPoints(armyId, newCP); // Update state
-    updateCommandPointsDisplay(armyId, newCP, maxCP); // Update main UI
-    // Update modal UI (CP display and button states)
-    displayStratagems(armyId, getSelectedDoctrine(armyId));
-    console.log(`Manually adjusted CP by ${adjustment} to ${newCP}`);
+function _handleSnapshotMissionChange(missionNumber) {
+  if (missionNumber) {
+    localStorage.setItem(config.SNAPSHOT_MISSION_KEY, missionNumber);
   } else {
-    console.warn(
-      `Manual CP adjustment (${adjustment}) would exceed limits (0-${maxCP}). No change.`,
-    );
+    localStorage.removeItem(config.SNAPSHOT_MISSION_KEY);
   }
+  showToast(
+    `Loading the army lists saved for ${missionNumber ? `Mission ${missionNumber}` : "the current mission"}. Pinned lists stay pinned.`,
+    "Army Lists",
+    3000,
+  );
+  setTimeout(() => window.location.reload(), 1500);
 }
 
+// --- Save File Handlers ---
+
+let pendingSaveFile = null; // Validated file awaiting the import choices
+
 /**
- * Handles manual adjustment of Underdog Points via header buttons.
- * @param {number} adjustment - Amount to adjust by (+1 or -1).
+ * Handles the "Export Save File" button: downloads every army's state, game log
+ * and the round/phase as one file.
  * @private
  */
-function _handleUnderdogPointAdjustClick(adjustment) {
-  const armyId = getCurrentArmyId();
-  if (!armyId) return;
-
-  const currentUP = getUnderdogPoints(armyId);
-  const maxUP = getMaxUnderdogPoints(armyId);
-  const newUP = currentUP + adjustment;
-
-  // Clamp value
-  if (newUP >= 0 && newUP <= maxUP) {
-    setUnderdogPoints(armyId, newUP); // Update state
-    updateUnderdogPointsDisplay(armyId, newUP, maxUP); // Update UI display
-    console.log(`Manually adjusted UP by ${adjustment} to ${newUP}`);
-  } else {
-    console.warn(
-      `Manual UP adjustment (${adjustment}) would exceed limits (0-${maxUP}). No change.`,
-    );
+function _handleExportSaveFileClick() {
+  const saveFile = buildSaveFile();
+  const armyCount = Object.keys(saveFile.armies).length;
+  if (armyCount === 0) {
+    showToast("There is no saved army data to export yet.", "Save File");
+    return;
   }
+  const dateStamp = new Date().toISOString().slice(0, 10);
+  downloadJSON(saveFile, `army-tracker-save-${dateStamp}.json`);
+  console.log(`Exported save file with ${armyCount} armies.`);
 }
 
 /**
- * Handles clicking the manual "Mark Removed" button. Prompts user for
- * Destroyed/Routed status, updates state/UI, then triggers the 'Set Killed By' modal.
- * @param {Event} event - The click event object.
+ * Reads and validates the chosen save file, then shows the per-army import choices.
+ * @param {Event} event - The change event from #save-file-input.
+ * @private
  */
-async function _handleMarkRemovedClick(event) {
-  const button = event.target.closest(".btn-mark-removed");
-  if (!button) return;
-
-  const { armyId, unitId } = button.dataset;
-  if (!armyId || !unitId) return;
+async function _handleSaveFileSelected(event) {
+  const fileInput = event.target;
+  const file = fileInput.files?.[0];
+  fileInput.value = ""; // Allow choosing the same file again
+  if (!file) return;
+
+  const { saveFile, errors } = parseSaveFile(await file.text());
+  if (!saveFile) {
+    console.warn("Save file rejected:", errors);
+    showToast(
+      `${file.name} can't be imported:\n${errors.slice(0, 5).join("\n")}${errors.length > 5 ? `\n…and ${errors.length - 5} more problems.` : ""}`,
+      "Import Failed",
+      10000,
+    );
+    return;
+  }
 
-  const unitData = getUnitData(unitId);
-  const unitName = unitData?.customName || unitData?.originalName || unitId;
+  pendingSaveFile = saveFile;
+  displaySaveFileImportChoices(saveFile, listStoredArmyIds());
+  const modalElement = document.getElementById("saveFileImportModal");
+  if (modalElement) bootstrap.Modal.getOrCreateInstance(modalElement).show();
+}
 
-  // 1. Ask user for status
-  const chosenStatus = await showInteractiveToast(
-    `Mark "${unitName}" as Destroyed or Routed?`,
-    "Confirm Unit Removal",
-    [
-      { text: "Destroyed", value: "destroyed", style: "danger" },
-      { text: "Routed", value: "routed", style: "warning" },
-      { text: "Cancel", value: "cancel", style: "secondary" },
-    ],
+/**
+ * Imports the pending save file with the choices made in the import modal,
+ * then reloads so every army is rebuilt from the imported data.
+ * @private
+ */
+function _handleSaveFileImportConfirmClick() {
+  if (!pendingSaveFile) return;
+
+  const armyModes = {};
+  document
+    .querySelectorAll("#save-file-import-armies select[data-army-id]")
+    .forEach((select) => {
+      armyModes[select.dataset.armyId] = select.value;
+    });
+  const includeGameState = !!document.getElementById(
+    "save-file-import-game-state",
+  )?.checked;
+
+  const importedArmyIds = importSaveFile(
+    pendingSaveFile,
+    armyModes,
+    includeGameState,
   );
+  pendingSaveFile = null;
+  if (importedArmyIds.length === 0 && !includeGameState) {
+    showToast("Nothing was selected to import.", "Save File");
+    return;
+  }
 
-  if (chosenStatus === "destroyed" || chosenStatus === "routed") {
-    console.log(`Manually marking unit ${unitId} as ${chosenStatus}`);
-    const heroData = getJoinedHeroData(unitId);
-
-    // 2. Update State
-    updateUnitStateValue(armyId, unitId, "status", chosenStatus);
-    if (heroData)
-      updateUnitStateValue(
-        armyId,
-        heroData.selectionId,
-        "status",
-        chosenStatus,
-      );
+  clearJournal(); // Undo entries refer to the replaced values
+  showToast(
+    `Imported ${importedArmyIds.length} arm${importedArmyIds.length !== 1 ? "ies" : "y"}. Page will reload.`,
+    "Save File",
+    3000,
+  );
+  setTimeout(() => window.location.reload(), 500); // Let the toast show first
+}
 
-    // 3. Update UI
-    if (chosenStatus === "destroyed") collapseDestroyedCard(unitId);
-    else collapseRoutedCard(unitId);
-    updateOffcanvasUnitStatus(armyId, unitId);
-    showToast(`${unitName} marked as ${chosenStatus}.`, "Unit Status Updated");
+/**
+ * Keyboard shortcuts for the journal: Ctrl+Z undo, Ctrl+Y / Ctrl+Shift+Z redo.
+ * Ignored while typing in form fields so native text undo still works.
+ * @param {KeyboardEvent} event - The keydown event.
+ * @private
+ */
+function _handleJournalKeydown(event) {
+  if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+  const target = event.target;
+  if (
+    target &&
+    (["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName) ||
+      target.isContentEditable)
+  ) {
+    return;
+  }
 
-    // 4. Trigger 'Set Killed By' Modal
-    console.log(
-      `Triggering 'Set Killed By' modal for manually removed unit ${unitId}`,
-    );
-    createOpponentSelectionModal(unitId, armyId, "setKilledBy");
-  } else {
-    console.log("Manual unit removal cancelled.");
+  const key = event.key.toLowerCase();
+  if (key === "z" && !event.shiftKey) {
+    event.preventDefault();
+    _handleUndoClick();
+  } else if (key === "y" || (key === "z" && event.shiftKey)) {
+    event.preventDefault();
+    _handleRedoClick();
   }
 }
 
+/**
+ * Enables/disables the Undo and Redo buttons to match the journal.
+ * @private
+ */
+function _updateUndoRedoButtons() {
+  const undoButton = document.getElementById("undo-button");
+  const redoButton = document.getElementById("redo-button");
+  if (undoButton) undoButton.disabled = !canUndo();
+  if (redoButton) redoButton.disabled = !canRedo();
+}
+
 // --- Main Event Listener & Setup ---
 
 /**
@@ -1506,10 +2953,82 @@ export function handleInteractionClick(event) {
   const unitCard = event.target.closest(".unit-card");
   const spellModal = event.target.closest("#viewSpellsModal");
   const opponentModal = event.target.closest("#opponentSelectModal");
+  const attackModal = event.target.closest("#attackResolverModal");
   const stratagemModal = event.target.closest("#stratagemModal");
   const upDisplay = event.target.closest("#underdog-points-display");
   const resetArmyButton = event.target.closest("#reset-army-data-button");
   const resetAllButton = event.target.closest("#reset-all-data-button");
+  const undoButton = event.target.closest("#undo-button");
+  const redoButton = event.target.closest("#redo-button");
+  const exportGameLogButton = event.target.closest("#export-game-log-btn");
+  const liveSyncConnectButton = event.target.closest("#live-sync-connect-btn");
+  const liveSyncDisconnectButton = event.target.closest(
+    "#live-sync-disconnect-btn",
+  );
+  const exportSaveFileButton = event.target.closest("#export-save-file-button");
+  const importSaveFileButton = event.target.closest("#import-save-file-button");
+  const confirmImportButton = event.target.closest(
+    "#save-file-import-confirm-btn",
+  );
+  const saveSlotSaveButton = event.target.closest("#save-slot-save-btn");
+  const saveSlotDeleteButton = event.target.closest("#save-slot-delete-btn");
+  const pinListButton = event.target.closest("#pin-list-btn");
+
+  // --- Undo/Redo Buttons ---
+  if (undoButton) {
+    _handleUndoClick();
+    return;
+  }
+  if (redoButton) {
+    _handleRedoClick();
+    return;
+  }
+
+  // --- Game Log Export ---
+  if (exportGameLogButton) {
+    _handleExportGameLogClick();
+    return;
+  }
+
+  // --- Live Sync ---
+  if (liveSyncConnectButton) {
+    _handleLiveSyncConnectClick();
+    return;
+  }
+  if (liveSyncDisconnectButton) {
+    _handleLiveSyncDisconnectClick();
+    return;
+  }
+
+  // --- Save Slots ---
+  if (saveSlotSaveButton) {
+    _handleSaveSlotSaveClick();
+    return;
+  }
+  if (saveSlotDeleteButton) {
+    _handleSaveSlotDeleteClick();
+    return;
+  }
+
+  // --- List Pin ---
+  if (pinListButton) {
+    _handlePinListClick();
+    return;
+  }
+
+  // --- Save File ---
+  if (exportSaveFileButton) {
+    _handleExportSaveFileClick();
+    return;
+  }
+  if (importSaveFileButton) {
+    document.getElementById("save-file-input")?.click();
+    return;
+  }
+  if (confirmImportButton) {
+    _handleSaveFileImportConfirmClick();
+    return;
+  }
 
   // --- Reset Buttons ---
   if (resetAllButton) {
@@ -1562,6 +3081,7 @@ export function handleInteractionClick(event) {
     const moraleWoundsButton = event.target.closest(".morale-wounds-btn");
     const recordKillButton = event.target.closest(".btn-record-kill");
     const markRemovedButton = event.target.closest(".btn-mark-removed");
+    const resolveAttackButton = event.target.closest(".btn-resolve-attack");
     const deploymentButton = event.target.closest(".deployment-btn");
 
     // Only allow reset button on inactive cards
@@ -1594,6 +3114,8 @@ export function handleInteractionClick(event) {
       _handleRecordKillClick(event);
     } else if (markRemovedButton) {
       _handleMarkRemovedClick(event);
+    } else if (resolveAttackButton) {
+      createAttackResolverModal(cardUnitId, armyId);
     }
     if (deploymentButton) {
       _handleDeploymentButtonClick(deploymentButton, armyId, cardUnitId);
@@ -1628,6 +3150,16 @@ export function handleInteractionClick(event) {
     return;
   }
 
+  // --- Attack Resolver Modal Interactions ---
+  if (attackModal) {
+    if (event.target.closest("#roll-attack-btn")) {
+      _handleRollAttackClick(attackModal);
+    } else if (event.target.closest("#apply-attack-wounds-btn")) {
+      _handleApplyAttackWoundsClick(attackModal);
+    }
+    return;
+  }
+
   // --- Opponent Selection Modal Interactions ---
   if (opponentModal) {
     const confirmOpponentButton = event.target.closest(
@@ -1730,7 +3262,16 @@ export function updateGameControlButtons() {
       showResultsButton.disabled = !armyId;
       if (armyId) showResultsButton.onclick = _handleShowResultsClick;
 
+      const draftReportButton = document.createElement("button");
+      draftReportButton.id = "draft-battle-report-button";
+      draftReportButton.type = "button";
+      draftReportButton.className = "btn btn-sm btn-outline-info ms-2";
+      draftReportButton.innerHTML = `<i class="bi bi-file-earmark-text"></i> Draft Battle Report`;
+      draftReportButton.disabled = !armyId;
+      if (armyId) draftReportButton.onclick = _handleDraftBattleReportClick;
+
       showResultsBtnContainer.appendChild(showResultsButton);
+      showResultsBtnContainer.appendChild(draftReportButton);
       showResultsBtnContainer.classList.remove("d-none");
       break;
 
@@ -1782,6 +3323,125 @@ export function updateGameControlButtons() {
   }
 }
 
+/**
+ * Records a kill on both sides: the attacker's `killsRecorded` and the victim's `killedBy`,
+ * then updates the kill badge, killed-by display and game log.
+ * @param {string} attackerArmyId - The ID of the attacking army.
+ * @param {string} attackerUnitId - The ID of the attacking unit.
+ * @param {string} victimArmyId - The ID of the victim's army.
+ * @param {string} victimUnitId - The ID of the victim unit.
+ * @returns {boolean} True if both records were saved.
+ * @private
+ */
+function _recordKill(
+  attackerArmyId,
+  attackerUnitId,
+  victimArmyId,
+  victimUnitId,
+) {
+  const allArmies = getAllLoadedArmyData();
+  const victimUnitData = allArmies?.[victimArmyId]?.unitMap?.[victimUnitId];
+  const attackerUnitData =
+    allArmies?.[attackerArmyId]?.unitMap?.[attackerUnitId];
+
+  if (!victimUnitData || !attackerUnitData) {
+    showToast("Error: Could not find unit data.", "Data Error");
+    console.error("Missing unit data for kill record:", {
+      victimUnitData,
+      attackerUnitData,
+    });
+    return false;
+  }
+
+  const currentRound = getCurrentRound();
+  const victimDetails = {
+    victimUnitId: victimUnitId,
+    victimUnitName: victimUnitData.customName || victimUnitData.originalName,
+    victimArmyId: victimArmyId,
+    victimIsHero: victimUnitData.isHero || false,
+    round: currentRound,
+  };
+  const attackerDetails = {
+    attackerUnitId: attackerUnitId,
+    attackerUnitName:
+      attackerUnitData.customName || attackerUnitData.originalName,
+    attackerArmyId: attackerArmyId,
+    round: currentRound,
+  };
+
+  // Update both sides of the kill
+  const killRecorded = addRecordedKill(
+    attackerArmyId,
+    attackerUnitId,
+    victimDetails,
+  );
+  const killedBySet = setKilledByStatus(
+    victimArmyId,
+    victimUnitId,
+    attackerDetails,
+  );
+
+  if (!killRecorded || !killedBySet) {
+    showToast("Failed to update state for kill record.", "Error");
+    // Optional: Add logic to revert partial state changes if one failed
+    return false;
+  }
+
+  // In table mode the victim's army is tracked on this device too, so remove it in the same step
+  const victimCardUnitId = getCardUnitIdForArmy(victimArmyId, victimUnitId);
+  if (
+    isTableMode() &&
+    getUnitStateValue(victimArmyId, victimCardUnitId, "status", "active") ===
+      "active"
+  ) {
+    _markUnitDestroyed(victimArmyId, victimCardUnitId);
+  }
+
+  // Update UI
+  updateKillCountBadge(attackerArmyId, attackerUnitId);
+  updateKilledByStatusDisplay(victimArmyId, victimUnitId);
+  logGameEvent(
+    attackerArmyId,
+    "kill",
+    `${attackerDetails.attackerUnitName} killed ${victimDetails.victimUnitName} (${getArmyNameById(victimArmyId)}).`,
+    {
+      unitId: attackerUnitId,
+      victimUnitId,
+      victimUnitName: victimDetails.victimUnitName,
+      victimArmyId,
+      victimIsHero: victimDetails.victimIsHero,
+    },
+  );
+  return true;
+}
+
+/**
+ * Marks a unit card (and its joined hero) destroyed without asking who killed it.
+ * Used in table mode when a kill is recorded from the attacker's side.
+ * @param {string} armyId - The ID of the army the unit belongs to.
+ * @param {string} cardUnitId - The selectionId of the unit card.
+ * @private
+ */
+function _markUnitDestroyed(armyId, cardUnitId) {
+  const unitData = getUnitDataForArmy(armyId, cardUnitId);
+  const heroData = getJoinedHeroDataForArmy(armyId, cardUnitId);
+  updateUnitStateValue(armyId, cardUnitId, "status", "destroyed");
+  if (heroData) {
+    updateUnitStateValue(armyId, heroData.selectionId, "status", "destroyed");
+  }
+  if (armyId === getCurrentArmyId()) {
+    collapseDestroyedCard(cardUnitId);
+    updateOffcanvasUnitStatus(armyId, cardUnitId);
+    _clearTargetHighlight(cardUnitId);
+  }
+  logGameEvent(
+    armyId,
+    "destroyed",
+    `${unitData?.customName || unitData?.originalName || cardUnitId} was destroyed.`,
+    { unitId: cardUnitId },
+  );
+}
+
 /**
  * Handles clicks on the "Confirm" button in the opponent selection modal.
  * @param {Event} event - The click event object.
@@ -1853,63 +3513,13 @@ function _handleConfirmOpponentSelection(event) {
 
   // --- Logic for 'recordKill' action ---
   if (actionType === "recordKill") {
-    const attackerArmyId = triggeringArmyId;
-    const attackerUnitId = triggeringUnitId;
-    const victimArmyId = opponentArmyId;
-    const victimUnitId = selectedOpponentUnitId;
-
-    // Get necessary details for state functions
-    const allArmies = getAllLoadedArmyData();
-    const victimUnitData = allArmies?.[opponentArmyId]?.unitMap?.[victimUnitId];
-    const attackerUnitData =
-      allArmies?.[attackerArmyId]?.unitMap?.[attackerUnitId];
-
-    if (!victimUnitData || !attackerUnitData) {
-      showToast("Error: Could not find unit data.", "Data Error");
-      console.error("Missing unit data for kill record:", {
-        victimUnitData,
-        attackerUnitData,
-      });
-      return;
-    }
-
-    const victimDetails = {
-      victimUnitId: victimUnitId,
-      victimUnitName: victimUnitData.customName || victimUnitData.originalName,
-      victimArmyId: opponentArmyId,
-      victimIsHero: victimUnitData.isHero || false,
-      round: currentRound,
-    };
-
-    const attackerDetails = {
-      attackerUnitId: attackerUnitId,
-      attackerUnitName:
-        attackerUnitData.customName || attackerUnitData.originalName,
-      attackerArmyId: attackerArmyId,
-      round: currentRound,
-    };
-
-    // Call state functions (Handler calls both)
-    const killRecorded = addRecordedKill(
-      attackerArmyId,
-      attackerUnitId,
-      victimDetails,
-    );
-    const killedBySet = setKilledByStatus(
+    // Triggering unit is the attacker, victim is selected in modal
+    interactionProcessed = _recordKill(
+      triggeringArmyId,
+      triggeringUnitId,
       opponentArmyId,
-      victimUnitId,
-      attackerDetails,
+      selectedOpponentUnitId,
     );
-
-    if (killRecorded && killedBySet) {
-      // Update UI
-      updateKillCountBadge(attackerArmyId, attackerUnitId);
-      updateKilledByStatusDisplay(opponentArmyId, victimUnitId);
-      interactionProcessed = true; // Mark as processed
-    } else {
-      showToast("Failed to update state for kill record.", "Error");
-      // Optional: Add logic to revert partial state changes if one failed
-    }
   } else if (actionType === "setKilledBy") {
     // Victim is the triggering unit, Attacker is selected in modal
     const victimArmyId = triggeringArmyId;
@@ -1963,6 +3573,17 @@ function _handleConfirmOpponentSelection(event) {
     }
 
     interactionProcessed = true;
+    logGameEvent(
+      victimArmyId,
+      "kill",
+      `${victimRecord.victimUnitName} was killed by ${attackerRecord.attackerUnitName} (${getArmyNameById(attackerArmyId)}).`,
+      {
+        unitId: victimUnitId,
+        attackerUnitId,
+        attackerUnitName: attackerRecord.attackerUnitName,
+        attackerArmyId,
+      },
+    );
 
     // Update UI
     if (killedBySet) updateKilledByStatusDisplay(victimArmyId, victimUnitId);
@@ -2000,6 +3621,12 @@ function _handleDelegatedChange(event) {
       _handleCasualtyOutcomeChange(event);
     } else if (event.target.id === "modal-opponent-army-select") {
       _handleOpponentArmyChange(event);
+    } else if (event.target.id === "save-file-input") {
+      _handleSaveFileSelected(event);
+    } else if (event.target.id === "save-slot-select") {
+      _openSaveSlot(event.target.value);
+    } else if (event.target.id === "snapshot-mission-select") {
+      _handleSnapshotMissionChange(event.target.value);
     }
     // Add other delegated change handlers if needed
   }
@@ -2031,11 +3658,19 @@ export function setupEventListeners(armyId) {
   document.body.addEventListener("change", _handleDelegatedChange);
   console.log("Delegated change listener attached.");
 
+  // --- Undo/Redo Listeners ---
+  document.removeEventListener("keydown", _handleJournalKeydown); // Prevent duplicates
+  document.addEventListener("keydown", _handleJournalKeydown);
+  onJournalChange(_updateUndoRedoButtons);
+  _updateUndoRedoButtons();
+  console.log("Undo/redo listeners attached.");
+
   // --- Stratagem Modal Listeners ---
   const stratagemModalElement = document.getElementById("stratagemModal");
   if (stratagemModalElement) {
     // Listener for when the modal is about to be shown
     stratagemModalElement.addEventListener("show.bs.modal", (event) => {
+      const armyId = getCurrentArmyId(); // Follows the active tab in table mode
       // Store the element that triggered the modal for focus return
       setElementToFocusAfterClose(
         event.relatedTarget || document.activeElement,
@@ -2075,6 +3710,7 @@ export function setupEventListeners(armyId) {
     const doctrineSelector = document.getElementById("doctrineSelector");
     if (doctrineSelector) {
       doctrineSelector.addEventListener("change", (event) => {
+        const armyId = getCurrentArmyId(); // Follows the active tab in table mode
         const selectedDoctrineId = event.target.value;
         setSelectedDoctrine(armyId, selectedDoctrineId || null); // Save the selection
         console.log(`Doctrine selected: ${selectedDoctrineId}`);
@@ -2089,6 +3725,61 @@ export function setupEventListeners(armyId) {
     console.warn("Stratagem modal element not found.");
   }
 
+  // --- Game Log Modal Listeners ---
+  const gameLogModalElement = document.getElementById("gameLogModal");
+  if (gameLogModalElement) {
+    // Re-render the timeline each time the modal opens
+    gameLogModalElement.addEventListener("show.bs.modal", (event) => {
+      setElementToFocusAfterClose(
+        event.relatedTarget || document.activeElement,
+      );
+      displayGameLog(getCurrentArmyId()); // Follows the active tab in table mode
+      console.log("Game log modal opened.");
+    });
+    gameLogModalElement.removeEventListener(
+      "hidden.bs.modal",
+      handleFocusReturn,
+    ); // Remove previous listener if any
+    gameLogModalElement.addEventListener("hidden.bs.modal", handleFocusReturn, {
+      once: true,
+    }); // Add listener to return focus
+    console.log("Game log modal listeners attached.");
+  } else {
+    console.warn("Game log modal element not found.");
+  }
+
+  // --- Live Sync ---
+  onRemoteChanges(_handleRemoteChanges);
+  onRemoteGameState(_handleRemoteGameState);
+  onLiveSyncStatus(_updateLiveSyncStatusUI);
+  const liveSyncModalElement = document.getElementById("liveSyncModal");
+  if (liveSyncModalElement) {
+    liveSyncModalElement.addEventListener("show.bs.modal", () => {
+      const urlInput = document.getElementById("live-sync-url");
+      if (urlInput && !urlInput.value) {
+        // Pages served by the relay itself can sync with their own origin
+        urlInput.value =
+          getLiveSyncUrl() ||
+          (window.location.protocol === "http:" ? window.location.origin : "");
+      }
+      _updateLiveSyncStatusUI(getLiveSyncStatus());
+    });
+  }
+  resumeLiveSync();
+  console.log("Live sync listeners attached.");
+
+  // --- Save Slots ---
+  getGameArmyIds().forEach((id) => {
+    activeSlotIdsAtLoad[id] = getActiveSaveSlotId(id);
+  });
+  document
+    .getElementById("saveSlotModal")
+    ?.addEventListener("show.bs.modal", _handleSaveSlotModalShow);
+
+  // --- Other Tabs ---
+  onExternalStateChange(_handleExternalStateChange);
+  startTabSync();
+
   // --- Army Info Modal Listeners ---
   const armyInfoModalElement = document.getElementById("armyInfoModal");
   if (armyInfoModalElement) {
@@ -0,0 +1,97 @@
+//@ts-check
+/**
+ * @fileoverview Structured per-game event log for the army tracker.
+ * Records round starts, wounds, Shaken/Routed/Destroyed results, kills, stratagems
+ * and spells for an army, persisted alongside its army state, and builds the
+ * round-by-round view and JSON export used to seed battle reports.
+ */
+
+import { loadGameLog, saveGameLog, resetGameLog } from "./storage.js";
+import { getCurrentRound, getCurrentPhase, getArmyNameById } from "./state.js";
+
+/**
+ * Appends an event to an army's game log and saves it.
+ * @param {string} armyId - The ID of the army the event belongs to.
+ * @param {string} type - Event type (e.g., 'roundStart', 'wound', 'shaken', 'routed', 'destroyed', 'kill', 'stratagem', 'spell').
+ * @param {string} message - Human-readable description of the event.
+ * @param {object} [details={}] - Extra structured data (unitId, unitName, victim, cost, ...).
+ * @returns {object | null} The logged event, or null if it could not be logged.
+ */
+export function logGameEvent(armyId, type, message, details = {}) {
+  if (!armyId || !type) {
+    console.error("logGameEvent: Missing armyId or type.", { armyId, type });
+    return null;
+  }
+
+  const events = loadGameLog(armyId);
+  const event = {
+    id: events.length > 0 ? events[events.length - 1].id + 1 : 1,
+    type,
+    round: getCurrentRound(),
+    phase: getCurrentPhase(),
+    timestamp: new Date().toISOString(),
+    message,
+    ...details,
+  };
+  events.push(event);
+  saveGameLog(armyId, events);
+  return event;
+}
+
+/**
+ * Gets all logged events for an army, oldest first.
+ * @param {string} armyId - The ID of the army.
+ * @returns {Array<object>} The logged events.
+ */
+export function getGameLog(armyId) {
+  return loadGameLog(armyId);
+}
+
+/**
+ * Clears an army's game log (e.g., when a new game's deployment begins).
+ * @param {string} armyId - The ID of the army.
+ */
+export function clearGameLog(armyId) {
+  resetGameLog(armyId);
+}
+
+/**
+ * Groups an army's logged events by round. Round 0 holds pre-game and deployment events.
+ * @param {string} armyId - The ID of the army.
+ * @returns {Array<{number: number, events: Array<object>}>} Rounds in ascending order.
+ */
+export function getGameLogByRound(armyId) {
+  const rounds = new Map();
+  loadGameLog(armyId).forEach((event) => {
+    const roundNumber = event.round || 0;
+    if (!rounds.has(roundNumber)) rounds.set(roundNumber, []);
+    rounds.get(roundNumber).push(event);
+  });
+  return Array.from(rounds.entries())
+    .sort(([a], [b]) => a - b)
+    .map(([number, events]) => ({ number, events }));
+}
+
+/**
+ * Builds the exportable JSON object for an army's game log.
+ * The `rounds` array mirrors the battle report schema ({ number, title, description })
+ * so it can be pasted into a file under data/battle-reports/ and edited from there.
+ * @param {string} armyId - The ID of the army.
+ * @returns {object} The export object.
+ */
+export function buildGameLogExport(armyId) {
+  const rounds = getGameLogByRound(armyId);
+  return {
+    armyId,
+    armyName: getArmyNameById(armyId),
+    exportedAt: new Date().toISOString(),
+    events: loadGameLog(armyId),
+    rounds: rounds
+      .filter((round) => round.number > 0)
+      .map((round) => ({
+        number: round.number,
+        title: "",
+        description: round.events.map((event) => event.message).join("\n"),
+      })),
+  };
+}
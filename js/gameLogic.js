@@ -54,6 +54,36 @@ export function findTargetModelForWound(baseUnit, heroUnit = null) {
   return null; // Fallback
 }
 
+/**
+ * Counts the wounds a set of unsaved hits will actually deal, the same way the
+ * attack resolver applies them: ordinary hits wound the next auto-targeted model,
+ * Deadly(X) hits wound one model up to its remaining HP, and nothing carries over
+ * once every model is gone. The unit's models are not changed.
+ * @param {Array<{unsaved: number, deadly: number}>} weaponResults - The resolved weapon attacks.
+ * @param {object} baseUnit - The processed base unit data object, with current HP synced.
+ * @param {object | null} heroUnit - The processed hero unit data object, if joined.
+ * @returns {number} The number of wounds dealt.
+ */
+export function countWoundsToApply(weaponResults, baseUnit, heroUnit = null) {
+  if (!baseUnit || !baseUnit.models) return 0;
+  const copyModels = (unit) => unit.models.map((model) => ({ ...model }));
+  const base = { models: copyModels(baseUnit) };
+  const hero = heroUnit?.models ? { models: copyModels(heroUnit) } : null;
+
+  let wounds = 0;
+  weaponResults.forEach((result) => {
+    for (let i = 0; i < result.unsaved; i++) {
+      const model = findTargetModelForWound(base, hero);
+      if (!model) return;
+      const dealt =
+        result.deadly > 1 ? Math.min(result.deadly, model.currentHp) : 1;
+      model.currentHp -= dealt;
+      wounds += dealt;
+    }
+  });
+  return wounds;
+}
+
 /**
  * Calculates the movement distance for a unit based on the action type and unit rules.
  * Considers Fast/Slow rules. Base movement speeds: Hold=0", Advance=6", Rush/Charge=12".
@@ -194,19 +224,37 @@ export function calculateArmyXP(armyId) {
 }
 
 /**
- * Checks if a unit is at half strength or less based on current HP.
- * NOTE: This needs access to the unit's STARTING size/toughness for accuracy.
- * Currently uses processed data size, which might be inaccurate if size changes mid-game.
- * @param {object} unitData - Processed unit data.
+ * Checks if a unit (together with its joined hero, if any) is at half strength or less.
+ * Multi-model units compare remaining models to their starting model count; single-model
+ * units (e.g., Tough vehicles and monsters) compare remaining wounds to starting wounds.
+ * Starting values come from the snapshot taken at deployment, falling back to the
+ * unit's full processed strength for games started before snapshots existed.
+ * @param {string} armyId - The ID of the army the unit belongs to.
+ * @param {object} unitData - Processed base unit data (the unit card).
+ * @param {object | null} [heroData=null] - Processed data of the joined hero, if any.
  * @returns {boolean} True if at half strength or less.
  */
-export function checkHalfStrength(unitData) {
+export function checkHalfStrength(armyId, unitData, heroData = null) {
   if (!unitData) return false;
-  // TODO: Get starting size/toughness reliably (e.g., from initial load or state)
-  const startingSize = unitData.size; // Placeholder - needs actual starting size
-  const currentModels = unitData.models.filter((m) => m.currentHp > 0).length;
-  // TODO: Handle Tough(X) models correctly if needed for single-model units
-  return currentModels * 2 <= startingSize;
+  const models = [...(unitData.models || []), ...(heroData?.models || [])];
+  if (models.length === 0) return false;
+
+  const unitState = getUnitState(armyId, unitData.selectionId);
+  const startingSize = unitState.startingSize || models.length;
+
+  if (startingSize === 1) {
+    const startingWounds =
+      unitState.startingWounds ||
+      models.reduce((sum, model) => sum + model.maxHp, 0);
+    const remainingWounds = models.reduce(
+      (sum, model) => sum + Math.max(0, model.currentHp),
+      0,
+    );
+    return remainingWounds * 2 <= startingWounds;
+  }
+
+  const remainingModels = models.filter((m) => m.currentHp > 0).length;
+  return remainingModels * 2 <= startingSize;
 }
 
 /**
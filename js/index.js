@@ -1,11 +1,17 @@
 //@ts-check
 /**
  * @fileoverview Logic for the Index/Homepage.
- * Fetches campaign and mission data to display dashboard snapshots.
+ * Fetches campaign and mission data and the battle reports to display dashboard
+ * snapshots.
  */
 
-import { loadCampaignData, loadMissionsData } from "./dataLoader.js";
+import {
+  loadCampaignData,
+  loadMissionsData,
+  loadCompletedBattleReports,
+} from "./dataLoader.js";
 import { showToast } from "./uiHelpers.js"; // Optional: For error notifications
+import { computeStandings } from "./standings.js";
 
 // --- UI Element References ---
 let missionSnapshotElement;
@@ -43,7 +49,8 @@ async function loadDashboardData() {
   try {
     const campaignData = await loadCampaignData();
     const missionsData = await loadMissionsData(); // Assumes missions.json exists
-    return { campaignData, missionsData };
+    const battleReports = await loadCompletedBattleReports(missionsData);
+    return { campaignData, missionsData, battleReports };
   } catch (error) {
     console.error("Error loading dashboard data:", error);
     // Use showToast if available and appropriate
@@ -95,10 +102,11 @@ function displayMissionSnapshot(missionsData) {
 }
 
 /**
- * Renders a snapshot of the leaderboard as a table.
+ * Renders a snapshot of the leaderboard as a table, computed from the battle reports.
  * @param {object | null} campaignData - The loaded campaign data.
+ * @param {Array<object>} battleReports - The completed missions' battle reports.
  */
-function displayLeaderboardSnapshot(campaignData) {
+function displayLeaderboardSnapshot(campaignData, battleReports) {
   if (!leaderboardSnapshotElement) return;
 
   if (
@@ -110,35 +118,10 @@ function displayLeaderboardSnapshot(campaignData) {
     return;
   }
 
-  const basePoints = campaignData.basePoints || 0;
-  const armies = campaignData.armies.filter((army) => !army.hidden);
-
-  // Calculate leaderboard data
-  const leaderboardData = armies.map((army) => {
-    const wins = army.wins || 0;
-    const losses = army.losses || 0;
-    const earnedVP = army.earnedVP || 0;
-    const objectives = army.objectives || 0; // Not displayed in snapshot, but needed for sorting potentially
-    const totalVP = wins * 2 + earnedVP;
-    const totalGames = wins + losses;
-    const positionScore = totalGames > 0 ? totalVP / totalGames : 0;
-
-    return {
-      player: army.player || "N/A",
-      armyName: army.armyName || "Unnamed Army",
-      vp: totalVP,
-      wins: wins,
-      positionScore: positionScore,
-    };
-  });
-
-  // Sort
-  leaderboardData.sort((a, b) => {
-    if (b.positionScore !== a.positionScore)
-      return b.positionScore - a.positionScore;
-    if (b.vp !== a.vp) return b.vp - a.vp;
-    return b.wins - a.wins;
-  });
+  const leaderboardData = computeStandings(
+    campaignData,
+    battleReports,
+  ).standings;
 
   // --- UPDATED: Display ALL players in a table ---
   // const topPlayers = leaderboardData.slice(0, 3); // REMOVED slice
@@ -162,23 +145,13 @@ function displayLeaderboardSnapshot(campaignData) {
       </thead>
       <tbody>
   `;
-  // Calculate positions handling ties
-  let currentPosition = 1;
-  leaderboardData.forEach((player, index) => {
-    // If this player has a different position score than the previous one, update position
-    if (
-      index > 0 &&
-      player.positionScore !== leaderboardData[index - 1].positionScore
-    ) {
-      currentPosition = index + 1;
-    }
-
+  leaderboardData.forEach((player) => {
     tableHTML += `
       <tr>
-        <td><span class="badge bg-secondary rounded-pill">${currentPosition}</span></td>
+        <td><span class="badge bg-secondary rounded-pill">${player.position}</span></td>
         <td>${renderHTML(player.player)}</td>
         <td>${renderHTML(player.armyName)}</td>
-        <td><span class="badge bg-primary rounded-pill">${player.vp}</span></td>
+        <td><span class="badge bg-primary rounded-pill" title="${player.breakdown.vp}">${player.vp}</span></td>
       </tr>
     `;
   });
@@ -198,7 +171,10 @@ document.addEventListener("DOMContentLoaded", async () => {
 
   if (dashboardData) {
     displayMissionSnapshot(dashboardData.missionsData);
-    displayLeaderboardSnapshot(dashboardData.campaignData);
+    displayLeaderboardSnapshot(
+      dashboardData.campaignData,
+      dashboardData.battleReports,
+    );
   } else {
     // Handle cases where data loading failed
     if (missionSnapshotElement)
@@ -0,0 +1,268 @@
+//@ts-check
+/**
+ * @fileoverview Undo/redo journal for in-game state mutations.
+ * The state setters in state.js report every change (who, what, before/after, round)
+ * to this module. Changes made during the same interaction are grouped into a single
+ * journal entry, which can then be stepped back (undo) or forward (redo).
+ */
+
+import { config } from "./config.js";
+import { loadArmyState, saveArmyState } from "./storage.js";
+
+// --- Journal State (Non-Persistent) ---
+let undoStack = [];
+let redoStack = [];
+let pendingEntry = null; // Entry collecting changes for the current interaction
+let nextEntryId = 1;
+let isRecording = false; // Off until the page has finished initializing
+let isReplaying = false; // Suppresses recording while undo/redo writes state
+const listeners = new Set();
+
+// --- Internal Helpers ---
+
+/**
+ * Deep copies a recorded value so later mutations cannot alter the journal.
+ * @param {*} value - The value to copy.
+ * @returns {*} The copied value.
+ * @private
+ */
+function _cloneValue(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+/**
+ * Compares two recorded values structurally.
+ * @param {*} a - First value.
+ * @param {*} b - Second value.
+ * @returns {boolean} True if both values serialize identically.
+ * @private
+ */
+function _valuesEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Notifies subscribers that the undo/redo availability may have changed.
+ * @private
+ */
+function _notifyListeners() {
+  listeners.forEach((callback) => {
+    try {
+      callback({ canUndo: canUndo(), canRedo: canRedo() });
+    } catch (error) {
+      console.error("Journal listener failed:", error);
+    }
+  });
+}
+
+/**
+ * Moves the pending entry (if any) onto the undo stack.
+ * @private
+ */
+function _commitPendingEntry() {
+  if (!pendingEntry) return;
+  const entry = pendingEntry;
+  pendingEntry = null;
+  if (entry.changes.length === 0) return;
+
+  undoStack.push(entry);
+  if (undoStack.length > config.MAX_JOURNAL_ENTRIES) {
+    undoStack.shift(); // Drop the oldest entry
+  }
+  redoStack = []; // A new change invalidates anything that was undone
+  _notifyListeners();
+}
+
+/**
+ * Writes a single recorded value back into the stored army state.
+ * @param {object} change - The recorded change.
+ * @param {*} value - The value to write (change.before for undo, change.after for redo).
+ * @returns {boolean} True if the value was written.
+ * @private
+ */
+function _writeChangeValue(change, value) {
+  const armyState = loadArmyState(change.armyId);
+  if (!armyState) {
+    console.warn(`Journal: No stored state for army ${change.armyId}.`);
+    return false;
+  }
+
+  let target = armyState;
+  if (change.unitId) {
+    if (!armyState.units[change.unitId]) armyState.units[change.unitId] = {};
+    target = armyState.units[change.unitId];
+    if (change.modelId) {
+      if (!target.models) target.models = {};
+      if (!target.models[change.modelId]) target.models[change.modelId] = {};
+      target = target.models[change.modelId];
+    }
+  }
+
+  if (value === undefined) {
+    delete target[change.key];
+  } else {
+    target[change.key] = _cloneValue(value);
+  }
+  saveArmyState(change.armyId, armyState);
+  return true;
+}
+
+// --- Public API ---
+
+/**
+ * Records a single state change. Changes recorded within the same task are grouped
+ * into one journal entry, so a wound that also destroys a unit is undone in one step.
+ * @param {object} change - Details of the change.
+ * @param {string} change.armyId - The army whose state changed.
+ * @param {string | null} [change.unitId] - The unit that changed, or null for army-level values.
+ * @param {string | null} [change.unitName] - Display name of the unit, for labels.
+ * @param {string | null} [change.modelId] - The model that changed, for model-level values.
+ * @param {string} change.key - The state key that changed.
+ * @param {*} change.before - The value before the change.
+ * @param {*} change.after - The value after the change.
+ * @param {number} change.round - The round in which the change happened.
+ */
+export function recordChange(change) {
+  if (!isRecording || isReplaying) return;
+  if (!change || !change.armyId || !change.key) return;
+  if (_valuesEqual(change.before, change.after)) return;
+
+  if (!pendingEntry) {
+    pendingEntry = {
+      id: nextEntryId++,
+      round: change.round,
+      timestamp: Date.now(),
+      changes: [],
+    };
+    setTimeout(_commitPendingEntry, 0); // Close the entry once the interaction's sync work ends
+  }
+  pendingEntry.changes.push({
+    armyId: change.armyId,
+    unitId: change.unitId || null,
+    unitName: change.unitName || null,
+    modelId: change.modelId || null,
+    key: change.key,
+    before: _cloneValue(change.before),
+    after: _cloneValue(change.after),
+    round: change.round,
+  });
+}
+
+/**
+ * Starts recording changes. Called once the page has finished loading so that
+ * initialization writes (CP, UP, list points) are not undoable.
+ */
+export function startJournal() {
+  isRecording = true;
+  _notifyListeners();
+}
+
+/**
+ * Clears all undo/redo history. Used after bulk state writes that bypass the journal.
+ */
+export function clearJournal() {
+  undoStack = [];
+  redoStack = [];
+  pendingEntry = null;
+  _notifyListeners();
+}
+
+/**
+ * Discards the redo history only. Used when the round advances, since redoing
+ * a previous round's changes would overwrite the fresh round state.
+ */
+export function clearRedoHistory() {
+  _commitPendingEntry();
+  if (redoStack.length === 0) return;
+  redoStack = [];
+  _notifyListeners();
+}
+
+/** @returns {boolean} True if there is an entry to undo. */
+export function canUndo() {
+  return undoStack.length > 0 || !!pendingEntry?.changes.length;
+}
+
+/** @returns {boolean} True if there is an entry to redo. */
+export function canRedo() {
+  return redoStack.length > 0;
+}
+
+/**
+ * Reverts the most recent journal entry by restoring each change's "before" value.
+ * @returns {object | null} The reverted entry (for UI replay), or null if nothing to undo.
+ */
+export function undoLastEntry() {
+  _commitPendingEntry();
+  const entry = undoStack.pop();
+  if (!entry) return null;
+
+  isReplaying = true;
+  try {
+    [...entry.changes]
+      .reverse()
+      .forEach((change) => _writeChangeValue(change, change.before));
+  } finally {
+    isReplaying = false;
+  }
+  redoStack.push(entry);
+  console.log(
+    `Journal: Undid entry ${entry.id} (${entry.changes.length} changes).`,
+  );
+  _notifyListeners();
+  return entry;
+}
+
+/**
+ * Re-applies the most recently undone journal entry by restoring each change's "after" value.
+ * @returns {object | null} The re-applied entry (for UI replay), or null if nothing to redo.
+ */
+export function redoLastEntry() {
+  const entry = redoStack.pop();
+  if (!entry) return null;
+
+  isReplaying = true;
+  try {
+    entry.changes.forEach((change) => _writeChangeValue(change, change.after));
+  } finally {
+    isReplaying = false;
+  }
+  undoStack.push(entry);
+  console.log(
+    `Journal: Redid entry ${entry.id} (${entry.changes.length} changes).`,
+  );
+  _notifyListeners();
+  return entry;
+}
+
+/**
+ * Builds a short human-readable description of a journal entry.
+ * @param {object} entry - The journal entry.
+ * @returns {string} Description such as "Squad: currentHp 3 → 2 (+1 more)".
+ */
+export function describeJournalEntry(entry) {
+  if (!entry || !entry.changes.length) return "No changes";
+  const first = entry.changes[0];
+  const who = first.unitName || first.unitId || "Army";
+  const formatValue = (value) =>
+    value === null || value === undefined
+      ? "none"
+      : Array.isArray(value)
+        ? `${value.length} entries`
+        : typeof value === "object"
+          ? "set"
+          : String(value);
+  let description = `${who}: ${first.key} ${formatValue(first.before)} → ${formatValue(first.after)}`;
+  if (entry.changes.length > 1) {
+    description += ` (+${entry.changes.length - 1} more)`;
+  }
+  return description;
+}
+
+/**
+ * Subscribes to undo/redo availability changes.
+ * @param {function({canUndo: boolean, canRedo: boolean}): void} callback - Called after every change.
+ */
+export function onJournalChange(callback) {
+  if (typeof callback === "function") listeners.add(callback);
+}
@@ -0,0 +1,251 @@
+//@ts-check
+/**
+ * @fileoverview Optional live sync between players' devices on the local network.
+ * State changes reported by state.js (wounds, statuses, kills, killed-by links, CP/UP)
+ * and the shared round/phase are posted to a small relay server (scripts/sync-relay.mjs)
+ * and streamed to every other connected device with Server-Sent Events. Remote changes
+ * are written straight to storage, so they are neither journaled nor re-broadcast.
+ */
+
+import { config } from "./config.js";
+import {
+  loadArmyState,
+  saveArmyState,
+  loadGameState,
+  saveGameState,
+} from "./storage.js";
+
+// --- Sync State (Non-Persistent) ---
+const clientId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+let eventSource = null;
+let relayUrl = null;
+let status = "disconnected"; // 'disconnected' | 'connecting' | 'connected'
+let pendingChanges = []; // Changes collected during the current interaction
+let remoteChangesHandler = null;
+let remoteGameStateHandler = null;
+let statusHandler = null;
+
+// --- Internal Helpers ---
+
+/**
+ * Updates the connection status and notifies the subscriber.
+ * @param {string} newStatus - 'disconnected', 'connecting' or 'connected'.
+ * @private
+ */
+function _setStatus(newStatus) {
+  if (status === newStatus) return;
+  status = newStatus;
+  console.log(`Live sync: ${status}${relayUrl ? ` (${relayUrl})` : ""}`);
+  if (statusHandler) statusHandler(status);
+}
+
+/**
+ * Posts a message to the relay. Sent as text/plain so browsers skip the CORS preflight.
+ * @param {string} type - 'changes' or 'gameState'.
+ * @param {*} payload - The message payload.
+ * @private
+ */
+function _post(type, payload) {
+  if (!relayUrl || status !== "connected") return;
+  fetch(`${relayUrl}/publish`, {
+    method: "POST",
+    headers: { "Content-Type": "text/plain" },
+    body: JSON.stringify({ clientId, type, payload }),
+  }).catch((error) => {
+    console.warn("Live sync: Failed to publish message.", error);
+  });
+}
+
+/**
+ * Sends the changes collected during the current interaction as one message,
+ * so peers re-render a wound and the resulting destruction together.
+ * @private
+ */
+function _flushPendingChanges() {
+  const changes = pendingChanges;
+  pendingChanges = [];
+  if (changes.length > 0) _post("changes", changes);
+}
+
+/**
+ * Writes a remote change's "after" value into the stored army state.
+ * @param {object} change - The change received from a peer.
+ * @returns {boolean} True if the value was written.
+ * @private
+ */
+function _writeRemoteChange(change) {
+  const armyState = loadArmyState(change.armyId);
+  if (!armyState) {
+    console.warn(`Live sync: No stored state for army ${change.armyId}.`);
+    return false;
+  }
+
+  let target = armyState;
+  if (change.unitId) {
+    if (!armyState.units[change.unitId]) armyState.units[change.unitId] = {};
+    target = armyState.units[change.unitId];
+    if (change.modelId) {
+      if (!target.models) target.models = {};
+      if (!target.models[change.modelId]) target.models[change.modelId] = {};
+      target = target.models[change.modelId];
+    }
+  }
+
+  if (!("after" in change)) {
+    delete target[change.key]; // undefined values don't survive JSON
+  } else {
+    target[change.key] = change.after;
+  }
+  saveArmyState(change.armyId, armyState);
+  return true;
+}
+
+/**
+ * Applies a message received from the relay.
+ * @param {MessageEvent} event - The Server-Sent Event.
+ * @private
+ */
+function _handleMessage(event) {
+  let message;
+  try {
+    message = JSON.parse(event.data);
+  } catch (error) {
+    console.warn("Live sync: Ignoring malformed message.", event.data);
+    return;
+  }
+  if (!message || message.clientId === clientId) return; // Our own echo
+
+  if (message.type === "changes" && Array.isArray(message.payload)) {
+    const applied = message.payload.filter(_writeRemoteChange);
+    console.log(`Live sync: Applied ${applied.length} remote changes.`);
+    if (applied.length > 0 && remoteChangesHandler) {
+      remoteChangesHandler(applied);
+    }
+  } else if (message.type === "gameState" && message.payload) {
+    const previousGameState = loadGameState();
+    saveGameState(message.payload);
+    console.log("Live sync: Applied remote game state.", message.payload);
+    if (remoteGameStateHandler) {
+      remoteGameStateHandler(previousGameState, message.payload);
+    }
+  }
+}
+
+// --- Public API ---
+
+/**
+ * Connects to a relay server and starts exchanging state changes.
+ * The URL is remembered so the connection resumes on the next page load.
+ * @param {string} url - The relay's base URL (e.g., http://192.168.1.20:8787).
+ * @returns {boolean} True if the connection was started.
+ */
+export function connectLiveSync(url) {
+  const trimmedUrl = (url || "").trim().replace(/\/+$/, "");
+  if (!/^https?:\/\//.test(trimmedUrl)) {
+    console.error("Live sync: Relay URL must start with http:// or https://.");
+    return false;
+  }
+  disconnectLiveSync();
+
+  relayUrl = trimmedUrl;
+  localStorage.setItem(config.LIVE_SYNC_URL_KEY, relayUrl);
+  _setStatus("connecting");
+
+  eventSource = new EventSource(`${relayUrl}/events`);
+  eventSource.onopen = () => _setStatus("connected");
+  eventSource.onmessage = _handleMessage;
+  eventSource.onerror = () => {
+    // EventSource retries on its own unless the relay refused the stream
+    _setStatus(
+      eventSource?.readyState === EventSource.CLOSED
+        ? "disconnected"
+        : "connecting",
+    );
+  };
+  return true;
+}
+
+/**
+ * Disconnects from the relay and forgets the saved URL.
+ */
+export function disconnectLiveSync() {
+  if (eventSource) {
+    eventSource.close();
+    eventSource = null;
+  }
+  if (relayUrl) localStorage.removeItem(config.LIVE_SYNC_URL_KEY);
+  relayUrl = null;
+  pendingChanges = [];
+  _setStatus("disconnected");
+}
+
+/**
+ * Reconnects to the relay used last time, if live sync was left on.
+ * @returns {boolean} True if a saved connection was resumed.
+ */
+export function resumeLiveSync() {
+  const savedUrl = localStorage.getItem(config.LIVE_SYNC_URL_KEY);
+  return savedUrl ? connectLiveSync(savedUrl) : false;
+}
+
+/**
+ * Gets the relay URL in use, or the one saved from a previous session.
+ * @returns {string | null} The relay URL.
+ */
+export function getLiveSyncUrl() {
+  return relayUrl || localStorage.getItem(config.LIVE_SYNC_URL_KEY);
+}
+
+/** @returns {string} 'disconnected', 'connecting' or 'connected'. */
+export function getLiveSyncStatus() {
+  return status;
+}
+
+/**
+ * Queues a local state change for peers. Changes made during the same
+ * interaction are sent together once it finishes.
+ * @param {object} change - The change, as reported to the journal ({armyId, unitId, modelId, key, after, ...}).
+ */
+export function publishStateChange(change) {
+  if (status !== "connected" || !change?.armyId || !change.key) return;
+  if (pendingChanges.length === 0) setTimeout(_flushPendingChanges, 0);
+  pendingChanges.push({
+    armyId: change.armyId,
+    unitId: change.unitId || null,
+    modelId: change.modelId || null,
+    key: change.key,
+    after: change.after,
+  });
+}
+
+/**
+ * Sends the shared round/phase to peers.
+ * @param {object} gameState - The global game state ({ currentRound, currentPhase }).
+ */
+export function publishGameState(gameState) {
+  _post("gameState", gameState);
+}
+
+/**
+ * Sets the callback run after remote changes are written to storage.
+ * @param {function(Array<object>): void} callback - Receives the applied changes.
+ */
+export function onRemoteChanges(callback) {
+  remoteChangesHandler = callback;
+}
+
+/**
+ * Sets the callback run after a remote round/phase update is saved.
+ * @param {function(object, object): void} callback - Receives the previous and new game state.
+ */
+export function onRemoteGameState(callback) {
+  remoteGameStateHandler = callback;
+}
+
+/**
+ * Sets the callback run when the connection status changes.
+ * @param {function(string): void} callback - Receives the new status.
+ */
+export function onLiveSyncStatus(callback) {
+  statusHandler = callback;
+}
@@ -0,0 +1,43 @@
+//@ts-check
+/**
+ * @fileoverview An in-memory stand-in for localStorage with the same methods
+ * (getItem, setItem, removeItem, key, clear and length). storage.js falls back to it
+ * where localStorage doesn't exist, e.g. when the state and game logic modules run
+ * under Node for the tests, and the tests pass a fresh one to configureStorage().
+ */
+
+/**
+ * Creates an empty in-memory storage area. Values are stored as strings, as
+ * localStorage does, and nothing outlives the page or process.
+ * @returns {{
+ *   readonly length: number,
+ *   key: function(number): string | null,
+ *   getItem: function(string): string | null,
+ *   setItem: function(string, *): void,
+ *   removeItem: function(string): void,
+ *   clear: function(): void
+ * }} The storage area.
+ */
+export function createMemoryStorage() {
+  const items = new Map();
+  return {
+    get length() {
+      return items.size;
+    },
+    key(index) {
+      return Array.from(items.keys())[index] ?? null;
+    },
+    getItem(key) {
+      return items.has(String(key)) ? items.get(String(key)) : null;
+    },
+    setItem(key, value) {
+      items.set(String(key), String(value));
+    },
+    removeItem(key) {
+      items.delete(String(key));
+    },
+    clear() {
+      items.clear();
+    },
+  };
+}
@@ -10,7 +10,7 @@ import {
   loadGameData,
   loadCampaignData,
 } from "./dataLoader.js";
-import { showToast } from "./uiHelpers.js";
+import { escapeHtml, showToast } from "./uiHelpers.js";
 import { config } from "./config.js";
 import { initializeDefinitionsSystem } from "./definitions.js";
 import { getDefinitions } from "./state.js";
@@ -48,22 +48,6 @@ function initializeUIReferences() {
 
 // --- Utility Functions ---
 
-/**
- * Basic HTML escaping function to prevent XSS vulnerabilities.
- * Handles non-string inputs gracefully.
- * @param {string} unsafe - The potentially unsafe string to escape.
- * @returns {string} The escaped string, safe for insertion into HTML attributes or content.
- */
-function escapeHtml(unsafe) {
-  if (typeof unsafe !== "string") return ""; // Handle non-string input
-  return unsafe
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;")
-    .replace(/'/g, "&#039;");
-}
-
 /**
  * Formats a block of text into HTML paragraphs, splitting by newlines.
  * Also performs basic script tag removal. Handles undefined/null input.
@@ -259,7 +243,9 @@ function displayDoctrines(doctrinesData) {
 
 /**
  * Renders the glossary items into the container using a footer for metadata.
- * @param {object} defs - The definitions object from state (structure: { term: { description: string, type: string, sources: string[] } }).
+ * Terms that game systems word differently get one card per wording, each with the
+ * badges of the systems using it.
+ * @param {object} defs - The definitions object from state (structure: { term: { description: string, type: string, sources: string[], systems: number[], descriptions: Object<number, string> | null } }).
  * @param {HTMLElement} container - The container element for glossary items (#glossary-items-container).
  */
 function renderGlossary(defs, container) {
@@ -290,66 +276,110 @@ function renderGlossary(defs, container) {
       return; // Skip rendering this term
     }
 
-    // Store lowercased versions in data attributes for case-insensitive search
-    const lowerTerm = escapeHtml((term || "").toLowerCase());
-    // Combine description and sources for searching
-    const lowerDescriptionAndSources = escapeHtml(
-      `${(definition.description || "").toLowerCase()} ${definition.sources
-        .join(" ")
-        .toLowerCase()}`,
-    );
+    // Group the game systems by wording (campaign rules apply to all of them)
+    const variants = new Map(); // description -> system IDs
+    (definition.systems || []).forEach((systemId) => {
+      const text =
+        definition.descriptions?.[systemId] || definition.description;
+      variants.set(text, [...(variants.get(text) || []), systemId]);
+    });
+    if (variants.size === 0) variants.set(definition.description, []);
 
-    // Generate source badges HTML
-    let sourceBadges = "";
-    if (definition.sources && definition.sources.length > 0) {
-      sourceBadges = definition.sources
-        .map((source) => {
-          let badgeClass =
-            "bg-secondary-subtle border-secondary-subtle text-secondary-emphasis"; // Default
-          if (source === "Common") {
-            badgeClass =
-              "bg-primary-subtle border-primary-subtle text-primary-emphasis";
-          } else if (source === "Custom") {
-            badgeClass =
-              "bg-success-subtle border-success-subtle text-success-emphasis";
-          }
-          // Add more conditions here for specific army book names if desired
-          return `<span class="badge ${badgeClass} border rounded-pill me-1 small">${escapeHtml(
-            source,
-          )}</span>`;
-        })
-        .join("");
-    }
+    variants.forEach((systemIds, description) => {
+      html += _renderGlossaryCard(term, definition, description, systemIds);
+    });
+  });
+
+  container.innerHTML = html; // Set the generated HTML
+  console.log(`Rendered ${terms.length} glossary items.`);
+}
 
-    // Generate type badge HTML
-    const typeBadge = definition.type
-      ? `<span
+/**
+ * Builds the glossary card of one wording of a term.
+ * @param {string} term - The term.
+ * @param {object} definition - The term's definition (type and sources).
+ * @param {string} description - The wording shown on this card.
+ * @param {Array<number>} systemIds - The game systems using this wording.
+ * @returns {string} The card HTML.
+ * @private
+ */
+function _renderGlossaryCard(term, definition, description, systemIds) {
+  const systems = systemIds
+    .map((systemId) => config.GAME_SYSTEMS[systemId])
+    .filter(Boolean);
+
+  // Store lowercased versions in data attributes for case-insensitive search
+  const lowerTerm = escapeHtml((term || "").toLowerCase());
+  // Combine description, sources and game systems for searching
+  const lowerDescriptionAndSources = escapeHtml(
+    `${(description || "").toLowerCase()} ${definition.sources
+      .join(" ")
+      .toLowerCase()} ${systems
+      .map((system) => `${system.name} ${system.shortName}`)
+      .join(" ")
+      .toLowerCase()}`,
+  );
+
+  // Generate source badges HTML
+  let sourceBadges = "";
+  if (definition.sources && definition.sources.length > 0) {
+    sourceBadges = definition.sources
+      .map((source) => {
+        let badgeClass =
+          "bg-secondary-subtle border-secondary-subtle text-secondary-emphasis"; // Default
+        if (source === "Common") {
+          badgeClass =
+            "bg-primary-subtle border-primary-subtle text-primary-emphasis";
+        } else if (source === "Custom") {
+          badgeClass =
+            "bg-success-subtle border-success-subtle text-success-emphasis";
+        }
+        // Add more conditions here for specific army book names if desired
+        return `<span class="badge ${badgeClass} border rounded-pill me-1 small">${escapeHtml(
+          source,
+        )}</span>`;
+      })
+      .join("");
+  }
+
+  // Generate game system badges HTML
+  const systemBadges = systems
+    .map(
+      (system) =>
+        `<span class="badge bg-dark-subtle border border-dark-subtle text-dark-emphasis rounded-pill me-1 small" title="${escapeHtml(
+          system.name,
+        )}">${escapeHtml(system.shortName)}</span>`,
+    )
+    .join("");
+
+  // Generate type badge HTML
+  const typeBadge = definition.type
+    ? `<span
           class="badge bg-info-subtle border border-info-subtle text-info-emphasis rounded-pill me-1 small"
           >${escapeHtml(definition.type)}</span
         >`
-      : "";
+    : "";
 
-    // --- Card Structure with Footer ---
-    html += ` <div
+  // --- Card Structure with Footer ---
+  // Popovers in a single-system card use that system's wording
+  const systemAttribute =
+    systemIds.length === 1 ? ` data-game-system="${systemIds[0]}"` : "";
+  return ` <div
       class="col glossary-item"
       data-term="${lowerTerm}"
-      data-description="${lowerDescriptionAndSources}">
+      data-description="${lowerDescriptionAndSources}"${systemAttribute}>
       <div class="card h-100 shadow-sm glossary-card">
         <div class="card-header p-2">
           <h6 class="mb-0 glossary-term">${escapeHtml(term)}</h6>
         </div>
         <div class="card-body p-2 glossary-description small allow-definitions">
-          ${formatTextToParagraphs(definition.description)}
+          ${formatTextToParagraphs(description)}
         </div>
         <div class="card-footer p-1 small text-muted d-flex flex-wrap align-items-center">
-          ${typeBadge} ${sourceBadges}
+          ${typeBadge} ${systemBadges} ${sourceBadges}
         </div>
       </div>
     </div>`;
-  });
-
-  container.innerHTML = html; // Set the generated HTML
-  console.log(`Rendered ${terms.length} glossary items.`);
 }
 
 /**
@@ -0,0 +1,308 @@
+//@ts-check
+/**
+ * @fileoverview Portable save files: exports every army state stored on this device
+ * (units, wounds, statuses, doctrines, CP/UP, kill records), the game logs and the
+ * shared round/phase into one versioned JSON file, and imports such a file back,
+ * merging into or replacing each army's stored state. Each army's other save slots
+ * travel with it and replace the slots of the same ID on import.
+ */
+
+import { config } from "./config.js";
+import {
+  loadArmyState,
+  saveArmyState,
+  loadGameState,
+  saveGameState,
+  loadGameLog,
+  saveGameLog,
+  listStoredArmyIds,
+  exportSaveSlots,
+  importSaveSlot,
+} from "./storage.js";
+import { getArmyNameById } from "./state.js";
+import { migrateArmyState } from "./stateSchema.js";
+
+const SAVE_FILE_FORMAT = "opr-army-tracker-save";
+
+/** Army Forge list IDs (and save slot IDs) are short strings of letters, digits, "_" and "-". */
+const ARMY_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// --- Internal Helpers ---
+
+/**
+ * Checks that a value is a plain object (not null or an array).
+ * @param {*} value - The value to check.
+ * @returns {boolean} True for plain objects.
+ * @private
+ */
+function _isObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Validates one army entry of a save file.
+ * @param {string} armyId - The army ID the entry is stored under.
+ * @param {*} entry - The entry ({ armyName, state, log, slots }).
+ * @returns {Array<string>} Problems found, empty if the entry is valid.
+ * @private
+ */
+function _validateArmyEntry(armyId, entry) {
+  if (!ARMY_ID_PATTERN.test(armyId)) {
+    // Don't echo the ID back; it may be arbitrary text from the file
+    return ["An army has an ID that isn't an Army Forge list ID."];
+  }
+  if (!_isObject(entry)) return [`Army ${armyId} has no state.`];
+
+  const errors = [];
+  if (entry.armyName !== undefined && typeof entry.armyName !== "string") {
+    errors.push(`Army ${armyId}: armyName must be text.`);
+  }
+  errors.push(..._validateState(`Army ${armyId}`, entry.state, entry.log));
+  if (entry.slots !== undefined && !Array.isArray(entry.slots)) {
+    errors.push(`Army ${armyId}: slots must be a list.`);
+  } else {
+    (entry.slots || []).forEach((slot) => {
+      if (!_isObject(slot) || !ARMY_ID_PATTERN.test(String(slot.id))) {
+        errors.push(`Army ${armyId}: a save slot has no valid ID.`);
+      } else if (typeof slot.name !== "string" || !slot.name.trim()) {
+        errors.push(`Army ${armyId}: save slot ${slot.id} has no name.`);
+      } else if (slot.gameState != null && !_isObject(slot.gameState)) {
+        errors.push(
+          `Army ${armyId}: save slot ${slot.id} has an invalid round.`,
+        );
+      } else if (!slot.isActive) {
+        errors.push(
+          ..._validateState(
+            `Army ${armyId}, slot ${slot.id}`,
+            slot.state,
+            slot.log,
+          ),
+        );
+      }
+    });
+  }
+  return errors;
+}
+
+/**
+ * Validates an army state and game log of a save file.
+ * @param {string} label - Names the army (and slot) in the problems found.
+ * @param {*} state - The army state.
+ * @param {*} log - The game log, if any.
+ * @returns {Array<string>} Problems found, empty if both are valid.
+ * @private
+ */
+function _validateState(label, state, log) {
+  if (!_isObject(state)) return [`${label} has no state.`];
+  const errors = [];
+  if (typeof state.listPoints !== "number") {
+    errors.push(`${label}: listPoints must be a number.`);
+  }
+  if (!_isObject(state.units)) {
+    errors.push(`${label}: units must be an object.`);
+  } else {
+    Object.entries(state.units).forEach(([unitId, unitState]) => {
+      if (!_isObject(unitState)) {
+        errors.push(`${label}: unit ${unitId} is not an object.`);
+      } else if (
+        unitState.models !== undefined &&
+        !_isObject(unitState.models)
+      ) {
+        errors.push(`${label}: unit ${unitId} has invalid models.`);
+      } else if (
+        unitState.killsRecorded !== undefined &&
+        !Array.isArray(unitState.killsRecorded)
+      ) {
+        errors.push(`${label}: unit ${unitId} has invalid kills.`);
+      }
+    });
+  }
+  if (log !== undefined && !Array.isArray(log)) {
+    errors.push(`${label}: log must be a list of events.`);
+  }
+  return errors;
+}
+
+/**
+ * Merges an imported army state into the stored one. Imported values win, values
+ * only present on this device are kept, and kill records from both are combined.
+ * @param {object} localState - The state stored on this device.
+ * @param {object} importedState - The state from the save file.
+ * @returns {object} The merged state.
+ * @private
+ */
+function _mergeArmyState(localState, importedState) {
+  const merged = { ...localState, ...importedState, units: {} };
+  const unitIds = new Set([
+    ...Object.keys(localState.units || {}),
+    ...Object.keys(importedState.units),
+  ]);
+
+  unitIds.forEach((unitId) => {
+    const localUnit = localState.units?.[unitId] || {};
+    const importedUnit = importedState.units[unitId] || {};
+    const unit = { ...localUnit, ...importedUnit };
+
+    if (localUnit.models || importedUnit.models) {
+      unit.models = { ...localUnit.models };
+      Object.entries(importedUnit.models || {}).forEach(([modelId, model]) => {
+        unit.models[modelId] = { ...unit.models[modelId], ...model };
+      });
+    }
+
+    if (localUnit.killsRecorded || importedUnit.killsRecorded) {
+      const killsByVictim = new Map();
+      [
+        ...(localUnit.killsRecorded || []),
+        ...(importedUnit.killsRecorded || []),
+      ].forEach((kill) =>
+        killsByVictim.set(`${kill.victimArmyId}|${kill.victimUnitId}`, kill),
+      );
+      unit.killsRecorded = Array.from(killsByVictim.values());
+    }
+    merged.units[unitId] = unit;
+  });
+  return merged;
+}
+
+// --- Public API ---
+
+/**
+ * Builds a save file containing every army state and game log stored on this device.
+ * Each army's `state` and `log` are those of its active save slot; `slots` lists all
+ * of its save slots, with the state and log of every slot that isn't active.
+ * @returns {object} The save file ({ format, version, exportedAt, gameState, armies }).
+ */
+export function buildSaveFile() {
+  const armies = {};
+  listStoredArmyIds().forEach((armyId) => {
+    const state = loadArmyState(armyId);
+    if (!state) return;
+    delete state.revision; // Only meaningful to the tabs open on this device
+    armies[armyId] = {
+      armyName: getArmyNameById(armyId),
+      state,
+      log: loadGameLog(armyId),
+      slots: exportSaveSlots(armyId).map((slot) =>
+        slot.isActive ? { ...slot, state: undefined, log: undefined } : slot,
+      ),
+    };
+  });
+
+  return {
+    format: SAVE_FILE_FORMAT,
+    version: config.SAVE_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    gameState: loadGameState(),
+    armies,
+  };
+}
+
+/**
+ * Parses and validates a save file's text.
+ * @param {string} text - The file contents.
+ * @returns {{saveFile: object | null, errors: Array<string>}} The save file if valid, and any problems found.
+ */
+export function parseSaveFile(text) {
+  let saveFile;
+  try {
+    saveFile = JSON.parse(text);
+  } catch (error) {
+    return { saveFile: null, errors: ["The file is not valid JSON."] };
+  }
+
+  if (!_isObject(saveFile) || saveFile.format !== SAVE_FILE_FORMAT) {
+    return {
+      saveFile: null,
+      errors: ["The file is not an army tracker save file."],
+    };
+  }
+  if (!Number.isInteger(saveFile.version) || saveFile.version < 1) {
+    return { saveFile: null, errors: ["The save file has no valid version."] };
+  }
+  if (saveFile.version > config.SAVE_FILE_VERSION) {
+    return {
+      saveFile: null,
+      errors: [
+        `The save file is version ${saveFile.version}, but this tracker reads up to version ${config.SAVE_FILE_VERSION}. Update the tracker and try again.`,
+      ],
+    };
+  }
+
+  const errors = [];
+  if (_isObject(saveFile.armies)) {
+    // Older exports hold older army states; upgrade them like stored saves
+    Object.values(saveFile.armies).forEach((entry) => {
+      if (!_isObject(entry)) return;
+      entry.state = migrateArmyState(entry.state)?.state;
+      if (!Array.isArray(entry.slots)) return;
+      entry.slots.forEach((slot) => {
+        if (_isObject(slot) && !slot.isActive) {
+          slot.state = migrateArmyState(slot.state)?.state;
+        }
+      });
+    });
+  }
+  if (
+    !_isObject(saveFile.gameState) ||
+    typeof saveFile.gameState.currentRound !== "number" ||
+    typeof saveFile.gameState.currentPhase !== "string"
+  ) {
+    errors.push("The game state (round and phase) is missing or invalid.");
+  }
+  if (!_isObject(saveFile.armies)) {
+    errors.push("The file contains no armies.");
+  } else {
+    Object.entries(saveFile.armies).forEach(([armyId, entry]) =>
+      errors.push(..._validateArmyEntry(armyId, entry)),
+    );
+  }
+
+  return { saveFile: errors.length === 0 ? saveFile : null, errors };
+}
+
+/**
+ * Writes a validated save file into storage. Each imported army's active slot is
+ * merged into or replaces the army's active slot here; its other save slots replace
+ * the slots with the same ID (or are added).
+ * @param {object} saveFile - A save file returned by parseSaveFile.
+ * @param {Object<string, string>} armyModes - 'merge', 'replace' or 'skip' per army ID.
+ * @param {boolean} [includeGameState=true] - Whether to restore the round and phase too.
+ * @returns {Array<string>} The IDs of the armies imported.
+ */
+export function importSaveFile(saveFile, armyModes, includeGameState = true) {
+  const importedArmyIds = [];
+
+  Object.entries(saveFile.armies).forEach(([armyId, entry]) => {
+    const mode = armyModes[armyId] || "skip";
+    if (mode === "skip") return;
+
+    const localState = loadArmyState(armyId);
+    const importedState = structuredClone(entry.state);
+    delete importedState.revision;
+
+    if (mode === "merge" && localState) {
+      saveArmyState(armyId, _mergeArmyState(localState, importedState));
+      // Event IDs are per device, so duplicates are found by time and message
+      const eventsByKey = new Map();
+      [...loadGameLog(armyId), ...(entry.log || [])].forEach((event) =>
+        eventsByKey.set(`${event.timestamp}|${event.message}`, event),
+      );
+      const mergedLog = Array.from(eventsByKey.values())
+        .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)))
+        .map((event, index) => ({ ...event, id: index + 1 }));
+      saveGameLog(armyId, mergedLog);
+    } else {
+      saveArmyState(armyId, importedState);
+      saveGameLog(armyId, entry.log || []);
+    }
+    (entry.slots || [])
+      .filter((slot) => !slot.isActive)
+      .forEach((slot) => importSaveSlot(armyId, slot));
+    importedArmyIds.push(armyId);
+    console.log(`Imported army ${armyId} from save file (${mode}).`);
+  });
+
+  if (includeGameState) saveGameState(saveFile.gameState);
+  return importedArmyIds;
+}
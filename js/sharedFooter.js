@@ -10,6 +10,13 @@ document.addEventListener("DOMContentLoaded", () => {
           <button type="button" id="reset-all-data-button" class="btn btn-sm btn-outline-warning">
             <i class="bi bi-trash3-fill"></i> Reset ALL Data
           </button>
+          <button type="button" id="export-save-file-button" class="btn btn-sm btn-outline-secondary">
+            <i class="bi bi-download"></i> Export Save File
+          </button>
+          <button type="button" id="import-save-file-button" class="btn btn-sm btn-outline-secondary">
+            <i class="bi bi-upload"></i> Import Save File
+          </button>
+          <input type="file" id="save-file-input" accept=".json,application/json" class="d-none" />
         </div>
       </div>
       <p class="text-center text-muted mb-1">&copy; 2025 OPR Army Tracker</p>
@@ -1,9 +1,13 @@
 //@ts-check
 /**
  * @fileoverview Complete shared navigation component.
- * Generates entire navbar structure with proper active states.
+ * Generates entire navbar structure with proper active states, registers the
+ * offline service worker (sw.js) and shows when the page is offline or using
+ * cached data.
  */
 
+let servedStaleData = false; // Set once the service worker answers from its cache
+
 /**
  * Creates and injects the complete navbar structure.
  * @param {string} activePage - The current page identifier ('home', 'army', 'campaign', 'rules')
@@ -109,6 +113,10 @@ function createNavbar(activePage = "") {
             </ul>
           </li>
         </ul>
+        <span
+          id="connection-status"
+          class="badge me-2 d-none"
+          role="status"></span>
         <div class="dropdown">
           <button
             class="btn btn-sm btn-secondary dropdown-toggle"
@@ -150,9 +158,64 @@ function createNavbar(activePage = "") {
   `;
 }
 
+/**
+ * Shows or hides the navbar's offline / stale data indicator.
+ */
+function updateConnectionStatus() {
+  const statusBadge = document.getElementById("connection-status");
+  if (!statusBadge) return;
+
+  statusBadge.classList.remove(
+    "d-none",
+    "text-bg-warning",
+    "text-bg-secondary",
+  );
+  if (!navigator.onLine) {
+    statusBadge.classList.add("text-bg-warning");
+    statusBadge.innerHTML = '<i class="bi bi-wifi-off"></i> Offline';
+    statusBadge.title =
+      "No connection. Pages, rules and army data saved on this device are used; progress is still saved.";
+  } else if (servedStaleData) {
+    statusBadge.classList.add("text-bg-secondary");
+    statusBadge.innerHTML = '<i class="bi bi-clock-history"></i> Stale data';
+    statusBadge.title =
+      "The network was unavailable or too slow, so saved copies were shown. Reload for the latest data.";
+  } else {
+    statusBadge.classList.add("d-none");
+  }
+}
+
+/**
+ * Registers the service worker and listens for its stale data reports.
+ */
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+
+  navigator.serviceWorker.addEventListener("message", (event) => {
+    if (event.data?.type === "staleData") {
+      console.log(`Served from offline cache: ${event.data.url || "page"}`);
+      servedStaleData = true;
+      updateConnectionStatus();
+    }
+  });
+  // The page itself may have come from the cache before this listener existed
+  navigator.serviceWorker.controller?.postMessage({ type: "getCacheStatus" });
+
+  navigator.serviceWorker
+    .register("sw.js")
+    .catch((error) =>
+      console.warn("Service worker registration failed:", error),
+    );
+}
+
 // Initialize when DOM is ready
 document.addEventListener("DOMContentLoaded", () => {
   // Get page context from global variable if set
   const activePage = window.currentPage || "";
   createNavbar(activePage);
+  updateConnectionStatus();
 });
+
+window.addEventListener("online", updateConnectionStatus);
+window.addEventListener("offline", updateConnectionStatus);
+registerServiceWorker();
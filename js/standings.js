@@ -0,0 +1,325 @@
+//@ts-check
+/**
+ * @fileoverview Computes the campaign standings from the battle reports, so the
+ * leaderboards on the home and campaign pages no longer rely on totals typed into
+ * campaign.json. Wins and losses come from each report's participants; special
+ * objectives, earned VP and earned points come from the optional `objectives`,
+ * `earnedVP` and `earnedPts` fields of a participant. Until some report records one
+ * of those fields, the hand-entered campaign.json total is used for it instead.
+ * Hand-entered totals that disagree with the reports are returned as discrepancies.
+ * How VP, maximum army points and the ranking follow from those totals is set by the
+ * `scoring` section of campaign.json (see DEFAULT_SCORING), and each standing carries
+ * a readable breakdown of its numbers. Has no DOM dependencies, so
+ * scripts/validate-data.mjs uses it too.
+ */
+
+/** Totals derived from the reports, with the campaign.json army field of the same name. */
+const STANDINGS_FIELDS = [
+  "wins",
+  "losses",
+  "objectives",
+  "earnedVP",
+  "earnedPts",
+];
+
+/** Per-mission bonus fields a battle report participant may carry. */
+const BONUS_FIELDS = ["objectives", "earnedVP", "earnedPts"];
+
+// --- Scoring ---
+
+/**
+ * The scoring used when campaign.json has no `scoring` section (or leaves parts out).
+ * victoryPoints and pointGrowth weight each total; ranking lists the stats armies are
+ * ordered by, and armies tied on the first share a position. A ranking entry is a
+ * stat name (highest first) or { stat, order } with order "asc" for lowest first,
+ * e.g., { "stat": "losses", "order": "asc" }.
+ */
+const DEFAULT_SCORING = {
+  victoryPoints: { win: 2, loss: 0, objective: 0, earnedVP: 1 },
+  ranking: ["vpPerGame", "vp", "wins"],
+  pointGrowth: { win: 150, loss: 300, objective: 75, earnedPts: 1 },
+};
+
+/** Stats a campaign can rank by, with their labels. */
+const RANKING_STATS = {
+  vpPerGame: "VP per game",
+  vp: "VP",
+  wins: "wins",
+  losses: "losses",
+  games: "games played",
+  objectives: "objectives",
+  maxPoints: "max points",
+};
+
+/**
+ * Turns a ranking entry into { stat, order }. Stats are ranked highest first
+ * unless the entry sets order "asc".
+ * @param {string | {stat: string, order?: string}} entry - The ranking entry.
+ * @returns {{stat: string, order: 'asc' | 'desc'} | null} The entry, or null if the stat is unknown.
+ * @private
+ */
+function _normalizeRankingEntry(entry) {
+  const stat = typeof entry === "string" ? entry : entry?.stat;
+  if (!RANKING_STATS[stat]) {
+    console.warn(
+      `Scoring: Unknown ranking stat ${JSON.stringify(stat ?? entry)} ignored.`,
+    );
+    return null;
+  }
+  return { stat, order: entry?.order === "asc" ? "asc" : "desc" };
+}
+
+/**
+ * Gets the campaign's scoring rules, filling in defaults for anything not configured.
+ * Unknown ranking stats are dropped with a warning.
+ * @param {object | null} campaignData - The campaign data (campaign.json).
+ * @returns {{
+ *   victoryPoints: {win: number, loss: number, objective: number, earnedVP: number},
+ *   ranking: Array<{stat: string, order: 'asc' | 'desc'}>,
+ *   pointGrowth: {win: number, loss: number, objective: number, earnedPts: number}
+ * }} The scoring rules.
+ */
+export function getScoring(campaignData) {
+  const configured = campaignData?.scoring || {};
+  const ranking = (configured.ranking || [])
+    .map(_normalizeRankingEntry)
+    .filter(Boolean);
+  return {
+    victoryPoints: {
+      ...DEFAULT_SCORING.victoryPoints,
+      ...configured.victoryPoints,
+    },
+    ranking:
+      ranking.length > 0
+        ? ranking
+        : DEFAULT_SCORING.ranking.map(_normalizeRankingEntry),
+    pointGrowth: { ...DEFAULT_SCORING.pointGrowth, ...configured.pointGrowth },
+  };
+}
+
+/**
+ * Adds up weighted totals and describes the sum (e.g., "2 × 2 wins + 0 earned VP = 4").
+ * Terms with a weight of 0 are left out.
+ * @param {number} start - The starting value (e.g., base points), or 0.
+ * @param {string} startLabel - How the starting value is described.
+ * @param {Array<{weight: number, count: number, label: string}>} terms - The weighted totals.
+ * @returns {{value: number, description: string}} The sum and its description.
+ * @private
+ */
+function _weightedSum(start, startLabel, terms) {
+  const parts = start ? [`${start} ${startLabel}`] : [];
+  let value = start;
+  terms
+    .filter(({ weight }) => weight !== 0)
+    .forEach(({ weight, count, label }) => {
+      value += weight * count;
+      parts.push(
+        weight === 1 ? `${count} ${label}` : `${weight} × ${count} ${label}`,
+      );
+    });
+  return {
+    value,
+    description: `${parts.join(" + ") || "0"} = ${value}`,
+  };
+}
+
+/**
+ * Adds VP, VP per game and the army's maximum list points to its totals, with a
+ * breakdown of how each was computed.
+ * @param {object} standing - The army's standing, with its totals filled in.
+ * @param {number} basePoints - The campaign's starting army points.
+ * @param {ReturnType<typeof getScoring>} scoring - The scoring rules.
+ * @private
+ */
+function _applyScoring(standing, basePoints, scoring) {
+  const { victoryPoints, pointGrowth } = scoring;
+  standing.games = standing.wins + standing.losses;
+
+  const vp = _weightedSum(0, "", [
+    { weight: victoryPoints.win, count: standing.wins, label: "wins" },
+    { weight: victoryPoints.loss, count: standing.losses, label: "losses" },
+    {
+      weight: victoryPoints.objective,
+      count: standing.objectives,
+      label: "objectives",
+    },
+    {
+      weight: victoryPoints.earnedVP,
+      count: standing.earnedVP,
+      label: "earned VP",
+    },
+  ]);
+  standing.vp = vp.value;
+  standing.vpPerGame = standing.games > 0 ? standing.vp / standing.games : 0;
+
+  const maxPoints = _weightedSum(basePoints, "base", [
+    { weight: pointGrowth.win, count: standing.wins, label: "wins" },
+    { weight: pointGrowth.loss, count: standing.losses, label: "losses" },
+    {
+      weight: pointGrowth.objective,
+      count: standing.objectives,
+      label: "objectives",
+    },
+    {
+      weight: pointGrowth.earnedPts,
+      count: standing.earnedPts,
+      label: "earned pts",
+    },
+  ]);
+  standing.maxPoints = maxPoints.value;
+
+  standing.breakdown = {
+    vp: `VP: ${vp.description}`,
+    vpPerGame:
+      standing.games > 0
+        ? `VP per game: ${standing.vp} VP ÷ ${standing.games} games = ${Math.round(standing.vpPerGame * 100) / 100}`
+        : "VP per game: no games played",
+    maxPoints: `Max points: ${maxPoints.description}`,
+  };
+}
+
+/**
+ * Orders standings by the scoring's ranking stats and numbers their positions.
+ * Armies tied on the first ranking stat share a position.
+ * @param {Array<object>} standings - The standings to sort in place.
+ * @param {ReturnType<typeof getScoring>["ranking"]} ranking - The ranking stats, most important first.
+ * @private
+ */
+function _rankStandings(standings, ranking) {
+  standings.sort((a, b) => {
+    const entry = ranking.find(({ stat }) => b[stat] !== a[stat]);
+    if (!entry) return 0;
+    const difference = b[entry.stat] - a[entry.stat];
+    return entry.order === "asc" ? -difference : difference;
+  });
+  standings.forEach((standing, index) => {
+    const previous = standings[index - 1];
+    standing.positionScore = standing[ranking[0].stat];
+    standing.position =
+      previous && previous.positionScore === standing.positionScore
+        ? previous.position
+        : index + 1;
+    standing.breakdown.ranking = `Ranked by ${ranking
+      .map(
+        ({ stat, order }) =>
+          `${RANKING_STATS[stat]} (${Math.round(standing[stat] * 100) / 100}${order === "asc" ? ", lowest first" : ""})`,
+      )
+      .join(", then ")}`;
+  });
+}
+
+// --- Public API ---
+
+/**
+ * Computes the standings of the campaign's visible armies from the battle reports.
+ * @param {object} campaignData - The campaign data (campaign.json).
+ * @param {Array<object>} battleReports - The reports of the completed missions.
+ * @returns {{
+ *   standings: Array<{
+ *     player: string,
+ *     armyName: string,
+ *     wins: number,
+ *     losses: number,
+ *     games: number,
+ *     objectives: number,
+ *     earnedVP: number,
+ *     earnedPts: number,
+ *     vp: number,
+ *     vpPerGame: number,
+ *     positionScore: number,
+ *     maxPoints: number,
+ *     position: number,
+ *     breakdown: {vp: string, vpPerGame: string, maxPoints: string, ranking: string},
+ *     missions: Array<{missionId: number, result: string}>,
+ *     sources: Record<string, 'reports' | 'campaign'>,
+ *     discrepancies: Array<{field: string, recorded: number, computed: number}>
+ *   }>,
+ *   reportCount: number,
+ *   unmatchedParticipants: Array<{missionId: number, player: string, army: string}>
+ * }} The ranked standings (positionScore is the value of the first ranking stat), and
+ *   report participants that name no campaign army.
+ */
+export function computeStandings(campaignData, battleReports) {
+  const basePoints = campaignData?.basePoints || 0;
+  const scoring = getScoring(campaignData);
+  const armies = (campaignData?.armies || []).filter((army) => !army.hidden);
+  const reports = (battleReports || []).filter((report) =>
+    Array.isArray(report?.participants),
+  );
+  const participations = reports.flatMap((report) =>
+    report.participants.map((participant) => ({
+      missionId: report.missionId,
+      participant,
+    })),
+  );
+  const trackedFields = new Set(
+    BONUS_FIELDS.filter((field) =>
+      participations.some(
+        ({ participant }) => typeof participant[field] === "number",
+      ),
+    ),
+  );
+
+  const standings = armies.map((army) => {
+    const armyName = army.armyName || "Unnamed Army";
+    const own = participations.filter(
+      ({ participant }) => participant.army === army.armyName,
+    );
+    /** @type {Record<string, any>} */
+    const standing = {
+      player: army.player || "N/A",
+      armyName,
+      wins: own.filter(({ participant }) => participant.result === "winner")
+        .length,
+      losses: own.filter(({ participant }) => participant.result !== "winner")
+        .length,
+      missions: own
+        .map(({ missionId, participant }) => ({
+          missionId,
+          result: participant.result,
+        }))
+        .sort((a, b) => a.missionId - b.missionId),
+      sources: { wins: "reports", losses: "reports" },
+      discrepancies: [],
+    };
+    BONUS_FIELDS.forEach((field) => {
+      if (trackedFields.has(field)) {
+        standing[field] = own.reduce(
+          (sum, { participant }) => sum + (participant[field] || 0),
+          0,
+        );
+        standing.sources[field] = "reports";
+      } else {
+        standing[field] = army[field] || 0;
+        standing.sources[field] = "campaign";
+      }
+    });
+    STANDINGS_FIELDS.forEach((field) => {
+      if (
+        standing.sources[field] === "reports" &&
+        typeof army[field] === "number" &&
+        army[field] !== standing[field]
+      ) {
+        standing.discrepancies.push({
+          field,
+          recorded: army[field],
+          computed: standing[field],
+        });
+      }
+    });
+    _applyScoring(standing, basePoints, scoring);
+    return standing;
+  });
+  _rankStandings(standings, scoring.ranking);
+
+  const armyNames = new Set(armies.map((army) => army.armyName));
+  const unmatchedParticipants = participations
+    .filter(({ participant }) => !armyNames.has(participant.army))
+    .map(({ missionId, participant }) => ({
+      missionId,
+      player: participant.player,
+      army: participant.army,
+    }));
+
+  return { standings, reportCount: reports.length, unmatchedParticipants };
+}
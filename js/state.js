@@ -8,14 +8,50 @@ import {
   saveGameState,
 } from "./storage.js";
 import { config } from "./config.js"; // Import config for defaults
+import { recordChange } from "./journal.js";
+import { publishStateChange, publishGameState } from "./liveSync.js";
+import {
+  createDefaultArmyState,
+  createDefaultUnitState,
+} from "./stateSchema.js";
 
 // --- Global Non-Persistent State ---
 let campaignData = null;
 let armyBooksData = {};
 let commonRulesData = {};
 let doctrinesData = null;
+let definitionsData = {}; // Persisted by dataLoader.js in the persistent cache
 let loadedArmiesData = {};
 let getCurrentArmyID = null;
+let tableArmyIds = []; // Armies sharing this device in table mode (empty when off)
+
+// --- Journal Helper ---
+
+/**
+ * Reports a state change to the undo/redo journal and to live sync peers.
+ * @param {string} armyId - The army whose state changed.
+ * @param {string | null} unitId - The unit that changed, or null for army-level values.
+ * @param {string | null} modelId - The model that changed, or null for unit/army values.
+ * @param {string} key - The state key that changed.
+ * @param {*} before - The value before the change.
+ * @param {*} after - The value after the change.
+ * @private
+ */
+function _journalChange(armyId, unitId, modelId, key, before, after) {
+  const unitData = unitId ? loadedArmiesData[armyId]?.unitMap?.[unitId] : null;
+  const change = {
+    armyId,
+    unitId,
+    unitName: unitData ? unitData.customName || unitData.originalName : null,
+    modelId,
+    key,
+    before,
+    after,
+    round: getCurrentRound(),
+  };
+  recordChange(change);
+  publishStateChange(change);
+}
 
 // --- Getters ---
 
@@ -167,30 +203,11 @@ export function getUnitDeploymentOptions(unitId) {
 }
 
 /**
- * Retrieves the consolidated definitions object from sessionStorage.
- * @returns {object} The definitions object, or an empty object if not found/invalid.
+ * Retrieves the consolidated definitions object loaded by loadGameData.
+ * @returns {object} The definitions object, or an empty object if not loaded yet.
  */
 export function getDefinitions() {
-  try {
-    const cachedDefs = sessionStorage.getItem(config.DEFINITIONS_CACHE_KEY);
-    if (cachedDefs) {
-      const parsed = JSON.parse(cachedDefs);
-      // Basic validation
-      if (parsed && typeof parsed === "object") {
-        return parsed;
-      } else {
-        console.warn(
-          "Invalid definitions data found in sessionStorage. Returning empty.",
-        );
-        sessionStorage.removeItem(config.DEFINITIONS_CACHE_KEY); // Clear invalid data
-        return {};
-      }
-    }
-  } catch (e) {
-    console.error("Error reading definitions from sessionStorage:", e);
-    sessionStorage.removeItem(config.DEFINITIONS_CACHE_KEY); // Clear potentially corrupt data
-  }
-  return {}; // Return empty object if not found or error
+  return definitionsData;
 }
 
 /** Gets the processed data object for the currently loaded army */
@@ -216,41 +233,15 @@ export function setCurrentArmyId(armyId) {
 
 /**
  * Gets the complete state object for a specific army from storage.
- * Returns a default structure if no state is found.
+ * Returns a default structure if no state is found. Stored states are already
+ * upgraded to the current schema by the storage layer (see stateSchema.js).
  * @param {string} [armyId] - The ID of the army. Defaults to current army.
  * @returns {object} The army's state object (never null, provides default).
  */
 export function getArmyState(armyId) {
   if (!armyId) armyId = getCurrentArmyId();
-  if (!armyId)
-    return {
-      listPoints: 0,
-      units: {},
-      commandPoints: 0,
-      selectedDoctrine: null,
-      maxCommandPoints: 0,
-      underdogPoints: 0,
-      maxUnderdogPoints: 0,
-    };
-
-  const state = loadArmyState(armyId);
-  const defaultState = {
-    listPoints: 0,
-    units: {},
-    commandPoints: 0,
-    selectedDoctrine: null,
-    maxCommandPoints: 0,
-    underdogPoints: 0,
-    maxUnderdogPoints: 0,
-  };
-  if (state) {
-    if (state.commandPoints === undefined) state.commandPoints = 0;
-    if (state.selectedDoctrine === undefined) state.selectedDoctrine = null;
-    if (state.maxCommandPoints === undefined) state.maxCommandPoints = 0;
-    if (state.underdogPoints === undefined) state.underdogPoints = 0;
-    if (state.maxUnderdogPoints === undefined) state.maxUnderdogPoints = 0;
-  }
-  return state || defaultState;
+  if (!armyId) return createDefaultArmyState();
+  return loadArmyState(armyId) || createDefaultArmyState();
 }
 
 /** Gets the current underdog points for the specified army. */
@@ -271,51 +262,20 @@ export function getMaxUnderdogPoints(armyId) {
 
 /**
  * Gets a specific unit's state object from a specific army's state.
- * Returns a default structure if the unit is not found.
+ * Returns a default structure if the unit is not found. Units that were stored
+ * field by field (e.g., by live sync) get any missing fields from the defaults.
  * @param {string} armyId - The ID of the army.
  * @param {string} unitId - The ID of the unit.
  * @returns {object} The unit's state object.
  */
 export function getUnitState(armyId, unitId) {
   const armyState = getArmyState(armyId);
+  const unitState = armyState.units?.[unitId];
+  if (!unitState) return createDefaultUnitState();
 
-  // Define the default structure for a unit's state if it doesn't exist yet
-  const defaultUnitState = {
-    status: "active",
-    shaken: false,
-    fatigued: false,
-    attackedInMeleeThisRound: false,
-    action: null,
-    limitedWeaponUsed: false,
-    tokens: 0,
-    models: {},
-    killsRecorded: [],
-    killedBy: null,
-    casualtyOutcome: null,
-    deploymentStatus: "undeployed",
-    deployedInRound: null,
-  };
-
-  // Return existing state or the default structure
-  // Also ensure existing states get the new property if they don't have it
-  const unitState = armyState.units?.[unitId] || defaultUnitState;
-  if (unitState.casualtyOutcome === undefined) {
-    unitState.casualtyOutcome = null; // Add if missing from loaded state
-  }
-  if (unitState.killsRecorded === undefined) {
-    // Add previous ones just in case
-    unitState.killsRecorded = [];
-  }
-  if (unitState.killedBy === undefined) {
-    unitState.killedBy = null;
-  }
-  if (unitState.deploymentStatus === undefined) {
-    unitState.deploymentStatus = "undeployed";
-  }
-  if (unitState.deployedInRound === undefined) {
-    unitState.deployedInRound = null;
-  }
-
+  Object.entries(createDefaultUnitState()).forEach(([key, value]) => {
+    if (unitState[key] === undefined) unitState[key] = value;
+  });
   return unitState;
 }
 
@@ -405,6 +365,14 @@ export function setCasualtyOutcome(armyId, unitId, outcome) {
   const finalOutcome = outcome || null;
 
   if (currentState.units[unitId].casualtyOutcome !== finalOutcome) {
+    _journalChange(
+      armyId,
+      unitId,
+      null,
+      "casualtyOutcome",
+      currentState.units[unitId].casualtyOutcome,
+      finalOutcome,
+    );
     currentState.units[unitId].casualtyOutcome = finalOutcome;
     saveArmyState(armyId, currentState);
     console.log(`Set casualty outcome for ${unitId} to: ${finalOutcome}`);
@@ -436,6 +404,7 @@ export function setCurrentPhase(phase) {
   const gameState = loadGameState();
   gameState.currentPhase = phase;
   saveGameState(gameState);
+  publishGameState(gameState);
 }
 
 /** Sets the current round number in global game state. */
@@ -447,6 +416,7 @@ export function setCurrentRound(roundNumber) {
   const gameState = loadGameState();
   gameState.currentRound = roundNumber;
   saveGameState(gameState);
+  publishGameState(gameState);
 }
 
 /** Increments the current round number and saves it. */
@@ -484,7 +454,7 @@ export function setDoctrinesData(data) {
 }
 
 /**
- * Stores the consolidated definitions object in sessionStorage.
+ * Sets the consolidated definitions object for this page.
  * @param {object} data - The consolidated definitions object.
  */
 export function setDefinitions(data) {
@@ -492,18 +462,8 @@ export function setDefinitions(data) {
     console.error("Attempted to set invalid definitions data.");
     return;
   }
-  try {
-    sessionStorage.setItem(config.DEFINITIONS_CACHE_KEY, JSON.stringify(data));
-    console.log(
-      `Definitions state updated in sessionStorage (${Object.keys(data).length} terms).`,
-    );
-  } catch (e) {
-    console.error("Error saving definitions to sessionStorage:", e);
-    if (e.name === "QuotaExceededError") {
-      console.error("SessionStorage quota exceeded. Definitions not saved.");
-      // Optionally show a user-facing error toast here
-    }
-  }
+  definitionsData = data;
+  console.log(`Definitions state updated (${Object.keys(data).length} terms).`);
 }
 
 /**
@@ -613,6 +573,14 @@ export function updateUnitStateValue(armyId, unitId, key, value) {
     console.warn(`Initialized missing unit state for ${unitId} during update.`);
   }
 
+  _journalChange(
+    armyId,
+    unitId,
+    null,
+    key,
+    currentState.units[unitId][key],
+    value,
+  );
   currentState.units[unitId][key] = value;
   saveArmyState(armyId, currentState);
 }
@@ -663,6 +631,14 @@ export function updateModelStateValue(armyId, unitId, modelId, key, value) {
     }
   }
 
+  _journalChange(
+    armyId,
+    unitId,
+    modelId,
+    key,
+    currentState.units[unitId].models[modelId][key],
+    value,
+  );
   currentState.units[unitId].models[modelId][key] = value;
   saveArmyState(armyId, currentState);
 }
@@ -692,6 +668,14 @@ export function setCommandPoints(armyId, points) {
   const clampedPoints = Math.max(0, Math.min(points, maxPoints));
 
   if (currentState.commandPoints !== clampedPoints) {
+    _journalChange(
+      armyId,
+      null,
+      null,
+      "commandPoints",
+      currentState.commandPoints,
+      clampedPoints,
+    );
     currentState.commandPoints = clampedPoints;
     saveArmyState(armyId, currentState);
     console.log(`Set command points for army ${armyId} to ${clampedPoints}.`);
@@ -713,6 +697,14 @@ export function setSelectedDoctrine(armyId, doctrineId) {
 
   const currentState = getArmyState(armyId);
   if (currentState.selectedDoctrine !== doctrineId) {
+    _journalChange(
+      armyId,
+      null,
+      null,
+      "selectedDoctrine",
+      currentState.selectedDoctrine,
+      doctrineId,
+    );
     currentState.selectedDoctrine = doctrineId;
     saveArmyState(armyId, currentState);
     console.log(`Set selected doctrine for army ${armyId} to ${doctrineId}.`);
@@ -734,6 +726,14 @@ export function setUnderdogPoints(armyId, points) {
   const clampedPoints = Math.max(0, Math.min(points, maxPoints));
 
   if (currentState.underdogPoints !== clampedPoints) {
+    _journalChange(
+      armyId,
+      null,
+      null,
+      "underdogPoints",
+      currentState.underdogPoints,
+      clampedPoints,
+    );
     currentState.underdogPoints = clampedPoints;
     saveArmyState(armyId, currentState);
     console.log(`Set underdog points for army ${armyId} to ${clampedPoints}.`);
@@ -768,6 +768,37 @@ export function getCurrentArmyUnitMap() {
   return currentId ? loadedArmiesData[currentId]?.unitMap : null;
 }
 
+// --- Table Mode ---
+
+/**
+ * Sets the armies playing side by side on this device. Pass an empty array to turn table mode off.
+ * @param {Array<string>} armyIds - The participating army IDs, in tab order.
+ */
+export function setTableArmyIds(armyIds) {
+  tableArmyIds = Array.isArray(armyIds) ? armyIds : [];
+}
+
+/** Gets the armies playing side by side on this device (empty when table mode is off) */
+export function getTableArmyIds() {
+  return tableArmyIds;
+}
+
+/** Checks whether several armies share this device in table mode */
+export function isTableMode() {
+  return tableArmyIds.length > 0;
+}
+
+/**
+ * Gets the armies that game-wide actions (starting rounds, phase changes, ending the game)
+ * apply to: every table army in table mode, otherwise just the current army.
+ * @returns {Array<string>} The army IDs.
+ */
+export function getGameArmyIds() {
+  if (isTableMode()) return tableArmyIds;
+  const currentId = getCurrentArmyId();
+  return currentId ? [currentId] : [];
+}
+
 /** Gets the heroJoinTargets for the currently loaded army */
 export function getCurrentArmyHeroTargets() {
   const currentId = getCurrentArmyId();
@@ -824,6 +855,98 @@ export function getJoinedHeroData(baseUnitId) {
   return heroId ? armyData.unitMap[heroId] : null;
 }
 
+/**
+ * Records each unit's starting strength (model count and total wounds, including
+ * any joined hero) in the army state, so half-strength checks compare against the
+ * army as it was fielded. Called when deployment begins.
+ * @param {string} armyId - The ID of the army to snapshot.
+ */
+export function snapshotStartingStrength(armyId) {
+  const armyData = loadedArmiesData[armyId];
+  if (!armyData?.units) return;
+
+  const armyState = getArmyState(armyId);
+  const heroTargets = armyData.heroJoinTargets || {};
+  armyData.units.forEach((unit) => {
+    if (heroTargets[unit.selectionId]) return; // Joined heroes count with their unit
+
+    const hero = getJoinedHeroDataForArmy(armyId, unit.selectionId);
+    const models = [...unit.models, ...(hero?.models || [])];
+    if (!armyState.units[unit.selectionId]) {
+      armyState.units[unit.selectionId] = getUnitState(
+        armyId,
+        unit.selectionId,
+      );
+    }
+    armyState.units[unit.selectionId].startingSize = models.length;
+    armyState.units[unit.selectionId].startingWounds = models.reduce(
+      (sum, model) => sum + model.maxHp,
+      0,
+    );
+  });
+  delete armyState.lastRoundReset; // A new game starts counting rounds again
+  saveArmyState(armyId, armyState);
+  console.log(`Starting strength recorded for army ${armyId}.`);
+}
+
+// --- Utility Getters for Any Loaded Army ---
+
+/**
+ * Gets a specific unit's processed data from any loaded army.
+ * @param {string} armyId - The ID of the army the unit belongs to.
+ * @param {string} unitId - The unit's selectionId.
+ * @returns {object | null} The processed unit data, or null if not loaded.
+ */
+export function getUnitDataForArmy(armyId, unitId) {
+  return loadedArmiesData[armyId]?.unitMap?.[unitId] || null;
+}
+
+/**
+ * Gets the hero joined to a base unit in any loaded army.
+ * @param {string} armyId - The ID of the army the unit belongs to.
+ * @param {string} baseUnitId - The base unit's selectionId.
+ * @returns {object | null} The processed hero data, or null if no hero is joined.
+ */
+export function getJoinedHeroDataForArmy(armyId, baseUnitId) {
+  const armyData = loadedArmiesData[armyId];
+  if (!armyData || !armyData.heroJoinTargets) return null;
+
+  const heroId = Object.keys(armyData.heroJoinTargets).find(
+    (key) => armyData.heroJoinTargets[key] === baseUnitId,
+  );
+  return heroId ? armyData.unitMap[heroId] : null;
+}
+
+/**
+ * Gets the card (base) unit ID for a unit in any loaded army. Joined heroes
+ * are shown on their base unit's card; every other unit is its own card.
+ * @param {string} armyId - The ID of the army the unit belongs to.
+ * @param {string} unitId - The unit's selectionId.
+ * @returns {string} The selectionId of the card the unit is shown on.
+ */
+export function getCardUnitIdForArmy(armyId, unitId) {
+  return loadedArmiesData[armyId]?.heroJoinTargets?.[unitId] || unitId;
+}
+
+/**
+ * Copies stored model HP into a unit's in-memory models. Only the current army's
+ * models are kept in sync during play, so other armies must be synced before use.
+ * @param {string} armyId - The ID of the army the unit belongs to.
+ * @param {object | null} unitData - The processed unit data (mutated directly).
+ */
+export function syncUnitModelHpFromState(armyId, unitData) {
+  if (!unitData?.models) return;
+  unitData.models.forEach((model) => {
+    model.currentHp = getModelStateValue(
+      armyId,
+      unitData.selectionId,
+      model.modelId,
+      "currentHp",
+      model.maxHp,
+    );
+  });
+}
+
 /**
  * Adds a kill record to the specified attacker unit's state.
  * NOTE: This function ONLY updates the attacker's 'killsRecorded'.
@@ -865,7 +988,18 @@ export function addRecordedKill(
     if (!Array.isArray(attackerArmyState.units[attackerUnitId].killsRecorded)) {
       attackerArmyState.units[attackerUnitId].killsRecorded = [];
     }
+    const killsBefore = [
+      ...attackerArmyState.units[attackerUnitId].killsRecorded,
+    ];
     attackerArmyState.units[attackerUnitId].killsRecorded.push(victimDetails);
+    _journalChange(
+      attackingArmyId,
+      attackerUnitId,
+      null,
+      "killsRecorded",
+      killsBefore,
+      attackerArmyState.units[attackerUnitId].killsRecorded,
+    );
 
     saveArmyState(attackingArmyId, attackerArmyState); // Save the updated state
     console.log(
@@ -918,6 +1052,14 @@ export function setKilledByStatus(victimArmyId, victimUnitId, attackerDetails) {
       victimArmyState.units[victimUnitId] = victimUnitState; // Add if newly initialized
     }
 
+    _journalChange(
+      victimArmyId,
+      victimUnitId,
+      null,
+      "killedBy",
+      victimArmyState.units[victimUnitId].killedBy,
+      attackerDetails,
+    );
     victimArmyState.units[victimUnitId].killedBy = attackerDetails; // Set or clear the status
 
     saveArmyState(victimArmyId, victimArmyState);
@@ -976,8 +1118,10 @@ export function removeRecordedKill(
       return false; // Nothing to remove
     }
 
-    const initialKillCount =
-      attackerArmyState.units[attackerUnitId].killsRecorded.length;
+    const killsBefore = [
+      ...attackerArmyState.units[attackerUnitId].killsRecorded,
+    ];
+    const initialKillCount = killsBefore.length;
     attackerArmyState.units[attackerUnitId].killsRecorded =
       attackerArmyState.units[attackerUnitId].killsRecorded.filter(
         (kill) => kill.victimUnitId !== victimUnitIdToRemove,
@@ -986,6 +1130,14 @@ export function removeRecordedKill(
       attackerArmyState.units[attackerUnitId].killsRecorded.length;
 
     if (initialKillCount > finalKillCount) {
+      _journalChange(
+        attackingArmyId,
+        attackerUnitId,
+        null,
+        "killsRecorded",
+        killsBefore,
+        attackerArmyState.units[attackerUnitId].killsRecorded,
+      );
       saveArmyState(attackingArmyId, attackerArmyState);
       console.log(
         `Kill record removed for ${attackerUnitId} (Army: ${attackingArmyId}) -> Victim: ${victimUnitIdToRemove}`,
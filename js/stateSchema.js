@@ -0,0 +1,242 @@
+//@ts-check
+/**
+ * @fileoverview Army state schema: the current schema version, the default shapes of
+ * army and unit state, and the migrations storage.js runs to upgrade older saves
+ * step by step. Each migration brings a state from the previous version to its own
+ * and reports what it changed; migrations only fill in or repair fields, so an
+ * upgraded save keeps all of its progress.
+ */
+
+/** Current army state schema version, stored on each army state as `schemaVersion`. */
+export const ARMY_STATE_SCHEMA_VERSION = 5;
+
+/**
+ * Creates the default army-level state fields.
+ * @returns {object} A new army state with no units.
+ */
+export function createDefaultArmyState() {
+  return {
+    schemaVersion: ARMY_STATE_SCHEMA_VERSION,
+    listPoints: 0,
+    units: {},
+    commandPoints: 0,
+    selectedDoctrine: null,
+    maxCommandPoints: 0,
+    underdogPoints: 0,
+    maxUnderdogPoints: 0,
+  };
+}
+
+/**
+ * Creates the default state for a unit that hasn't been tracked yet.
+ * @returns {object} A new unit state.
+ */
+export function createDefaultUnitState() {
+  return {
+    status: "active",
+    shaken: false,
+    fatigued: false,
+    attackedInMeleeThisRound: false,
+    action: null,
+    limitedWeaponUsed: false,
+    tokens: 0,
+    models: {},
+    killsRecorded: [],
+    killedBy: null,
+    casualtyOutcome: null,
+    deploymentStatus: "undeployed",
+    deployedInRound: null,
+    startingSize: null,
+    startingWounds: null,
+  };
+}
+
+// --- Migrations ---
+
+/**
+ * Sets any of the given fields that are missing from an object.
+ * @param {object} target - The object to fill in.
+ * @param {object} defaults - Field names and their default values.
+ * @returns {number} The number of fields added.
+ * @private
+ */
+function _fillMissing(target, defaults) {
+  let added = 0;
+  Object.entries(defaults).forEach(([key, value]) => {
+    if (target[key] === undefined) {
+      target[key] = value;
+      added++;
+    }
+  });
+  return added;
+}
+
+/**
+ * Fills missing fields on every unit of an army state.
+ * @param {object} armyState - The army state.
+ * @param {object} defaults - Unit field names and their default values.
+ * @returns {number} The number of fields added across all units.
+ * @private
+ */
+function _fillMissingOnUnits(armyState, defaults) {
+  return Object.values(armyState.units).reduce(
+    (total, unitState) => total + _fillMissing(unitState, defaults),
+    0,
+  );
+}
+
+/**
+ * Migrations in version order. `migrate` upgrades the state in place from the
+ * previous version and returns how many fields it added or repaired.
+ * @type {Array<{version: number, description: string, migrate: function(object): number}>}
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Army points, Command Points, Underdog Points and doctrine",
+    migrate(armyState) {
+      let repaired = 0;
+      if (typeof armyState.listPoints !== "number") {
+        armyState.listPoints = Number(armyState.listPoints) || 0;
+        repaired++;
+      }
+      if (
+        typeof armyState.units !== "object" ||
+        armyState.units === null ||
+        Array.isArray(armyState.units)
+      ) {
+        armyState.units = {};
+        repaired++;
+      }
+      Object.entries(armyState.units).forEach(([unitId, unitState]) => {
+        if (typeof unitState !== "object" || unitState === null) {
+          delete armyState.units[unitId]; // Unreadable; the unit starts fresh
+          repaired++;
+        }
+      });
+      return (
+        repaired +
+        _fillMissing(armyState, {
+          commandPoints: 0,
+          selectedDoctrine: null,
+          maxCommandPoints: 0,
+          underdogPoints: 0,
+          maxUnderdogPoints: 0,
+        })
+      );
+    },
+  },
+  {
+    version: 2,
+    description: "Unit status, action, spell token and wound tracking",
+    migrate(armyState) {
+      let repaired = 0;
+      Object.values(armyState.units).forEach((unitState) => {
+        if (
+          unitState.models !== undefined &&
+          (typeof unitState.models !== "object" || unitState.models === null)
+        ) {
+          unitState.models = {};
+          repaired++;
+        }
+      });
+      return (
+        repaired +
+        _fillMissingOnUnits(armyState, {
+          status: "active",
+          shaken: false,
+          fatigued: false,
+          attackedInMeleeThisRound: false,
+          action: null,
+          limitedWeaponUsed: false,
+          tokens: 0,
+          models: {},
+        })
+      );
+    },
+  },
+  {
+    version: 3,
+    description: "Kill records and casualty outcomes",
+    migrate(armyState) {
+      let repaired = 0;
+      Object.values(armyState.units).forEach((unitState) => {
+        if (
+          unitState.killsRecorded !== undefined &&
+          !Array.isArray(unitState.killsRecorded)
+        ) {
+          unitState.killsRecorded = [];
+          repaired++;
+        }
+      });
+      return (
+        repaired +
+        _fillMissingOnUnits(armyState, {
+          killsRecorded: [],
+          killedBy: null,
+          casualtyOutcome: null,
+        })
+      );
+    },
+  },
+  {
+    version: 4,
+    description: "Deployment status",
+    migrate(armyState) {
+      return _fillMissingOnUnits(armyState, {
+        deploymentStatus: "undeployed",
+        deployedInRound: null,
+      });
+    },
+  },
+  {
+    version: 5,
+    description: "Starting strength for half-strength checks",
+    migrate(armyState) {
+      return _fillMissingOnUnits(armyState, {
+        startingSize: null,
+        startingWounds: null,
+      });
+    },
+  },
+];
+
+/**
+ * Upgrades an army state to the current schema version, one migration at a time.
+ * States without a version are treated as version 0 (the original save format).
+ * @param {*} armyState - The parsed army state; upgraded in place.
+ * @returns {{state: object, fromVersion: number, toVersion: number, steps: Array<string>} | null}
+ *   The upgraded state and a description of each step that changed something,
+ *   or null if the data isn't an army state at all.
+ */
+export function migrateArmyState(armyState) {
+  if (
+    typeof armyState !== "object" ||
+    armyState === null ||
+    Array.isArray(armyState)
+  ) {
+    return null;
+  }
+
+  const fromVersion =
+    typeof armyState.schemaVersion === "number" ? armyState.schemaVersion : 0;
+  const steps = [];
+  MIGRATIONS.filter((migration) => migration.version > fromVersion).forEach(
+    (migration) => {
+      const changed = migration.migrate(armyState);
+      armyState.schemaVersion = migration.version;
+      if (changed > 0) {
+        steps.push(
+          `v${migration.version}: ${migration.description} (${changed} field${changed !== 1 ? "s" : ""} added or repaired)`,
+        );
+      }
+    },
+  );
+
+  return {
+    state: armyState,
+    fromVersion,
+    toVersion: Math.max(fromVersion, ARMY_STATE_SCHEMA_VERSION),
+    steps,
+  };
+}
@@ -1,15 +1,335 @@
 //@ts-check
 /**
  * @fileoverview Handles saving and loading game state to localStorage using per-army keys and a global game state key.
+ * Army states carry a revision number so saves from several open tabs are merged instead of
+ * overwriting each other, and other tabs are told what changed so they can re-render.
+ * Each army can keep several named save slots; its state and game log are read from
+ * and written to the active slot.
  */
 
 import { config } from "./config.js";
 import { showToast } from "./uiHelpers.js";
+import { createMemoryStorage } from "./memoryStorage.js";
+import { ARMY_STATE_SCHEMA_VERSION, migrateArmyState } from "./stateSchema.js";
+
+// --- Storage Backend ---
+
+// Outside the browser (e.g. under Node) there is no localStorage or toast container
+let storageArea =
+  typeof localStorage !== "undefined" ? localStorage : createMemoryStorage();
+let notify = showToast;
+
+/**
+ * Replaces where states are stored and how save problems are reported, so the state
+ * and game logic modules can run without a browser. Swapping the storage forgets the
+ * save slot indexes and merge snapshots read from the previous one.
+ * @param {{storage?: Storage | ReturnType<typeof createMemoryStorage>, notifier?: function(string, string=): void}} options -
+ *   A localStorage-like storage area (see memoryStorage.js) and/or a replacement for showToast.
+ */
+function configureStorage({ storage, notifier } = {}) {
+  if (storage) {
+    storageArea = storage;
+    Object.keys(slotIndexCache).forEach((armyId) => {
+      delete slotIndexCache[armyId];
+    });
+    Object.keys(loadedSnapshots).forEach((armyId) => {
+      delete loadedSnapshots[armyId];
+    });
+  }
+  if (notifier) notify = notifier;
+}
+
+// --- Cross-Tab Sync ---
+
+const SNAPSHOTS_PER_ARMY = 10; // Recent revisions kept as merge bases
+const loadedSnapshots = {}; // armyId -> Map(revision -> stored JSON) read or written by this tab
+const externalChangeListeners = new Set();
+let tabChannel = null; // BroadcastChannel, created by startTabSync()
+let isTabSyncStarted = false;
+
+/**
+ * Remembers a stored revision of an army's state so a later save based on it can be merged.
+ * @param {string} armyId - The ID of the army.
+ * @param {number} revision - The state's revision.
+ * @param {string} json - The stored JSON for that revision.
+ * @private
+ */
+function _rememberSnapshot(armyId, revision, json) {
+  if (!loadedSnapshots[armyId]) loadedSnapshots[armyId] = new Map();
+  const snapshots = loadedSnapshots[armyId];
+  snapshots.delete(revision);
+  snapshots.set(revision, json);
+  if (snapshots.size > SNAPSHOTS_PER_ARMY) {
+    snapshots.delete(snapshots.keys().next().value); // Drop the oldest
+  }
+}
+
+/**
+ * Flattens an army state into its individual values (army-level, unit-level and model-level),
+ * keyed by path. Arrays and objects below that level (e.g. killsRecorded) are single values.
+ * @param {object | null} armyState - The army state.
+ * @returns {Map<string, {unitId: string | null, modelId: string | null, key: string, value: string | undefined}>}
+ *   Leaves with their JSON-serialized values.
+ * @private
+ */
+function _flattenArmyState(armyState) {
+  const leaves = new Map();
+  const addLeaf = (unitId, modelId, key, value) => {
+    leaves.set(`${unitId || ""}|${modelId || ""}|${key}`, {
+      unitId,
+      modelId,
+      key,
+      value: value === undefined ? undefined : JSON.stringify(value),
+    });
+  };
+
+  Object.entries(armyState || {}).forEach(([key, value]) => {
+    if (key !== "units" && key !== "revision") addLeaf(null, null, key, value);
+  });
+  Object.entries(armyState?.units || {}).forEach(([unitId, unitState]) => {
+    Object.entries(unitState || {}).forEach(([key, value]) => {
+      if (key !== "models") addLeaf(unitId, null, key, value);
+    });
+    Object.entries(unitState?.models || {}).forEach(([modelId, modelState]) => {
+      Object.entries(modelState || {}).forEach(([key, value]) =>
+        addLeaf(unitId, modelId, key, value),
+      );
+    });
+  });
+  return leaves;
+}
+
+/**
+ * Lists the values that differ between two flattened states.
+ * @param {Map<string, object>} beforeLeaves - Leaves of the earlier state.
+ * @param {Map<string, object>} afterLeaves - Leaves of the later state.
+ * @returns {Array<string>} The paths of the changed values.
+ * @private
+ */
+function _diffLeaves(beforeLeaves, afterLeaves) {
+  const paths = new Set([...beforeLeaves.keys(), ...afterLeaves.keys()]);
+  return Array.from(paths).filter(
+    (path) => beforeLeaves.get(path)?.value !== afterLeaves.get(path)?.value,
+  );
+}
+
+/**
+ * Writes one flattened value into an army state, creating units/models as needed.
+ * @param {object} armyState - The state to modify.
+ * @param {{unitId: string | null, modelId: string | null, key: string, value: string | undefined}} leaf - The value to write.
+ * @private
+ */
+function _setLeaf(armyState, leaf) {
+  let target = armyState;
+  if (leaf.unitId) {
+    if (!armyState.units[leaf.unitId]) armyState.units[leaf.unitId] = {};
+    target = armyState.units[leaf.unitId];
+    if (leaf.modelId) {
+      if (!target.models) target.models = {};
+      if (!target.models[leaf.modelId]) target.models[leaf.modelId] = {};
+      target = target.models[leaf.modelId];
+    }
+  }
+  if (leaf.value === undefined) {
+    delete target[leaf.key];
+  } else {
+    target[leaf.key] = JSON.parse(leaf.value);
+  }
+}
+
+/**
+ * Three-way merges this tab's changes into the state another tab saved in the meantime.
+ * Values only this tab changed are applied; values both tabs changed differently are
+ * conflicts, and the other tab's (already saved) value is kept.
+ * @param {object} baseState - The state this tab's copy was loaded from.
+ * @param {object} ourState - This tab's modified copy.
+ * @param {object} theirState - The state currently in storage.
+ * @returns {{merged: object, conflicts: Array<object>}} The merged state and conflicting leaves.
+ * @private
+ */
+function _mergeArmyStates(baseState, ourState, theirState) {
+  const baseLeaves = _flattenArmyState(baseState);
+  const ourLeaves = _flattenArmyState(ourState);
+  const theirLeaves = _flattenArmyState(theirState);
+  const merged = structuredClone(theirState);
+  const conflicts = [];
+
+  _diffLeaves(baseLeaves, ourLeaves).forEach((path) => {
+    const ours = ourLeaves.get(path);
+    const base = baseLeaves.get(path);
+    const theirs = theirLeaves.get(path);
+    const ourLeaf = ours || { ...base, value: undefined }; // Removed by this tab
+    if (
+      theirs?.value === base?.value || // Only this tab changed it
+      theirs?.value === ourLeaf.value // Both tabs made the same change
+    ) {
+      _setLeaf(merged, ourLeaf);
+    } else {
+      conflicts.push(ourLeaf);
+    }
+  });
+  return { merged, conflicts };
+}
+
+/**
+ * Notifies this tab's listeners about state written elsewhere (or merged on save).
+ * @param {object} message - { type: 'armyState', armyId, changes } or { type: 'gameState', previous, gameState }.
+ * @private
+ */
+function _notifyExternalChange(message) {
+  externalChangeListeners.forEach((callback) => {
+    try {
+      callback(message);
+    } catch (error) {
+      console.error("External state change listener failed:", error);
+    }
+  });
+}
+
+/**
+ * Tells other tabs what changed. Uses BroadcastChannel when available; otherwise
+ * the other tabs pick the change up from the 'storage' event.
+ * @param {object} message - The change message.
+ * @private
+ */
+function _broadcast(message) {
+  if (tabChannel) tabChannel.postMessage(message);
+}
+
+/**
+ * Fallback for browsers without BroadcastChannel: rebuilds change messages from
+ * the 'storage' events fired when another tab writes to localStorage.
+ * @param {StorageEvent} event - The storage event.
+ * @private
+ */
+function _handleStorageEvent(event) {
+  if (!event.key) return;
+  try {
+    if (event.key.startsWith(config.SAVE_SLOTS_KEY_PREFIX)) {
+      const armyId = event.key.slice(config.SAVE_SLOTS_KEY_PREFIX.length);
+      delete slotIndexCache[armyId];
+      _notifyExternalChange({ type: "saveSlots", armyId });
+    } else if (
+      event.key.startsWith(config.ARMY_STATE_KEY_PREFIX) ||
+      event.key.startsWith(config.SLOT_STATE_KEY_PREFIX)
+    ) {
+      const armyId = event.key.startsWith(config.ARMY_STATE_KEY_PREFIX)
+        ? event.key.slice(config.ARMY_STATE_KEY_PREFIX.length)
+        : event.key.slice(config.SLOT_STATE_KEY_PREFIX.length).split(":")[0];
+      if (event.key !== getArmyStateKey(armyId)) return; // Another save slot
+      const beforeLeaves = _flattenArmyState(
+        event.oldValue ? JSON.parse(event.oldValue) : null,
+      );
+      const afterLeaves = _flattenArmyState(
+        event.newValue ? JSON.parse(event.newValue) : null,
+      );
+      const changes = _diffLeaves(beforeLeaves, afterLeaves).map((path) => {
+        const { unitId, modelId, key } =
+          afterLeaves.get(path) || beforeLeaves.get(path);
+        return { unitId, modelId, key };
+      });
+      if (changes.length > 0) {
+        _notifyExternalChange({ type: "armyState", armyId, changes });
+      }
+    } else if (event.key === config.GAME_STATE_KEY && event.newValue) {
+      _notifyExternalChange({
+        type: "gameState",
+        previous: event.oldValue
+          ? JSON.parse(event.oldValue)
+          : { currentRound: 0, currentPhase: "pregame" },
+        gameState: JSON.parse(event.newValue),
+      });
+    }
+  } catch (error) {
+    console.warn("Could not process storage event:", error);
+  }
+}
+
+/**
+ * Starts exchanging change notifications with other open tabs of the tracker.
+ * Called once the page has loaded, so initialization writes aren't broadcast.
+ */
+function startTabSync() {
+  if (isTabSyncStarted) return;
+  isTabSyncStarted = true;
+  if (typeof BroadcastChannel !== "undefined") {
+    tabChannel = new BroadcastChannel(config.TAB_SYNC_CHANNEL_NAME);
+    tabChannel.onmessage = (event) => {
+      if (event.data?.type === "saveSlots")
+        delete slotIndexCache[event.data.armyId];
+      _notifyExternalChange(event.data);
+    };
+  } else {
+    window.addEventListener("storage", _handleStorageEvent);
+  }
+  console.log("Cross-tab sync started.");
+}
+
+/**
+ * Subscribes to state changes made by other tabs (and to conflicts merged on save).
+ * @param {function(object): void} callback - Receives { type: 'armyState', armyId, changes },
+ *   { type: 'gameState', previous, gameState } or { type: 'saveSlots', armyId }.
+ */
+function onExternalStateChange(callback) {
+  if (typeof callback === "function") externalChangeListeners.add(callback);
+}
 
 // --- Army State ---
 
+const migrationReports = []; // Army state upgrades performed during this page load
+
 /**
- * Creates the localStorage key for a specific army's state.
+ * Logs and remembers an army state upgrade for getMigrationReports().
+ * @param {string} armyId - The ID of the army.
+ * @param {{fromVersion: number, toVersion: number, steps: Array<string>}} migration - The migration result.
+ * @private
+ */
+function _recordMigration(armyId, migration) {
+  const report = {
+    armyId,
+    fromVersion: migration.fromVersion,
+    toVersion: migration.toVersion,
+    steps: migration.steps,
+  };
+  migrationReports.push(report);
+  console.log(
+    `Upgraded saved state for army ${armyId} from schema v${report.fromVersion} to v${report.toVersion}:`,
+    report.steps.length > 0 ? report.steps : "no fields needed changes",
+  );
+}
+
+/**
+ * Moves stored data that can't be read as an army state out of the way, keeping
+ * a copy under the unreadable-state prefix instead of deleting it.
+ * @param {string} armyId - The ID of the army.
+ * @param {string} storedState - The raw stored value.
+ * @private
+ */
+function _setAsideUnreadableState(armyId, storedState) {
+  try {
+    storageArea.setItem(
+      `${config.UNREADABLE_STATE_KEY_PREFIX}${armyId}`,
+      storedState,
+    );
+    storageArea.removeItem(`${config.ARMY_STATE_KEY_PREFIX}${armyId}`);
+    console.warn(
+      `Unreadable state for army ${armyId} moved to ${config.UNREADABLE_STATE_KEY_PREFIX}${armyId}.`,
+    );
+  } catch (error) {
+    console.error(`Failed to set aside unreadable state for ${armyId}`, error);
+  }
+}
+
+/**
+ * Lists the army state upgrades performed since the page loaded.
+ * @returns {Array<{armyId: string, fromVersion: number, toVersion: number, steps: Array<string>}>} The reports.
+ */
+function getMigrationReports() {
+  return [...migrationReports];
+}
+
+/**
+ * Creates the localStorage key for a specific army's state in its active save slot.
  * @param {string} armyId - The ID of the army.
  * @returns {string | null} The localStorage key, or null if armyId is invalid.
  */
@@ -18,7 +338,8 @@ function getArmyStateKey(armyId) {
     console.error("Cannot generate army state key: Invalid armyId provided.");
     return null;
   }
-  return `${config.ARMY_STATE_KEY_PREFIX}${armyId}`;
+  const { statePrefix, suffix } = _getSlotKeyParts(armyId);
+  return `${statePrefix}${suffix}`;
 }
 
 /**
@@ -46,8 +367,81 @@ function saveArmyState(armyId, armyState) {
   }
 
   try {
-    localStorage.setItem(key, JSON.stringify(armyState));
+    const storedJson = storageArea.getItem(key);
+    const storedState = storedJson ? JSON.parse(storedJson) : null;
+    const storedRevision = storedState?.revision || 0;
+    let conflicts = [];
+
+    // Another tab saved since this copy was loaded: merge rather than overwrite
+    if (
+      storedState &&
+      typeof armyState.revision === "number" &&
+      armyState.revision < storedRevision
+    ) {
+      const baseJson = loadedSnapshots[armyId]?.get(armyState.revision);
+      if (baseJson) {
+        const result = _mergeArmyStates(
+          JSON.parse(baseJson),
+          armyState,
+          storedState,
+        );
+        conflicts = result.conflicts;
+        Object.keys(armyState).forEach(
+          (stateKey) => delete armyState[stateKey],
+        );
+        Object.assign(armyState, result.merged); // Caller's copy now matches storage
+        console.log(
+          `Merged state for army ${armyId} with revision ${storedRevision} from another tab (${conflicts.length} conflicts).`,
+        );
+      } else {
+        console.warn(
+          `No base revision ${armyState.revision} for army ${armyId}; saving over revision ${storedRevision}.`,
+        );
+      }
+    }
+
+    if (armyState.schemaVersion === undefined) {
+      armyState.schemaVersion = ARMY_STATE_SCHEMA_VERSION; // Newly created state
+    }
+    armyState.revision = storedRevision + 1;
+    const json = JSON.stringify(armyState);
+    storageArea.setItem(key, json);
+    _rememberSnapshot(armyId, armyState.revision, json);
     // console.log(`Saved state for army ${armyId}.`);
+
+    if (tabChannel) {
+      const storedLeaves = _flattenArmyState(storedState);
+      const savedLeaves = _flattenArmyState(armyState);
+      const changes = _diffLeaves(storedLeaves, savedLeaves).map((path) => {
+        const {
+          unitId,
+          modelId,
+          key: changedKey,
+        } = savedLeaves.get(path) || storedLeaves.get(path);
+        return { unitId, modelId, key: changedKey };
+      });
+      if (changes.length > 0) {
+        _broadcast({ type: "armyState", armyId, changes });
+      }
+    }
+
+    if (conflicts.length > 0) {
+      console.warn(`Conflicting changes kept from another tab:`, conflicts);
+      // Re-render the values this tab tried to change with the ones that were kept
+      _notifyExternalChange({
+        type: "armyState",
+        armyId,
+        changes: conflicts.map(({ unitId, modelId, key: changedKey }) => ({
+          unitId,
+          modelId,
+          key: changedKey,
+        })),
+      });
+      notify(
+        `${conflicts.length} change${conflicts.length !== 1 ? "s were" : " was"} not saved because the same value${conflicts.length !== 1 ? "s were" : " was"} changed in another tab. The cards show the current values.`,
+        "Changed in Another Tab",
+      );
+    }
   } catch (error) {
     console.error(
       `Error saving state for army ${armyId} to localStorage:`,
@@ -55,7 +449,7 @@ function saveArmyState(armyId, armyState) {
     );
     // Consider potential quota exceeded errors
     if (error.name === "QuotaExceededError") {
-      showToast(
+      notify(
         "Error: Local storage quota exceeded. Cannot save army state.",
         "Save Error",
       );
@@ -65,7 +459,8 @@ function saveArmyState(armyId, armyState) {
 
 /**
  * Loads the state object for a specific army from localStorage.
- * Performs basic validation on the loaded structure.
+ * Saves from older schema versions are migrated (and re-saved) before being returned;
+ * data that isn't an army state at all is set aside rather than deleted.
  * @param {string} armyId - The ID of the army whose state is being loaded.
  * @returns {object | null} The loaded state object, or null if not found, invalid, or error occurs.
  */
@@ -73,44 +468,34 @@ function loadArmyState(armyId) {
   const key = getArmyStateKey(armyId);
   if (!key) return null;
 
+  let storedState = null;
   try {
-    const storedState = localStorage.getItem(key);
-    if (storedState) {
-      const parsedState = JSON.parse(storedState);
+    storedState = storageArea.getItem(key);
+    if (!storedState) return null; // No state found for this army
 
-      // Validate the basic structure
-      if (
-        typeof parsedState === "object" &&
-        parsedState !== null &&
-        typeof parsedState.listPoints === "number" && // Check for listPoints
-        typeof parsedState.units === "object" && // Check units is an object
-        parsedState.units !== null
-      ) {
-        // Further validation could be added here (e.g., check structure of units/models)
-        // console.log(`Loaded state for army ${armyId}.`);
-        return parsedState;
-      } else {
-        console.warn(
-          `Invalid state data structure found for army ${armyId}. Removing from storage.`,
-          parsedState,
-        );
-        localStorage.removeItem(key);
-        return null;
-      }
+    const migration = migrateArmyState(JSON.parse(storedState));
+    if (!migration) {
+      console.warn(`Stored state for army ${armyId} is not an army state.`);
+      _setAsideUnreadableState(armyId, storedState);
+      return null;
+    }
+
+    const parsedState = migration.state;
+    if (migration.fromVersion < ARMY_STATE_SCHEMA_VERSION) {
+      _recordMigration(armyId, migration);
+      storedState = JSON.stringify(parsedState);
+      storageArea.setItem(key, storedState); // Upgrade once, not on every load
     }
-    // console.log(`No state found in storage for army ${armyId}.`);
-    return null; // No state found for this army
+    // console.log(`Loaded state for army ${armyId}.`);
+    if (typeof parsedState.revision !== "number") parsedState.revision = 0;
+    _rememberSnapshot(armyId, parsedState.revision, storedState);
+    return parsedState;
   } catch (error) {
     console.error(
       `Error loading or parsing state for army ${armyId} from localStorage:`,
       error,
     );
-    // Attempt to remove potentially corrupted data
-    try {
-      localStorage.removeItem(key);
-    } catch (removeError) {
-      console.error(`Failed to remove corrupted key ${key}`, removeError);
-    }
+    if (storedState) _setAsideUnreadableState(armyId, storedState);
     return null;
   }
 }
@@ -124,7 +509,7 @@ function resetArmyState(armyId) {
   if (!key) return;
 
   try {
-    localStorage.removeItem(key);
+    storageArea.removeItem(key);
     console.log(`Saved state reset for army ${armyId}.`);
   } catch (error) {
     console.error(
@@ -134,6 +519,441 @@ function resetArmyState(armyId) {
   }
 }
 
+/**
+ * Lists the IDs of all armies with a saved state (in any save slot) on this device.
+ * @returns {Array<string>} The army IDs.
+ */
+function listStoredArmyIds() {
+  const armyIds = new Set();
+  for (let i = 0; i < storageArea.length; i++) {
+    const key = storageArea.key(i);
+    if (key?.startsWith(config.ARMY_STATE_KEY_PREFIX)) {
+      armyIds.add(key.slice(config.ARMY_STATE_KEY_PREFIX.length));
+    } else if (key?.startsWith(config.SAVE_SLOTS_KEY_PREFIX)) {
+      armyIds.add(key.slice(config.SAVE_SLOTS_KEY_PREFIX.length));
+    }
+  }
+  return Array.from(armyIds);
+}
+
+// --- Save Slots ---
+
+const DEFAULT_SLOT_ID = "default"; // Uses the original per-army keys
+const slotIndexCache = {}; // armyId -> slot index, read once per page load
+
+/**
+ * Loads an army's save slot index ({ activeSlotId, slots }), creating the default
+ * index (just the "Main" slot) for armies that never used slots.
+ * @param {string} armyId - The ID of the army.
+ * @returns {{activeSlotId: string, slots: Array<{id: string, name: string, createdAt: string | null, gameState: object | null}>}} The index.
+ * @private
+ */
+function _loadSlotIndex(armyId) {
+  if (slotIndexCache[armyId]) return slotIndexCache[armyId];
+
+  let index = null;
+  try {
+    const storedIndex = storageArea.getItem(
+      `${config.SAVE_SLOTS_KEY_PREFIX}${armyId}`,
+    );
+    if (storedIndex) index = JSON.parse(storedIndex);
+  } catch (error) {
+    console.error(`Error loading save slots for army ${armyId}:`, error);
+  }
+  if (!index || !Array.isArray(index.slots)) {
+    index = { activeSlotId: DEFAULT_SLOT_ID, slots: [] };
+  }
+  if (!index.slots.some((slot) => slot.id === DEFAULT_SLOT_ID)) {
+    index.slots.unshift({
+      id: DEFAULT_SLOT_ID,
+      name: "Main",
+      createdAt: null,
+      gameState: null,
+    });
+  }
+  if (!index.slots.some((slot) => slot.id === index.activeSlotId)) {
+    index.activeSlotId = DEFAULT_SLOT_ID;
+  }
+  slotIndexCache[armyId] = index;
+  return index;
+}
+
+/**
+ * Saves an army's save slot index and tells other tabs it changed.
+ * @param {string} armyId - The ID of the army.
+ * @param {object} index - The slot index.
+ * @private
+ */
+function _saveSlotIndex(armyId, index) {
+  slotIndexCache[armyId] = index;
+  try {
+    storageArea.setItem(
+      `${config.SAVE_SLOTS_KEY_PREFIX}${armyId}`,
+      JSON.stringify(index),
+    );
+    _broadcast({ type: "saveSlots", armyId });
+  } catch (error) {
+    console.error(`Error saving save slots for army ${armyId}:`, error);
+  }
+}
+
+/**
+ * Creates an ID for a new save slot.
+ * @returns {string} The slot ID.
+ * @private
+ */
+function _newSlotId() {
+  return `slot-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Builds the key suffix that routes an army's state and log to its active slot.
+ * @param {string} armyId - The ID of the army.
+ * @param {string} [slotId] - The slot. Defaults to the active slot.
+ * @returns {{statePrefix: string, logPrefix: string, suffix: string}} Key parts for the slot.
+ * @private
+ */
+function _getSlotKeyParts(
+  armyId,
+  slotId = _loadSlotIndex(armyId).activeSlotId,
+) {
+  if (slotId === DEFAULT_SLOT_ID) {
+    return {
+      statePrefix: config.ARMY_STATE_KEY_PREFIX,
+      logPrefix: config.GAME_LOG_KEY_PREFIX,
+      suffix: armyId,
+    };
+  }
+  return {
+    statePrefix: config.SLOT_STATE_KEY_PREFIX,
+    logPrefix: config.SLOT_LOG_KEY_PREFIX,
+    suffix: `${armyId}:${slotId}`,
+  };
+}
+
+/**
+ * Gets the ID of the save slot an army's state is currently read from and written to.
+ * @param {string} armyId - The ID of the army.
+ * @returns {string} The active slot ID ('default' for the Main slot).
+ */
+function getActiveSaveSlotId(armyId) {
+  return _loadSlotIndex(armyId).activeSlotId;
+}
+
+/**
+ * Lists an army's save slots.
+ * @param {string} armyId - The ID of the army.
+ * @returns {Array<{id: string, name: string, createdAt: string | null, gameState: object | null, isActive: boolean, canDelete: boolean}>} The slots, Main first.
+ */
+function listSaveSlots(armyId) {
+  const index = _loadSlotIndex(armyId);
+  return index.slots.map((slot) => ({
+    id: slot.id,
+    name: slot.name,
+    createdAt: slot.createdAt,
+    gameState: slot.gameState || null,
+    isActive: slot.id === index.activeSlotId,
+    canDelete: slot.id !== DEFAULT_SLOT_ID && slot.id !== index.activeSlotId,
+  }));
+}
+
+/**
+ * Creates a named save slot for an army. The slot starts empty (a fresh game),
+ * or as a copy of the active slot's state and game log.
+ * @param {string} armyId - The ID of the army.
+ * @param {string} name - The slot name (e.g., "Mission 6 final").
+ * @param {boolean} [copyActive=false] - Whether to copy the active slot's progress.
+ * @returns {{id: string, name: string} | null} The new slot, or null if the name is empty.
+ */
+function createSaveSlot(armyId, name, copyActive = false) {
+  const trimmedName = (name || "").trim();
+  if (!trimmedName) return null;
+
+  const index = _loadSlotIndex(armyId);
+  const slot = {
+    id: _newSlotId(),
+    name: trimmedName,
+    createdAt: new Date().toISOString(),
+    gameState: copyActive ? loadGameState() : null,
+  };
+
+  if (copyActive) {
+    const from = _getSlotKeyParts(armyId);
+    const to = _getSlotKeyParts(armyId, slot.id);
+    const storedState = storageArea.getItem(
+      `${from.statePrefix}${from.suffix}`,
+    );
+    if (storedState) {
+      const copiedState = JSON.parse(storedState);
+      delete copiedState.revision; // The copy starts its own history
+      storageArea.setItem(
+        `${to.statePrefix}${to.suffix}`,
+        JSON.stringify(copiedState),
+      );
+    }
+    const storedLog = storageArea.getItem(`${from.logPrefix}${from.suffix}`);
+    if (storedLog)
+      storageArea.setItem(`${to.logPrefix}${to.suffix}`, storedLog);
+  }
+
+  index.slots.push(slot);
+  _saveSlotIndex(armyId, index);
+  console.log(
+    `Created save slot "${trimmedName}" (${slot.id}) for army ${armyId}.`,
+  );
+  return { id: slot.id, name: slot.name };
+}
+
+/**
+ * Makes another save slot active. The round and phase are kept with the slot
+ * being left. They are shared by every army on the device, so the ones saved with
+ * the slot being opened only replace them when restoreGameState is set.
+ * The page should be reloaded afterwards so every view reads the new slot.
+ * @param {string} armyId - The ID of the army.
+ * @param {string} slotId - The slot to open.
+ * @param {boolean} [restoreGameState=false] - Whether to restore the slot's round and phase.
+ * @returns {boolean} True if the active slot changed.
+ */
+function switchSaveSlot(armyId, slotId, restoreGameState = false) {
+  const index = _loadSlotIndex(armyId);
+  const nextSlot = index.slots.find((slot) => slot.id === slotId);
+  if (!nextSlot || slotId === index.activeSlotId) return false;
+
+  const currentSlot = index.slots.find(
+    (slot) => slot.id === index.activeSlotId,
+  );
+  if (currentSlot) currentSlot.gameState = loadGameState();
+  index.activeSlotId = slotId;
+  _saveSlotIndex(armyId, index);
+  if (restoreGameState && nextSlot.gameState) {
+    // Written directly: other tabs follow the slot change, not a round change
+    storageArea.setItem(
+      config.GAME_STATE_KEY,
+      JSON.stringify(nextSlot.gameState),
+    );
+  }
+  console.log(`Army ${armyId} switched to save slot "${nextSlot.name}".`);
+  return true;
+}
+
+/**
+ * Renames a save slot.
+ * @param {string} armyId - The ID of the army.
+ * @param {string} slotId - The slot to rename.
+ * @param {string} name - The new name.
+ * @returns {boolean} True if the slot was renamed.
+ */
+function renameSaveSlot(armyId, slotId, name) {
+  const trimmedName = (name || "").trim();
+  const index = _loadSlotIndex(armyId);
+  const slot = index.slots.find((s) => s.id === slotId);
+  if (!slot || !trimmedName) return false;
+  slot.name = trimmedName;
+  _saveSlotIndex(armyId, index);
+  return true;
+}
+
+/**
+ * Deletes a save slot with its state and game log. The active slot and the
+ * Main slot can't be deleted.
+ * @param {string} armyId - The ID of the army.
+ * @param {string} slotId - The slot to delete.
+ * @returns {boolean} True if the slot was deleted.
+ */
+function deleteSaveSlot(armyId, slotId) {
+  const index = _loadSlotIndex(armyId);
+  if (slotId === DEFAULT_SLOT_ID || slotId === index.activeSlotId) return false;
+  const slotPosition = index.slots.findIndex((slot) => slot.id === slotId);
+  if (slotPosition === -1) return false;
+
+  const { statePrefix, logPrefix, suffix } = _getSlotKeyParts(armyId, slotId);
+  storageArea.removeItem(`${statePrefix}${suffix}`);
+  storageArea.removeItem(`${logPrefix}${suffix}`);
+  index.slots.splice(slotPosition, 1);
+  _saveSlotIndex(armyId, index);
+  console.log(`Deleted save slot ${slotId} of army ${armyId}.`);
+  return true;
+}
+
+/**
+ * Reads every save slot of an army for a save file export: the slot details with
+ * the slot's state and game log. The state is migrated to the current schema.
+ * @param {string} armyId - The ID of the army.
+ * @returns {Array<{id: string, name: string, createdAt: string | null, gameState: object | null, isActive: boolean, state: object | null, log: Array<object>}>} The slots, Main first.
+ */
+function exportSaveSlots(armyId) {
+  const index = _loadSlotIndex(armyId);
+  return index.slots.map((slot) => {
+    const { statePrefix, logPrefix, suffix } = _getSlotKeyParts(
+      armyId,
+      slot.id,
+    );
+    let state = null;
+    let log = [];
+    try {
+      const storedState = storageArea.getItem(`${statePrefix}${suffix}`);
+      state = storedState
+        ? migrateArmyState(JSON.parse(storedState))?.state || null
+        : null;
+      if (state) delete state.revision; // Only meaningful on this device
+      const storedLog = storageArea.getItem(`${logPrefix}${suffix}`);
+      if (storedLog) log = JSON.parse(storedLog);
+    } catch (error) {
+      console.error(
+        `Error reading save slot ${slot.id} of army ${armyId}:`,
+        error,
+      );
+    }
+    return {
+      id: slot.id,
+      name: slot.name,
+      createdAt: slot.createdAt,
+      gameState: slot.gameState || null,
+      isActive: slot.id === index.activeSlotId,
+      state,
+      log: Array.isArray(log) ? log : [],
+    };
+  });
+}
+
+/**
+ * Writes an imported save slot (from a save file) into one of the army's inactive
+ * slots, replacing the slot with the same ID or adding it. A slot whose ID is the
+ * active slot's is added as a new slot instead, so the open game isn't overwritten.
+ * @param {string} armyId - The ID of the army.
+ * @param {{id: string, name: string, createdAt?: string | null, gameState?: object | null, state: object, log?: Array<object>}} importedSlot - The slot.
+ * @returns {string} The ID of the slot written.
+ */
+function importSaveSlot(armyId, importedSlot) {
+  const index = _loadSlotIndex(armyId);
+  let slot = index.slots.find((s) => s.id === importedSlot.id);
+  if (!slot || slot.id === index.activeSlotId) {
+    slot = {
+      id: slot ? _newSlotId() : importedSlot.id,
+      name: slot ? `${importedSlot.name} (imported)` : importedSlot.name,
+      createdAt: importedSlot.createdAt || new Date().toISOString(),
+      gameState: null,
+    };
+    index.slots.push(slot);
+  } else {
+    slot.name = importedSlot.name;
+  }
+  slot.gameState = importedSlot.gameState || null;
+
+  const { statePrefix, logPrefix, suffix } = _getSlotKeyParts(armyId, slot.id);
+  const state = { ...importedSlot.state };
+  delete state.revision; // The slot starts its own history on this device
+  if (state.schemaVersion === undefined) {
+    state.schemaVersion = ARMY_STATE_SCHEMA_VERSION;
+  }
+  try {
+    storageArea.setItem(`${statePrefix}${suffix}`, JSON.stringify(state));
+    storageArea.setItem(
+      `${logPrefix}${suffix}`,
+      JSON.stringify(importedSlot.log || []),
+    );
+  } catch (error) {
+    console.error(`Error importing save slot of army ${armyId}:`, error);
+    if (error.name === "QuotaExceededError") {
+      notify(
+        "Error: Local storage quota exceeded. Cannot import save slot.",
+        "Save Error",
+      );
+    }
+  }
+  _saveSlotIndex(armyId, index);
+  return slot.id;
+}
+
+// --- Per-Army Game Log ---
+
+/**
+ * Creates the localStorage key for a specific army's game log in its active save slot.
+ * @param {string} armyId - The ID of the army.
+ * @returns {string | null} The localStorage key, or null if armyId is invalid.
+ */
+function getGameLogKey(armyId) {
+  if (!armyId || typeof armyId !== "string" || armyId.trim() === "") {
+    console.error("Cannot generate game log key: Invalid armyId provided.");
+    return null;
+  }
+  const { logPrefix, suffix } = _getSlotKeyParts(armyId);
+  return `${logPrefix}${suffix}`;
+}
+
+/**
+ * Saves the game log (array of event objects) for a specific army to localStorage.
+ * @param {string} armyId - The ID of the army whose log is being saved.
+ * @param {Array<object>} events - The complete list of logged events.
+ */
+function saveGameLog(armyId, events) {
+  const key = getGameLogKey(armyId);
+  if (!key) return;
+
+  if (!Array.isArray(events)) {
+    console.error(
+      `Attempted to save invalid game log for army ${armyId}. Aborting save.`,
+      events,
+    );
+    return;
+  }
+
+  try {
+    storageArea.setItem(key, JSON.stringify(events));
+  } catch (error) {
+    console.error(`Error saving game log for army ${armyId}:`, error);
+    if (error.name === "QuotaExceededError") {
+      notify(
+        "Error: Local storage quota exceeded. Cannot save game log.",
+        "Save Error",
+      );
+    }
+  }
+}
+
+/**
+ * Loads the game log for a specific army from localStorage.
+ * @param {string} armyId - The ID of the army whose log is being loaded.
+ * @returns {Array<object>} The logged events, or an empty array if none/invalid.
+ */
+function loadGameLog(armyId) {
+  const key = getGameLogKey(armyId);
+  if (!key) return [];
+
+  try {
+    const storedLog = storageArea.getItem(key);
+    if (!storedLog) return [];
+    const parsedLog = JSON.parse(storedLog);
+    if (Array.isArray(parsedLog)) return parsedLog;
+
+    console.warn(
+      `Invalid game log found for army ${armyId}. Removing from storage.`,
+      parsedLog,
+    );
+    storageArea.removeItem(key);
+    return [];
+  } catch (error) {
+    console.error(`Error loading game log for army ${armyId}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Clears the saved game log for a specific army.
+ * @param {string} armyId - The ID of the army whose log should be cleared.
+ */
+function resetGameLog(armyId) {
+  const key = getGameLogKey(armyId);
+  if (!key) return;
+
+  try {
+    storageArea.removeItem(key);
+    console.log(`Game log reset for army ${armyId}.`);
+  } catch (error) {
+    console.error(`Error resetting game log for army ${armyId}:`, error);
+  }
+}
+
 // --- Global Game State ---
 
 /**
@@ -142,7 +962,7 @@ function resetArmyState(armyId) {
  */
 function loadGameState() {
   try {
-    const storedState = localStorage.getItem(config.GAME_STATE_KEY);
+    const storedState = storageArea.getItem(config.GAME_STATE_KEY);
     if (storedState) {
       const parsedState = JSON.parse(storedState);
       // Basic validation
@@ -156,7 +976,7 @@ function loadGameState() {
         console.warn(
           "Invalid global game state data found. Resetting to default.",
         );
-        localStorage.removeItem(config.GAME_STATE_KEY);
+        storageArea.removeItem(config.GAME_STATE_KEY);
         return { currentRound: 0, currentPhase: "pregame" }; // Default state
       }
     }
@@ -181,7 +1001,15 @@ function saveGameState(gameState) {
     return;
   }
   try {
-    localStorage.setItem(config.GAME_STATE_KEY, JSON.stringify(gameState));
+    const previous = tabChannel ? loadGameState() : null;
+    storageArea.setItem(config.GAME_STATE_KEY, JSON.stringify(gameState));
+    if (
+      previous &&
+      (previous.currentRound !== gameState.currentRound ||
+        previous.currentPhase !== gameState.currentPhase)
+    ) {
+      _broadcast({ type: "gameState", previous, gameState });
+    }
   } catch (error) {
     console.error("Error saving global game state:", error);
   }
@@ -189,10 +1017,26 @@ function saveGameState(gameState) {
 
 // --- Exports ---
 export {
+  configureStorage,
   saveArmyState,
   loadArmyState,
   resetArmyState,
   getArmyStateKey,
+  listStoredArmyIds,
+  getMigrationReports,
+  getActiveSaveSlotId,
+  listSaveSlots,
+  createSaveSlot,
+  switchSaveSlot,
+  renameSaveSlot,
+  deleteSaveSlot,
+  exportSaveSlots,
+  importSaveSlot,
   loadGameState,
   saveGameState,
+  saveGameLog,
+  loadGameLog,
+  resetGameLog,
+  startTabSync,
+  onExternalStateChange,
 };
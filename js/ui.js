@@ -9,6 +9,7 @@ import {
   DEPLOYMENT_BUTTON_CONFIG,
 } from "./config.js"; // Configuration constants
 import { calculateMovement } from "./gameLogic.js";
+import { getWeaponProfile } from "./attackResolver.js";
 import {
   getUnitStateValue,
   getCurrentArmyId,
@@ -20,6 +21,8 @@ import {
   getCurrentPhase,
   getDeploymentStatus,
   getArmyNameById,
+  getJoinedHeroData,
+  syncUnitModelHpFromState,
 } from "./state.js";
 // --- Helper Functions ---
 
@@ -193,6 +196,12 @@ function _createUnitCardHeaderHTML(baseUnit, hero, armyId) {
     </div>
     <div class="btn-group btn-group-sm header-button-group">
       ${recordKillButtonHTML}
+      <button
+        type="button"
+        class="btn btn-outline-danger btn-resolve-attack"
+        title="Resolve Attack">
+        ${UI_ICONS.resolveAttack}
+      </button>
       <button
         type="button"
         class="btn btn-outline-danger wound-apply-btn"
@@ -887,6 +896,204 @@ function createOpponentSelectionModal(
   }
 }
 
+/**
+ * Creates and displays the attack resolver modal for a unit card.
+ * Lists the weapons of the unit and its joined hero, plus opponent army/target selectors.
+ * @param {string} attackerUnitId - The selectionId of the attacking unit card.
+ * @param {string} attackerArmyId - The ID of the attacking army.
+ */
+function createAttackResolverModal(attackerUnitId, attackerArmyId) {
+  const modalContainer = document.getElementById(
+    "attack-resolver-modal-container",
+  );
+  if (!modalContainer) {
+    console.error(
+      "Modal container #attack-resolver-modal-container not found.",
+    );
+    return;
+  }
+
+  const baseUnit = getUnitData(attackerUnitId);
+  if (!baseUnit) return;
+  const hero = getJoinedHeroData(attackerUnitId);
+  const attackerName = baseUnit.customName || baseUnit.originalName;
+
+  // Build weapon checkboxes (value = sourceUnitId|loadoutIndex), each with an
+  // editable dice count that starts from the unit's surviving models
+  let weaponOptionsHTML = "";
+  [hero, baseUnit].filter(Boolean).forEach((unit) => {
+    syncUnitModelHpFromState(attackerArmyId, unit);
+    (unit.loadout || []).forEach((weapon, index) => {
+      const checkboxId = `attack-weapon-${unit.selectionId}-${index}`;
+      const dice = getWeaponProfile(weapon, unit).dice;
+      const rulesText = (weapon.specialRules || [])
+        .map((rule) => _formatRule(rule, false))
+        .filter(Boolean)
+        .join(", ");
+      weaponOptionsHTML += `<div class="form-check d-flex align-items-center gap-2">
+        <input
+          class="form-check-input attack-weapon-checkbox"
+          type="checkbox"
+          value="${unit.selectionId}|${index}"
+          id="${checkboxId}" />
+        <input
+          class="form-control form-control-sm attack-weapon-dice"
+          type="number"
+          min="0"
+          value="${dice}"
+          data-weapon="${unit.selectionId}|${index}"
+          aria-label="Attack dice for ${weapon.name}"
+          title="Attack dice" />
+        <label class="form-check-label" for="${checkboxId}">
+          ${weapon.count > 1 ? `${weapon.count}x ` : ""}${weapon.name}
+          <small class="text-muted"
+            >(${weapon.range ? `${weapon.range}"` : "Melee"}, A${weapon.attacks || 0}${
+              rulesText ? `, ${rulesText}` : ""
+            }${hero ? ` - ${unit.customName || unit.originalName}` : ""})</small
+          >
+        </label>
+      </div>`;
+    });
+  });
+  if (!weaponOptionsHTML) {
+    weaponOptionsHTML =
+      '<p class="text-muted small mb-0">No weapons listed.</p>';
+  }
+
+  // Build opponent army options
+  const allArmies = getAllLoadedArmyData();
+  let opponentArmyOptionsHTML =
+    '<option value="" selected disabled>-- Select Opponent Army --</option>';
+  if (allArmies) {
+    Object.entries(allArmies).forEach(([armyId, armyData]) => {
+      if (armyId !== attackerArmyId) {
+        const armyName = armyData.meta?.name || `Army ${armyId}`;
+        opponentArmyOptionsHTML += `<option value="${armyId}">${armyName}</option>`;
+      }
+    });
+  }
+
+  const modalId = "attackResolverModal";
+  const modalHTML = `
+    <div
+      class="modal fade"
+      id="${modalId}"
+      tabindex="-1"
+      aria-labelledby="${modalId}Label"
+      aria-hidden="true">
+      <div class="modal-dialog modal-dialog-scrollable">
+        <div class="modal-content">
+          <div class="modal-header">
+            <h5 class="modal-title" id="${modalId}Label">${UI_ICONS.resolveAttack} Attack with ${attackerName}</h5>
+            <button
+              type="button"
+              class="btn-close"
+              data-bs-dismiss="modal"
+              aria-label="Close"></button>
+          </div>
+          <div class="modal-body">
+            <form id="attack-resolver-form">
+              <input type="hidden" id="attack-attacker-army-id" value="${attackerArmyId}" />
+              <input type="hidden" id="attack-attacker-unit-id" value="${attackerUnitId}" />
+
+              <div class="mb-3">
+                <span class="form-label d-block">Weapons:</span>
+                ${weaponOptionsHTML}
+              </div>
+
+              <div class="mb-3">
+                <label for="modal-opponent-army-select" class="form-label">Opponent Army:</label>
+                <select class="form-select" id="modal-opponent-army-select" required>
+                  ${opponentArmyOptionsHTML}
+                </select>
+              </div>
+
+              <div class="mb-3">
+                <label for="modal-opponent-unit-select" class="form-label">Target Unit:</label>
+                <select class="form-select" id="modal-opponent-unit-select" required disabled>
+                  <option value="" selected disabled>-- Select Opponent Army First --</option>
+                </select>
+              </div>
+            </form>
+            <div id="attack-resolver-results"></div>
+          </div>
+          <div class="modal-footer">
+            <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
+            <button type="button" class="btn btn-primary" id="roll-attack-btn">
+              <i class="bi bi-dice-5"></i> Roll Attack
+            </button>
+            <button type="button" class="btn btn-danger d-none" id="apply-attack-wounds-btn">
+              ${UI_ICONS.woundApply} Apply Wounds
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  `;
+
+  modalContainer.innerHTML = modalHTML;
+  const modalElement = document.getElementById(modalId);
+  if (modalElement) {
+    const modalInstance = new bootstrap.Modal(modalElement);
+    modalElement.addEventListener("hidden.bs.modal", () => {
+      modalContainer.innerHTML = ""; // Remove modal HTML from DOM when closed
+    });
+    modalInstance.show();
+  } else {
+    console.error("Failed to find modal element after creation.");
+  }
+}
+
+/**
+ * Renders the dice and totals of a resolved attack into the attack resolver modal.
+ * @param {Array<object>} weaponResults - Results from resolveWeaponAttack, one per weapon.
+ * @param {number} totalWounds - Total wounds the attack will deal, counted as they are applied (see countWoundsToApply).
+ */
+function displayAttackResults(weaponResults, totalWounds) {
+  const resultsElement = document.getElementById("attack-resolver-results");
+  const applyButton = document.getElementById("apply-attack-wounds-btn");
+  if (!resultsElement) return;
+
+  const rowsHTML = weaponResults
+    .map(
+      (result) => `<tr>
+        <td>${result.name}</td>
+        <td><small class="font-monospace">${result.hitRolls.join(" ") || "-"}</small></td>
+        <td class="text-center">${result.hits}</td>
+        <td><small class="font-monospace">${result.defenseRolls.join(" ") || "-"}</small></td>
+        <td class="text-center fw-bold">${result.unsaved}${
+          result.deadly > 1
+            ? ` <small class="text-muted">(×${result.deadly})</small>`
+            : ""
+        }</td>
+      </tr>`,
+    )
+    .join("");
+
+  resultsElement.innerHTML = `
+    <hr />
+    <div class="table-responsive">
+      <table class="table table-sm table-striped mb-2">
+        <thead>
+          <tr>
+            <th>Weapon</th>
+            <th>To Hit</th>
+            <th class="text-center">Hits</th>
+            <th>Defense</th>
+            <th class="text-center">Wounds</th>
+          </tr>
+        </thead>
+        <tbody>${rowsHTML}</tbody>
+      </table>
+    </div>
+    <p class="mb-0 fw-bold">Total wounds: ${totalWounds}</p>`;
+
+  if (applyButton) {
+    applyButton.classList.toggle("d-none", totalWounds === 0);
+    applyButton.innerHTML = `${UI_ICONS.woundApply} Apply ${totalWounds} Wound${totalWounds !== 1 ? "s" : ""}`;
+  }
+}
+
 // --- Main Display Function ---
 function displayArmyUnits(processedArmy, displayContainerRow) {
   if (!displayContainerRow) {
@@ -1255,4 +1462,6 @@ export {
   updateKilledByStatusDisplay,
   createOpponentSelectionModal,
   populateOpponentUnitDropdown,
+  createAttackResolverModal,
+  displayAttackResults,
 };
@@ -4,7 +4,7 @@
  */
 
 // Import constants if needed (e.g., from config)
-import { config, UI_ICONS } from "./config.js";
+import { config, UI_ICONS, GAME_LOG_EVENT_CONFIG } from "./config.js";
 // Import state functions
 import {
   getCurrentArmyId,
@@ -20,6 +20,23 @@ import {
   getCurrentArmyHeroTargets,
   getLoadedArmyData,
 } from "./state.js";
+import { getGameLogByRound } from "./gameLog.js";
+
+/**
+ * Basic HTML escaping for text that comes from army lists, rule data or imported files.
+ * Handles non-string inputs gracefully.
+ * @param {string} unsafe - The potentially unsafe string to escape.
+ * @returns {string} The escaped string, safe for HTML content and attributes.
+ */
+export function escapeHtml(unsafe) {
+  if (typeof unsafe !== "string") return "";
+  return unsafe
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#039;");
+}
 
 // --- Focus Management State ---
 // Variable to store the element that triggered the modal/toast/offcanvas
@@ -111,9 +128,198 @@ export function displayArmySelection(armies, container) {
   }
 
   listContainer.appendChild(listGroup);
+
+  // Table mode: every army on one device, sharing the round counter
+  if (armies && armies.some((army) => !army.hidden && army.armyForgeID)) {
+    const tableLink = document.createElement("a");
+    tableLink.href = "army.html?table=1";
+    tableLink.className = "btn btn-outline-primary w-100 mt-3";
+    tableLink.innerHTML = `<i class="bi bi-people-fill"></i> Table Mode (all armies on this device)`;
+    listContainer.appendChild(tableLink);
+  }
+
   container.appendChild(listContainer);
 }
 
+/**
+ * Renders the army tabs shown in table mode (#table-mode-tabs).
+ * Each tab is a button carrying its army ID in data-army-id.
+ * @param {Array<string>} armyIds - The table's army IDs, in tab order.
+ * @param {string} currentArmyId - The army currently displayed.
+ */
+export function displayTableModeTabs(armyIds, currentArmyId) {
+  const tabList = document.getElementById("table-mode-tabs");
+  if (!tabList) return;
+
+  tabList.innerHTML = "";
+  armyIds.forEach((armyId) => {
+    const isActive = armyId === currentArmyId;
+    const tabItem = document.createElement("li");
+    tabItem.className = "nav-item";
+    tabItem.setAttribute("role", "presentation");
+    tabItem.innerHTML = `
+      <button type="button" class="nav-link${isActive ? " active" : ""}" role="tab"
+        data-army-id="${armyId}" aria-selected="${isActive}">
+        ${getArmyNameById(armyId)}
+      </button>`;
+    tabList.appendChild(tabItem);
+  });
+  tabList.classList.toggle("d-none", armyIds.length === 0);
+}
+
+/**
+ * Renders the save slot picker (#save-slot-select) for the displayed army.
+ * @param {Array<{id: string, name: string, isActive: boolean, canDelete: boolean}>} slots - The army's save slots.
+ */
+export function displaySaveSlotPicker(slots) {
+  const select = document.getElementById("save-slot-select");
+  if (!select) return;
+
+  select.innerHTML = "";
+  slots.forEach((slot) => {
+    const option = document.createElement("option");
+    option.value = slot.id;
+    option.textContent = slot.name;
+    option.selected = slot.isActive;
+    select.appendChild(option);
+  });
+  const deleteButton = document.getElementById("save-slot-delete-btn");
+  if (deleteButton) {
+    deleteButton.disabled = !slots.some((slot) => slot.canDelete);
+  }
+}
+
+/**
+ * Shows whether the current army's list is pinned on the Pin List button.
+ * @param {{missionNumber: number | null, pinnedAt: string} | null} pin - The pin, or null if not pinned.
+ */
+export function displayListPin(pin) {
+  const button = document.getElementById("pin-list-btn");
+  if (!button) return;
+
+  button.classList.toggle("active", Boolean(pin));
+  if (pin) {
+    button.innerHTML = `<i class="bi bi-pin-angle-fill"></i> Pinned${pin.missionNumber !== null ? `: Mission ${pin.missionNumber}` : ""}`;
+    button.title = `Using the list version pinned on ${new Date(pin.pinnedAt).toLocaleDateString()}. Click to unpin.`;
+  } else {
+    button.innerHTML = '<i class="bi bi-pin-angle"></i> Pin List';
+    button.title =
+      "Keep using this version of the army list for the current mission";
+  }
+}
+
+/**
+ * Fills the Info modal's "Lists from" mission picker (#snapshot-mission-select), used
+ * to choose which mission's saved army lists are loaded in local mode.
+ * @param {Array<object>} missions - The missions from missions.json.
+ * @param {number | null} selectedMission - The mission chosen, or null to follow the current mission.
+ */
+export function populateSnapshotMissionPicker(missions, selectedMission) {
+  const picker = document.getElementById("snapshot-mission-picker");
+  const select = document.getElementById("snapshot-mission-select");
+  if (!picker || !select) return;
+
+  picker.classList.toggle(
+    "d-none",
+    !config.USE_LOCAL_ARMY_DATA || missions.length === 0,
+  );
+  const currentMission = missions.find(
+    (mission) => mission.status === "current",
+  );
+  select.innerHTML = "";
+  [
+    {
+      value: "",
+      label: `Current mission${currentMission ? ` (${currentMission.number})` : ""}`,
+    },
+    ...missions.map((mission) => ({
+      value: String(mission.number),
+      label: `Mission ${mission.number}${mission.title ? `: ${mission.title}` : ""}`,
+    })),
+  ].forEach(({ value, label }) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    option.selected = value === String(selectedMission ?? "");
+    select.appendChild(option);
+  });
+}
+
+/**
+ * Shows where the current army's list was loaded from in the Info modal.
+ * @param {{type: string, missionNumber: number | null, requestedMission?: number | null} | null} source - The source returned by getArmyListSource.
+ */
+export function displayArmyListSource(source) {
+  const sourceText = document.getElementById("armyInfoListSourceText");
+  if (!sourceText) return;
+
+  let text = "";
+  if (source?.type === "pinned") {
+    text = `List: pinned version${source.missionNumber !== null ? ` for Mission ${source.missionNumber}` : ""}`;
+  } else if (source?.type === "snapshot") {
+    text = `List: saved for Mission ${source.missionNumber}`;
+    if (source.requestedMission !== source.missionNumber) {
+      text += ` (latest saved; Mission ${source.requestedMission} has none yet)`;
+    }
+  } else if (source?.type === "cache") {
+    text = "List: Army Forge (cached copy)";
+  } else if (source?.type === "armyForge") {
+    text = "List: Army Forge";
+  }
+  sourceText.textContent = text;
+}
+
+/**
+ * Fills the save file import modal (#saveFileImportModal) with one row per army in
+ * the file, each with a Merge/Replace/Skip choice (select[data-army-id]).
+ * @param {object} saveFile - The validated save file.
+ * @param {Array<string>} localArmyIds - Army IDs with saved state on this device.
+ */
+export function displaySaveFileImportChoices(saveFile, localArmyIds) {
+  const summary = document.getElementById("save-file-import-summary");
+  const armyList = document.getElementById("save-file-import-armies");
+  const gameStateLabel = document.getElementById(
+    "save-file-import-game-state-label",
+  );
+  if (!armyList) return;
+
+  const armyEntries = Object.entries(saveFile.armies);
+  if (summary) {
+    summary.textContent = `Exported ${new Date(saveFile.exportedAt).toLocaleString()} with ${armyEntries.length} arm${armyEntries.length !== 1 ? "ies" : "y"}.`;
+  }
+  if (gameStateLabel) {
+    const { currentRound, currentPhase } = saveFile.gameState;
+    gameStateLabel.textContent = `Restore round and phase (${currentPhase}${currentRound > 0 ? `, round ${currentRound}` : ""})`;
+  }
+
+  armyList.innerHTML = "";
+  armyEntries.forEach(([armyId, entry]) => {
+    const isStored = localArmyIds.includes(armyId);
+    const unitCount = Object.keys(entry.state.units).length;
+    const slotCount = (entry.slots || []).length;
+    const listItem = document.createElement("li");
+    listItem.className =
+      "list-group-item d-flex justify-content-between align-items-center gap-2";
+    // The names and IDs come from the imported file, so they are only ever set as text
+    const armyName = String(entry.armyName || armyId);
+    listItem.innerHTML = `
+      <div>
+        <div class="save-file-army-name"></div>
+        <small class="text-muted">${unitCount} unit${unitCount !== 1 ? "s" : ""}${slotCount > 1 ? ` · ${slotCount} save slots` : ""}${isStored ? " · on this device" : " · new"}</small>
+      </div>
+      <select class="form-select form-select-sm w-auto">
+        ${isStored ? '<option value="merge" selected>Merge</option>' : ""}
+        <option value="replace"${isStored ? "" : " selected"}>${isStored ? "Replace" : "Import"}</option>
+        <option value="skip">Skip</option>
+      </select>`;
+    listItem.querySelector(".save-file-army-name").textContent = armyName;
+    const select = listItem.querySelector("select");
+    select.dataset.armyId = armyId;
+    select.setAttribute("aria-label", `Import choice for ${armyName}`);
+    armyList.appendChild(listItem);
+  });
+}
+
 /**
  * Populates the Army Info Modal (#armyInfoModal) with data.
  * @param {object} armyInfo - The army info object from campaignData.
@@ -753,6 +959,55 @@ export function displayStratagems(armyId, selectedDoctrineId) {
   }
 }
 
+/**
+ * Renders the game log for an army as a round-by-round timeline in the Game Log modal.
+ * @param {string} armyId - The ID of the currently loaded army.
+ */
+export function displayGameLog(armyId) {
+  const displayArea = document.getElementById("gameLogDisplayArea");
+  if (!displayArea) {
+    console.error("Game log display area not found.");
+    return;
+  }
+
+  const rounds = getGameLogByRound(armyId);
+  if (rounds.length === 0) {
+    displayArea.innerHTML =
+      '<p class="text-muted">No events logged yet. Start deployment to begin the log.</p>';
+    return;
+  }
+
+  displayArea.innerHTML = rounds
+    .map((round) => {
+      const title =
+        round.number > 0 ? `Round ${round.number}` : "Pre-Game & Deployment";
+      const eventsHTML = round.events
+        .map((event) => {
+          const eventConfig = GAME_LOG_EVENT_CONFIG[event.type] || {
+            colorTheme: "secondary",
+            icon: "bi-dot",
+          };
+          const time = new Date(event.timestamp).toLocaleTimeString([], {
+            hour: "2-digit",
+            minute: "2-digit",
+          });
+          return `
+            <li class="list-group-item d-flex align-items-start gap-2 px-0 py-1 game-log-event">
+              <i class="bi ${eventConfig.icon} text-${eventConfig.colorTheme}" title="${escapeHtml(event.type)}"></i>
+              <span class="me-auto">${escapeHtml(event.message)}</span>
+              <small class="text-muted text-nowrap">${time}</small>
+            </li>`;
+        })
+        .join("");
+      return `
+        <h6 class="mt-3 mb-1">${title}
+          <span class="badge bg-secondary rounded-pill ms-1">${round.events.length}</span>
+        </h6>
+        <ul class="list-group list-group-flush game-log-round">${eventsHTML}</ul>`;
+    })
+    .join("");
+}
+
 /**
  * Updates the round display and start/next round button text.
  * Creates the round display element if it doesn't exist.
@@ -1000,6 +1255,25 @@ export function updateOffcanvasUnitStatus(armyId, unitId) {
   listItem.dataset.unitId = unitId; // Ensure dataset attribute is present
 }
 
+/**
+ * Triggers a browser download of the given data as a formatted JSON file.
+ * @param {object} data - The data to serialize.
+ * @param {string} filename - The suggested file name (e.g., "game-log.json").
+ */
+export function downloadJSON(data, filename) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], {
+    type: "application/json",
+  });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
 /**
  * Simple identity tag function for template literals.
  * Primarily used to hint to formatters (like Prettier) that the content is HTML.
@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+//@ts-check
+/**
+ * @fileoverview Downloads the Army Forge list of every army in data/campaign.json into
+ * data/battle-reports/missionN-armies/<armyURL>.json, the snapshots the tracker loads
+ * in local mode and the campaign page compares. Each list is run through
+ * processArmyData (js/dataProcessor.js) and only saved if the tracker can read it.
+ * Existing files are kept unless --force is given. The list URL can be pointed at a
+ * local mock server for testing with --base-url or the ARMY_FORGE_LIST_URL variable.
+ *
+ * Usage: node scripts/fetch-mission-armies.mjs <mission> [--force] [--base-url <url>]
+ *   <mission>         Mission number (e.g., 7 saves into mission7-armies/)
+ *   --force           Replace lists that were already downloaded
+ *   --base-url <url>  List URL the army ID is appended to
+ *                     (default https://army-forge.onepagerules.com/api/tts?id=)
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { config } from "../js/config.js";
+import { processArmyData } from "../js/dataProcessor.js";
+
+const SITE_ROOT = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+);
+const CAMPAIGN_FILE = path.join(SITE_ROOT, "data", "campaign.json");
+const SNAPSHOTS_DIR = path.join(SITE_ROOT, "data", "battle-reports");
+const REQUEST_DELAY_MS = 500; // Avoids hammering the Army Forge API
+
+/**
+ * Reads the command line arguments.
+ * @param {Array<string>} args - The arguments after the script name.
+ * @returns {{missionNumber: number, force: boolean, baseUrl: string}} The options.
+ */
+function parseArgs(args) {
+  const options = {
+    missionNumber: NaN,
+    force: false,
+    baseUrl:
+      process.env.ARMY_FORGE_LIST_URL || config.ARMYFORGE_LIST_API_URL_BASE,
+  };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--force") {
+      options.force = true;
+    } else if (args[i] === "--base-url") {
+      options.baseUrl = args[++i] || "";
+    } else {
+      options.missionNumber = Number(args[i]);
+    }
+  }
+  return options;
+}
+
+/**
+ * Turns an army name into a file name, for armies without an armyURL.
+ * @param {string} name - The army name.
+ * @returns {string} The lowercased, hyphenated name.
+ */
+function toFileName(name) {
+  return name
+    .replace(/[<>:"/\\|?*\u0000-\u001f]/g, "")
+    .trim()
+    .replace(/\s+/g, "-")
+    .toLowerCase();
+}
+
+/**
+ * Checks whether a file exists.
+ * @param {string} filePath - The file path.
+ * @returns {Promise<boolean>} True if it exists.
+ */
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Downloads one army list and checks that the tracker can process it.
+ * @param {string} url - The list URL.
+ * @returns {Promise<object>} The raw list.
+ * @throws {Error} If the download fails or the list can't be processed.
+ */
+async function downloadList(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+  const list = await response.json();
+
+  const processed = processArmyData(list);
+  if (!processed || processed.units.length === 0) {
+    throw new Error("The list has no units the tracker can process.");
+  }
+  return list;
+}
+
+/**
+ * Pauses between requests.
+ * @param {number} ms - How long to wait.
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// --- Script Body ---
+
+const { missionNumber, force, baseUrl } = parseArgs(process.argv.slice(2));
+if (!Number.isInteger(missionNumber) || missionNumber <= 0 || !baseUrl) {
+  console.error(
+    "Usage: node scripts/fetch-mission-armies.mjs <mission> [--force] [--base-url <url>]",
+  );
+  process.exit(1);
+}
+
+let campaignData;
+try {
+  campaignData = JSON.parse(await fs.readFile(CAMPAIGN_FILE, "utf8"));
+} catch (error) {
+  console.error(`Could not read ${CAMPAIGN_FILE}: ${error.message}`);
+  process.exit(1);
+}
+if (!Array.isArray(campaignData?.armies)) {
+  console.error("Campaign data does not contain an 'armies' array.");
+  process.exit(1);
+}
+
+const targetDir = path.join(SNAPSHOTS_DIR, `mission${missionNumber}-armies`);
+await fs.mkdir(targetDir, { recursive: true });
+console.log(`Saving Mission ${missionNumber} army lists to ${targetDir}`);
+
+const counts = { downloaded: 0, skipped: 0, failed: 0 };
+for (const army of campaignData.armies) {
+  const armyName = army.armyName || army.armyForgeID || "Unnamed army";
+  if (!army.armyForgeID || army.hidden) {
+    console.log(`Skipping ${armyName}: hidden or no armyForgeID.`);
+    continue;
+  }
+  const fileName = `${army.armyURL || toFileName(armyName)}.json`;
+  const filePath = path.join(targetDir, fileName);
+
+  if (!force && (await fileExists(filePath))) {
+    console.log(`Skipping ${armyName}: ${fileName} already exists.`);
+    counts.skipped++;
+    continue;
+  }
+
+  const url = `${baseUrl}${army.armyForgeID}`;
+  try {
+    const list = await downloadList(url);
+    await fs.writeFile(filePath, `${JSON.stringify(list, null, 2)}\n`);
+    console.log(`Saved ${armyName} to ${fileName}.`);
+    counts.downloaded++;
+  } catch (error) {
+    console.error(
+      `Failed to download ${armyName} from ${url}: ${error.message}`,
+    );
+    counts.failed++;
+  }
+  await delay(REQUEST_DELAY_MS);
+}
+
+console.log(
+  `Done: ${counts.downloaded} downloaded, ${counts.skipped} skipped (already saved), ${counts.failed} failed.`,
+);
+process.exitCode = counts.failed > 0 ? 1 : 0;
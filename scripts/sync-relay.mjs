@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+//@ts-check
+/**
+ * @fileoverview Local-network relay for the army tracker's live sync (js/liveSync.js).
+ * Serves the site itself, so every device can open the tracker over plain http and
+ * sync with the same origin, and relays state changes between connected devices:
+ * devices POST messages to /publish and receive everyone else's on /events
+ * (Server-Sent Events). No dependencies and no internet access are required.
+ *
+ * Usage: node scripts/sync-relay.mjs [port]   (default port 8787)
+ */
+
+import http from "node:http";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const PORT = Number(process.argv[2] || process.env.PORT) || 8787;
+const SITE_ROOT = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+);
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+const KEEP_ALIVE_MS = 25000; // Stops idle connections from being dropped
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".webmanifest": "application/manifest+json",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".ico": "image/x-icon",
+};
+
+/** Site directories served to devices; everything else under the repo root is not. */
+const SITE_DIRECTORIES = ["js", "css", "data", "assets"];
+
+/** Top-level site files served besides the *.html pages. */
+const SITE_FILES = ["sw.js"];
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+/** @type {Set<http.ServerResponse>} */
+const subscribers = new Set();
+let lastGameState = null; // Replayed to devices that connect mid-game
+
+/**
+ * Sends one Server-Sent Event to a subscriber.
+ * @param {http.ServerResponse} res - The subscriber's open response.
+ * @param {string} data - The serialized message.
+ */
+function sendEvent(res, data) {
+  res.write(`data: ${data}\n\n`);
+}
+
+/**
+ * Opens an event stream for a device.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response to keep open.
+ */
+function handleEvents(req, res) {
+  res.writeHead(200, {
+    ...CORS_HEADERS,
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.write(": connected\n\n");
+  if (lastGameState) sendEvent(res, lastGameState);
+
+  subscribers.add(res);
+  console.log(
+    `Device connected (${req.socket.remoteAddress}), ${subscribers.size} online.`,
+  );
+  req.on("close", () => {
+    subscribers.delete(res);
+    console.log(`Device disconnected, ${subscribers.size} online.`);
+  });
+}
+
+/**
+ * Relays a device's message to every connected device.
+ * @param {http.IncomingMessage} req - The request carrying the JSON message.
+ * @param {http.ServerResponse} res - The response.
+ */
+function handlePublish(req, res) {
+  let body = "";
+  let tooLarge = false;
+  req.on("data", (chunk) => {
+    if (tooLarge) return;
+    body += chunk;
+    if (body.length > MAX_MESSAGE_BYTES) {
+      // Answer right away and drop the upload instead of buffering the rest
+      tooLarge = true;
+      body = "";
+      res.writeHead(413, { ...CORS_HEADERS, Connection: "close" }).end();
+      req.destroy();
+    }
+  });
+  req.on("end", () => {
+    if (tooLarge) return;
+    let message;
+    try {
+      message = JSON.parse(body);
+    } catch (error) {
+      res.writeHead(400, CORS_HEADERS).end("Invalid JSON");
+      return;
+    }
+    if (!message?.clientId || !message.type) {
+      res.writeHead(400, CORS_HEADERS).end("Missing clientId or type");
+      return;
+    }
+
+    const data = JSON.stringify(message);
+    if (message.type === "gameState") lastGameState = data;
+    subscribers.forEach((subscriber) => sendEvent(subscriber, data));
+    res.writeHead(204, CORS_HEADERS).end();
+  });
+}
+
+/**
+ * Checks whether a path belongs to the site: a top-level *.html page, sw.js, or a
+ * file inside one of the site directories. Dotfiles are never part of the site.
+ * @param {string} relativePath - The normalized path relative to the site root.
+ * @returns {boolean} True if the file may be served.
+ */
+function isSitePath(relativePath) {
+  const segments = relativePath.split(path.sep).filter(Boolean);
+  if (segments.length === 0 || segments.some((part) => part.startsWith("."))) {
+    return false;
+  }
+  if (segments.length === 1) {
+    return segments[0].endsWith(".html") || SITE_FILES.includes(segments[0]);
+  }
+  return SITE_DIRECTORIES.includes(segments[0]);
+}
+
+/**
+ * Serves a file of the site. Anything outside the site's pages and directories
+ * (the git metadata, node_modules, scripts, ...) gets a 404.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ */
+function handleStatic(req, res) {
+  const { pathname } = new URL(req.url || "/", "http://localhost");
+  let relativePath;
+  try {
+    relativePath = decodeURIComponent(
+      pathname === "/" ? "/index.html" : pathname,
+    );
+  } catch (error) {
+    res.writeHead(400).end(); // Malformed escape sequence
+    return;
+  }
+  const filePath = path.join(SITE_ROOT, path.normalize(relativePath));
+  if (!filePath.startsWith(SITE_ROOT + path.sep)) {
+    res.writeHead(403).end();
+    return;
+  }
+  if (!isSitePath(path.relative(SITE_ROOT, filePath))) {
+    res.writeHead(404, { "Content-Type": "text/plain" }).end("Not found");
+    return;
+  }
+
+  fs.readFile(filePath, (error, content) => {
+    if (error) {
+      res.writeHead(404, { "Content-Type": "text/plain" }).end("Not found");
+      return;
+    }
+    res.writeHead(200, {
+      "Content-Type":
+        MIME_TYPES[path.extname(filePath).toLowerCase()] ||
+        "application/octet-stream",
+    });
+    res.end(content);
+  });
+}
+
+const server = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url || "/", "http://localhost");
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, CORS_HEADERS).end();
+  } else if (req.method === "GET" && pathname === "/events") {
+    handleEvents(req, res);
+  } else if (req.method === "POST" && pathname === "/publish") {
+    handlePublish(req, res);
+  } else if (req.method === "GET") {
+    handleStatic(req, res);
+  } else {
+    res.writeHead(405, CORS_HEADERS).end();
+  }
+});
+
+setInterval(() => {
+  subscribers.forEach((subscriber) => subscriber.write(": keep-alive\n\n"));
+}, KEEP_ALIVE_MS).unref();
+
+server.listen(PORT, () => {
+  console.log(`Army tracker sync relay listening on port ${PORT}.`);
+  console.log("Open one of these addresses on each device:");
+  Object.values(os.networkInterfaces())
+    .flat()
+    .filter((address) => address && address.family === "IPv4")
+    .forEach((address) =>
+      console.log(`  http://${address?.address}:${PORT}/army.html`),
+    );
+});
@@ -0,0 +1,591 @@
+#!/usr/bin/env node
+//@ts-check
+/**
+ * @fileoverview Checks the hand-edited files under data/ before they reach the site.
+ * Each file is validated against its JSON Schema in data/schemas/, then the files are
+ * checked against each other: battle report participants and mission winners must
+ * name campaign armies, battleReportFile paths must exist, mission numbers must be
+ * unique with exactly one current mission, IDs must not repeat, and the wins, losses
+ * and other totals in campaign.json should match the ones computed from the battle
+ * reports (js/standings.js). Problems that would break the site are errors (exit
+ * code 1); likely mistakes are warnings.
+ *
+ * Only the JSON Schema keywords the schemas use are supported: type, enum, required,
+ * properties, additionalProperties, items, minItems, minLength, minimum, pattern,
+ * anyOf and local $refs (#/$defs/...).
+ *
+ * Usage: node scripts/validate-data.mjs   (or npm run validate)
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { computeStandings } from "../js/standings.js";
+
+const SITE_ROOT = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+);
+const SCHEMAS_DIR = path.join(SITE_ROOT, "data", "schemas");
+const REPORTS_DIR = path.join(SITE_ROOT, "data", "battle-reports");
+const PLACEHOLDER_PATTERN = /^\s*(to be d\w*|tb[ad])?\s*$/i; // Also catches typos
+
+/** Data files and the schema each must follow. */
+const DATA_FILES = [
+  { file: "data/campaign.json", schema: "campaign.schema.json" },
+  { file: "data/missions.json", schema: "missions.schema.json" },
+  { file: "data/rules/doctrines.json", schema: "doctrines.schema.json" },
+  {
+    file: "data/rules/random-events.json",
+    schema: "random-events.schema.json",
+  },
+  {
+    file: "data/rules/custom-definitions.json",
+    schema: "custom-definitions.schema.json",
+  },
+];
+
+/** @type {Array<{level: string, file: string, where: string, message: string}>} */
+const problems = [];
+
+/**
+ * Records an error (the site would break or show wrong data).
+ * @param {string} file - The data file, relative to the site root.
+ * @param {string} where - The JSON path within the file (e.g., "missions[6].title").
+ * @param {string} message - What is wrong and how to fix it.
+ */
+function error(file, where, message) {
+  problems.push({ level: "error", file, where, message });
+}
+
+/**
+ * Records a warning (probably a mistake, but the site still works).
+ * @param {string} file - The data file, relative to the site root.
+ * @param {string} where - The JSON path within the file.
+ * @param {string} message - What looks wrong.
+ */
+function warn(file, where, message) {
+  problems.push({ level: "warning", file, where, message });
+}
+
+/**
+ * Reads and parses a JSON file, recording an error if it can't be read.
+ * @param {string} file - The file, relative to the site root.
+ * @returns {Promise<any>} The parsed JSON, or undefined on failure.
+ */
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(SITE_ROOT, file), "utf8"));
+  } catch (readError) {
+    error(
+      file,
+      "",
+      readError.code === "ENOENT"
+        ? "File not found."
+        : `Not valid JSON: ${readError.message}`,
+    );
+    return undefined;
+  }
+}
+
+/**
+ * Checks whether a file exists.
+ * @param {string} file - The file, relative to the site root.
+ * @returns {Promise<boolean>} True if it exists.
+ */
+async function fileExists(file) {
+  try {
+    await fs.access(path.join(SITE_ROOT, file));
+    return true;
+  } catch (accessError) {
+    return false;
+  }
+}
+
+// --- Schema Validation ---
+
+/**
+ * Gets the JSON Schema type name of a value.
+ * @param {any} value - The value.
+ * @returns {string} "null", "array", "integer", "number", "string", "boolean" or "object".
+ */
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+/**
+ * Resolves a local $ref (#/$defs/...) to the schema it points at.
+ * @param {object} schema - A schema, possibly a $ref.
+ * @param {object} rootSchema - The whole schema.
+ * @returns {object | undefined} The referenced schema, or the schema itself if it isn't a $ref.
+ */
+function resolveRef(schema, rootSchema) {
+  if (!schema.$ref) return schema;
+  return schema.$ref
+    .replace(/^#\//, "")
+    .split("/")
+    .reduce((node, key) => node?.[key], rootSchema);
+}
+
+/**
+ * Validates a value against a schema, recording an error for each mismatch.
+ * @param {any} value - The value to check.
+ * @param {object} schema - The (sub)schema.
+ * @param {object} rootSchema - The whole schema, for resolving $refs.
+ * @param {string} file - The data file being checked.
+ * @param {string} where - The JSON path of the value.
+ */
+function validateSchema(value, schema, rootSchema, file, where) {
+  if (schema.$ref) {
+    validateSchema(
+      value,
+      resolveRef(schema, rootSchema),
+      rootSchema,
+      file,
+      where,
+    );
+    return;
+  }
+  if (schema.anyOf) {
+    validateAnyOf(value, schema.anyOf, rootSchema, file, where);
+    return;
+  }
+
+  const actualType = typeOf(value);
+  if (schema.type) {
+    const allowedTypes = [].concat(schema.type);
+    const matches = allowedTypes.some(
+      (type) =>
+        type === actualType || (type === "number" && actualType === "integer"),
+    );
+    if (!matches) {
+      error(
+        file,
+        where,
+        `Expected ${allowedTypes.join(" or ")}, found ${actualType}.`,
+      );
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    error(
+      file,
+      where,
+      `Must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(", ")}; found ${JSON.stringify(value)}.`,
+    );
+  }
+
+  if (actualType === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      error(file, where, "Must not be empty.");
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      error(
+        file,
+        where,
+        `${JSON.stringify(value)} does not match ${schema.pattern}.`,
+      );
+    }
+  } else if (actualType === "integer" || actualType === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      error(file, where, `Must be at least ${schema.minimum}; found ${value}.`);
+    }
+  } else if (actualType === "array") {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      error(file, where, `Must have at least ${schema.minItems} item(s).`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) =>
+        validateSchema(
+          item,
+          schema.items,
+          rootSchema,
+          file,
+          `${where}[${index}]`,
+        ),
+      );
+    }
+  } else if (actualType === "object") {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) {
+        error(file, where, `Missing required field "${key}".`);
+      }
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      const childWhere = where ? `${where}.${key}` : key;
+      if (schema.properties?.[key]) {
+        validateSchema(
+          child,
+          schema.properties[key],
+          rootSchema,
+          file,
+          childWhere,
+        );
+      } else if (schema.additionalProperties === false) {
+        error(file, childWhere, "Unknown field.");
+      } else if (typeof schema.additionalProperties === "object") {
+        validateSchema(
+          child,
+          schema.additionalProperties,
+          rootSchema,
+          file,
+          childWhere,
+        );
+      }
+    });
+  }
+}
+
+/**
+ * Validates a value that must match at least one of several schemas. If none
+ * matches, the errors of the first schema allowing the value's type are recorded.
+ * @param {any} value - The value to check.
+ * @param {Array<object>} options - The schemas to try.
+ * @param {object} rootSchema - The whole schema, for resolving $refs.
+ * @param {string} file - The data file being checked.
+ * @param {string} where - The JSON path of the value.
+ */
+function validateAnyOf(value, options, rootSchema, file, where) {
+  const matches = options.some((option) => {
+    const problemCount = problems.length;
+    validateSchema(value, option, rootSchema, file, where);
+    const matched = problems.length === problemCount;
+    problems.splice(problemCount); // Only the errors of the closest option count
+    return matched;
+  });
+  if (matches) return;
+
+  const actualType = typeOf(value);
+  const closest = options.find((option) =>
+    [].concat(resolveRef(option, rootSchema)?.type || []).includes(actualType),
+  );
+  if (closest) {
+    validateSchema(value, closest, rootSchema, file, where);
+  } else {
+    error(file, where, `Not an allowed value: ${JSON.stringify(value)}.`);
+  }
+}
+
+/**
+ * Reads a data file and validates it against its schema.
+ * @param {string} file - The data file, relative to the site root.
+ * @param {string} schemaName - The schema file name in data/schemas/.
+ * @returns {Promise<any>} The parsed data, or undefined if it couldn't be read.
+ */
+async function loadAndValidate(file, schemaName) {
+  const schema = JSON.parse(
+    await fs.readFile(path.join(SCHEMAS_DIR, schemaName), "utf8"),
+  );
+  const data = await readJson(file);
+  if (data !== undefined) validateSchema(data, schema, schema, file, "");
+  return data;
+}
+
+// --- Cross-Reference Checks ---
+
+/**
+ * Reports the IDs (or other keys) that appear more than once in a list.
+ * @param {Array<object>} items - The items.
+ * @param {string} key - The field that must be unique.
+ * @param {string} file - The data file.
+ * @param {string} listPath - The JSON path of the list.
+ */
+function checkUnique(items, key, file, listPath) {
+  const seen = new Map();
+  items.forEach((item, index) => {
+    const value = item?.[key];
+    if (value === undefined || value === null) return;
+    if (seen.has(value)) {
+      error(
+        file,
+        `${listPath}[${index}].${key}`,
+        `${JSON.stringify(value)} is already used by ${listPath}[${seen.get(value)}].`,
+      );
+    } else {
+      seen.set(value, index);
+    }
+  });
+}
+
+/**
+ * Checks that a name refers to a campaign army, suggesting the right spelling when
+ * only the capitalization differs.
+ * @param {string} name - The army name used.
+ * @param {Array<string>} armyNames - The campaign's army names.
+ * @param {string} file - The data file.
+ * @param {string} where - The JSON path of the name.
+ */
+function checkArmyName(name, armyNames, file, where) {
+  if (armyNames.includes(name)) return;
+  const closeMatch = armyNames.find(
+    (armyName) => armyName.toLowerCase() === name.toLowerCase(),
+  );
+  error(
+    file,
+    where,
+    closeMatch
+      ? `"${name}" is not a campaign army; did you mean "${closeMatch}"?`
+      : `"${name}" is not a campaign army. Use one of: ${armyNames.map((armyName) => `"${armyName}"`).join(", ")}.`,
+  );
+}
+
+/**
+ * Checks the campaign's armies for repeated IDs, names and URLs, and missing images.
+ * @param {any} campaign - The campaign data.
+ */
+async function checkCampaign(campaign) {
+  const file = "data/campaign.json";
+  const armies = Array.isArray(campaign?.armies) ? campaign.armies : [];
+  ["armyForgeID", "armyName", "armyURL"].forEach((key) =>
+    checkUnique(armies, key, file, "armies"),
+  );
+  for (const [index, army] of armies.entries()) {
+    if (army.hidden) continue;
+    if (!army.armyName) {
+      warn(file, `armies[${index}]`, "Visible army has no armyName.");
+    }
+    if (!army.armyURL) {
+      warn(
+        file,
+        `armies[${index}]`,
+        "Visible army has no armyURL, so its saved lists can't be loaded.",
+      );
+    }
+    if (army.image && !(await fileExists(army.image))) {
+      error(file, `armies[${index}].image`, `${army.image} does not exist.`);
+    }
+  }
+}
+
+/**
+ * Checks mission numbers, the current mission, winners and battle report paths.
+ * @param {any} missionsData - The missions data.
+ * @param {Array<string>} armyNames - The campaign's army names.
+ */
+async function checkMissions(missionsData, armyNames) {
+  const file = "data/missions.json";
+  const missions = Array.isArray(missionsData?.missions)
+    ? missionsData.missions
+    : [];
+  checkUnique(missions, "number", file, "missions");
+
+  const currentIndexes = missions
+    .map((mission, index) => (mission?.status === "current" ? index : -1))
+    .filter((index) => index !== -1);
+  if (currentIndexes.length !== 1) {
+    error(
+      file,
+      "missions",
+      `Exactly one mission must have status "current"; found ${currentIndexes.length}${currentIndexes.length > 1 ? ` (${currentIndexes.map((index) => `missions[${index}]`).join(", ")})` : ""}.`,
+    );
+  }
+
+  for (const [index, mission] of missions.entries()) {
+    const where = `missions[${index}]`;
+    if (typeof mission !== "object" || mission === null) continue;
+
+    if (mission.status === "current") {
+      // Placeholder missions render as empty cards on the dashboard
+      if (PLACEHOLDER_PATTERN.test(mission.title || "")) {
+        warn(
+          file,
+          `${where}.title`,
+          `Current mission has a placeholder title ("${mission.title}").`,
+        );
+      }
+      if (!mission.objective?.primary) {
+        warn(
+          file,
+          `${where}.objective.primary`,
+          "Current mission has no primary objective yet.",
+        );
+      }
+    }
+
+    if (mission.battleReportFile) {
+      if (!(await fileExists(mission.battleReportFile))) {
+        error(
+          file,
+          `${where}.battleReportFile`,
+          `${mission.battleReportFile} does not exist. Add the report or set battleReportFile to null.`,
+        );
+      }
+    } else if (mission.status === "completed") {
+      warn(
+        file,
+        `${where}.battleReportFile`,
+        "Completed mission has no battle report.",
+      );
+    }
+
+    []
+      .concat(mission.winningArmy || [])
+      .forEach((armyName, armyIndex) =>
+        checkArmyName(
+          armyName,
+          armyNames,
+          file,
+          Array.isArray(mission.winningArmy)
+            ? `${where}.winningArmy[${armyIndex}]`
+            : `${where}.winningArmy`,
+        ),
+      );
+    if (mission.status === "completed" && !mission.winningArmy) {
+      warn(
+        file,
+        `${where}.winningArmy`,
+        "Completed mission has no winning army.",
+      );
+    }
+  }
+}
+
+/**
+ * Validates every battle report and checks its participants and mission.
+ * @param {any} missionsData - The missions data.
+ * @param {Array<string>} armyNames - The campaign's army names.
+ * @returns {Promise<Map<string, any>>} The reports that could be read, by file.
+ */
+async function checkBattleReports(missionsData, armyNames) {
+  const reports = new Map();
+  const missions = Array.isArray(missionsData?.missions)
+    ? missionsData.missions
+    : [];
+  const reportFiles = (await fs.readdir(REPORTS_DIR))
+    .filter((name) => /^mission\d+\.json$/.test(name))
+    .map((name) => `data/battle-reports/${name}`);
+
+  for (const file of reportFiles) {
+    const report = await loadAndValidate(file, "battle-report.schema.json");
+    if (!report) continue;
+    reports.set(file, report);
+
+    const fileMission = Number(file.match(/mission(\d+)\.json$/)?.[1]);
+    if (report.missionId !== fileMission) {
+      error(
+        file,
+        "missionId",
+        `Is ${report.missionId}, but the file is for mission ${fileMission}.`,
+      );
+    }
+    const mission = missions.find(
+      (entry) => entry?.number === report.missionId,
+    );
+    if (!mission) {
+      error(
+        file,
+        "missionId",
+        `No mission ${report.missionId} in data/missions.json.`,
+      );
+    } else if (mission.battleReportFile !== file) {
+      warn(
+        file,
+        "",
+        `Mission ${mission.number}'s battleReportFile is ${JSON.stringify(mission.battleReportFile)}, so this report isn't shown.`,
+      );
+    }
+
+    const participants = Array.isArray(report.participants)
+      ? report.participants
+      : [];
+    participants.forEach((participant, index) => {
+      if (typeof participant?.army === "string") {
+        checkArmyName(
+          participant.army,
+          armyNames,
+          file,
+          `participants[${index}].army`,
+        );
+      }
+    });
+    checkUnique(participants, "army", file, "participants");
+
+    if (mission?.winningArmy) {
+      const reportWinners = participants
+        .filter((participant) => participant?.result === "winner")
+        .map((participant) => participant.army.toLowerCase())
+        .sort();
+      const missionWinners = []
+        .concat(mission.winningArmy)
+        .map((armyName) => armyName.toLowerCase())
+        .sort();
+      if (reportWinners.join("|") !== missionWinners.join("|")) {
+        warn(
+          file,
+          "participants",
+          `Winners don't match mission ${mission.number}'s winningArmy (${[].concat(mission.winningArmy).join(", ")}).`,
+        );
+      }
+    }
+  }
+  return reports;
+}
+
+/**
+ * Compares the totals typed into campaign.json with the standings computed from the
+ * completed missions' battle reports.
+ * @param {any} campaign - The campaign data.
+ * @param {any} missionsData - The missions data.
+ * @param {Map<string, any>} reports - The battle reports, by file.
+ */
+function checkStandings(campaign, missionsData, reports) {
+  if (!Array.isArray(campaign?.armies)) return;
+  const completedReports = (missionsData?.missions || [])
+    .filter((mission) => mission?.status === "completed")
+    .map((mission) => reports.get(mission.battleReportFile))
+    .filter(Boolean);
+  const { standings } = computeStandings(campaign, completedReports);
+
+  standings.forEach((standing) => {
+    const index = campaign.armies.findIndex(
+      (army) => army?.armyName === standing.armyName,
+    );
+    standing.discrepancies.forEach(({ field, recorded, computed }) => {
+      warn(
+        "data/campaign.json",
+        `armies[${index}].${field}`,
+        `Is ${recorded}, but the battle reports give ${computed}. The leaderboards use ${computed}.`,
+      );
+    });
+  });
+}
+
+// --- Script Body ---
+
+const [campaign, missionsData, doctrinesData, randomEventsData] =
+  await Promise.all(
+    DATA_FILES.map(({ file, schema }) => loadAndValidate(file, schema)),
+  );
+const armyNames = (campaign?.armies || [])
+  .map((army) => army?.armyName)
+  .filter((name) => typeof name === "string");
+
+await checkCampaign(campaign);
+await checkMissions(missionsData, armyNames);
+const reports = await checkBattleReports(missionsData, armyNames);
+checkStandings(campaign, missionsData, reports);
+checkUnique(
+  doctrinesData?.doctrines || [],
+  "id",
+  DATA_FILES[2].file,
+  "doctrines",
+);
+checkUnique(randomEventsData?.events || [], "id", DATA_FILES[3].file, "events");
+
+problems.forEach(({ level, file, where, message }) => {
+  const location = where ? `${file} › ${where}` : file;
+  (level === "error" ? console.error : console.warn)(
+    `${level === "error" ? "✖ error" : "⚠ warning"}  ${location}: ${message}`,
+  );
+});
+const errorCount = problems.filter(
+  (problem) => problem.level === "error",
+).length;
+const warningCount = problems.length - errorCount;
+console.log(
+  `${errorCount} error${errorCount !== 1 ? "s" : ""}, ${warningCount} warning${warningCount !== 1 ? "s" : ""}.`,
+);
+process.exitCode = errorCount > 0 ? 1 : 0;
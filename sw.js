@@ -0,0 +1,231 @@
+//@ts-check
+/**
+ * @fileoverview Service worker that keeps the tracker usable offline. The pages, scripts,
+ * styles and data files are precached on install; the site and the Army Forge API are
+ * then served network-first (falling back to the cached copy when the network fails or
+ * is too slow), and the versioned Bootstrap files from the CDN cache-first. Whenever a
+ * cached copy stands in for the network, open pages are told so the navbar can show
+ * that the data may be stale.
+ *
+ * Bump CACHE_VERSION when files are added to or removed from PRECACHE_URLS.
+ */
+
+/// <reference lib="webworker" />
+const sw = /** @type {ServiceWorkerGlobalScope} */ (
+  /** @type {unknown} */ (self)
+);
+
+const CACHE_VERSION = "v4";
+const APP_CACHE = `oprArmyTracker-app-${CACHE_VERSION}`;
+const ARMY_FORGE_CACHE = "oprArmyTracker-armyForge"; // Kept across versions
+const CDN_CACHE = "oprArmyTracker-cdn";
+const NETWORK_TIMEOUT_MS = 4000; // Slower responses fall back to the cache
+const STALE_REPORT_WINDOW_MS = 10000; // Pages loading within this window are told too
+
+const PRECACHE_URLS = [
+  // Pages
+  "index.html",
+  "army.html",
+  "campaign.html",
+  "rules.html",
+  "quick-ref.html",
+  "404.html",
+  // Styles and images
+  "css/style.css",
+  "assets/img/logo.webp",
+  "assets/img/favicons/favicon.svg",
+  "assets/img/favicons/favicon-96x96.png",
+  "assets/img/favicons/apple-touch-icon.png",
+  "assets/img/favicons/site.webmanifest",
+  // Scripts
+  "js/api.js",
+  "js/app.js",
+  "js/armyDiff.js",
+  "js/attackResolver.js",
+  "js/battleReport.js",
+  "js/cacheStore.js",
+  "js/campaign.js",
+  "js/config.js",
+  "js/dataLoader.js",
+  "js/dataProcessor.js",
+  "js/definitions.js",
+  "js/diceRoller.js",
+  "js/eventHandlers.js",
+  "js/gameLog.js",
+  "js/gameLogic.js",
+  "js/index.js",
+  "js/journal.js",
+  "js/liveSync.js",
+  "js/memoryStorage.js",
+  "js/rules.js",
+  "js/saveFile.js",
+  "js/sharedFooter.js",
+  "js/sharedNavbar.js",
+  "js/standings.js",
+  "js/state.js",
+  "js/stateSchema.js",
+  "js/storage.js",
+  "js/theme.js",
+  "js/ui.js",
+  "js/uiHelpers.js",
+  // Data
+  "data/campaign.json",
+  "data/missions.json",
+  "data/rules/common-rules.json",
+  "data/rules/custom-definitions.json",
+  "data/rules/doctrines.json",
+  "data/rules/random-events.json",
+  ...[1, 2, 3, 4, 5, 6].map(
+    (mission) => `data/battle-reports/mission${mission}.json`,
+  ),
+  ...[2, 3, 4, 5, 6].flatMap((mission) =>
+    ["galdoo", "roughnecks", "tarvos", "the-ashen-pact"].map(
+      (army) => `data/battle-reports/mission${mission}-armies/${army}.json`,
+    ),
+  ),
+  // Bootstrap (versioned URLs, so they never change)
+  "https://cdn.jsdelivr.net/npm/bootstrap@5.3.3/dist/css/bootstrap.min.css",
+  "https://cdn.jsdelivr.net/npm/bootstrap@5.3.3/dist/js/bootstrap.bundle.min.js",
+  "https://cdn.jsdelivr.net/npm/bootstrap-icons@1.11.3/font/bootstrap-icons.min.css",
+];
+
+let lastStaleResponseAt = 0;
+
+// --- Helpers ---
+
+/**
+ * Tells open pages that a cached copy was served in place of the network.
+ * @param {string} url - The URL served from the cache.
+ */
+async function reportStaleResponse(url) {
+  lastStaleResponseAt = Date.now();
+  const clients = await sw.clients.matchAll({
+    type: "window",
+    includeUncontrolled: true,
+  });
+  clients.forEach((client) => client.postMessage({ type: "staleData", url }));
+}
+
+/**
+ * Rejects after the network timeout.
+ * @returns {Promise<never>}
+ */
+function networkTimeout() {
+  return new Promise((resolve, reject) =>
+    setTimeout(() => reject(new Error("Network timeout")), NETWORK_TIMEOUT_MS),
+  );
+}
+
+/**
+ * Fetches from the network and refreshes the cache, falling back to the cached copy.
+ * A response that arrives after the timeout still refreshes the cache.
+ * @param {FetchEvent} event - The fetch event.
+ * @param {string} cacheName - The cache that stores the response.
+ * @returns {Promise<Response>} The response.
+ */
+async function networkFirst(event, cacheName) {
+  const { request } = event;
+  const cache = await caches.open(cacheName);
+  const networkResponse = fetch(request).then(async (response) => {
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+  });
+
+  try {
+    return await Promise.race([networkResponse, networkTimeout()]);
+  } catch (error) {
+    event.waitUntil(networkResponse.catch(() => null)); // Let a late response update the cache
+    const isNavigation = request.mode === "navigate";
+    // Pages are cached without their query string (army.html?armyId=...)
+    const cachedResponse = await caches.match(request, {
+      ignoreSearch: isNavigation,
+    });
+    if (cachedResponse) {
+      event.waitUntil(reportStaleResponse(request.url));
+      return cachedResponse;
+    }
+    if (isNavigation) {
+      const offlinePage = await caches.match("404.html");
+      if (offlinePage) return offlinePage;
+    }
+    return networkResponse; // Nothing cached; surface the network result or error
+  }
+}
+
+/**
+ * Serves from the cache, fetching and caching on a miss.
+ * @param {Request} request - The request.
+ * @returns {Promise<Response>} The response.
+ */
+async function cacheFirst(request) {
+  const cachedResponse = await caches.match(request);
+  if (cachedResponse) return cachedResponse;
+  const response = await fetch(request);
+  // Opaque responses (status 0) come from no-cors requests, e.g. icon fonts
+  if (response.ok || response.type === "opaque") {
+    const cache = await caches.open(CDN_CACHE);
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+// --- Lifecycle ---
+
+sw.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(APP_CACHE)
+      .then((cache) => cache.addAll(PRECACHE_URLS))
+      .then(() => sw.skipWaiting()),
+  );
+});
+
+sw.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((cacheNames) =>
+        Promise.all(
+          cacheNames
+            .filter(
+              (name) =>
+                name.startsWith("oprArmyTracker-app-") && name !== APP_CACHE,
+            )
+            .map((name) => caches.delete(name)),
+        ),
+      )
+      .then(() => sw.clients.claim()),
+  );
+});
+
+// --- Requests ---
+
+sw.addEventListener("fetch", (event) => {
+  const { request } = event;
+  // Validation HEAD requests, live sync posts and event streams go straight out
+  if (
+    request.method !== "GET" ||
+    request.headers.get("Accept") === "text/event-stream"
+  ) {
+    return;
+  }
+
+  const url = new URL(request.url);
+  if (url.origin === sw.location.origin) {
+    event.respondWith(networkFirst(event, APP_CACHE));
+  } else if (url.hostname === "army-forge.onepagerules.com") {
+    event.respondWith(networkFirst(event, ARMY_FORGE_CACHE));
+  } else if (url.hostname === "cdn.jsdelivr.net") {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+sw.addEventListener("message", (event) => {
+  // A page that just loaded asks whether its own files came from the cache
+  if (
+    event.data?.type === "getCacheStatus" &&
+    Date.now() - lastStaleResponseAt < STALE_REPORT_WINDOW_MS
+  ) {
+    event.source?.postMessage({ type: "staleData", url: null });
+  }
+});
@@ -0,0 +1,51 @@
+//@ts-check
+/**
+ * @fileoverview Tests the attack profiles built in js/attackResolver.js, in particular
+ * how many dice a weapon rolls as the unit carrying it takes losses.
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { makeModel } from "./helpers.mjs";
+import { getWeaponProfile } from "../js/attackResolver.js";
+
+/**
+ * Builds a processed unit of the given size with some models already killed.
+ * @param {number} size - The number of models.
+ * @param {number} [killed=0] - How many of them are at 0 HP.
+ * @returns {object} The unit.
+ */
+function makeUnit(size, killed = 0) {
+  return {
+    selectionId: "u1",
+    models: Array.from({ length: size }, (_, i) =>
+      makeModel(`u1-m${i + 1}`, { currentHp: i < killed ? 0 : 1 }),
+    ),
+  };
+}
+
+describe("getWeaponProfile", () => {
+  const pistols = { name: "Pistol", count: 10, attacks: 1, specialRules: [] };
+
+  it("rolls every copy when each model carries two of a weapon", () => {
+    assert.equal(getWeaponProfile(pistols, makeUnit(5)).dice, 10);
+  });
+
+  it("scales the copies with the unit's losses, rounding up", () => {
+    assert.equal(getWeaponProfile(pistols, makeUnit(5, 2)).dice, 6);
+    assert.equal(getWeaponProfile(pistols, makeUnit(5, 5)).dice, 0);
+  });
+
+  it("scales each weapon group of a mixed unit in proportion", () => {
+    const rifles = { name: "Rifle", count: 8, attacks: 1, specialRules: [] };
+    const plasma = { name: "Plasma", count: 2, attacks: 1, specialRules: [] };
+    const unit = makeUnit(10, 5);
+    const dice =
+      getWeaponProfile(rifles, unit).dice + getWeaponProfile(plasma, unit).dice;
+    assert.equal(dice, 5);
+  });
+
+  it("uses the full count without a unit", () => {
+    assert.equal(getWeaponProfile(pistols).dice, 10);
+  });
+});
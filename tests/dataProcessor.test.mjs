@@ -0,0 +1,244 @@
+//@ts-check
+/**
+ * @fileoverview Runs processArmyData over every archived Army Forge list in
+ * data/battle-reports/missionN-armies/ and checks unit and model counts, Tough
+ * values, caster levels, combined-unit merges and hero join targets. A summary of
+ * each processed list is compared with the golden snapshot in
+ * tests/snapshots/dataProcessor.snap.json; after an intended change to the
+ * processing, refresh it with `UPDATE_SNAPSHOTS=1 npm test`. A missing snapshot
+ * fails the test rather than being written.
+ */
+
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { processArmyData } from "../js/dataProcessor.js";
+
+const SITE_ROOT = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+);
+const REPORTS_DIR = path.join(SITE_ROOT, "data", "battle-reports");
+const SNAPSHOT_FILE = path.join(
+  SITE_ROOT,
+  "tests",
+  "snapshots",
+  "dataProcessor.snap.json",
+);
+
+/** Every archived list, as { name: "mission6/galdoo", raw }. */
+const archivedLists = fs
+  .readdirSync(REPORTS_DIR)
+  .filter((dir) => /^mission\d+-armies$/.test(dir))
+  .flatMap((dir) =>
+    fs
+      .readdirSync(path.join(REPORTS_DIR, dir))
+      .filter((file) => file.endsWith(".json"))
+      .map((file) => ({
+        name: `${dir.replace("-armies", "")}/${file.replace(".json", "")}`,
+        raw: JSON.parse(
+          fs.readFileSync(path.join(REPORTS_DIR, dir, file), "utf8"),
+        ),
+      })),
+  )
+  .sort((a, b) => a.name.localeCompare(b.name, "en", { numeric: true }));
+
+/**
+ * Gets a rule's numeric rating from a rules list.
+ * @param {Array<object>} rules - The rules.
+ * @param {string} name - The rule name (e.g., "Tough").
+ * @returns {number} The rating, or 0 if the rule isn't there.
+ */
+function ruleRating(rules, name) {
+  const rule = (rules || []).find((entry) => entry.name === name);
+  return rule ? parseInt(rule.rating, 10) || 0 : 0;
+}
+
+/**
+ * Summarizes a processed army for the golden snapshot.
+ * @param {object} army - The processed army.
+ * @returns {object} The summary.
+ */
+function summarizeArmy(army) {
+  return {
+    listPoints: army.meta.listPoints,
+    activationCount: army.meta.activationCount,
+    modelCount: army.meta.modelCount,
+    heroJoinTargets: army.heroJoinTargets,
+    units: army.units.map((unit) => ({
+      selectionId: unit.selectionId,
+      name: unit.customName || unit.originalName,
+      size: unit.size,
+      quality: unit.quality,
+      defense: unit.defense,
+      cost: unit.cost,
+      casterLevel: unit.casterLevel,
+      isHero: unit.isHero,
+      isCombined: unit.isCombined,
+      modelHp: unit.models.map((model) => model.maxHp),
+      weapons: unit.loadout.map((weapon) => `${weapon.count}x ${weapon.name}`),
+    })),
+  };
+}
+
+// processArmyData logs every army it processes; keep the test output readable.
+// Lists are processed while the suites are defined, so this can't wait for before().
+const originalLog = console.log;
+console.log = () => {};
+after(() => {
+  console.log = originalLog;
+});
+
+describe("processArmyData", () => {
+  it("finds archived lists to test", () => {
+    assert.ok(archivedLists.length > 0, "No lists in missionN-armies/");
+  });
+
+  it("returns null for data without units", () => {
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      assert.equal(processArmyData(null), null);
+      assert.equal(processArmyData({ name: "Empty" }), null);
+    } finally {
+      console.error = originalError;
+    }
+  });
+
+  archivedLists.forEach(({ name, raw }) => {
+    describe(name, () => {
+      const army = processArmyData(structuredClone(raw));
+      const rawUnits = new Map(
+        raw.units.map((unit) => [unit.selectionId, unit]),
+      );
+      const mergedAwayIds = raw.units
+        .filter(
+          (unit) =>
+            unit.combined && unit.joinToUnit && !army.unitMap[unit.selectionId],
+        )
+        .map((unit) => unit.selectionId);
+
+      it("processes the list", () => {
+        assert.ok(army);
+        assert.equal(army.meta.name, raw.name);
+      });
+
+      it("keeps one unit per activation and indexes every unit", () => {
+        assert.equal(
+          army.units.length,
+          raw.units.length - mergedAwayIds.length,
+        );
+        assert.equal(army.meta.activationCount, army.units.length);
+        assert.deepEqual(
+          Object.keys(army.unitMap).sort(),
+          army.units.map((unit) => unit.selectionId).sort(),
+        );
+      });
+
+      it("creates one model per unit member", () => {
+        army.units.forEach((unit) => {
+          assert.equal(unit.models.length, unit.size, unit.selectionId);
+          assert.equal(
+            new Set(unit.models.map((model) => model.modelId)).size,
+            unit.size,
+            `${unit.selectionId} has repeated model IDs`,
+          );
+        });
+        assert.equal(
+          army.meta.modelCount,
+          army.units.reduce((sum, unit) => sum + unit.size, 0),
+        );
+      });
+
+      it("gives models their Tough value as wounds", () => {
+        army.units.forEach((unit) => {
+          const rawUnit = rawUnits.get(unit.selectionId);
+          const baseTough = ruleRating(rawUnit.rules, "Tough");
+          unit.models.forEach((model) => {
+            const upgradeTough = model.upgrades[0]?.toughValue;
+            assert.ok(model.maxHp >= 1, `${model.modelId} has no wounds`);
+            assert.equal(model.currentHp, model.maxHp);
+            if (upgradeTough) {
+              assert.equal(model.maxHp, upgradeTough, model.modelId);
+            } else if (!unit.isCombined) {
+              assert.equal(model.maxHp, baseTough || 1, model.modelId);
+            }
+          });
+        });
+      });
+
+      it("sets caster levels from the Caster rule", () => {
+        army.units
+          .filter((unit) => !unit.isCombined)
+          .forEach((unit) =>
+            assert.equal(
+              unit.casterLevel,
+              ruleRating(unit.rules, "Caster"),
+              unit.selectionId,
+            ),
+          );
+      });
+
+      it("merges combined units into one unit", () => {
+        mergedAwayIds.forEach((selectionId) => {
+          const rawUnit = rawUnits.get(selectionId);
+          const mergedUnit = army.unitMap[rawUnit.joinToUnit];
+          assert.ok(
+            mergedUnit,
+            `${selectionId} was merged into a missing unit`,
+          );
+          assert.equal(mergedUnit.isCombined, true);
+          assert.equal(mergedUnit.joinToUnitId, null);
+          assert.equal(mergedUnit.isHero, false);
+          assert.equal(
+            mergedUnit.size,
+            (rawUnit.size || 1) + (rawUnits.get(rawUnit.joinToUnit).size || 1),
+          );
+        });
+      });
+
+      it("lets heroes join existing non-hero units", () => {
+        Object.entries(army.heroJoinTargets).forEach(([heroId, targetId]) => {
+          assert.equal(army.unitMap[heroId]?.isHero, true, heroId);
+          assert.equal(army.unitMap[heroId].canJoinUnitId, targetId);
+          assert.ok(
+            army.unitMap[targetId],
+            `${heroId} joins missing ${targetId}`,
+          );
+          assert.equal(army.unitMap[targetId].isHero, false, targetId);
+        });
+      });
+    });
+  });
+
+  it("matches the golden snapshot", () => {
+    const summaries = Object.fromEntries(
+      archivedLists.map(({ name, raw }) => [
+        name,
+        summarizeArmy(processArmyData(structuredClone(raw))),
+      ]),
+    );
+    if (process.env.UPDATE_SNAPSHOTS) {
+      fs.mkdirSync(path.dirname(SNAPSHOT_FILE), { recursive: true });
+      fs.writeFileSync(
+        SNAPSHOT_FILE,
+        `${JSON.stringify(summaries, null, 2)}\n`,
+      );
+      return;
+    }
+    assert.ok(
+      fs.existsSync(SNAPSHOT_FILE),
+      `${path.relative(SITE_ROOT, SNAPSHOT_FILE)} is missing; create it with UPDATE_SNAPSHOTS=1 npm test`,
+    );
+    const snapshot = JSON.parse(fs.readFileSync(SNAPSHOT_FILE, "utf8"));
+    Object.keys({ ...snapshot, ...summaries }).forEach((name) =>
+      assert.deepEqual(
+        summaries[name],
+        snapshot[name],
+        `${name} differs from the snapshot; if intended, run UPDATE_SNAPSHOTS=1 npm test`,
+      ),
+    );
+  });
+});
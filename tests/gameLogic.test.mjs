@@ -0,0 +1,197 @@
+//@ts-check
+/**
+ * @fileoverview Tests the rule calculations in js/gameLogic.js: which model takes the
+ * next wound, how many wounds an attack deals, movement distances and the XP earned
+ * at the end of a game. State is kept in a fresh in-memory storage area
+ * (js/memoryStorage.js) for each test.
+ */
+
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { configureStorage } from "../js/storage.js";
+import { createMemoryStorage } from "../js/memoryStorage.js";
+import { makeArmy, makeModel, silenceConsole } from "./helpers.mjs";
+import {
+  addRecordedKill,
+  setKilledByStatus,
+  setLoadedArmyData,
+  storeAllProcessedArmies,
+  updateUnitStateValue,
+} from "../js/state.js";
+import {
+  calculateArmyXP,
+  calculateMovement,
+  countWoundsToApply,
+  findTargetModelForWound,
+} from "../js/gameLogic.js";
+
+silenceConsole();
+
+describe("findTargetModelForWound", () => {
+  it("wounds ordinary models before Tough models and heroes", () => {
+    const unit = {
+      models: [
+        makeModel("tough", { maxHp: 3 }),
+        makeModel("plain"),
+        makeModel("hero", { isHero: true }),
+      ],
+    };
+    assert.equal(findTargetModelForWound(unit).modelId, "plain");
+  });
+
+  it("prefers the base unit's models over the joined hero's", () => {
+    const unit = { models: [makeModel("base")] };
+    const hero = { models: [makeModel("hero-plain")] };
+    assert.equal(findTargetModelForWound(unit, hero).modelId, "base");
+  });
+
+  it("wounds the most wounded Tough model next", () => {
+    const unit = {
+      models: [
+        makeModel("fresh", { maxHp: 3 }),
+        makeModel("hurt", { maxHp: 3, currentHp: 1 }),
+        makeModel("dead"),
+      ],
+    };
+    unit.models[2].currentHp = 0;
+    assert.equal(findTargetModelForWound(unit).modelId, "hurt");
+  });
+
+  it("wounds the joined hero once the unit is gone", () => {
+    const unit = { models: [makeModel("base", { currentHp: 0 })] };
+    const hero = {
+      models: [makeModel("hero", { maxHp: 3, isHero: true, currentHp: 2 })],
+    };
+    assert.equal(findTargetModelForWound(unit, hero).modelId, "hero");
+  });
+
+  it("returns null when no model can be wounded", () => {
+    assert.equal(findTargetModelForWound(null), null);
+    assert.equal(
+      findTargetModelForWound({ models: [makeModel("a", { currentHp: 0 })] }),
+      null,
+    );
+  });
+});
+
+describe("countWoundsToApply", () => {
+  it("deals one wound per unsaved hit", () => {
+    const unit = { models: [makeModel("a", { maxHp: 3 }), makeModel("b")] };
+    assert.equal(countWoundsToApply([{ unsaved: 2, deadly: 0 }], unit), 2);
+  });
+
+  it("caps Deadly wounds at the wounded model's remaining HP", () => {
+    const unit = {
+      models: [makeModel("a"), makeModel("b"), makeModel("c", { maxHp: 3 })],
+    };
+    // Two models with 1 HP take one wound each, the Tough model takes 3
+    assert.equal(countWoundsToApply([{ unsaved: 3, deadly: 3 }], unit), 5);
+  });
+
+  it("stops once every model is gone, without changing the unit", () => {
+    const unit = { models: [makeModel("a")] };
+    const hero = { models: [makeModel("hero", { maxHp: 2, isHero: true })] };
+    const results = [
+      { unsaved: 1, deadly: 0 },
+      { unsaved: 4, deadly: 0 },
+    ];
+    assert.equal(countWoundsToApply(results, unit, hero), 3);
+    assert.equal(unit.models[0].currentHp, 1);
+    assert.equal(hero.models[0].currentHp, 2);
+  });
+});
+
+describe("calculateMovement", () => {
+  const withRules = (...names) => ({
+    rules: names.map((name) => ({ name })),
+    traits: [],
+  });
+
+  it("uses the base distance for each action", () => {
+    const unit = withRules();
+    assert.equal(calculateMovement(unit, "Hold"), 0);
+    assert.equal(calculateMovement(unit, "Advance"), 6);
+    assert.equal(calculateMovement(unit, "Rush"), 12);
+    assert.equal(calculateMovement(unit, "Charge"), 12);
+  });
+
+  it("applies Fast, Slow and Musician", () => {
+    assert.equal(calculateMovement(withRules("Fast"), "Advance"), 8);
+    assert.equal(calculateMovement(withRules("Fast"), "Rush"), 16);
+    assert.equal(calculateMovement(withRules("Slow"), "Advance"), 4);
+    assert.equal(calculateMovement(withRules("Slow"), "Charge"), 8);
+    assert.equal(calculateMovement(withRules("Musician"), "Advance"), 7);
+  });
+
+  it("applies the Agile trait", () => {
+    const unit = { rules: [], traits: [{ name: "Agile" }] };
+    assert.equal(calculateMovement(unit, "Advance"), 7);
+    assert.equal(calculateMovement(unit, "Rush"), 14);
+  });
+
+  it("never moves a holding unit or a missing unit", () => {
+    assert.equal(calculateMovement(withRules("Fast", "Musician"), "Hold"), 0);
+    assert.equal(calculateMovement(null, "Rush"), 0);
+  });
+});
+
+describe("calculateArmyXP", () => {
+  beforeEach(() => {
+    configureStorage({ storage: createMemoryStorage(), notifier: () => {} });
+    const red = makeArmy("Red", ["r1", "r2", "r3"]);
+    const blue = makeArmy("Blue", ["b1", "b2"]);
+    storeAllProcessedArmies({ red, blue });
+    setLoadedArmyData("red", red);
+    setLoadedArmyData("blue", blue);
+  });
+
+  it("gives 1 XP for surviving", () => {
+    const xp = calculateArmyXP("red");
+    assert.deepEqual(Object.keys(xp), ["r1", "r2", "r3"]);
+    Object.values(xp).forEach((unit) => {
+      assert.equal(unit.survived, true);
+      assert.equal(unit.totalXpEarned, 1);
+    });
+  });
+
+  it("gives 1 XP per kill and 2 per hero kill", () => {
+    addRecordedKill("red", "r1", { victimUnitId: "b1", victimIsHero: false });
+    addRecordedKill("red", "r1", { victimUnitId: "b2", victimIsHero: true });
+    const { r1 } = calculateArmyXP("red");
+    assert.deepEqual(r1.xpBreakdown, {
+      survived: 1,
+      standardKills: 1,
+      heroKills: 1,
+    });
+    assert.equal(r1.totalXpEarned, 4);
+  });
+
+  it("gives no survival XP to destroyed or routed units", () => {
+    updateUnitStateValue("red", "r2", "status", "destroyed");
+    updateUnitStateValue("red", "r3", "status", "routed");
+    addRecordedKill("red", "r3", { victimUnitId: "b1", victimIsHero: false });
+    const xp = calculateArmyXP("red");
+    assert.equal(xp.r2.survived, false);
+    assert.equal(xp.r2.totalXpEarned, 0);
+    assert.equal(xp.r3.totalXpEarned, 1);
+  });
+
+  it("reports who killed a unit and its casualty outcome", () => {
+    updateUnitStateValue("blue", "b1", "status", "destroyed");
+    updateUnitStateValue("blue", "b1", "casualtyOutcome", "Dead");
+    setKilledByStatus("blue", "b1", {
+      attackerUnitId: "r1",
+      attackerUnitName: "Red r1",
+      attackerArmyName: "Red",
+      attackerArmyId: "red",
+      round: 2,
+    });
+    const { b1 } = calculateArmyXP("blue");
+    assert.equal(b1.killedBy.attackerUnitName, "Red r1");
+    assert.equal(b1.casualtyOutcome, "Dead");
+  });
+
+  it("returns null for an army that isn't loaded", () => {
+    assert.equal(calculateArmyXP("green"), null);
+  });
+});
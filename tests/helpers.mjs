@@ -0,0 +1,64 @@
+//@ts-check
+/**
+ * @fileoverview Fixtures shared by the tests: processed models and armies shaped like
+ * the output of js/dataProcessor.js, and a hook that keeps the state functions'
+ * logging out of the test output. Not a test file itself (node --test only runs
+ * files named *.test.mjs here).
+ */
+
+import { before, after } from "node:test";
+
+/**
+ * Builds a processed model.
+ * @param {string} modelId - The model ID.
+ * @param {{currentHp?: number, maxHp?: number, isHero?: boolean, isTough?: boolean}} [options] - Overrides.
+ * @returns {object} The model.
+ */
+export function makeModel(modelId, options = {}) {
+  const maxHp = options.maxHp ?? 1;
+  return {
+    modelId,
+    maxHp,
+    currentHp: options.currentHp ?? maxHp,
+    isHero: options.isHero ?? false,
+    isTough: options.isTough ?? maxHp > 1,
+  };
+}
+
+/**
+ * Builds a minimal processed army with the given units, each of one model.
+ * @param {string} name - The army name.
+ * @param {Array<string>} unitIds - The unit selection IDs.
+ * @returns {object} The processed army.
+ */
+export function makeArmy(name, unitIds) {
+  const units = unitIds.map((selectionId) => ({
+    selectionId,
+    customName: `${name} ${selectionId}`,
+    originalName: "Warriors",
+    models: [makeModel(`${selectionId}-m1`)],
+    rules: [],
+  }));
+  return {
+    meta: { name, listPoints: 1000 },
+    units,
+    unitMap: Object.fromEntries(units.map((unit) => [unit.selectionId, unit])),
+  };
+}
+
+/**
+ * Silences console.log, console.warn and console.error for the calling test file.
+ * The state functions log every change; this keeps the test output readable.
+ * Call it at the top level of the test file.
+ */
+export function silenceConsole() {
+  const originalConsole = { ...console };
+  before(() => {
+    console.log = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+  });
+  after(() => {
+    Object.assign(console, originalConsole);
+  });
+}
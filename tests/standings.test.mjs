@@ -0,0 +1,232 @@
+//@ts-check
+/**
+ * @fileoverview Tests the standings computed from battle reports in js/standings.js:
+ * win/loss counts, the optional per-mission bonus fields, ranking with shared
+ * positions, the discrepancies with the totals typed into campaign.json, and the
+ * configurable scoring rules with their breakdowns.
+ */
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { computeStandings, getScoring } from "../js/standings.js";
+
+const campaign = {
+  basePoints: 1000,
+  armies: [
+    { player: "Ann", armyName: "Red", wins: 1, losses: 1, objectives: 2 },
+    { player: "Bob", armyName: "Blue", wins: 0, losses: 2, objectives: 1 },
+    { player: "Cat", armyName: "Green" },
+    { player: "Dev", armyForgeID: "test", hidden: true },
+  ],
+};
+
+const reports = [
+  {
+    missionId: 1,
+    participants: [
+      { player: "Ann", army: "Red", result: "winner" },
+      { player: "Bob", army: "Blue", result: "participant" },
+    ],
+  },
+  {
+    missionId: 2,
+    participants: [
+      { player: "Bob", army: "Blue", result: "participant" },
+      { player: "Ann", army: "Red", result: "participant" },
+      { player: "Cat", army: "Green", result: "winner" },
+    ],
+  },
+];
+
+/**
+ * Finds an army's standing.
+ * @param {ReturnType<typeof computeStandings>} result - The computed standings.
+ * @param {string} armyName - The army name.
+ * @returns {any} The standing.
+ */
+function standingOf(result, armyName) {
+  return result.standings.find((standing) => standing.armyName === armyName);
+}
+
+describe("computeStandings", () => {
+  it("counts wins and losses from the report participants", () => {
+    const result = computeStandings(campaign, reports);
+    assert.equal(result.reportCount, 2);
+    assert.deepEqual(
+      result.standings.map(({ armyName, wins, losses }) => [
+        armyName,
+        wins,
+        losses,
+      ]),
+      [
+        ["Green", 1, 0],
+        ["Red", 1, 1],
+        ["Blue", 0, 2],
+      ],
+    );
+  });
+
+  it("leaves out hidden armies", () => {
+    const result = computeStandings(campaign, reports);
+    assert.equal(result.standings.length, 3);
+  });
+
+  it("scores VP, VP per game and maximum points", () => {
+    const red = standingOf(computeStandings(campaign, reports), "Red");
+    assert.equal(red.vp, 2);
+    assert.equal(red.positionScore, 1);
+    // 1000 base + 150 per win + 300 per loss + 75 per objective (2, from campaign.json)
+    assert.equal(red.maxPoints, 1000 + 150 + 300 + 150);
+  });
+
+  it("uses campaign.json totals for fields no report records", () => {
+    const red = standingOf(computeStandings(campaign, reports), "Red");
+    assert.equal(red.objectives, 2);
+    assert.equal(red.sources.objectives, "campaign");
+    assert.deepEqual(red.discrepancies, []);
+  });
+
+  it("sums bonus fields once a report records them", () => {
+    const withBonuses = structuredClone(reports);
+    withBonuses[1].participants[1].objectives = 1;
+    withBonuses[1].participants[1].earnedVP = 3;
+    const result = computeStandings(campaign, withBonuses);
+    const red = standingOf(result, "Red");
+    assert.equal(red.objectives, 1);
+    assert.equal(red.earnedVP, 3);
+    assert.equal(red.vp, 5);
+    assert.equal(standingOf(result, "Blue").objectives, 0);
+  });
+
+  it("flags hand-entered totals that differ from the reports", () => {
+    const withBonuses = structuredClone(reports);
+    withBonuses[0].participants[0].objectives = 2;
+    const result = computeStandings(campaign, withBonuses);
+    assert.deepEqual(standingOf(result, "Red").discrepancies, []);
+    assert.deepEqual(standingOf(result, "Blue").discrepancies, [
+      { field: "objectives", recorded: 1, computed: 0 },
+    ]);
+    // Green has no hand-entered totals, so there is nothing to compare
+    assert.deepEqual(standingOf(result, "Green").discrepancies, []);
+  });
+
+  it("shares positions between armies with the same VP per game", () => {
+    const tied = structuredClone(reports);
+    tied[1].participants[1].result = "winner";
+    const positions = computeStandings(campaign, tied).standings.map(
+      ({ armyName, position }) => [armyName, position],
+    );
+    assert.deepEqual(positions, [
+      ["Red", 1],
+      ["Green", 1],
+      ["Blue", 3],
+    ]);
+  });
+
+  it("lists participants that name no campaign army", () => {
+    const misspelled = structuredClone(reports);
+    misspelled[0].participants[1].army = "blue";
+    const result = computeStandings(campaign, misspelled);
+    assert.deepEqual(result.unmatchedParticipants, [
+      { missionId: 1, player: "Bob", army: "blue" },
+    ]);
+    assert.equal(standingOf(result, "Blue").losses, 1);
+  });
+});
+
+describe("scoring", () => {
+  it("uses the default scoring when campaign.json has none", () => {
+    assert.deepEqual(getScoring(campaign), {
+      victoryPoints: { win: 2, loss: 0, objective: 0, earnedVP: 1 },
+      ranking: [
+        { stat: "vpPerGame", order: "desc" },
+        { stat: "vp", order: "desc" },
+        { stat: "wins", order: "desc" },
+      ],
+      pointGrowth: { win: 150, loss: 300, objective: 75, earnedPts: 1 },
+    });
+  });
+
+  it("fills in parts the scoring section leaves out", () => {
+    const originalWarn = console.warn;
+    console.warn = () => {};
+    let scoring;
+    try {
+      scoring = getScoring({
+        scoring: { victoryPoints: { loss: 1 }, ranking: ["vp", "bogus"] },
+      });
+    } finally {
+      console.warn = originalWarn;
+    }
+    assert.deepEqual(scoring.victoryPoints, {
+      win: 2,
+      loss: 1,
+      objective: 0,
+      earnedVP: 1,
+    });
+    assert.deepEqual(scoring.ranking, [{ stat: "vp", order: "desc" }]);
+    assert.equal(scoring.pointGrowth.win, 150);
+  });
+
+  it("scores and ranks by the configured rules", () => {
+    const scored = {
+      ...campaign,
+      scoring: {
+        victoryPoints: { win: 3, loss: 1 },
+        ranking: ["vp", "wins"],
+        pointGrowth: { win: 100, loss: 100, objective: 0 },
+      },
+    };
+    const result = computeStandings(scored, reports);
+    assert.deepEqual(
+      result.standings.map(({ armyName, vp, position }) => [
+        armyName,
+        vp,
+        position,
+      ]),
+      [
+        ["Red", 4, 1],
+        ["Green", 3, 2],
+        ["Blue", 2, 3],
+      ],
+    );
+    assert.equal(standingOf(result, "Red").maxPoints, 1200);
+  });
+
+  it("ranks lowest first for stats ordered ascending", () => {
+    const scored = {
+      ...campaign,
+      scoring: { ranking: ["wins", { stat: "losses", order: "asc" }] },
+    };
+    const result = computeStandings(scored, reports);
+    assert.deepEqual(
+      result.standings.map(({ armyName, position }) => [armyName, position]),
+      [
+        ["Green", 1],
+        ["Red", 1],
+        ["Blue", 3],
+      ],
+    );
+    assert.equal(
+      standingOf(result, "Red").breakdown.ranking,
+      "Ranked by wins (1), then losses (1, lowest first)",
+    );
+  });
+
+  it("describes how each number was computed", () => {
+    const { breakdown } = standingOf(
+      computeStandings(campaign, reports),
+      "Red",
+    );
+    assert.equal(breakdown.vp, "VP: 2 × 1 wins + 0 earned VP = 2");
+    assert.equal(breakdown.vpPerGame, "VP per game: 2 VP ÷ 2 games = 1");
+    assert.equal(
+      breakdown.maxPoints,
+      "Max points: 1000 base + 150 × 1 wins + 300 × 1 losses + 75 × 2 objectives + 0 earned pts = 1600",
+    );
+    assert.equal(
+      breakdown.ranking,
+      "Ranked by VP per game (1), then VP (2), then wins (1)",
+    );
+  });
+});
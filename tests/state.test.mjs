@@ -0,0 +1,173 @@
+//@ts-check
+/**
+ * @fileoverview Runs the kill, killed-by and deployment state functions of js/state.js
+ * under Node. Each test gets a fresh in-memory storage area (js/memoryStorage.js) and a
+ * notifier that records the messages instead of showing toasts.
+ */
+
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  configureStorage,
+  createSaveSlot,
+  loadGameState,
+  saveGameState,
+  switchSaveSlot,
+} from "../js/storage.js";
+import { createMemoryStorage } from "../js/memoryStorage.js";
+import { makeArmy, silenceConsole } from "./helpers.mjs";
+import {
+  addRecordedKill,
+  removeRecordedKill,
+  setKilledByStatus,
+  getUnitState,
+  setCurrentArmyId,
+  setDeploymentStatus,
+  isDeploymentComplete,
+  setLoadedArmyData,
+  storeAllProcessedArmies,
+} from "../js/state.js";
+
+const notifications = [];
+
+silenceConsole();
+
+beforeEach(() => {
+  notifications.length = 0;
+  configureStorage({
+    storage: createMemoryStorage(),
+    notifier: (message, title) => notifications.push({ message, title }),
+  });
+  storeAllProcessedArmies({
+    red: makeArmy("Red", ["r1", "r2"]),
+    blue: makeArmy("Blue", ["b1", "b2"]),
+  });
+  setLoadedArmyData("red", makeArmy("Red", ["r1", "r2"]));
+  setLoadedArmyData("blue", makeArmy("Blue", ["b1", "b2"]));
+  setCurrentArmyId("red");
+});
+
+describe("addRecordedKill / removeRecordedKill", () => {
+  const victim = {
+    victimUnitId: "b1",
+    victimUnitName: "Blue b1",
+    victimArmyId: "blue",
+    victimIsHero: false,
+    round: 2,
+  };
+
+  it("records a kill on the attacker only", () => {
+    assert.equal(addRecordedKill("red", "r1", victim), true);
+    assert.deepEqual(getUnitState("red", "r1").killsRecorded, [victim]);
+    assert.equal(getUnitState("blue", "b1").killedBy, null);
+  });
+
+  it("keeps kills across reloads from storage", () => {
+    addRecordedKill("red", "r1", victim);
+    addRecordedKill("red", "r1", { ...victim, victimUnitId: "b2" });
+    assert.deepEqual(
+      getUnitState("red", "r1").killsRecorded.map((kill) => kill.victimUnitId),
+      ["b1", "b2"],
+    );
+  });
+
+  it("rejects missing parameters", () => {
+    assert.equal(addRecordedKill("red", "r1", null), false);
+    assert.equal(addRecordedKill("", "r1", victim), false);
+    assert.equal(addRecordedKill("red", "r1", { round: 1 }), false);
+  });
+
+  it("removes only the kills of the given victim", () => {
+    addRecordedKill("red", "r1", victim);
+    addRecordedKill("red", "r1", { ...victim, victimUnitId: "b2" });
+    assert.equal(removeRecordedKill("red", "r1", "b1"), true);
+    assert.deepEqual(
+      getUnitState("red", "r1").killsRecorded.map((kill) => kill.victimUnitId),
+      ["b2"],
+    );
+  });
+
+  it("returns false when there is nothing to remove", () => {
+    assert.equal(removeRecordedKill("red", "r2", "b1"), false);
+    assert.equal(removeRecordedKill("red", "r1", ""), false);
+  });
+});
+
+describe("setKilledByStatus", () => {
+  const attacker = {
+    attackerUnitId: "r1",
+    attackerUnitName: "Red r1",
+    attackerArmyName: "Red",
+    attackerArmyId: "red",
+    round: 3,
+  };
+
+  it("sets and clears the victim's killedBy", () => {
+    assert.equal(setKilledByStatus("blue", "b1", attacker), true);
+    assert.deepEqual(getUnitState("blue", "b1").killedBy, attacker);
+    assert.equal(setKilledByStatus("blue", "b1", null), true);
+    assert.equal(getUnitState("blue", "b1").killedBy, null);
+  });
+
+  it("rejects attacker details without unit or army", () => {
+    assert.equal(
+      setKilledByStatus("blue", "b1", { ...attacker, attackerArmyId: "" }),
+      false,
+    );
+    assert.equal(setKilledByStatus("", "b1", attacker), false);
+    assert.equal(getUnitState("blue", "b1").killedBy, null);
+  });
+});
+
+describe("isDeploymentComplete", () => {
+  it("is false while any unit of the current army is undeployed", () => {
+    assert.equal(isDeploymentComplete("red"), false);
+    setDeploymentStatus("red", "r1", "deployed");
+    assert.equal(isDeploymentComplete("red"), false);
+  });
+
+  it("is true once every unit is deployed or held back", () => {
+    setDeploymentStatus("red", "r1", "deployed");
+    setDeploymentStatus("red", "r2", "ambush");
+    assert.equal(isDeploymentComplete("red"), true);
+  });
+
+  it("is true when no army is loaded", () => {
+    setCurrentArmyId(null);
+    assert.equal(isDeploymentComplete("red"), true);
+  });
+});
+
+describe("storage", () => {
+  it("reports save problems through the configured notifier", () => {
+    const failingStorage = createMemoryStorage();
+    failingStorage.setItem = () => {
+      const error = new Error("Full");
+      error.name = "QuotaExceededError";
+      throw error;
+    };
+    configureStorage({ storage: failingStorage });
+    setDeploymentStatus("red", "r1", "deployed");
+    assert.ok(notifications.length > 0);
+    notifications.forEach(({ title }) => assert.equal(title, "Save Error"));
+  });
+
+  it("keeps the shared round when a save slot is opened", () => {
+    saveGameState({ currentRound: 3, currentPhase: "playing" });
+    const slot = createSaveSlot("red", "Practice");
+    assert.ok(slot);
+    assert.equal(switchSaveSlot("red", slot.id), true);
+    assert.deepEqual(loadGameState(), {
+      currentRound: 3,
+      currentPhase: "playing",
+    });
+
+    // The round the Main slot was left in is only restored on request
+    saveGameState({ currentRound: 1, currentPhase: "playing" });
+    assert.equal(switchSaveSlot("red", "default", true), true);
+    assert.deepEqual(loadGameState(), {
+      currentRound: 3,
+      currentPhase: "playing",
+    });
+  });
+});